@@ -7,12 +7,24 @@ import organizerRoutes from "./routes/organizerRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import discussionRoutes from "./routes/discussionRoutes.js";
 import feedbackRoutes from "./routes/feedbackRoutes.js";
+import teamRoutes from "./routes/teamRoutes.js";
+import orderRoutes from "./routes/orderRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
+import announcementRoutes from "./routes/announcementRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
 import { protect } from "./middleware/authMiddleware.js";
 
 const app = express();
 
 // Middleware
 app.use(cors()); // Enable CORS for all origins
+// Payment webhooks keep the exact body - their signature is computed over it
+app.use("/api/payments/webhook", express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  },
+}));
 app.use(express.json({ limit: "10mb" })); // Parse JSON with larger limit for images
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
@@ -39,6 +51,12 @@ app.use("/api/organizer", organizerRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/discussions", discussionRoutes);
 app.use("/api/feedback", feedbackRoutes);
+app.use("/api/teams", teamRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/announcements", announcementRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/calendar", calendarRoutes);
 
 // Test protected route
 app.get("/api/protected", protect, (req, res) => {
@@ -2,7 +2,12 @@ import User from "../models/User.js";
 import { ROLES } from "../constants/roles.js";
 import { generateRandomPassword } from "../utils/validators.js";
 import { sendOrganizerCredentials } from "../utils/emailService.js";
+import { notifyUser } from "../utils/notifications.js";
 import PasswordResetRequest from "../models/PasswordResetRequest.js";
+import Event from "../models/Event.js";
+import { computeTrendingScores, getTrendingComputedAt } from "../utils/trending.js";
+import { getTransitionError } from "../utils/eventLifecycle.js";
+import { cancelEvent as cancelEventAndRegistrations, describeCancellation } from "../utils/eventCancellation.js";
 
 /**
  * Create new organizer account
@@ -346,6 +351,165 @@ export const getSystemStats = async (req, res) => {
   }
 };
 
+/**
+ * Get trending overview - upcoming published events with their trending scores
+ * GET /api/admin/trending
+ */
+export const getTrendingOverview = async (req, res) => {
+  try {
+    const events = await Event.find({
+      status: "PUBLISHED",
+      eventStartDate: { $gte: new Date() },
+    })
+      .populate("organizer", "organizerName")
+      .select("eventName organizer eventStartDate views registrationsLast24h trendingScore trendingUpdatedAt trendingPinned trendingExcluded")
+      .sort({ trendingPinned: -1, trendingScore: -1, eventStartDate: 1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      computedAt: getTrendingComputedAt(),
+      events,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch trending events",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Pin an event to trending or exclude it from trending
+ * PUT /api/admin/events/:id/trending
+ *
+ * Body: { pinned?, excluded? } - an event can't be both
+ */
+export const updateEventTrending = async (req, res) => {
+  try {
+    const { pinned, excluded } = req.body;
+
+    if (pinned === undefined && excluded === undefined) {
+      return res.status(400).json({ message: "Provide pinned or excluded" });
+    }
+    if (pinned && excluded) {
+      return res.status(400).json({ message: "An event can't be both pinned and excluded" });
+    }
+
+    const updates = {};
+    if (pinned !== undefined) {
+      updates.trendingPinned = !!pinned;
+      if (pinned) updates.trendingExcluded = false;
+    }
+    if (excluded !== undefined) {
+      updates.trendingExcluded = !!excluded;
+      if (excluded) updates.trendingPinned = false;
+    }
+
+    const event = await Event.findByIdAndUpdate(req.params.id, updates, { new: true })
+      .select("eventName trendingPinned trendingExcluded trendingScore");
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.json({
+      success: true,
+      message: event.trendingPinned
+        ? "Event pinned to trending"
+        : event.trendingExcluded
+          ? "Event excluded from trending"
+          : "Event ranked by its trending score",
+      event,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update trending settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Recompute trending scores now instead of waiting for the scheduled job
+ * POST /api/admin/trending/recompute
+ */
+export const recomputeTrending = async (req, res) => {
+  try {
+    const scored = await computeTrendingScores();
+
+    res.json({
+      success: true,
+      message: `Trending recomputed - ${scored} event(s) with recent activity`,
+      computedAt: getTrendingComputedAt(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to recompute trending",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel any organizer's event - cancels every registration, refunds paid ones
+ * in full and emails every registrant
+ * POST /api/admin/events/:id/cancel
+ *
+ * Body: { reason } - shown to registrants and the organizer
+ */
+export const cancelEvent = async (req, res) => {
+  try {
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ message: "Please give a reason for cancelling the event" });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const transitionError = getTransitionError(event, "CANCELLED");
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    const cancelled = await cancelEventAndRegistrations(event, {
+      source: "ADMIN",
+      actor: req.user._id,
+      note: reason,
+    });
+    if (!cancelled) {
+      return res.status(409).json({ message: "Event status changed in the meantime - refresh and try again" });
+    }
+
+    await notifyUser(cancelled.organizer, {
+      type: "EVENT_CANCELLED",
+      title: "Your event was cancelled by an admin",
+      message: `${cancelled.eventName} was cancelled. Reason: ${reason}`,
+      link: `/organizer/events/${cancelled._id}/details`,
+      event: cancelled._id,
+    });
+
+    res.json({
+      success: true,
+      message: describeCancellation(cancelled.cancellation),
+      event: cancelled,
+      report: cancelled.cancellation,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel event",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all password reset requests
  * GET /api/admin/password-requests
@@ -419,6 +583,13 @@ export const approvePasswordResetRequest = async (req, res) => {
       console.error("Failed to send password reset email:", emailError);
     }
 
+    await notifyUser(organizer._id, {
+      type: "PASSWORD_RESET_PROCESSED",
+      title: "Password reset approved",
+      message: "Your password was reset. The new credentials were sent to your email.",
+      link: "/organizer/profile",
+    });
+
     res.json({
       success: true,
       message: "Password reset request approved",
@@ -461,6 +632,13 @@ export const rejectPasswordResetRequest = async (req, res) => {
     request.processedAt = new Date();
     await request.save();
 
+    await notifyUser(request.organizer, {
+      type: "PASSWORD_RESET_PROCESSED",
+      title: "Password reset rejected",
+      message: `Your password reset request was rejected: ${request.adminComments}`,
+      link: "/organizer/profile",
+    });
+
     res.json({
       success: true,
       message: "Password reset request rejected",
@@ -0,0 +1,229 @@
+/**
+ * ANNOUNCEMENT CONTROLLER
+ *
+ * Organizer announcements for an event - separate from the participant discussion
+ * Sent announcements show on the event page and are emailed to confirmed registrants
+ * Organizers see read receipts (how many registrants have read each one)
+ */
+
+import Announcement from '../models/Announcement.js';
+import Event from '../models/Event.js';
+import Registration from '../models/Registration.js';
+import { deliverAnnouncement } from '../utils/announcements.js';
+
+/**
+ * Whether the user organizes this event
+ */
+const isEventOrganizer = (event, user) => event.organizer.toString() === user._id.toString();
+
+/**
+ * CREATE ANNOUNCEMENT (ORGANIZER ONLY)
+ * Route: POST /api/announcements/event/:eventId
+ *
+ * Body: { title, message, scheduledFor? }
+ * Without scheduledFor the announcement is sent right away
+ */
+export const createAnnouncement = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const title = req.body.title?.trim();
+    const message = req.body.message?.trim();
+    const { scheduledFor } = req.body;
+
+    if (!title || !message) {
+      return res.status(400).json({ message: 'Title and message are required' });
+    }
+
+    if (title.length > 150) {
+      return res.status(400).json({ message: 'Title cannot exceed 150 characters' });
+    }
+
+    if (message.length > 5000) {
+      return res.status(400).json({ message: 'Message cannot exceed 5000 characters' });
+    }
+
+    let sendAt = new Date();
+    if (scheduledFor) {
+      sendAt = new Date(scheduledFor);
+      if (isNaN(sendAt.getTime())) {
+        return res.status(400).json({ message: 'Invalid scheduled time' });
+      }
+      if (sendAt <= new Date()) {
+        return res.status(400).json({ message: 'Scheduled time must be in the future' });
+      }
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isEventOrganizer(event, req.user)) {
+      return res.status(403).json({
+        message: 'Only the event organizer can post announcements'
+      });
+    }
+
+    if (event.status === 'DRAFT') {
+      return res.status(400).json({ message: 'Publish the event before posting announcements' });
+    }
+
+    let announcement = await Announcement.create({
+      event: eventId,
+      organizer: req.user._id,
+      title,
+      message,
+      scheduledFor: sendAt
+    });
+
+    if (!scheduledFor) {
+      announcement = (await deliverAnnouncement(announcement._id)) || announcement;
+    }
+
+    res.status(201).json({
+      success: true,
+      announcement,
+      message: announcement.status === 'SENT'
+        ? `Announcement sent to ${announcement.recipientCount} registrant${announcement.recipientCount !== 1 ? 's' : ''}`
+        : `Announcement scheduled for ${sendAt.toLocaleString('en-IN')}`
+    });
+  } catch (error) {
+    console.error('Error creating announcement:', error);
+    res.status(500).json({ message: 'Failed to create announcement' });
+  }
+};
+
+/**
+ * GET ANNOUNCEMENTS FOR AN EVENT
+ * Route: GET /api/announcements/event/:eventId
+ *
+ * Organizer: every announcement (including scheduled) with read counts
+ * Registrants: sent announcements, each marked read or unread
+ */
+export const getEventAnnouncements = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const isOrganizer = isEventOrganizer(event, req.user);
+
+    if (isOrganizer) {
+      const announcements = await Announcement.find({ event: eventId })
+        .sort({ status: 1, scheduledFor: -1 })
+        .lean();
+
+      return res.json({
+        success: true,
+        isOrganizer,
+        announcements: announcements.map(({ readBy, ...announcement }) => ({
+          ...announcement,
+          readCount: readBy.length
+        }))
+      });
+    }
+
+    // Announcements are for people going to the event
+    if (req.user.role === 'participant') {
+      const registration = await Registration.exists({
+        event: eventId,
+        participant: req.user._id,
+        status: 'CONFIRMED'
+      });
+
+      if (!registration) {
+        return res.status(403).json({
+          message: 'You must be registered for this event to view announcements'
+        });
+      }
+    }
+
+    const announcements = await Announcement.find({ event: eventId, status: 'SENT' })
+      .select('title message sentAt readBy')
+      .sort({ sentAt: -1 })
+      .lean();
+
+    const userId = req.user._id.toString();
+    res.json({
+      success: true,
+      isOrganizer,
+      announcements: announcements.map(({ readBy, ...announcement }) => ({
+        ...announcement,
+        isRead: readBy.some(receipt => receipt.user.toString() === userId)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching announcements:', error);
+    res.status(500).json({ message: 'Failed to fetch announcements' });
+  }
+};
+
+/**
+ * MARK ANNOUNCEMENT READ (READ RECEIPT)
+ * Route: POST /api/announcements/:announcementId/read
+ */
+export const markAnnouncementRead = async (req, res) => {
+  try {
+    const { announcementId } = req.params;
+
+    const announcement = await Announcement.findById(announcementId).select('event status');
+    if (!announcement || announcement.status !== 'SENT') {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+
+    const registration = await Registration.exists({
+      event: announcement.event,
+      participant: req.user._id,
+      status: 'CONFIRMED'
+    });
+
+    // Only registrants count towards reach
+    if (registration) {
+      await Announcement.updateOne(
+        { _id: announcementId, 'readBy.user': { $ne: req.user._id } },
+        { $push: { readBy: { user: req.user._id } } }
+      );
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error marking announcement read:', error);
+    res.status(500).json({ message: 'Failed to mark announcement as read' });
+  }
+};
+
+/**
+ * DELETE ANNOUNCEMENT (ORGANIZER ONLY)
+ * Route: DELETE /api/announcements/:announcementId
+ *
+ * Cancels a scheduled announcement, or removes a sent one from the event page
+ */
+export const deleteAnnouncement = async (req, res) => {
+  try {
+    const { announcementId } = req.params;
+
+    const announcement = await Announcement.findById(announcementId);
+    if (!announcement) {
+      return res.status(404).json({ message: 'Announcement not found' });
+    }
+
+    if (announcement.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        message: 'Only the event organizer can delete announcements'
+      });
+    }
+
+    await Announcement.findByIdAndDelete(announcementId);
+
+    res.json({
+      success: true,
+      message: announcement.status === 'SCHEDULED' ? 'Scheduled announcement cancelled' : 'Announcement deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting announcement:', error);
+    res.status(500).json({ message: 'Failed to delete announcement' });
+  }
+};
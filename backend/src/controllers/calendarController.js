@@ -0,0 +1,152 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+import { buildCalendar, getCalendarEntry } from "../utils/calendar.js";
+
+const getBaseUrl = (req) => process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+
+const getFeedUrl = (req, token) => `${getBaseUrl(req)}/api/calendar/feed/${token}.ics`;
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString("hex");
+
+/**
+ * Send .ics contents as a calendar file
+ */
+const sendCalendar = (res, calendar, filename) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(calendar);
+};
+
+/**
+ * Get my calendar feed URL (created on first use)
+ * GET /api/calendar/feed
+ *
+ * Anyone with the URL can read the feed - it is meant for calendar apps
+ */
+export const getMyCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+calendarToken");
+
+    if (!user.calendarToken) {
+      user.calendarToken = generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      url: getFeedUrl(req, user.calendarToken),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch calendar feed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace my calendar feed URL - the old one stops working
+ * POST /api/calendar/feed/reset
+ */
+export const resetMyCalendarFeed = async (req, res) => {
+  try {
+    const calendarToken = generateCalendarToken();
+    await User.findByIdAndUpdate(req.user._id, { calendarToken });
+
+    res.json({
+      success: true,
+      message: "New calendar link created. Update it in your calendar app - the old link no longer works.",
+      url: getFeedUrl(req, calendarToken),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset calendar feed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Calendar feed for calendar apps (no login - the token is the secret)
+ * GET /api/calendar/feed/:token.ics
+ *
+ * Participants: events of their confirmed registrations that haven't ended
+ * Organizers: their events that haven't ended (except drafts); cancelled ones
+ * stay in the feed marked CANCELLED so calendars show the cancellation
+ */
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token, isActive: { $ne: false } });
+    if (!user) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    const now = new Date();
+    let events = [];
+    let name = "Felicity";
+
+    if (user.role === ROLES.PARTICIPANT) {
+      const registrations = await Registration.find({ participant: user._id, status: "CONFIRMED" })
+        .populate({
+          path: "event",
+          match: { eventEndDate: { $gte: now }, status: { $ne: "CANCELLED" } },
+          populate: { path: "organizer", select: "organizerName contactEmail" },
+        });
+      events = registrations.map((registration) => registration.event).filter(Boolean);
+      name = "Felicity - My Events";
+    } else if (user.role === ROLES.ORGANIZER) {
+      events = await Event.find({
+        organizer: user._id,
+        status: { $ne: "DRAFT" },
+        eventEndDate: { $gte: now },
+      }).populate("organizer", "organizerName contactEmail");
+      name = `Felicity - ${user.organizerName}`;
+    }
+
+    // Same event twice (e.g. several merchandise purchases) would be a duplicate UID
+    const uniqueEvents = [...new Map(events.map((event) => [event._id.toString(), event])).values()];
+    const entries = await Promise.all(uniqueEvents.map(getCalendarEntry));
+
+    sendCalendar(res, buildCalendar(entries, { name }), "felicity.ics");
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to build calendar feed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download one event as an .ics file ("Add to calendar")
+ * GET /api/calendar/events/:id.ics
+ */
+export const getEventCalendar = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, status: { $ne: "DRAFT" } })
+      .populate("organizer", "organizerName contactEmail");
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const filename = `${event.eventName.replace(/[^\w-]+/g, "_")}.ics`;
+    sendCalendar(res, buildCalendar([await getCalendarEntry(event)]), filename);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to build calendar file",
+      error: error.message,
+    });
+  }
+};
@@ -3,15 +3,166 @@
  * 
  * Real-time discussion forum for events
  * Handles posting messages, replies, likes
+ * Moderation: reports, hiding, timed mutes, thread locks and a moderation log
+ * Authors can edit posts and replies within EDIT_WINDOW_MINUTES of posting
+ * Messages are Markdown with @mentions (emailed and notified in-app), emoji reactions and image attachments
+ * Authors get an in-app notification when someone replies to their post
+ * Changes are pushed to open discussion pages over Socket.IO (utils/discussionSocket.js)
  */
 
-import Discussion from '../models/Discussion.js';
+import mongoose from 'mongoose';
+import Discussion, { DISCUSSION_REACTIONS } from '../models/Discussion.js';
+import DiscussionMute from '../models/DiscussionMute.js';
+import ModerationLog from '../models/ModerationLog.js';
 import Event from '../models/Event.js';
 import Registration from '../models/Registration.js';
+import User from '../models/User.js';
+import { notifyMessagePinned } from '../utils/discordNotifier.js';
+import { sendMentionEmail } from '../utils/emailService.js';
+import { validateImageAttachments } from '../utils/validators.js';
+import { notifyUser, notifyUsers } from '../utils/notifications.js';
+import {
+  emitDiscussionEvent,
+  canAccessDiscussion,
+  getUnreadCount,
+  markDiscussionRead
+} from '../utils/discussionSocket.js';
+
+const MAX_MUTE_MINUTES = 30 * 24 * 60; // 30 days
+const EDIT_WINDOW_MINUTES = 15;
+const MAX_MENTIONS = 10;
+
+/**
+ * What participants see of a message - reports and edit history are for the organizer
+ */
+const toParticipantView = ({ reports, editHistory, ...discussion }) => ({
+  ...discussion,
+  replies: discussion.replies.map(({ editHistory, ...reply }) => reply)
+});
+
+const isWithinEditWindow = (createdAt) => {
+  return Date.now() - new Date(createdAt).getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000;
+};
+
+/**
+ * People @mentioned in a message
+ * The client sends the IDs it picked; only the organizer and confirmed registrants
+ * whose "@First Last" is still in the text count
+ */
+const resolveMentions = async (event, message, mentionIds, authorId) => {
+  if (!Array.isArray(mentionIds) || mentionIds.length === 0) return [];
+
+  const ids = [...new Set(mentionIds.map(String))]
+    .filter(id => mongoose.isValidObjectId(id) && id !== authorId.toString())
+    .slice(0, MAX_MENTIONS);
+  if (ids.length === 0) return [];
+
+  const registered = await Registration.find({
+    event: event._id,
+    participant: { $in: ids },
+    status: 'CONFIRMED'
+  }).distinct('participant');
+  const allowed = new Set([...registered.map(String), event.organizer.toString()]);
+
+  const users = await User.find({ _id: { $in: ids.filter(id => allowed.has(id)) } })
+    .select('firstName lastName email');
+  return users.filter(user => message.includes(`@${user.firstName} ${user.lastName}`));
+};
+
+const toMentionView = ({ _id, firstName, lastName }) => ({ _id, firstName, lastName });
+
+const toExcerpt = (message) => (message.length > 200 ? `${message.slice(0, 200)}…` : message);
+
+const authorName = (author) => author.organizerName || `${author.firstName} ${author.lastName}`;
+
+/**
+ * Email and notify mentioned people (not awaited - delivery problems never fail the post)
+ */
+const notifyMentions = (event, users, author, message) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  notifyUsers(users.map(user => user._id), {
+    type: 'DISCUSSION_MENTION',
+    title: `${authorName(author)} mentioned you in ${event.eventName}`,
+    message: toExcerpt(message),
+    link: `/events/${event._id}/discussion`,
+    event: event._id
+  });
+
+  for (const user of users) {
+    sendMentionEmail({
+      to: user.email,
+      recipientName: `${user.firstName} ${user.lastName}`,
+      authorName: authorName(author),
+      eventName: event.eventName,
+      excerpt: toExcerpt(message),
+      discussionUrl: `${frontendUrl}/events/${event._id}/discussion`
+    }).catch(error => console.error('Mention email failed:', error.message));
+  }
+};
+
+/**
+ * Whether the user organizes this event (organizers moderate their own events)
+ */
+const isEventOrganizer = (event, user) => event.organizer.toString() === user._id.toString();
+
+/**
+ * Active mute for a participant in an event's discussion, or null
+ */
+const getActiveMute = (eventId, userId) => {
+  return DiscussionMute.findOne({
+    event: eventId,
+    participant: userId,
+    mutedUntil: { $gt: new Date() }
+  });
+};
+
+const mutedResponse = (res, mute) => {
+  return res.status(403).json({
+    message: `You are muted in this discussion until ${mute.mutedUntil.toLocaleString('en-IN')}`,
+    mutedUntil: mute.mutedUntil
+  });
+};
+
+/**
+ * Record a moderation action - logging problems never fail the action itself
+ */
+const logModeration = async ({ discussion, ...entry }) => {
+  try {
+    await ModerationLog.create({
+      ...entry,
+      discussion: discussion?._id,
+      targetUser: entry.targetUser || discussion?.participant,
+      messageExcerpt: discussion?.message?.slice(0, 100)
+    });
+  } catch (error) {
+    console.error('Failed to record moderation action:', error);
+  }
+};
+
+/**
+ * Load a message the current user may moderate (organizer of its event)
+ * Returns { discussion, event } or { status, message }
+ */
+const findModeratedDiscussion = async (discussionId, user) => {
+  const discussion = await Discussion.findById(discussionId);
+  if (!discussion) {
+    return { status: 404, message: 'Discussion not found' };
+  }
+
+  const event = await Event.findById(discussion.event);
+  if (!event || !isEventOrganizer(event, user)) {
+    return { status: 403, message: 'Only the event organizer can moderate this discussion' };
+  }
+
+  return { discussion, event };
+};
 
 /**
  * GET DISCUSSION MESSAGES FOR AN EVENT
  * Route: GET /api/discussions/event/:eventId
+ *
+ * Hidden messages and reports are only included for the organizer.
  */
 export const getEventDiscussions = async (req, res) => {
   try {
@@ -41,18 +192,30 @@ export const getEventDiscussions = async (req, res) => {
       }
     }
 
-    // Get all discussions for this event
-    const discussions = await Discussion.find({ event: eventId })
+    // Get all discussions for this event (participants don't see hidden ones)
+    const query = isOrganizer ? { event: eventId } : { event: eventId, isHidden: { $ne: true } };
+    let discussions = await Discussion.find(query)
       .populate('participant', 'firstName lastName email')
       .populate('replies.participant', 'firstName lastName')
+      .populate('mentions', 'firstName lastName')
+      .populate('replies.mentions', 'firstName lastName')
+      .populate('reports.reporter', 'firstName lastName')
       .sort({ isPinned: -1, createdAt: -1 })
       .lean();
 
+    // Reporters stay anonymous and old versions stay with the organizer
+    if (!isOrganizer) {
+      discussions = discussions.map(toParticipantView);
+    }
+
+    const mute = isOrganizer ? null : await getActiveMute(eventId, req.user._id);
+
     res.json({
       success: true,
       discussions,
       count: discussions.length,
-      isOrganizer
+      isOrganizer,
+      mutedUntil: mute?.mutedUntil || null
     });
   } catch (error) {
     console.error('Error fetching discussions:', error);
@@ -67,7 +230,7 @@ export const getEventDiscussions = async (req, res) => {
 export const postDiscussion = async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { message } = req.body;
+    const { message, mentions, attachments = [] } = req.body;
 
     // Validate message
     if (!message || message.trim().length === 0) {
@@ -78,6 +241,11 @@ export const postDiscussion = async (req, res) => {
       return res.status(400).json({ message: 'Message too long (max 1000 characters)' });
     }
 
+    const attachmentCheck = validateImageAttachments(attachments);
+    if (!attachmentCheck.valid) {
+      return res.status(400).json({ message: attachmentCheck.message });
+    }
+
     // Verify event exists
     const event = await Event.findById(eventId);
     if (!event) {
@@ -102,15 +270,32 @@ export const postDiscussion = async (req, res) => {
       }
     }
 
+    if (!isOrganizer) {
+      const mute = await getActiveMute(eventId, req.user._id);
+      if (mute) {
+        return mutedResponse(res, mute);
+      }
+    }
+
+    const mentioned = await resolveMentions(event, message.trim(), mentions, req.user._id);
+
     // Create discussion
     const discussion = await Discussion.create({
       event: eventId,
       participant: req.user._id,
-      message: message.trim()
+      message: message.trim(),
+      mentions: mentioned.map(user => user._id),
+      attachments: attachments.map(({ data, name }) => ({ data, name }))
     });
 
     // Populate and return
-    await discussion.populate('participant', 'firstName lastName email');
+    await discussion.populate([
+      { path: 'participant', select: 'firstName lastName email' },
+      { path: 'mentions', select: 'firstName lastName' }
+    ]);
+
+    emitDiscussionEvent(eventId, 'created', { discussion });
+    notifyMentions(event, mentioned, req.user, discussion.message);
 
     res.status(201).json({
       success: true,
@@ -130,7 +315,7 @@ export const postDiscussion = async (req, res) => {
 export const postReply = async (req, res) => {
   try {
     const { discussionId } = req.params;
-    const { message } = req.body;
+    const { message, mentions } = req.body;
 
     // Validate message
     if (!message || message.trim().length === 0) {
@@ -166,18 +351,58 @@ export const postReply = async (req, res) => {
       }
     }
 
+    if (!isOrganizer) {
+      if (discussion.isHidden) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+
+      if (discussion.isLocked) {
+        return res.status(403).json({ message: 'This thread is locked - no new replies' });
+      }
+
+      const mute = await getActiveMute(discussion.event, req.user._id);
+      if (mute) {
+        return mutedResponse(res, mute);
+      }
+    }
+
+    const mentioned = event ? await resolveMentions(event, message.trim(), mentions, req.user._id) : [];
+
     // Add reply
     discussion.replies.push({
       participant: req.user._id,
-      message: message.trim()
+      message: message.trim(),
+      mentions: mentioned.map(user => user._id)
     });
 
     await discussion.save();
-    await discussion.populate('replies.participant', 'firstName lastName');
+    await discussion.populate([
+      { path: 'replies.participant', select: 'firstName lastName' },
+      { path: 'replies.mentions', select: 'firstName lastName' }
+    ]);
+    notifyMentions(event, mentioned, req.user, message.trim());
+
+    // The post's author hears about replies (unless they were just mentioned anyway)
+    const authorId = discussion.participant.toString();
+    if (event && authorId !== req.user._id.toString() && !mentioned.some(user => user._id.toString() === authorId)) {
+      notifyUser(authorId, {
+        type: 'DISCUSSION_REPLY',
+        title: `${authorName(req.user)} replied to your post in ${event.eventName}`,
+        message: toExcerpt(message.trim()),
+        link: `/events/${event._id}/discussion`,
+        event: event._id
+      });
+    }
 
+    emitDiscussionEvent(discussion.event, 'reply', {
+      discussionId: discussion._id,
+      reply: discussion.replies[discussion.replies.length - 1]
+    });
+
+    // Reporters stay anonymous and old versions stay with the organizer
     res.json({
       success: true,
-      discussion,
+      discussion: isOrganizer ? discussion : toParticipantView(discussion.toObject()),
       message: 'Reply posted successfully'
     });
   } catch (error) {
@@ -218,6 +443,21 @@ export const toggleLike = async (req, res) => {
       }
     }
 
+    if (!isOrganizer) {
+      if (discussion.isHidden) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+
+      if (discussion.isLocked) {
+        return res.status(403).json({ message: 'This thread is locked' });
+      }
+
+      const mute = await getActiveMute(discussion.event, req.user._id);
+      if (mute) {
+        return mutedResponse(res, mute);
+      }
+    }
+
     // Toggle like
     const likeIndex = discussion.likes.indexOf(req.user._id);
     if (likeIndex > -1) {
@@ -230,6 +470,11 @@ export const toggleLike = async (req, res) => {
 
     await discussion.save();
 
+    emitDiscussionEvent(discussion.event, 'like', {
+      discussionId: discussion._id,
+      likes: discussion.likes
+    });
+
     res.json({
       success: true,
       likes: discussion.likes.length,
@@ -241,6 +486,83 @@ export const toggleLike = async (req, res) => {
   }
 };
 
+/**
+ * TOGGLE AN EMOJI REACTION ON A DISCUSSION
+ * Route: PUT /api/discussions/:discussionId/react
+ *
+ * Body: { emoji } - one of DISCUSSION_REACTIONS
+ */
+export const toggleReaction = async (req, res) => {
+  try {
+    const { discussionId } = req.params;
+    const { emoji } = req.body;
+
+    if (!DISCUSSION_REACTIONS.includes(emoji)) {
+      return res.status(400).json({ message: 'Unsupported reaction' });
+    }
+
+    const discussion = await Discussion.findById(discussionId).select('event isHidden isLocked');
+    if (!discussion) {
+      return res.status(404).json({ message: 'Discussion not found' });
+    }
+
+    const event = await Event.findById(discussion.event);
+    const isOrganizer = event && isEventOrganizer(event, req.user);
+
+    if (!isOrganizer) {
+      if (discussion.isHidden) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+
+      if (discussion.isLocked) {
+        return res.status(403).json({ message: 'This thread is locked' });
+      }
+
+      if (!event || !(await canAccessDiscussion(event, req.user))) {
+        return res.status(403).json({ 
+          message: 'You must be registered for this event to react to messages' 
+        });
+      }
+
+      const mute = await getActiveMute(discussion.event, req.user._id);
+      if (mute) {
+        return mutedResponse(res, mute);
+      }
+    }
+
+    // Add the reaction unless it's there - otherwise remove it
+    const reaction = { emoji, user: req.user._id };
+    let updated = await Discussion.findOneAndUpdate(
+      { _id: discussionId, reactions: { $not: { $elemMatch: reaction } } },
+      { $push: { reactions: reaction } },
+      { new: true }
+    ).select('reactions');
+    const isReacted = !!updated;
+
+    if (!updated) {
+      updated = await Discussion.findByIdAndUpdate(
+        discussionId,
+        { $pull: { reactions: reaction } },
+        { new: true }
+      ).select('reactions');
+    }
+
+    emitDiscussionEvent(discussion.event, 'react', {
+      discussionId: discussion._id,
+      reactions: updated.reactions
+    });
+
+    res.json({
+      success: true,
+      reactions: updated.reactions,
+      isReacted
+    });
+  } catch (error) {
+    console.error('Error toggling reaction:', error);
+    res.status(500).json({ message: 'Failed to update reaction' });
+  }
+};
+
 /**
  * DELETE A DISCUSSION MESSAGE
  * Route: DELETE /api/discussions/:discussionId
@@ -267,6 +589,13 @@ export const deleteDiscussion = async (req, res) => {
 
     await Discussion.findByIdAndDelete(discussionId);
 
+    // Removing someone else's message is a moderation action
+    if (!isOwner) {
+      await logModeration({ event: event._id, actor: req.user._id, action: 'DELETE', discussion });
+    }
+
+    emitDiscussionEvent(discussion.event, 'deleted', { discussionId });
+
     res.json({
       success: true,
       message: 'Message deleted successfully'
@@ -277,6 +606,241 @@ export const deleteDiscussion = async (req, res) => {
   }
 };
 
+/**
+ * EDIT A DISCUSSION MESSAGE (AUTHOR ONLY)
+ * Route: PUT /api/discussions/:discussionId
+ *
+ * Allowed within EDIT_WINDOW_MINUTES of posting; the old text goes to editHistory
+ */
+export const editDiscussion = async (req, res) => {
+  try {
+    const { discussionId } = req.params;
+    const message = req.body.message?.trim();
+
+    if (!message) {
+      return res.status(400).json({ message: 'Message cannot be empty' });
+    }
+
+    if (message.length > 1000) {
+      return res.status(400).json({ message: 'Message too long (max 1000 characters)' });
+    }
+
+    const discussion = await Discussion.findById(discussionId);
+    if (!discussion) {
+      return res.status(404).json({ message: 'Discussion not found' });
+    }
+
+    if (discussion.participant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own messages' });
+    }
+
+    const event = await Event.findById(discussion.event);
+    const isOrganizer = event && isEventOrganizer(event, req.user);
+
+    if (!isOrganizer) {
+      if (discussion.isHidden) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+
+      if (!event || !(await canAccessDiscussion(event, req.user))) {
+        return res.status(403).json({ 
+          message: 'You must be registered for this event to edit messages' 
+        });
+      }
+
+      const mute = await getActiveMute(discussion.event, req.user._id);
+      if (mute) {
+        return mutedResponse(res, mute);
+      }
+    }
+
+    if (!isWithinEditWindow(discussion.createdAt)) {
+      return res.status(403).json({ 
+        message: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of posting` 
+      });
+    }
+
+    if (message === discussion.message) {
+      return res.status(400).json({ message: 'No changes to save' });
+    }
+
+    // Only people newly mentioned by the edit are notified
+    const mentioned = await resolveMentions(event, message, req.body.mentions, req.user._id);
+    const alreadyMentioned = new Set(discussion.mentions.map(String));
+
+    const editedAt = new Date();
+    discussion.editHistory.push({ message: discussion.message, editedAt });
+    discussion.message = message;
+    discussion.mentions = mentioned.map(user => user._id);
+    discussion.isEdited = true;
+    discussion.editedAt = editedAt;
+    await discussion.save();
+
+    const mentionViews = mentioned.map(toMentionView);
+    emitDiscussionEvent(discussion.event, 'edit', {
+      discussionId: discussion._id,
+      message,
+      mentions: mentionViews,
+      editedAt
+    });
+    notifyMentions(event, mentioned.filter(user => !alreadyMentioned.has(user._id.toString())), req.user, message);
+
+    // Old versions are for the organizer only
+    res.json({
+      success: true,
+      discussion: { _id: discussion._id, message, mentions: mentionViews, isEdited: true, editedAt },
+      message: 'Message updated'
+    });
+  } catch (error) {
+    console.error('Error editing discussion:', error);
+    res.status(500).json({ message: 'Failed to edit message' });
+  }
+};
+
+/**
+ * EDIT A REPLY (AUTHOR ONLY)
+ * Route: PUT /api/discussions/:discussionId/replies/:replyId
+ *
+ * Same time window as messages; editing is allowed in locked threads
+ */
+export const editReply = async (req, res) => {
+  try {
+    const { discussionId, replyId } = req.params;
+    const message = req.body.message?.trim();
+
+    if (!message) {
+      return res.status(400).json({ message: 'Reply cannot be empty' });
+    }
+
+    if (message.length > 500) {
+      return res.status(400).json({ message: 'Reply too long (max 500 characters)' });
+    }
+
+    const discussion = await Discussion.findById(discussionId);
+    const reply = discussion?.replies.id(replyId);
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    if (reply.participant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own replies' });
+    }
+
+    const event = await Event.findById(discussion.event);
+    const isOrganizer = event && isEventOrganizer(event, req.user);
+
+    if (!isOrganizer) {
+      if (discussion.isHidden) {
+        return res.status(404).json({ message: 'Reply not found' });
+      }
+
+      if (!event || !(await canAccessDiscussion(event, req.user))) {
+        return res.status(403).json({ 
+          message: 'You must be registered for this event to edit replies' 
+        });
+      }
+
+      const mute = await getActiveMute(discussion.event, req.user._id);
+      if (mute) {
+        return mutedResponse(res, mute);
+      }
+    }
+
+    if (!isWithinEditWindow(reply.createdAt)) {
+      return res.status(403).json({ 
+        message: `Replies can only be edited within ${EDIT_WINDOW_MINUTES} minutes of posting` 
+      });
+    }
+
+    if (message === reply.message) {
+      return res.status(400).json({ message: 'No changes to save' });
+    }
+
+    const mentioned = await resolveMentions(event, message, req.body.mentions, req.user._id);
+    const alreadyMentioned = new Set(reply.mentions.map(String));
+
+    const editedAt = new Date();
+    reply.editHistory.push({ message: reply.message, editedAt });
+    reply.message = message;
+    reply.mentions = mentioned.map(user => user._id);
+    reply.isEdited = true;
+    reply.editedAt = editedAt;
+    await discussion.save();
+
+    const mentionViews = mentioned.map(toMentionView);
+    emitDiscussionEvent(discussion.event, 'reply-edit', {
+      discussionId: discussion._id,
+      replyId: reply._id,
+      message,
+      mentions: mentionViews,
+      editedAt
+    });
+    notifyMentions(event, mentioned.filter(user => !alreadyMentioned.has(user._id.toString())), req.user, message);
+
+    res.json({
+      success: true,
+      reply: { _id: reply._id, message, mentions: mentionViews, isEdited: true, editedAt },
+      message: 'Reply updated'
+    });
+  } catch (error) {
+    console.error('Error editing reply:', error);
+    res.status(500).json({ message: 'Failed to edit reply' });
+  }
+};
+
+/**
+ * DELETE A REPLY
+ * Route: DELETE /api/discussions/:discussionId/replies/:replyId
+ *
+ * The author or the event organizer (logged as moderation) can delete
+ */
+export const deleteReply = async (req, res) => {
+  try {
+    const { discussionId, replyId } = req.params;
+
+    const discussion = await Discussion.findById(discussionId);
+    const reply = discussion?.replies.id(replyId);
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    const event = await Event.findById(discussion.event);
+    const isOwner = reply.participant.toString() === req.user._id.toString();
+    const isOrganizer = event && isEventOrganizer(event, req.user);
+
+    if (!isOwner && !isOrganizer) {
+      return res.status(403).json({ 
+        message: 'You can only delete your own replies' 
+      });
+    }
+
+    // Pull by ID so a concurrent reply isn't lost
+    await Discussion.updateOne({ _id: discussionId }, { $pull: { replies: { _id: replyId } } });
+
+    if (!isOwner) {
+      await logModeration({
+        event: event._id,
+        actor: req.user._id,
+        action: 'DELETE',
+        discussion: { _id: discussion._id, message: reply.message, participant: reply.participant }
+      });
+    }
+
+    emitDiscussionEvent(discussion.event, 'reply-deleted', {
+      discussionId: discussion._id,
+      replyId: reply._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Reply deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting reply:', error);
+    res.status(500).json({ message: 'Failed to delete reply' });
+  }
+};
+
 /**
  * PIN/UNPIN A DISCUSSION (ORGANIZER ONLY)
  * Route: PUT /api/discussions/:discussionId/pin
@@ -302,6 +866,24 @@ export const togglePin = async (req, res) => {
     discussion.isPinned = !discussion.isPinned;
     await discussion.save();
 
+    emitDiscussionEvent(discussion.event, 'pin', {
+      discussionId: discussion._id,
+      isPinned: discussion.isPinned
+    });
+
+    await logModeration({
+      event: event._id,
+      actor: req.user._id,
+      action: discussion.isPinned ? 'PIN' : 'UNPIN',
+      discussion
+    });
+
+    // Share newly pinned messages on the organizer's Discord (not awaited)
+    if (discussion.isPinned) {
+      await discussion.populate('participant', 'firstName lastName organizerName');
+      notifyMessagePinned(event, discussion);
+    }
+
     res.json({
       success: true,
       isPinned: discussion.isPinned,
@@ -312,3 +894,446 @@ export const togglePin = async (req, res) => {
     res.status(500).json({ message: 'Failed to toggle pin' });
   }
 };
+
+/**
+ * GET PEOPLE WHO CAN BE @MENTIONED
+ * Route: GET /api/discussions/event/:eventId/members
+ *
+ * The organizer and confirmed registrants
+ */
+export const getMentionableMembers = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findById(eventId).populate('organizer', 'firstName lastName');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const organizerId = event.organizer._id;
+    if (!(await canAccessDiscussion({ _id: event._id, organizer: organizerId }, req.user))) {
+      return res.status(403).json({ 
+        message: 'You must be registered for this event to view discussions' 
+      });
+    }
+
+    const registrations = await Registration.find({ event: eventId, status: 'CONFIRMED' })
+      .populate('participant', 'firstName lastName')
+      .select('participant')
+      .lean();
+
+    const members = [
+      { ...toMentionView(event.organizer), isOrganizer: true },
+      ...registrations
+        .filter(r => r.participant && r.participant._id.toString() !== organizerId.toString())
+        .map(r => toMentionView(r.participant))
+    ];
+
+    res.json({
+      success: true,
+      members
+    });
+  } catch (error) {
+    console.error('Error fetching discussion members:', error);
+    res.status(500).json({ message: 'Failed to fetch discussion members' });
+  }
+};
+
+/**
+ * GET MY UNREAD COUNT FOR AN EVENT'S DISCUSSION
+ * Route: GET /api/discussions/event/:eventId/unread
+ */
+export const getUnread = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canAccessDiscussion(event, req.user))) {
+      return res.status(403).json({ 
+        message: 'You must be registered for this event to view discussions' 
+      });
+    }
+
+    res.json({
+      success: true,
+      unread: await getUnreadCount(eventId, req.user._id)
+    });
+  } catch (error) {
+    console.error('Error fetching unread count:', error);
+    res.status(500).json({ message: 'Failed to fetch unread count' });
+  }
+};
+
+/**
+ * MARK AN EVENT'S DISCUSSION AS READ
+ * Route: POST /api/discussions/event/:eventId/read
+ */
+export const markRead = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canAccessDiscussion(event, req.user))) {
+      return res.status(403).json({ 
+        message: 'You must be registered for this event to view discussions' 
+      });
+    }
+
+    await markDiscussionRead(eventId, req.user._id);
+
+    res.json({ success: true, unread: 0 });
+  } catch (error) {
+    console.error('Error marking discussion read:', error);
+    res.status(500).json({ message: 'Failed to mark discussion as read' });
+  }
+};
+
+/**
+ * REPORT A MESSAGE TO THE ORGANIZER
+ * Route: POST /api/discussions/:discussionId/report
+ *
+ * One report per person per message
+ */
+export const reportDiscussion = async (req, res) => {
+  try {
+    const { discussionId } = req.params;
+    const reason = req.body.reason?.trim();
+
+    if (reason && reason.length > 300) {
+      return res.status(400).json({ message: 'Reason cannot exceed 300 characters' });
+    }
+
+    const discussion = await Discussion.findById(discussionId);
+    if (!discussion || discussion.isHidden) {
+      return res.status(404).json({ message: 'Discussion not found' });
+    }
+
+    const event = await Event.findById(discussion.event);
+    if (!event || !(await canAccessDiscussion(event, req.user))) {
+      return res.status(403).json({ 
+        message: 'You must be registered for this event to report messages' 
+      });
+    }
+
+    if (discussion.participant.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own message' });
+    }
+
+    // Only add the report if this user hasn't reported the message yet
+    const updated = await Discussion.findOneAndUpdate(
+      { _id: discussionId, 'reports.reporter': { $ne: req.user._id } },
+      { $push: { reports: { reporter: req.user._id, reason } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ message: 'You have already reported this message' });
+    }
+
+    await logModeration({ event: event._id, actor: req.user._id, action: 'REPORT', discussion, reason });
+
+    res.json({
+      success: true,
+      message: 'Message reported to the organizer'
+    });
+  } catch (error) {
+    console.error('Error reporting discussion:', error);
+    res.status(500).json({ message: 'Failed to report message' });
+  }
+};
+
+/**
+ * HIDE/UNHIDE A MESSAGE (ORGANIZER ONLY)
+ * Route: PUT /api/discussions/:discussionId/hide
+ *
+ * Hidden messages stay in the database and visible to the organizer
+ */
+export const toggleHide = async (req, res) => {
+  try {
+    const found = await findModeratedDiscussion(req.params.discussionId, req.user);
+    if (found.status) {
+      return res.status(found.status).json({ message: found.message });
+    }
+    const { discussion, event } = found;
+    const reason = req.body.reason?.trim();
+
+    discussion.isHidden = !discussion.isHidden;
+    discussion.hiddenReason = discussion.isHidden ? reason : undefined;
+    discussion.hiddenAt = discussion.isHidden ? new Date() : undefined;
+    await discussion.save();
+
+    await discussion.populate([
+      { path: 'participant', select: 'firstName lastName email' },
+      { path: 'replies.participant', select: 'firstName lastName' },
+      { path: 'mentions', select: 'firstName lastName' },
+      { path: 'replies.mentions', select: 'firstName lastName' }
+    ]);
+
+    // Participants drop hidden messages and get unhidden ones back
+    emitDiscussionEvent(discussion.event, 'hide', {
+      discussionId: discussion._id,
+      isHidden: discussion.isHidden,
+      ...(!discussion.isHidden && { discussion: toParticipantView(discussion.toObject()) })
+    });
+
+    await logModeration({
+      event: event._id,
+      actor: req.user._id,
+      action: discussion.isHidden ? 'HIDE' : 'UNHIDE',
+      discussion,
+      targetUser: discussion.participant._id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      isHidden: discussion.isHidden,
+      hiddenReason: discussion.hiddenReason,
+      message: discussion.isHidden ? 'Message hidden' : 'Message visible again'
+    });
+  } catch (error) {
+    console.error('Error toggling hide:', error);
+    res.status(500).json({ message: 'Failed to update message visibility' });
+  }
+};
+
+/**
+ * LOCK/UNLOCK A THREAD (ORGANIZER ONLY)
+ * Route: PUT /api/discussions/:discussionId/lock
+ *
+ * Locked threads take no new replies (the organizer can still reply)
+ */
+export const toggleLock = async (req, res) => {
+  try {
+    const found = await findModeratedDiscussion(req.params.discussionId, req.user);
+    if (found.status) {
+      return res.status(found.status).json({ message: found.message });
+    }
+    const { discussion, event } = found;
+
+    discussion.isLocked = !discussion.isLocked;
+    discussion.lockedAt = discussion.isLocked ? new Date() : undefined;
+    await discussion.save();
+
+    emitDiscussionEvent(discussion.event, 'lock', {
+      discussionId: discussion._id,
+      isLocked: discussion.isLocked
+    });
+
+    await logModeration({
+      event: event._id,
+      actor: req.user._id,
+      action: discussion.isLocked ? 'LOCK' : 'UNLOCK',
+      discussion
+    });
+
+    res.json({
+      success: true,
+      isLocked: discussion.isLocked,
+      message: discussion.isLocked ? 'Thread locked' : 'Thread unlocked'
+    });
+  } catch (error) {
+    console.error('Error toggling lock:', error);
+    res.status(500).json({ message: 'Failed to update thread lock' });
+  }
+};
+
+/**
+ * MUTE A PARTICIPANT IN AN EVENT'S DISCUSSION (ORGANIZER ONLY)
+ * Route: POST /api/discussions/event/:eventId/mutes
+ *
+ * Body: { participantId, durationMinutes, reason }
+ * Muting someone already muted replaces the old mute
+ */
+export const muteParticipant = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { participantId } = req.body;
+    const durationMinutes = Number(req.body.durationMinutes);
+    const reason = req.body.reason?.trim();
+
+    if (!participantId) {
+      return res.status(400).json({ message: 'Participant is required' });
+    }
+
+    if (!mongoose.isValidObjectId(participantId)) {
+      return res.status(400).json({ message: 'Invalid participant' });
+    }
+
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_MUTE_MINUTES) {
+      return res.status(400).json({ 
+        message: `Mute duration must be between 1 and ${MAX_MUTE_MINUTES} minutes` 
+      });
+    }
+
+    if (reason && reason.length > 300) {
+      return res.status(400).json({ message: 'Reason cannot exceed 300 characters' });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isEventOrganizer(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the event organizer can mute participants' 
+      });
+    }
+
+    if (participantId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot mute yourself' });
+    }
+
+    const participant = await User.findById(participantId).select('firstName lastName');
+    if (!participant) {
+      return res.status(404).json({ message: 'Participant not found' });
+    }
+
+    const mutedUntil = new Date(Date.now() + durationMinutes * 60 * 1000);
+    const mute = await DiscussionMute.findOneAndUpdate(
+      { event: eventId, participant: participantId },
+      { mutedBy: req.user._id, reason, mutedUntil },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    await logModeration({
+      event: event._id,
+      actor: req.user._id,
+      action: 'MUTE',
+      targetUser: participant._id,
+      reason,
+      mutedUntil
+    });
+
+    res.json({
+      success: true,
+      mute,
+      message: `${participant.firstName} ${participant.lastName} is muted until ${mutedUntil.toLocaleString('en-IN')}`
+    });
+  } catch (error) {
+    console.error('Error muting participant:', error);
+    res.status(500).json({ message: 'Failed to mute participant' });
+  }
+};
+
+/**
+ * UNMUTE A PARTICIPANT (ORGANIZER ONLY)
+ * Route: DELETE /api/discussions/event/:eventId/mutes/:participantId
+ */
+export const unmuteParticipant = async (req, res) => {
+  try {
+    const { eventId, participantId } = req.params;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isEventOrganizer(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the event organizer can unmute participants' 
+      });
+    }
+
+    const mute = await DiscussionMute.findOneAndDelete({ event: eventId, participant: participantId });
+    if (!mute) {
+      return res.status(404).json({ message: 'Participant is not muted' });
+    }
+
+    await logModeration({
+      event: event._id,
+      actor: req.user._id,
+      action: 'UNMUTE',
+      targetUser: mute.participant
+    });
+
+    res.json({
+      success: true,
+      message: 'Participant unmuted'
+    });
+  } catch (error) {
+    console.error('Error unmuting participant:', error);
+    res.status(500).json({ message: 'Failed to unmute participant' });
+  }
+};
+
+/**
+ * GET ACTIVE MUTES (ORGANIZER ONLY)
+ * Route: GET /api/discussions/event/:eventId/mutes
+ */
+export const getMutes = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isEventOrganizer(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the event organizer can view mutes' 
+      });
+    }
+
+    const mutes = await DiscussionMute.find({ event: eventId, mutedUntil: { $gt: new Date() } })
+      .populate('participant', 'firstName lastName email')
+      .sort({ mutedUntil: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      mutes
+    });
+  } catch (error) {
+    console.error('Error fetching mutes:', error);
+    res.status(500).json({ message: 'Failed to fetch mutes' });
+  }
+};
+
+/**
+ * GET MODERATION LOG (ORGANIZER ONLY)
+ * Route: GET /api/discussions/event/:eventId/moderation-log
+ *
+ * Most recent 200 actions, newest first
+ */
+export const getModerationLog = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isEventOrganizer(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the event organizer can view the moderation log' 
+      });
+    }
+
+    const entries = await ModerationLog.find({ event: eventId })
+      .populate('actor', 'firstName lastName organizerName')
+      .populate('targetUser', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({
+      success: true,
+      entries
+    });
+  } catch (error) {
+    console.error('Error fetching moderation log:', error);
+    res.status(500).json({ message: 'Failed to fetch moderation log' });
+  }
+};
@@ -1,5 +1,9 @@
 import Event from "../models/Event.js";
 import Registration from "../models/Registration.js";
+import { validateSessions, validateCancellationPolicy, validateTeamSize } from "../utils/validators.js";
+import { recordEventView } from "../utils/trending.js";
+
+const TRENDING_LIMIT = 5;
 
 /**
  * Browse all events with filters
@@ -18,7 +22,8 @@ export const browseEvents = async (req, res) => {
       limit = 20,
     } = req.query;
 
-    const query = { status: "PUBLISHED" };
+    // Events that have already ended are never listed (even if their status wasn't updated)
+    const query = { status: "PUBLISHED", eventEndDate: { $gte: new Date() } };
 
     // Search by name/description
     if (search) {
@@ -73,23 +78,36 @@ export const browseEvents = async (req, res) => {
 };
 
 /**
- * Get trending events (top 5 in last 24 hours by registrations)
+ * Get trending events (admin-pinned first, then by time-decayed trending score)
  * GET /api/events/trending
+ *
+ * Scores are refreshed by the trending job (utils/trending.js), not computed per request.
  */
 export const getTrendingEvents = async (req, res) => {
   try {
-    const events = await Event.find({
+    const query = {
       status: "PUBLISHED",
       eventStartDate: { $gte: new Date() },
-    })
+      trendingExcluded: { $ne: true },
+    };
+
+    const pinned = await Event.find({ ...query, trendingPinned: true })
       .populate("organizer", "organizerName category")
-      .sort({ registrationsLast24h: -1, views: -1 })
-      .limit(5)
+      .sort({ eventStartDate: 1 })
+      .limit(TRENDING_LIMIT)
       .select("-customForm");
 
+    const ranked = pinned.length < TRENDING_LIMIT
+      ? await Event.find({ ...query, trendingPinned: { $ne: true }, trendingScore: { $gt: 0 } })
+        .populate("organizer", "organizerName category")
+        .sort({ trendingScore: -1 })
+        .limit(TRENDING_LIMIT - pinned.length)
+        .select("-customForm")
+      : [];
+
     res.json({
       success: true,
-      events,
+      events: [...pinned, ...ranked],
     });
   } catch (error) {
     res.status(500).json({
@@ -115,9 +133,10 @@ export const getEventDetails = async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    // Increment view count
+    // Increment view count (the hourly count feeds trending)
     event.views += 1;
     await event.save();
+    recordEventView(event._id);
 
     // Check if user is already registered (if logged in)
     let isRegistered = false;
@@ -163,6 +182,11 @@ export const createEvent = async (req, res) => {
       tags,
       customForm,
       merchandise,
+      isTeamEvent,
+      minTeamSize,
+      maxTeamSize,
+      sessions,
+      cancellationPolicy,
     } = req.body;
 
     // Basic validation
@@ -173,6 +197,56 @@ export const createEvent = async (req, res) => {
       });
     }
 
+    // Team size validation
+    const teamEvent = !!isTeamEvent && eventType.toUpperCase() === "NORMAL";
+    const teamCheck = validateTeamSize({ eventType, isTeamEvent, minTeamSize, maxTeamSize });
+    if (!teamCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: teamCheck.message,
+      });
+    }
+
+    // Merchandise variants need a valid stock and price
+    const variants = merchandise?.variants || [];
+    if (
+      eventType.toUpperCase() === "MERCHANDISE" &&
+      variants.some((v) => !(v.stock >= 0) || (v.price != null && v.price < 0))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Each merchandise variant needs a stock of 0 or more and a non-negative price",
+      });
+    }
+
+    if (merchandise?.purchaseLimit != null && !(merchandise.purchaseLimit >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: "Purchase limit must be at least 1",
+      });
+    }
+
+    if (cancellationPolicy?.tiers) {
+      const policyCheck = validateCancellationPolicy(cancellationPolicy.tiers);
+      if (!policyCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          message: policyCheck.message,
+        });
+      }
+    }
+
+    // Session validation (multi-day / multi-session events)
+    if (sessions && sessions.length > 0) {
+      const sessionCheck = validateSessions(sessions, eventStartDate, eventEndDate);
+      if (!sessionCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          message: sessionCheck.message,
+        });
+      }
+    }
+
     // Create event
     const event = await Event.create({
       eventName,
@@ -188,6 +262,11 @@ export const createEvent = async (req, res) => {
       organizer: req.user._id,
       customForm: eventType.toUpperCase() === "NORMAL" ? customForm : undefined,
       merchandise: eventType.toUpperCase() === "MERCHANDISE" ? merchandise : undefined,
+      isTeamEvent: teamEvent,
+      minTeamSize: teamEvent ? minTeamSize : 1,
+      maxTeamSize: teamEvent ? maxTeamSize : 1,
+      sessions: sessions || [],
+      cancellationPolicy,
       status: "DRAFT",
     });
 
@@ -0,0 +1,160 @@
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import User from "../models/User.js";
+
+const PAGE_SIZE = 20;
+
+/**
+ * Get my notifications (newest first) with the unread count
+ * GET /api/notifications?before=<ISO date>
+ *
+ * Pass the createdAt of the last notification as `before` to load older ones.
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({ message: "Invalid 'before' date" });
+      }
+      query.createdAt = { $lt: before };
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(PAGE_SIZE),
+      Notification.countDocuments({ user: req.user._id, isRead: false }),
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      hasMore: notifications.length === PAGE_SIZE,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark one notification as read
+ * PUT /api/notifications/:id/read
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json({ success: true, notification });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark all my notifications as read
+ * PUT /api/notifications/read-all
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notifications",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Preferences as { TYPE: enabled }
+ */
+const toPreferences = (user) => {
+  const muted = new Set(user.mutedNotificationTypes || []);
+  return Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, !muted.has(type)]));
+};
+
+/**
+ * Get my notification preferences
+ * GET /api/notifications/preferences
+ */
+export const getPreferences = async (req, res) => {
+  try {
+    res.json({ success: true, preferences: toPreferences(req.user) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification preferences",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update my notification preferences
+ * PUT /api/notifications/preferences
+ *
+ * Body: { preferences: { PAYMENT_APPROVED: false, ... } } - types left out are unchanged
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== "object") {
+      return res.status(400).json({ message: "Preferences are required" });
+    }
+
+    const unknown = Object.keys(preferences).filter((type) => !NOTIFICATION_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown notification type: ${unknown.join(", ")}` });
+    }
+
+    const muted = new Set(req.user.mutedNotificationTypes || []);
+    for (const [type, enabled] of Object.entries(preferences)) {
+      if (enabled) muted.delete(type);
+      else muted.add(type);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { mutedNotificationTypes: [...muted] },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: "Notification preferences saved",
+      preferences: toPreferences(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification preferences",
+      error: error.message,
+    });
+  }
+};
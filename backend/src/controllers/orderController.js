@@ -0,0 +1,332 @@
+/**
+ * ORDER CONTROLLER
+ *
+ * Merchandise cart checkout
+ * - Participant checks out a cart of merchandise items as one order
+ * - Each line item gets its own MERCHANDISE registration (pickup ticket)
+ * - One payment proof covers the whole order; the organizer approves it as a whole
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import Order from "../models/Order.js";
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import { generateTicketId } from "../utils/ticketGenerator.js";
+import {
+  findVariant,
+  getPurchasedQuantity,
+  getUnitPrice,
+  reserveStock,
+  restoreStock,
+  reserveOrderStock,
+  releaseStock,
+} from "../utils/merchandiseStock.js";
+
+/**
+ * Generate a human-readable order number (e.g., "ORD-2026-7F3A9C2B")
+ */
+const generateOrderNumber = () => {
+  const year = new Date().getFullYear();
+  return `ORD-${year}-${uuidv4().split("-")[0].toUpperCase()}`;
+};
+
+/**
+ * Describe a line item for error messages (e.g., "Fest T-Shirt (M / Black)")
+ */
+const describeItem = (eventName, { size, color, variant }) => {
+  const options = [variant, size, color].filter(Boolean).join(" / ");
+  return options ? `${eventName} (${options})` : eventName;
+};
+
+/**
+ * Checkout cart as one order
+ * POST /api/orders/checkout
+ *
+ * Body: { items: [{ eventId, size, color, variant, quantity }] }
+ */
+export const checkout = async (req, res) => {
+  const reservedLines = []; // Stock taken so far, returned if checkout fails
+  const createdRegistrations = [];
+
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "Cart is empty" });
+    }
+
+    const eventIds = [...new Set(items.map((item) => String(item.eventId)))];
+    const events = await Event.find({ _id: { $in: eventIds } });
+
+    // Validate every line before taking any stock
+    const lines = [];
+    for (const item of items) {
+      const event = events.find((e) => e._id.toString() === String(item.eventId));
+      const quantity = parseInt(item.quantity ?? 1, 10);
+
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" });
+      }
+
+      if (event.eventType !== "MERCHANDISE") {
+        return res.status(400).json({ message: `${event.eventName} is not a merchandise event` });
+      }
+
+      if (event.status !== "PUBLISHED") {
+        return res.status(400).json({ message: `${event.eventName} sale is not open` });
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ message: "Quantity must be at least 1" });
+      }
+
+      const hasVariants = event.merchandise.variants?.length > 0;
+      const selectedVariant = hasVariants ? findVariant(event, item) : null;
+      if (hasVariants && !selectedVariant) {
+        return res.status(400).json({
+          message: `${describeItem(event.eventName, item)} is not available`,
+        });
+      }
+
+      lines.push({ event, item, quantity, selectedVariant });
+    }
+
+    // One organizer approves the payment for the whole order
+    const organizerIds = new Set(lines.map((line) => line.event.organizer.toString()));
+    if (organizerIds.size > 1) {
+      return res.status(400).json({
+        message: "Items from different organizers must be checked out as separate orders",
+      });
+    }
+
+    // Purchase limits count items already bought plus everything in this cart
+    for (const eventId of eventIds) {
+      const event = events.find((e) => e._id.toString() === eventId);
+      const inCart = lines
+        .filter((line) => line.event._id.toString() === eventId)
+        .reduce((sum, line) => sum + line.quantity, 0);
+      const alreadyPurchased = await getPurchasedQuantity(req.user._id, event._id);
+
+      if (alreadyPurchased + inCart > event.merchandise.purchaseLimit) {
+        return res.status(400).json({
+          message: `${event.eventName}: maximum ${event.merchandise.purchaseLimit} items per person` +
+            (alreadyPurchased > 0 ? ` (you already have ${alreadyPurchased})` : ""),
+        });
+      }
+    }
+
+    // Reserve stock for every line - all or nothing
+    for (const line of lines) {
+      const reserved = await reserveStock(line.event._id, line.selectedVariant?._id, line.quantity);
+      if (!reserved) {
+        for (const taken of reservedLines) {
+          await restoreStock(taken.event._id, taken.selectedVariant?._id, taken.quantity);
+        }
+        return res.status(400).json({
+          message: `${describeItem(line.event.eventName, line.item)} is out of stock`,
+        });
+      }
+      reservedLines.push(line);
+    }
+
+    const order = new Order({
+      orderNumber: generateOrderNumber(),
+      participant: req.user._id,
+      organizer: lines[0].event.organizer,
+    });
+
+    // One registration per line item, linked to the order
+    for (const line of lines) {
+      const { event, item, quantity, selectedVariant } = line;
+      const unitPrice = getUnitPrice(event, selectedVariant);
+
+      const registration = await Registration.create({
+        participant: req.user._id,
+        event: event._id,
+        ticketId: generateTicketId(),
+        registrationType: "MERCHANDISE",
+        status: "PENDING", // Pending payment approval
+        paymentStatus: "UNPAID", // Until the order's payment proof is uploaded
+        amountPaid: unitPrice * quantity,
+        order: order._id,
+        merchandiseDetails: {
+          size: item.size,
+          color: item.color,
+          variant: item.variant,
+          quantity,
+          variantId: selectedVariant?._id,
+          unitPrice,
+          stockReserved: true,
+        },
+      });
+      createdRegistrations.push(registration._id);
+
+      order.items.push({
+        registration: registration._id,
+        event: event._id,
+        eventName: event.eventName,
+        size: item.size,
+        color: item.color,
+        variant: item.variant,
+        quantity,
+        unitPrice,
+        lineTotal: unitPrice * quantity,
+      });
+    }
+
+    order.totalAmount = order.items.reduce((sum, item) => sum + item.lineTotal, 0);
+    await order.save();
+    reservedLines.length = 0; // Stock now belongs to the order's registrations
+
+    res.status(201).json({
+      success: true,
+      message: `Order ${order.orderNumber} placed. Please upload payment proof for ₹${order.totalAmount}.`,
+      order,
+    });
+  } catch (error) {
+    // Return any stock taken before the failure and drop half-created line items
+    for (const taken of reservedLines) {
+      await restoreStock(taken.event._id, taken.selectedVariant?._id, taken.quantity);
+    }
+    if (reservedLines.length > 0 && createdRegistrations.length > 0) {
+      await Registration.deleteMany({ _id: { $in: createdRegistrations } });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Checkout failed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get my orders
+ * GET /api/orders/my
+ */
+export const getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({ participant: req.user._id })
+      .populate("organizer", "organizerName contactEmail")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch orders",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Upload one payment proof for the whole order
+ * POST /api/orders/:id/payment-proof
+ */
+export const uploadOrderPaymentProof = async (req, res) => {
+  try {
+    const { paymentProof } = req.body; // Base64 image data or URL
+
+    if (!paymentProof) {
+      return res.status(400).json({ message: "Payment proof is required" });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, participant: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.paymentStatus === "PAID") {
+      return res.status(400).json({ message: "Payment already approved" });
+    }
+
+    if (order.status === "CANCELLED") {
+      return res.status(400).json({ message: "Order was cancelled" });
+    }
+
+    // Rejected orders gave their stock back - take it again for the resubmission
+    const reserved = await reserveOrderStock(order._id);
+    if (!reserved) {
+      return res.status(400).json({
+        message: "Sorry, some items in this order are now out of stock",
+      });
+    }
+
+    order.paymentProof = paymentProof;
+    order.paymentProofUploadedAt = new Date();
+    order.paymentStatus = "PENDING_APPROVAL";
+    order.status = "PENDING";
+    order.paymentRejectionReason = undefined; // Clear rejection reason
+    await order.save();
+
+    await Registration.updateMany(
+      { order: order._id, status: { $ne: "CANCELLED" } },
+      {
+        $set: { status: "PENDING", paymentStatus: "PENDING_APPROVAL", paymentProofUploadedAt: new Date() },
+        $unset: { paymentRejectionReason: "" },
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Payment proof uploaded successfully. Awaiting organizer approval.",
+      order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload payment proof",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an order that hasn't been paid yet
+ * POST /api/orders/:id/cancel
+ */
+export const cancelOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, participant: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.status === "CANCELLED") {
+      return res.status(400).json({ message: "Order already cancelled" });
+    }
+
+    if (order.paymentStatus === "PAID") {
+      return res.status(400).json({
+        message: "Order is already paid. Cancel individual items from My Registrations.",
+      });
+    }
+
+    const registrations = await Registration.find({ order: order._id, status: { $ne: "CANCELLED" } });
+    for (const registration of registrations) {
+      await releaseStock(registration);
+      registration.status = "CANCELLED";
+      await registration.save();
+    }
+
+    order.status = "CANCELLED";
+    await order.save();
+
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+      order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel order",
+      error: error.message,
+    });
+  }
+};
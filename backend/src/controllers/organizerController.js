@@ -2,9 +2,66 @@ import Event from "../models/Event.js";
 import Registration from "../models/Registration.js";
 import User from "../models/User.js";
 import PasswordResetRequest from "../models/PasswordResetRequest.js";
-import { validateEventDates } from "../utils/validators.js";
-import { generateQRCode } from "../utils/ticketGenerator.js";
-import { sendRegistrationEmail } from "../utils/emailService.js";
+import Team from "../models/Team.js";
+import Order from "../models/Order.js";
+import DiscordDelivery from "../models/DiscordDelivery.js";
+import {
+  validateEventDates,
+  validateSessions,
+  validateCancellationPolicy,
+  validateDiscordWebhook,
+  validateRescheduleDates,
+  validateTeamSize,
+} from "../utils/validators.js";
+import {
+  verifyQRCode,
+  getTicketExpiry,
+  hashTicketToken,
+  signManifest,
+  verifyManifestSignature,
+} from "../utils/ticketGenerator.js";
+import { sendRefundStatusEmail } from "../utils/emailService.js";
+import { promoteFromWaitlist } from "../utils/waitlist.js";
+import { resolveSession, findAttendanceEntry, recordAttendance } from "../utils/attendance.js";
+import { releaseStock } from "../utils/merchandiseStock.js";
+import { confirmRegistrationPayment, confirmOrderPayment } from "../utils/paymentConfirmation.js";
+import { completeRefund } from "../utils/refunds.js";
+import { notifyUser, notifyUsers } from "../utils/notifications.js";
+import { notifyFollowers } from "../utils/followerNotifications.js";
+import { transitionEvent, getTransitionError, getStatusHistory, takesWaitlist } from "../utils/eventLifecycle.js";
+import { cancelEvent as cancelEventAndRegistrations, describeCancellation } from "../utils/eventCancellation.js";
+import { rescheduleEvent as rescheduleEventAndNotify, shiftSessions } from "../utils/eventReschedule.js";
+import {
+  notifyEventPublished,
+  notifyEventUpdated,
+  notifyEventClosed,
+  sendTestMessage,
+  attemptDelivery,
+} from "../utils/discordNotifier.js";
+
+/**
+ * Fields an organizer can set on a draft. Status, counters, trending, cancellation and
+ * reschedule records are managed by the system and change only through their own actions.
+ */
+const DRAFT_EDITABLE_FIELDS = [
+  "eventName",
+  "description",
+  "eventType",
+  "eligibility",
+  "registrationLimit",
+  "registrationDeadline",
+  "eventStartDate",
+  "eventEndDate",
+  "sessions",
+  "isTeamEvent",
+  "minTeamSize",
+  "maxTeamSize",
+  "registrationFee",
+  "tags",
+  "customForm",
+  "merchandise",
+  "cancellationPolicy",
+];
 
 /**
  * Get organizer's dashboard (all events with stats)
@@ -13,8 +70,9 @@ import { sendRegistrationEmail } from "../utils/emailService.js";
 export const getDashboard = async (req, res) => {
   try {
     const events = await Event.find({ organizer: req.user._id })
-      .select("eventName eventType status currentRegistrations totalRevenue totalAttendance eventStartDate")
+      .select("eventName eventType status currentRegistrations totalRevenue totalAttendance eventStartDate followerNotification")
       .sort({ createdAt: -1 });
+    const followerCount = await User.countDocuments({ followedOrganizers: req.user._id, role: "participant" });
 
     // Calculate overall stats
     const stats = {
@@ -25,6 +83,8 @@ export const getDashboard = async (req, res) => {
       totalRegistrations: events.reduce((sum, e) => sum + e.currentRegistrations, 0),
       totalRevenue: events.reduce((sum, e) => sum + e.totalRevenue, 0),
       totalAttendance: events.reduce((sum, e) => sum + e.totalAttendance, 0),
+      followerCount,
+      followersNotified: events.reduce((sum, e) => sum + (e.followerNotification?.followerCount || 0), 0),
     };
 
     res.json({
@@ -94,6 +154,7 @@ export const getEventDetails = async (req, res) => {
       confirmedRegistrations: registrations.find((r) => r._id === "CONFIRMED")?.count || 0,
       pendingRegistrations: registrations.find((r) => r._id === "PENDING")?.count || 0,
       cancelledRegistrations: registrations.find((r) => r._id === "CANCELLED")?.count || 0,
+      waitlistedRegistrations: registrations.find((r) => r._id === "WAITLISTED")?.count || 0,
       totalRevenue: event.totalRevenue,
       totalAttendance: event.totalAttendance,
       attendanceRate:
@@ -102,6 +163,31 @@ export const getEventDetails = async (req, res) => {
           : "0%",
     };
 
+    // Per-session attendance (multi-day / multi-session events)
+    if (event.sessions.length > 0) {
+      const sessionCounts = await Registration.aggregate([
+        { $match: { event: event._id } },
+        { $unwind: "$attendanceLog" },
+        { $group: { _id: "$attendanceLog.session", count: { $sum: 1 } } },
+      ]);
+
+      analytics.sessionAttendance = event.sessions.map((session) => {
+        const attended =
+          sessionCounts.find((c) => c._id && c._id.toString() === session._id.toString())?.count || 0;
+        return {
+          sessionId: session._id,
+          name: session.name,
+          startTime: session.startTime,
+          endTime: session.endTime,
+          attended,
+          attendanceRate:
+            analytics.confirmedRegistrations > 0
+              ? ((attended / analytics.confirmedRegistrations) * 100).toFixed(2) + "%"
+              : "0%",
+        };
+      });
+    }
+
     res.json({
       success: true,
       event,
@@ -116,6 +202,44 @@ export const getEventDetails = async (req, res) => {
   }
 };
 
+/**
+ * Apply an edited session list to an event that may already have attendance.
+ * Sessions sent back with their _id keep it, so attendance records, per-session
+ * analytics and downloaded scan manifests still point at them. A session with
+ * attendance can't be removed.
+ *
+ * @returns {Object} { sessions } or { error }
+ */
+const mergeSessions = async (event, sessions) => {
+  const existing = new Map(event.sessions.map((session) => [session._id.toString(), session]));
+  const kept = new Set();
+
+  const merged = [];
+  for (const session of sessions) {
+    const id = session._id?.toString();
+    if (id && !existing.has(id)) {
+      return { error: `Session "${session.name}" is not part of this event` };
+    }
+    if (id) kept.add(id);
+    merged.push({
+      ...(id && { _id: existing.get(id)._id }),
+      name: session.name,
+      startTime: session.startTime,
+      endTime: session.endTime,
+    });
+  }
+
+  for (const [id, session] of existing) {
+    if (kept.has(id)) continue;
+    const attended = await Registration.exists({ event: event._id, "attendanceLog.session": session._id });
+    if (attended) {
+      return { error: `Session "${session.name}" already has attendance - it can't be removed` };
+    }
+  }
+
+  return { sessions: merged };
+};
+
 /**
  * Update event (with status-based restrictions)
  * PUT /api/organizer/events/:id
@@ -137,15 +261,59 @@ export const updateEvent = async (req, res) => {
       registrationDeadline,
       registrationLimit,
       customForm,
+      sessions,
     } = req.body;
 
+    // Sessions must fall within the event dates
+    if (sessions && sessions.length > 0) {
+      const sessionCheck = validateSessions(
+        sessions,
+        req.body.eventStartDate || event.eventStartDate,
+        req.body.eventEndDate || event.eventEndDate
+      );
+      if (!sessionCheck.valid) {
+        return res.status(400).json({ message: sessionCheck.message });
+      }
+    }
+
+    if (req.body.cancellationPolicy?.tiers) {
+      const policyCheck = validateCancellationPolicy(req.body.cancellationPolicy.tiers);
+      if (!policyCheck.valid) {
+        return res.status(400).json({ message: policyCheck.message });
+      }
+    }
+
+    // Announced on Discord if they change on a published event
+    const previousDeadline = event.registrationDeadline;
+    const previousLimit = event.registrationLimit;
+
     // Status-based edit restrictions
     if (event.status === "DRAFT") {
-      // Draft: Can edit everything
-      Object.assign(event, req.body);
-    } else if (event.status === "PUBLISHED") {
-      // Published: Limited edits
+      // Draft: Can edit every organizer-set field
+      const teamCheck = validateTeamSize({
+        eventType: req.body.eventType ?? event.eventType,
+        isTeamEvent: req.body.isTeamEvent ?? event.isTeamEvent,
+        minTeamSize: req.body.minTeamSize ?? event.minTeamSize,
+        maxTeamSize: req.body.maxTeamSize ?? event.maxTeamSize,
+      });
+      if (!teamCheck.valid) {
+        return res.status(400).json({ message: teamCheck.message });
+      }
+
+      for (const field of DRAFT_EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) event[field] = req.body[field];
+      }
+    } else if (event.status === "PUBLISHED" || event.status === "CLOSED") {
+      // Published (or closed, e.g. automatically at capacity): Limited edits
       if (description) event.description = description;
+      // Session schedule can still be adjusted
+      if (sessions) {
+        const sessionUpdate = await mergeSessions(event, sessions);
+        if (sessionUpdate.error) {
+          return res.status(400).json({ message: sessionUpdate.error });
+        }
+        event.sessions = sessionUpdate.sessions;
+      }
       
       // Can only extend deadline, not reduce
       if (registrationDeadline) {
@@ -157,10 +325,14 @@ export const updateEvent = async (req, res) => {
         }
       }
       
-      // Can only increase limit, not reduce
-      if (registrationLimit) {
-        if (registrationLimit >= event.currentRegistrations) {
-          event.registrationLimit = registrationLimit;
+      // Can only increase limit, not reduce (0 = unlimited)
+      if (registrationLimit !== undefined) {
+        const newLimit = Number(registrationLimit);
+        if (!Number.isInteger(newLimit) || newLimit < 0) {
+          return res.status(400).json({ message: "Registration limit must be a whole number (0 for unlimited)" });
+        }
+        if (newLimit === 0 || newLimit >= event.currentRegistrations) {
+          event.registrationLimit = newLimit;
         } else {
           return res.status(400).json({
             message: "Cannot reduce limit below current registrations",
@@ -168,7 +340,7 @@ export const updateEvent = async (req, res) => {
         }
       }
     } else {
-      // ONGOING/COMPLETED: No edits allowed
+      // ONGOING/COMPLETED/CANCELLED: No edits allowed
       return res.status(400).json({
         message: "Cannot edit event in current status. You can only change status.",
       });
@@ -183,10 +355,52 @@ export const updateEvent = async (req, res) => {
 
     await event.save();
 
+    if (event.status === "PUBLISHED") {
+      const changes = {};
+      if (event.registrationDeadline.getTime() !== new Date(previousDeadline).getTime()) {
+        changes.registrationDeadline = { before: previousDeadline, after: event.registrationDeadline };
+      }
+      if (event.registrationLimit !== previousLimit) {
+        changes.registrationLimit = { before: previousLimit, after: event.registrationLimit };
+      }
+      // Not awaited - Discord delivery must not slow down the response
+      if (Object.keys(changes).length > 0) {
+        notifyEventUpdated(event, changes);
+      }
+
+      // Followers who haven't registered yet get the extra time in-app
+      if (changes.registrationDeadline) {
+        const registered = await Registration.find({
+          event: event._id,
+          status: { $in: ["CONFIRMED", "PENDING", "WAITLISTED"] },
+        }).distinct("participant");
+        const followers = await User.find({
+          followedOrganizers: req.user._id,
+          _id: { $nin: registered },
+        }).distinct("_id");
+
+        await notifyUsers(followers, {
+          type: "DEADLINE_EXTENDED",
+          title: "Registration deadline extended",
+          message: `${event.eventName} now takes registrations until ${event.registrationDeadline.toLocaleString("en-IN")}.`,
+          link: `/events/${event._id}`,
+          event: event._id,
+        });
+      }
+    }
+
+    // A raised limit (or 0 = unlimited) frees seats for waitlisted participants
+    let promoted = [];
+    if ((event.status === "PUBLISHED" || event.status === "CLOSED") && registrationLimit !== undefined) {
+      promoted = await promoteFromWaitlist(event._id);
+    }
+
     res.json({
       success: true,
-      message: "Event updated successfully",
-      event,
+      message: promoted.length > 0
+        ? `Event updated successfully. ${promoted.length} participant(s) promoted from the waitlist.`
+        : "Event updated successfully",
+      event: promoted.length > 0 ? await Event.findById(event._id) : event,
     });
   } catch (error) {
     res.status(500).json({
@@ -203,7 +417,7 @@ export const updateEvent = async (req, res) => {
  */
 export const publishEvent = async (req, res) => {
   try {
-    const event = await Event.findOne({
+    let event = await Event.findOne({
       _id: req.params.id,
       organizer: req.user._id,
     });
@@ -227,13 +441,30 @@ export const publishEvent = async (req, res) => {
       return res.status(400).json({ message: dateValidation.message });
     }
 
-    event.status = "PUBLISHED";
-    await event.save();
+    const published = await transitionEvent(event, "PUBLISHED", { source: "ORGANIZER", actor: req.user._id });
+    if (!published) {
+      return res.status(409).json({ message: "Event status changed in the meantime - refresh and try again" });
+    }
+    event = published;
+
+    // Not awaited - Discord delivery must not slow down the response
+    notifyEventPublished(event);
+
+    // In-app notifications now; emails instantly or in the daily digest
+    let followerNotification = null;
+    try {
+      followerNotification = await notifyFollowers(event, req.user);
+    } catch (notifyError) {
+      console.error("Follower notification failed:", notifyError);
+    }
 
     res.json({
       success: true,
-      message: "Event published successfully",
+      message: followerNotification?.followerCount
+        ? `Event published successfully. ${followerNotification.followerCount} follower(s) notified.`
+        : "Event published successfully",
       event,
+      followerNotification,
     });
   } catch (error) {
     res.status(500).json({
@@ -259,13 +490,27 @@ export const closeEvent = async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    event.status = "CLOSED";
-    await event.save();
+    const transitionError = getTransitionError(event, "CLOSED");
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    const closed = await transitionEvent(event, "CLOSED", {
+      source: "ORGANIZER",
+      actor: req.user._id,
+      note: req.body?.note?.trim(),
+    });
+    if (!closed) {
+      return res.status(409).json({ message: "Event status changed in the meantime - refresh and try again" });
+    }
+
+    // Not awaited - Discord delivery must not slow down the response
+    notifyEventClosed(closed);
 
     res.json({
       success: true,
       message: "Event closed successfully",
-      event,
+      event: closed,
     });
   } catch (error) {
     res.status(500).json({
@@ -276,6 +521,202 @@ export const closeEvent = async (req, res) => {
   }
 };
 
+/**
+ * Reopen registrations of a closed event (CLOSED → PUBLISHED)
+ * POST /api/organizer/events/:id/reopen
+ */
+export const reopenEvent = async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      _id: req.params.id,
+      organizer: req.user._id,
+    });
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const transitionError = getTransitionError(event, "PUBLISHED");
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    // Otherwise the lifecycle scheduler would close it again within a minute
+    if (new Date(event.registrationDeadline) <= new Date()) {
+      return res.status(400).json({
+        message: "Registration deadline has passed - extend it before reopening",
+      });
+    }
+    if (event.registrationLimit > 0 && event.currentRegistrations >= event.registrationLimit && !takesWaitlist(event)) {
+      return res.status(400).json({
+        message: "Event is full - raise the registration limit before reopening",
+      });
+    }
+
+    const reopened = await transitionEvent(event, "PUBLISHED", {
+      source: "ORGANIZER",
+      actor: req.user._id,
+      note: req.body?.note?.trim(),
+    });
+    if (!reopened) {
+      return res.status(409).json({ message: "Event status changed in the meantime - refresh and try again" });
+    }
+
+    res.json({
+      success: true,
+      message: "Registrations reopened",
+      event: reopened,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reopen event",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an event - cancels every registration, refunds paid ones in full
+ * and emails every registrant
+ * POST /api/organizer/events/:id/cancel
+ *
+ * Body: { reason } - shown to registrants
+ * The summary report is saved on event.cancellation
+ */
+export const cancelEvent = async (req, res) => {
+  try {
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ message: "Please give a reason for cancelling the event" });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      organizer: req.user._id,
+    });
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const transitionError = getTransitionError(event, "CANCELLED");
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    const cancelled = await cancelEventAndRegistrations(event, {
+      source: "ORGANIZER",
+      actor: req.user._id,
+      note: reason,
+    });
+    if (!cancelled) {
+      return res.status(409).json({ message: "Event status changed in the meantime - refresh and try again" });
+    }
+
+    res.json({
+      success: true,
+      message: describeCancellation(cancelled.cancellation),
+      event: cancelled,
+      report: cancelled.cancellation,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel event",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reschedule a published or closed event
+ * POST /api/organizer/events/:id/reschedule
+ *
+ * Body: { eventStartDate, eventEndDate, registrationDeadline?, reason? }
+ * Registrants are emailed what changed with an updated calendar invite, and can
+ * cancel for a full refund during the grace window
+ */
+export const rescheduleEvent = async (req, res) => {
+  try {
+    const { eventStartDate, eventEndDate } = req.body;
+    const reason = req.body.reason?.trim();
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      organizer: req.user._id,
+    });
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    if (event.status !== "PUBLISHED" && event.status !== "CLOSED") {
+      return res.status(400).json({ message: "Only published or closed events can be rescheduled" });
+    }
+
+    if (!eventStartDate || !eventEndDate) {
+      return res.status(400).json({ message: "Please provide the new start and end dates" });
+    }
+
+    const dates = {
+      eventStartDate: new Date(eventStartDate),
+      eventEndDate: new Date(eventEndDate),
+      registrationDeadline: new Date(req.body.registrationDeadline || event.registrationDeadline),
+    };
+
+    const dateValidation = validateRescheduleDates(event, dates);
+    if (!dateValidation.valid) {
+      return res.status(400).json({ message: dateValidation.message });
+    }
+
+    const unchanged = Object.keys(dates).every(
+      (field) => dates[field].getTime() === new Date(event[field]).getTime()
+    );
+    if (unchanged) {
+      return res.status(400).json({ message: "New dates are the same as the current ones" });
+    }
+
+    // Sessions move with the start date and must still fit
+    if (event.sessions?.length > 0) {
+      const sessionCheck = validateSessions(
+        shiftSessions(event.sessions, dates.eventStartDate - new Date(event.eventStartDate)),
+        dates.eventStartDate,
+        dates.eventEndDate
+      );
+      if (!sessionCheck.valid) {
+        return res.status(400).json({
+          message: `${sessionCheck.message} after moving the sessions with the start date - adjust the end date or the sessions`,
+        });
+      }
+    }
+
+    const result = await rescheduleEventAndNotify(event, { ...dates, reason, actor: req.user._id });
+    if (!result) {
+      return res.status(409).json({ message: "Event changed in the meantime - refresh and try again" });
+    }
+
+    res.json({
+      success: true,
+      message: `Event rescheduled. ${result.reschedule.notifiedCount} registrant(s) notified, ` +
+        `${result.reschedule.emailsSent} email(s) sent.` +
+        (result.ticketsReissued > 0
+          ? ` ${result.ticketsReissued} ticket QR code(s) were reissued - download the offline scan manifest again before scanning offline.`
+          : "") +
+        (result.event.status === "CLOSED" ? " Registrations are still closed - reopen them if needed." : ""),
+      event: result.event,
+      reschedule: result.reschedule,
+      ticketsReissued: result.ticketsReissued,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reschedule event",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Mark event as completed
  * POST /api/organizer/events/:id/complete
@@ -291,13 +732,24 @@ export const completeEvent = async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    event.status = "COMPLETED";
-    await event.save();
+    const transitionError = getTransitionError(event, "COMPLETED");
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    const completed = await transitionEvent(event, "COMPLETED", {
+      source: "ORGANIZER",
+      actor: req.user._id,
+      note: req.body?.note?.trim(),
+    });
+    if (!completed) {
+      return res.status(409).json({ message: "Event status changed in the meantime - refresh and try again" });
+    }
 
     res.json({
       success: true,
       message: "Event marked as completed",
-      event,
+      event: completed,
     });
   } catch (error) {
     res.status(500).json({
@@ -308,6 +760,72 @@ export const completeEvent = async (req, res) => {
   }
 };
 
+/**
+ * Turn automatic status changes on or off for an event
+ * PUT /api/organizer/events/:id/auto-status
+ *
+ * Body: { enabled } - when off, the lifecycle scheduler never closes, starts or completes the event
+ */
+export const setAutoStatus = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ message: "enabled must be true or false" });
+    }
+
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.id, organizer: req.user._id },
+      { autoStatus: enabled },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.json({
+      success: true,
+      message: enabled
+        ? "Status will now change automatically with the event dates"
+        : "Automatic status changes turned off - change the status manually",
+      event,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update automatic status",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an event's status history (manual and automatic changes)
+ * GET /api/organizer/events/:id/status-history
+ */
+export const getEventStatusHistory = async (req, res) => {
+  try {
+    const event = await Event.exists({ _id: req.params.id, organizer: req.user._id });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const history = await getStatusHistory(req.params.id);
+
+    res.json({
+      success: true,
+      history,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch status history",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Delete event (only drafts can be deleted)
  * DELETE /api/organizer/events/:id
@@ -364,6 +882,7 @@ export const getEventRegistrations = async (req, res) => {
 
     let registrations = await Registration.find(query)
       .populate("participant", "firstName lastName email contactNumber collegeName")
+      .populate("order", "orderNumber totalAmount items status paymentStatus paymentProof paymentProofUploadedAt")
       .sort({ registrationDate: -1 });
 
     // Search filter
@@ -389,6 +908,41 @@ export const getEventRegistrations = async (req, res) => {
   }
 };
 
+/**
+ * Get all teams for a team event
+ * GET /api/organizer/events/:id/teams
+ */
+export const getEventTeams = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, organizer: req.user._id });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const query = { event: id };
+    if (req.query.status) query.status = req.query.status.toUpperCase();
+
+    const teams = await Team.find(query)
+      .populate("leader", "firstName lastName email")
+      .populate("members", "firstName lastName email")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: teams.length,
+      teams,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch teams",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Export registrations to CSV
  * GET /api/organizer/events/:id/export
@@ -406,7 +960,7 @@ export const exportRegistrations = async (req, res) => {
       .populate("participant", "firstName lastName email contactNumber collegeName participantType");
 
     // Create CSV
-    const csvHeader = "Ticket ID,Name,Email,Phone,College,Type,Registration Date,Status,Payment,Attended\n";
+    const csvHeader = "Ticket ID,Name,Email,Phone,College,Type,Team,Registration Date,Status,Payment,Attended\n";
     const csvRows = registrations.map((reg) => {
       return [
         reg.ticketId,
@@ -415,6 +969,7 @@ export const exportRegistrations = async (req, res) => {
         reg.participant.contactNumber || "N/A",
         reg.participant.collegeName || "N/A",
         reg.participant.participantType || "N/A",
+        reg.teamName || "N/A",
         new Date(reg.registrationDate).toLocaleDateString(),
         reg.status,
         reg.paymentStatus,
@@ -440,8 +995,50 @@ export const exportRegistrations = async (req, res) => {
 };
 
 /**
- * Approve merchandise payment
+ * Approve every line item of a cart order with one payment.
+ * Returns an error message, or null on success.
+ */
+const approveOrder = async (order, approvedBy) => {
+  if (order.status !== "PENDING" || order.paymentStatus !== "PENDING_APPROVAL") {
+    return "Order payment not pending approval";
+  }
+
+  return confirmOrderPayment(order, { approvedBy, method: "MANUAL" });
+};
+
+/**
+ * Reject a cart order's payment - stock is returned and the participant can resubmit.
+ */
+const rejectOrder = async (order, reason) => {
+  const registrations = await Registration.find({ order: order._id, status: { $ne: "CANCELLED" } });
+
+  for (const registration of registrations) {
+    await releaseStock(registration);
+    registration.status = "REJECTED";
+    registration.paymentStatus = "UNPAID";
+    registration.paymentRejectionReason = reason;
+    await registration.save();
+  }
+
+  order.status = "REJECTED";
+  order.paymentStatus = "UNPAID";
+  order.paymentRejectionReason = reason;
+  order.paymentProof = undefined; // Clear payment proof
+  await order.save();
+
+  await notifyUser(order.participant, {
+    type: "PAYMENT_REJECTED",
+    title: "Payment rejected",
+    message: `Your payment for order ${order.orderNumber} was rejected: ${reason}. You can upload a new payment proof.`,
+    link: "/orders",
+  });
+};
+
+/**
+ * Approve payment for a merchandise purchase or a paid event registration
  * POST /api/organizer/registrations/:id/approve
+ *
+ * Purchases made through the cart are approved as a whole order.
  */
 export const approveMerchandisePayment = async (req, res) => {
   try {
@@ -458,48 +1055,35 @@ export const approveMerchandisePayment = async (req, res) => {
       return res.status(403).json({ message: "Unauthorized" });
     }
 
-    if (registration.paymentStatus !== "PENDING_APPROVAL") {
-      return res.status(400).json({ message: "Payment not pending approval" });
-    }
+    // Cart purchase - approval applies to the whole order
+    if (registration.order) {
+      const order = await Order.findOne({ _id: registration.order, organizer: req.user._id });
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
 
-    // Generate QR code now
-    const participant = await User.findById(registration.participant);
-    const qrData = {
-      ticketId: registration.ticketId,
-      participantId: participant._id.toString(),
-      participantName: `${participant.firstName} ${participant.lastName}`,
-      eventId: registration.event._id.toString(),
-      eventName: registration.event.eventName,
-      eventDate: registration.event.eventStartDate,
-    };
-    const qrCode = await generateQRCode(qrData);
-
-    // Update registration
-    registration.status = "CONFIRMED";
-    registration.paymentStatus = "PAID";
-    registration.qrCode = qrCode;
-    registration.paymentApprovedBy = req.user._id;
-    registration.paymentApprovedAt = new Date();
-    await registration.save();
-
-    // Decrement stock
-    const event = registration.event;
-    event.merchandise.stockQuantity -= registration.merchandiseDetails.quantity;
-    event.totalRevenue += registration.amountPaid;
-    await event.save();
+      const approveError = await approveOrder(order, req.user._id);
+      if (approveError) {
+        return res.status(400).json({ message: approveError });
+      }
 
-    // Send confirmation email
-    try {
-      await sendRegistrationEmail({
-        to: participant.email,
-        participantName: `${participant.firstName} ${participant.lastName}`,
-        eventName: event.eventName,
-        ticketId: registration.ticketId,
-        qrCode,
-        eventDate: event.eventStartDate,
+      return res.json({
+        success: true,
+        message: `Order ${order.orderNumber} approved - ${order.items.length} item(s) confirmed`,
+        order,
       });
-    } catch (emailError) {
-      console.error("Email sending failed:", emailError);
+    }
+
+    if (registration.paymentStatus !== "PENDING_APPROVAL") {
+      return res.status(400).json({ message: "Payment not pending approval" });
+    }
+
+    const approveError = await confirmRegistrationPayment(registration, {
+      approvedBy: req.user._id,
+      method: "MANUAL",
+    });
+    if (approveError) {
+      return res.status(400).json({ message: approveError });
     }
 
     res.json({
@@ -517,8 +1101,11 @@ export const approveMerchandisePayment = async (req, res) => {
 };
 
 /**
- * Reject merchandise payment
+ * Reject payment for a merchandise purchase or a paid event registration
  * POST /api/organizer/registrations/:id/reject
+ *
+ * Purchases made through the cart are rejected as a whole order.
+ * Event registrations keep their seat so the participant can resubmit.
  */
 export const rejectMerchandisePayment = async (req, res) => {
   try {
@@ -544,10 +1131,29 @@ export const rejectMerchandisePayment = async (req, res) => {
       return res.status(403).json({ message: "Unauthorized" });
     }
 
+    // Cart purchase - rejection applies to the whole order
+    if (registration.order) {
+      const order = await Order.findOne({ _id: registration.order, organizer: req.user._id });
+      if (!order || order.paymentStatus !== "PENDING_APPROVAL") {
+        return res.status(400).json({ message: "Order payment not pending approval" });
+      }
+
+      await rejectOrder(order, reason.trim());
+
+      return res.json({
+        success: true,
+        message: `Order ${order.orderNumber} rejected. Participant can resubmit.`,
+        order,
+      });
+    }
+
     if (registration.paymentStatus !== "PENDING_APPROVAL") {
       return res.status(400).json({ message: "Payment not pending approval" });
     }
 
+    // Give the reserved stock back - it is reserved again if proof is resubmitted
+    await releaseStock(registration);
+
     // Update registration - allow resubmission
     registration.status = "REJECTED";
     registration.paymentStatus = "UNPAID";
@@ -555,6 +1161,14 @@ export const rejectMerchandisePayment = async (req, res) => {
     registration.paymentProof = undefined; // Clear payment proof
     await registration.save();
 
+    await notifyUser(registration.participant._id, {
+      type: "PAYMENT_REJECTED",
+      title: "Payment rejected",
+      message: `Your payment for ${registration.event.eventName} was rejected: ${registration.paymentRejectionReason}. You can upload a new payment proof.`,
+      link: "/registrations",
+      event: registration.event._id,
+    });
+
     res.json({
       success: true,
       message: "Payment rejected. Participant can resubmit.",
@@ -569,30 +1183,294 @@ export const rejectMerchandisePayment = async (req, res) => {
   }
 };
 
+/**
+ * Get merchandise orders for my events
+ * GET /api/organizer/orders
+ */
+export const getOrders = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { organizer: req.user._id };
+    if (status) query.status = status.toUpperCase();
+
+    const orders = await Order.find(query)
+      .populate("participant", "firstName lastName email contactNumber")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch orders",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Approve a merchandise order (all line items)
+ * POST /api/organizer/orders/:id/approve
+ */
+export const approveOrderPayment = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, organizer: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const approveError = await approveOrder(order, req.user._id);
+    if (approveError) {
+      return res.status(400).json({ message: approveError });
+    }
+
+    res.json({
+      success: true,
+      message: `Order ${order.orderNumber} approved - ${order.items.length} item(s) confirmed`,
+      order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve order",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a merchandise order (all line items)
+ * POST /api/organizer/orders/:id/reject
+ */
+export const rejectOrderPayment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || reason.trim().length < 5) {
+      return res.status(400).json({
+        message: "Please provide a rejection reason (minimum 5 characters)"
+      });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, organizer: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.paymentStatus !== "PENDING_APPROVAL") {
+      return res.status(400).json({ message: "Order payment not pending approval" });
+    }
+
+    await rejectOrder(order, reason.trim());
+
+    res.json({
+      success: true,
+      message: "Order rejected. Participant can resubmit.",
+      order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject order",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Load a registration with a refund request for one of my events
+ */
+const findRefundRegistration = async (registrationId, organizerId) => {
+  const registration = await Registration.findById(registrationId)
+    .populate("event", "eventName organizer")
+    .populate("participant", "firstName lastName email");
+
+  if (!registration || registration.event.organizer.toString() !== organizerId.toString()) {
+    return null;
+  }
+  return registration;
+};
+
+/**
+ * Approve a refund request
+ * POST /api/organizer/registrations/:id/refund/approve
+ *
+ * Body: { reference, amount } - amount defaults to the policy quote and can't exceed what was paid
+ */
+export const approveRefund = async (req, res) => {
+  try {
+    const { reference, amount } = req.body;
+
+    if (!reference || !reference.trim()) {
+      return res.status(400).json({ message: "Refund reference (transaction ID) is required" });
+    }
+
+    const registration = await findRefundRegistration(req.params.id, req.user._id);
+    if (!registration) {
+      return res.status(404).json({ message: "Registration not found" });
+    }
+
+    if (registration.refund?.status !== "REQUESTED") {
+      return res.status(400).json({ message: "No pending refund request for this registration" });
+    }
+
+    const refundAmount = amount != null && amount !== "" ? Number(amount) : registration.refund.amount;
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > registration.amountPaid) {
+      return res.status(400).json({
+        message: `Refund amount must be between 0 and the ₹${registration.amountPaid} paid`,
+      });
+    }
+
+    const updated = await completeRefund(registration, {
+      amount: refundAmount,
+      reference: reference.trim(),
+      processedBy: req.user._id,
+    });
+    if (!updated) {
+      return res.status(400).json({ message: "Refund was already processed" });
+    }
+
+    try {
+      await sendRefundStatusEmail({
+        to: registration.participant.email,
+        participantName: `${registration.participant.firstName} ${registration.participant.lastName}`,
+        eventName: registration.event.eventName,
+        approved: true,
+        amount: refundAmount,
+        reference: reference.trim(),
+      });
+    } catch (emailError) {
+      console.error("Email sending failed:", emailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Refund of ₹${refundAmount} approved`,
+      registration: updated,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve refund",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a refund request
+ * POST /api/organizer/registrations/:id/refund/reject
+ */
+export const rejectRefund = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || reason.trim().length < 5) {
+      return res.status(400).json({
+        message: "Please provide a rejection reason (minimum 5 characters)"
+      });
+    }
+
+    const registration = await findRefundRegistration(req.params.id, req.user._id);
+    if (!registration) {
+      return res.status(404).json({ message: "Registration not found" });
+    }
+
+    const updated = await Registration.findOneAndUpdate(
+      { _id: registration._id, "refund.status": "REQUESTED" },
+      {
+        $set: {
+          "refund.status": "REJECTED",
+          "refund.rejectionReason": reason.trim(),
+          "refund.processedBy": req.user._id,
+          "refund.processedAt": new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ message: "No pending refund request for this registration" });
+    }
+
+    try {
+      await sendRefundStatusEmail({
+        to: registration.participant.email,
+        participantName: `${registration.participant.firstName} ${registration.participant.lastName}`,
+        eventName: registration.event.eventName,
+        approved: false,
+        reason: reason.trim(),
+      });
+    } catch (emailError) {
+      console.error("Email sending failed:", emailError);
+    }
+
+    res.json({
+      success: true,
+      message: "Refund request rejected",
+      registration: updated,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject refund",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Verify ticket (QR code scanning)
  * POST /api/organizer/verify-ticket
+ *
+ * For multi-session events, pass sessionId (defaults to the session running now).
+ * A typed-in ticket ID has no signature to check, so it needs manual: true
+ * (staff confirmed the participant's ID) and is recorded as a manual entry.
  */
 export const verifyTicket = async (req, res) => {
   try {
-    const { ticketId } = req.body;
+    const { ticketId, qrData, sessionId, manual } = req.body;
 
     console.log('=== TICKET VERIFICATION ATTEMPT ===');
     console.log('Received ticketId:', ticketId);
-    console.log('TicketId type:', typeof ticketId);
-    console.log('TicketId length:', ticketId?.length);
 
-    if (!ticketId) {
-      return res.status(400).json({ message: "Ticket ID is required" });
+    if (!ticketId && !qrData) {
+      return res.status(400).json({ message: "Ticket ID or QR code data is required" });
+    }
+
+    // Ticket IDs are printed in emails - knowing one is not proof of a ticket
+    if (!qrData && manual !== true) {
+      return res.status(400).json({
+        success: false,
+        message: "Scan the QR code, or confirm manual entry after checking the participant's ID",
+        reason: "MANUAL_NOT_CONFIRMED",
+      });
+    }
+
+    // Scanned QR codes must carry a valid, unexpired signature
+    let qrPayload = null;
+    if (qrData) {
+      try {
+        qrPayload = verifyQRCode(qrData);
+      } catch (qrError) {
+        return res.status(400).json({
+          success: false,
+          message: qrError.message,
+          reason: qrError.code || "MALFORMED",
+        });
+      }
     }
 
     // Trim whitespace
-    const trimmedTicketId = ticketId.trim();
+    const trimmedTicketId = (qrPayload ? qrPayload.ticketId : ticketId).trim();
     console.log('Trimmed ticketId:', trimmedTicketId);
 
     // Find registration by ticket ID
     const registration = await Registration.findOne({ ticketId: trimmedTicketId })
-      .populate("event", "eventName eventStartDate eventEndDate organizer")
+      .populate("event", "eventName eventStartDate eventEndDate organizer sessions status")
       .populate("participant", "firstName lastName email");
 
     console.log('Registration found:', registration ? 'YES' : 'NO');
@@ -607,7 +1485,8 @@ export const verifyTicket = async (req, res) => {
     if (!registration) {
       return res.status(404).json({ 
         success: false,
-        message: "Invalid ticket - Registration not found" 
+        message: "Invalid ticket - Registration not found",
+        reason: "NOT_FOUND",
       });
     }
 
@@ -619,18 +1498,74 @@ export const verifyTicket = async (req, res) => {
       });
     }
 
-    // Check if ticket already used
-    if (registration.attended) {
+    if (registration.event.status === "CANCELLED") {
+      return res.status(400).json({
+        success: false,
+        message: "This event was cancelled - its tickets are no longer valid",
+        reason: "EVENT_CANCELLED",
+      });
+    }
+
+    // Signed payload must belong to this registration and be its latest QR code
+    if (qrPayload) {
+      if (
+        qrPayload.participantId !== registration.participant._id.toString() ||
+        qrPayload.eventId !== registration.event._id.toString()
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "QR code details do not match the ticket record",
+          reason: "MISMATCH",
+        });
+      }
+
+      if (!registration.qrToken) {
+        return res.status(400).json({
+          success: false,
+          message: `This QR code is no longer valid - registration status is ${registration.status}`,
+          reason: "REVOKED",
+        });
+      }
+
+      if (registration.qrToken !== qrData.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "This QR code has been replaced by a newer ticket - ask for the latest QR code",
+          reason: "SUPERSEDED",
+        });
+      }
+    }
+
+    // Multi-session events: attendance is recorded for one session at a time
+    const { session, error: sessionError } = resolveSession(registration.event, sessionId);
+    if (sessionError) {
       return res.status(400).json({
         success: false,
-        message: "Ticket already scanned",
-        alreadyScanned: true,
+        message: sessionError,
+        reason: "NO_SESSION",
+      });
+    }
+
+    // Check if ticket already used for this session (replayed QR code)
+    const earlierScan = session
+      ? findAttendanceEntry(registration, session)
+      : registration.attended && { scannedAt: registration.attendedAt };
+    const alreadyScanned = {
+      success: false,
+      message: session ? `Ticket already scanned for ${session.name}` : "Ticket already scanned",
+      reason: "ALREADY_SCANNED",
+      alreadyScanned: true,
+    };
+
+    if (earlierScan) {
+      return res.status(400).json({
+        ...alreadyScanned,
         registration: {
           ticketId: registration.ticketId,
           participant: registration.participant,
           event: registration.event,
           status: registration.status,
-          scannedAt: registration.attendanceMarkedAt
+          scannedAt: earlierScan.scannedAt
         }
       });
     }
@@ -640,6 +1575,7 @@ export const verifyTicket = async (req, res) => {
       return res.status(400).json({
         success: false,
         message: `Cannot verify - Registration status is ${registration.status}`,
+        reason: "NOT_CONFIRMED",
         registration: {
           ticketId: registration.ticketId,
           status: registration.status,
@@ -648,19 +1584,39 @@ export const verifyTicket = async (req, res) => {
       });
     }
 
-    // Mark attendance
-    registration.attended = true;
-    registration.attendanceMarkedAt = new Date();
-    await registration.save();
+    // Paid events - only tickets whose payment was approved get in
+    if (registration.paymentStatus !== "PAID") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot verify - Payment status is ${registration.paymentStatus}`,
+        reason: "UNPAID",
+        registration: {
+          ticketId: registration.ticketId,
+          status: registration.status,
+          paymentStatus: registration.paymentStatus
+        }
+      });
+    }
 
-    // Update event attendance count
-    const event = await Event.findById(registration.event._id);
-    event.totalAttendance = (event.totalAttendance || 0) + 1;
-    await event.save();
+    // Mark attendance atomically - another gate may be scanning the same ticket
+    const scannedAt = new Date();
+    const marked = await recordAttendance(registration, {
+      session,
+      scannedAt,
+      markedBy: req.user._id,
+      device: "online",
+      manual: !qrPayload,
+    });
+
+    if (!marked) {
+      return res.status(400).json(alreadyScanned);
+    }
 
     res.json({
       success: true,
-      message: "✅ Ticket verified successfully!",
+      message: qrPayload
+        ? "✅ Ticket verified successfully!"
+        : "✅ Ticket verified by manual entry - no QR signature was checked",
       registration: {
         ticketId: registration.ticketId,
         participant: {
@@ -673,8 +1629,11 @@ export const verifyTicket = async (req, res) => {
         },
         status: registration.status,
         paymentStatus: registration.paymentStatus,
-        verifiedAt: registration.attendanceMarkedAt
-      }
+        session: session ? { id: session._id, name: session.name } : null,
+        verifiedAt: scannedAt
+      },
+      // Manual ticket ID entry skips the signature check - staff should check ID
+      verificationMethod: qrPayload ? "SIGNED_QR" : "MANUAL",
     });
   } catch (error) {
     res.status(500).json({
@@ -685,6 +1644,250 @@ export const verifyTicket = async (req, res) => {
   }
 };
 
+/**
+ * Download the offline scan manifest for an event
+ * GET /api/organizer/events/:id/scan-manifest
+ *
+ * Lists every confirmed, paid ticket so scanners can verify QR codes without network.
+ * Tickets are identified by a SHA-256 hash of their signed QR token.
+ */
+export const getScanManifest = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organizer: req.user._id });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const registrations = await Registration.find({
+      event: event._id,
+      status: "CONFIRMED",
+      paymentStatus: "PAID",
+    }).populate("participant", "firstName lastName");
+
+    const tickets = registrations.map((reg) => ({
+      ticketId: reg.ticketId,
+      tokenHash: reg.qrToken ? hashTicketToken(reg.qrToken) : null,
+      participantName: reg.participant
+        ? `${reg.participant.firstName} ${reg.participant.lastName}`
+        : "Unknown",
+      attended: reg.attended,
+      attendedSessions: reg.attendanceLog
+        .filter((entry) => entry.session)
+        .map((entry) => entry.session.toString()),
+    }));
+
+    const header = {
+      eventId: event._id.toString(),
+      generatedAt: new Date().toISOString(),
+      expiresAt: getTicketExpiry(event.eventEndDate || event.eventStartDate).toISOString(),
+      ticketCount: tickets.length,
+    };
+
+    res.json({
+      success: true,
+      manifest: {
+        ...header,
+        eventName: event.eventName,
+        sessions: event.sessions,
+        signature: signManifest(header),
+        tickets,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate scan manifest",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Check a single offline scan against the database and mark attendance.
+ * Returns { status, reason?, message } where status is
+ * ACCEPTED | DUPLICATE (already synced) | CONFLICT (scanned at another gate) | REJECTED
+ */
+const applyOfflineScan = async (scan, event, deviceId, organizerId) => {
+  const scannedAt = new Date(scan.scannedAt);
+  const scanTime = isNaN(scannedAt) || scannedAt > new Date() ? new Date() : scannedAt;
+
+  // Re-verify the QR signature as of the moment it was scanned
+  let qrPayload = null;
+  if (scan.qrData) {
+    try {
+      qrPayload = verifyQRCode(scan.qrData, { at: scanTime });
+    } catch (qrError) {
+      return { status: "REJECTED", reason: qrError.code || "MALFORMED", message: qrError.message };
+    }
+  }
+
+  const ticketId = (qrPayload ? qrPayload.ticketId : scan.ticketId || "").trim();
+  if (!ticketId) {
+    return { status: "REJECTED", reason: "MALFORMED", message: "Scan has no ticket data" };
+  }
+
+  if (!qrPayload && scan.manual !== true) {
+    return {
+      status: "REJECTED",
+      reason: "MANUAL_NOT_CONFIRMED",
+      ticketId,
+      message: "Typed-in ticket ID was not confirmed as a manual entry",
+    };
+  }
+
+  const registration = await Registration.findOne({ ticketId, event: event._id });
+  if (!registration) {
+    return { status: "REJECTED", reason: "NOT_FOUND", ticketId, message: "Ticket not found for this event" };
+  }
+
+  if (event.status === "CANCELLED") {
+    return { status: "REJECTED", reason: "EVENT_CANCELLED", ticketId, message: "Event was cancelled" };
+  }
+
+  if (qrPayload && !registration.qrToken) {
+    return { status: "REJECTED", reason: "REVOKED", ticketId, message: "QR code is no longer valid" };
+  }
+
+  if (qrPayload && registration.qrToken !== scan.qrData.trim()) {
+    return { status: "REJECTED", reason: "SUPERSEDED", ticketId, message: "QR code was replaced by a newer ticket" };
+  }
+
+  if (registration.status !== "CONFIRMED") {
+    return {
+      status: "REJECTED",
+      reason: "NOT_CONFIRMED",
+      ticketId,
+      message: `Registration status is ${registration.status}`,
+    };
+  }
+
+  if (registration.paymentStatus !== "PAID") {
+    return {
+      status: "REJECTED",
+      reason: "UNPAID",
+      ticketId,
+      message: `Payment status is ${registration.paymentStatus}`,
+    };
+  }
+
+  const { session, error: sessionError } = resolveSession(event, scan.sessionId, scanTime);
+  if (sessionError) {
+    return { status: "REJECTED", reason: "NO_SESSION", ticketId, message: sessionError };
+  }
+
+  const earlierScan = session
+    ? findAttendanceEntry(registration, session)
+    : registration.attended && (findAttendanceEntry(registration, null) || { scannedAt: registration.attendedAt });
+
+  if (earlierScan) {
+    // Same scan sent twice (e.g., retry after a dropped response)
+    if (scan.clientScanId && earlierScan.scanId === scan.clientScanId) {
+      return { status: "DUPLICATE", ticketId, message: "Scan already synced" };
+    }
+
+    // Two gates admitted the same ticket - keep the earliest entry time
+    if (earlierScan.scannedAt && scanTime < earlierScan.scannedAt) {
+      await Registration.updateOne({ _id: registration._id }, { $min: { attendedAt: scanTime } });
+      if (earlierScan._id) {
+        await Registration.updateOne(
+          { _id: registration._id, "attendanceLog._id": earlierScan._id },
+          { $set: { "attendanceLog.$.scannedAt": scanTime } }
+        );
+      }
+    }
+
+    return {
+      status: "CONFLICT",
+      ticketId,
+      message: "Ticket was also scanned at another gate",
+      firstScannedAt: earlierScan.scannedAt,
+      firstScannedBy: earlierScan.device,
+    };
+  }
+
+  const marked = await recordAttendance(registration, {
+    session,
+    scannedAt: scanTime,
+    markedBy: organizerId,
+    device: deviceId,
+    scanId: scan.clientScanId,
+    manual: !qrPayload,
+  });
+
+  // Lost a race with another sync/online scan
+  if (!marked) {
+    return { status: "CONFLICT", ticketId, message: "Ticket was also scanned at another gate" };
+  }
+
+  return { status: "ACCEPTED", ticketId, message: "Attendance recorded" };
+};
+
+/**
+ * Sync scans made offline
+ * POST /api/organizer/events/:id/sync-scans
+ *
+ * Body: { deviceId, manifest: { eventId, generatedAt, expiresAt, ticketCount, signature },
+ *         scans: [{ clientScanId, qrData | ticketId + manual, sessionId?, scannedAt }] }
+ */
+export const syncOfflineScans = async (req, res) => {
+  try {
+    const { deviceId = "unknown-device", manifest, scans } = req.body;
+
+    if (!Array.isArray(scans)) {
+      return res.status(400).json({ message: "Scans must be an array" });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, organizer: req.user._id });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    if (
+      !manifest ||
+      manifest.eventId !== event._id.toString() ||
+      !verifyManifestSignature(manifest, manifest.signature)
+    ) {
+      return res.status(400).json({
+        message: "Scans must come from a valid scan manifest for this event",
+      });
+    }
+
+    // Process in scan order so the earliest scan of a ticket wins
+    const ordered = [...scans].sort(
+      (a, b) => new Date(a.scannedAt) - new Date(b.scannedAt)
+    );
+
+    const results = [];
+    for (const scan of ordered) {
+      const result = await applyOfflineScan(scan, event, deviceId, req.user._id);
+      results.push({ clientScanId: scan.clientScanId, scannedAt: scan.scannedAt, ...result });
+    }
+
+    const summary = {
+      accepted: results.filter((r) => r.status === "ACCEPTED").length,
+      duplicates: results.filter((r) => r.status === "DUPLICATE").length,
+      conflicts: results.filter((r) => r.status === "CONFLICT").length,
+      rejected: results.filter((r) => r.status === "REJECTED").length,
+    };
+
+    const updatedEvent = await Event.findById(event._id).select("totalAttendance");
+
+    res.json({
+      success: true,
+      message: `Synced ${results.length} scan(s): ${summary.accepted} accepted, ${summary.conflicts} conflict(s), ${summary.rejected} rejected`,
+      summary,
+      results,
+      totalAttendance: updatedEvent.totalAttendance,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to sync scans",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get organizer profile
  * GET /api/organizer/profile
@@ -731,7 +1934,13 @@ export const updateProfile = async (req, res) => {
     if (description !== undefined) updates.description = description;
     if (contactEmail) updates.contactEmail = contactEmail;
     if (contactNumber !== undefined) updates.contactNumber = contactNumber;
-    if (discordWebhook !== undefined) updates.discordWebhook = discordWebhook;
+    if (discordWebhook !== undefined) {
+      const webhookCheck = discordWebhook ? validateDiscordWebhook(discordWebhook) : { valid: true };
+      if (!webhookCheck.valid) {
+        return res.status(400).json({ message: webhookCheck.message });
+      }
+      updates.discordWebhook = discordWebhook;
+    }
 
     const organizer = await User.findByIdAndUpdate(
       req.user._id,
@@ -752,6 +1961,107 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Send a test message to my Discord webhook
+ * POST /api/organizer/discord/test
+ */
+export const testDiscordWebhook = async (req, res) => {
+  try {
+    if (!req.user.discordWebhook) {
+      return res.status(400).json({ message: "Save a Discord webhook URL first" });
+    }
+
+    const delivery = await sendTestMessage(req.user._id);
+    if (!delivery) {
+      return res.status(500).json({ message: "Failed to send test message" });
+    }
+
+    if (delivery.status !== "DELIVERED") {
+      return res.status(502).json({
+        success: false,
+        message: `Discord did not accept the test message: ${delivery.lastError}` +
+          (delivery.status === "PENDING" ? " (will retry)" : ""),
+        delivery,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Test message sent - check your Discord channel",
+      delivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to send test message",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get my Discord delivery log (latest first)
+ * GET /api/organizer/discord/deliveries?status=FAILED
+ */
+export const getDiscordDeliveries = async (req, res) => {
+  try {
+    const query = { organizer: req.user._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const deliveries = await DiscordDelivery.find(query)
+      .populate("event", "eventName")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      deliveries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch Discord deliveries",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Retry a failed Discord delivery now
+ * POST /api/organizer/discord/deliveries/:id/retry
+ */
+export const retryDiscordDelivery = async (req, res) => {
+  try {
+    // Start a fresh round of attempts
+    const reset = await DiscordDelivery.findOneAndUpdate(
+      { _id: req.params.id, organizer: req.user._id, status: "FAILED" },
+      { status: "PENDING", attempts: 0, $unset: { nextAttemptAt: 1 } }
+    );
+
+    if (!reset) {
+      return res.status(400).json({ message: "Only failed deliveries can be retried" });
+    }
+
+    const delivery = await attemptDelivery(reset._id);
+
+    res.json({
+      success: delivery?.status === "DELIVERED",
+      message: delivery?.status === "DELIVERED"
+        ? "Message delivered"
+        : `Delivery failed again: ${delivery?.lastError || "unknown error"}`,
+      delivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to retry delivery",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Request password reset
  * POST /api/organizer/request-password-reset
@@ -1,6 +1,9 @@
 import User from "../models/User.js";
 import Event from "../models/Event.js";
 import Registration from "../models/Registration.js";
+import { getWaitlistPosition } from "../utils/waitlist.js";
+import { getRecommendations as recommendEvents } from "../utils/recommendations.js";
+import { getRescheduleGrace } from "../utils/refunds.js";
 
 /**
  * Get participant profile
@@ -67,11 +70,16 @@ export const updateProfile = async (req, res) => {
  */
 export const setPreferences = async (req, res) => {
   try {
-    const { interests, followedOrganizers } = req.body;
+    const { interests, followedOrganizers, followedEventEmails } = req.body;
+
+    if (followedEventEmails !== undefined && !["INSTANT", "DAILY"].includes(followedEventEmails)) {
+      return res.status(400).json({ message: "followedEventEmails must be INSTANT or DAILY" });
+    }
 
     const updates = {};
     if (interests !== undefined) updates.interests = interests;
     if (followedOrganizers !== undefined) updates.followedOrganizers = followedOrganizers;
+    if (followedEventEmails !== undefined) updates.followedEventEmails = followedEventEmails;
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -91,6 +99,24 @@ export const setPreferences = async (req, res) => {
   }
 };
 
+/**
+ * Get personalized event recommendations, each with the reasons it was suggested
+ * GET /api/participant/recommendations?limit=6
+ */
+export const getRecommendations = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 6, 1), 20);
+    const recommendations = await recommendEvents(req.user, limit);
+
+    res.json({
+      success: true,
+      recommendations,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch recommendations", error: error.message });
+  }
+};
+
 /**
  * Get all registrations for participant
  * GET /api/participant/registrations
@@ -105,12 +131,24 @@ export const getMyRegistrations = async (req, res) => {
     if (status) query.status = status.toUpperCase();
 
     const registrations = await Registration.find(query)
-      .populate("event", "eventName eventType eventStartDate eventEndDate organizer")
+      .populate("event", "eventName eventType eventStartDate eventEndDate organizer reschedules")
       .populate({
         path: "event",
         populate: { path: "organizer", select: "organizerName" },
       })
-      .sort({ registrationDate: -1 });
+      .populate("order", "orderNumber status paymentStatus")
+      .sort({ registrationDate: -1 })
+      .lean();
+
+    // Attach live waitlist position, and the reschedule they can still cancel for a full refund
+    for (const reg of registrations) {
+      if (reg.status === "WAITLISTED") {
+        reg.waitlistPosition = await getWaitlistPosition(reg);
+      }
+      if (reg.event && reg.status !== "CANCELLED") {
+        reg.rescheduleGrace = getRescheduleGrace(reg.event, reg.registrationDate);
+      }
+    }
 
     res.json({
       success: true,
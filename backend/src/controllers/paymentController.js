@@ -0,0 +1,455 @@
+/**
+ * PAYMENT CONTROLLER
+ *
+ * Online payments through the payment gateway (see utils/paymentGateway.js)
+ * - Participant starts a payment for a purchase or cart order → redirected to the provider's checkout
+ * - Provider sends a signed webhook → the purchase is confirmed and the QR ticket generated
+ * - Uploading a payment proof for manual approval still works as a fallback
+ */
+
+import Payment from "../models/Payment.js";
+import Registration from "../models/Registration.js";
+import Order from "../models/Order.js";
+import { getPaymentProvider, isOnlinePaymentEnabled, isMockProviderActive } from "../utils/paymentGateway.js";
+import { signWebhook, buildWebhookEvent } from "../utils/mockPaymentProvider.js";
+import { reserveRegistrationStock, reserveOrderStock } from "../utils/merchandiseStock.js";
+import { confirmRegistrationPayment, confirmOrderPayment } from "../utils/paymentConfirmation.js";
+
+/**
+ * Public URL of this backend (used for provider redirects and webhooks)
+ */
+const getBaseUrl = (req) => process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+
+/**
+ * Where the mock checkout delivers its webhook - configured, never taken from the request
+ */
+const getWebhookBaseUrl = () => process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const paymentsUnavailable = (res) =>
+  res.status(503).json({ message: "Online payments are not available - upload a payment proof instead" });
+
+/**
+ * Frontend URL the participant returns to after checkout
+ */
+const getFrontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Create a payment with the active provider.
+ * Older unfinished attempts for the same purchase are cancelled so only the newest can confirm it.
+ */
+const startPayment = async (req, { registration, order, amount, description, returnPath }) => {
+  const provider = getPaymentProvider();
+  const target = registration ? { registration: registration._id } : { order: order._id };
+
+  await Payment.updateMany({ ...target, status: "CREATED" }, { status: "CANCELLED" });
+
+  const { providerPaymentId, checkoutUrl } = await provider.createPayment({
+    amount,
+    currency: "INR",
+    description,
+    baseUrl: getBaseUrl(req),
+  });
+
+  const payment = new Payment({
+    participant: req.user._id,
+    ...target,
+    provider: provider.name,
+    providerPaymentId,
+    checkoutUrl,
+    amount,
+    currency: "INR",
+  });
+  payment.returnUrl = `${getFrontendUrl()}${returnPath}?payment=${payment._id}`;
+  await payment.save();
+
+  return payment;
+};
+
+/**
+ * Pay online for a purchase or a paid event registration
+ * POST /api/payments/registrations/:registrationId
+ */
+export const createRegistrationPayment = async (req, res) => {
+  try {
+    if (!isOnlinePaymentEnabled()) {
+      return paymentsUnavailable(res);
+    }
+
+    const registration = await Registration.findOne({
+      _id: req.params.registrationId,
+      participant: req.user._id,
+    }).populate("event", "eventName");
+
+    if (!registration) {
+      return res.status(404).json({ message: "Registration not found" });
+    }
+
+    if (registration.paymentStatus === "PAID") {
+      return res.status(400).json({ message: "Payment already approved" });
+    }
+
+    if (registration.status === "CANCELLED") {
+      return res.status(400).json({ message: "Registration was cancelled" });
+    }
+
+    if (registration.status === "WAITLISTED") {
+      return res.status(400).json({ message: "You are on the waitlist - pay once a seat is reserved for you" });
+    }
+
+    if (registration.paymentStatus === "PENDING_APPROVAL") {
+      return res.status(400).json({ message: "Payment proof already submitted - awaiting organizer approval" });
+    }
+
+    // Cart purchases are paid for as a whole order
+    if (registration.order) {
+      return res.status(400).json({
+        message: "This item is part of an order - pay for the order in My Orders",
+      });
+    }
+
+    if (!(registration.amountPaid > 0)) {
+      return res.status(400).json({ message: "Nothing to pay for this registration" });
+    }
+
+    // Rejected purchases gave their stock back - take it again before paying
+    if (registration.registrationType === "MERCHANDISE") {
+      const reserved = await reserveRegistrationStock(registration);
+      if (!reserved) {
+        return res.status(400).json({ message: "Sorry, this item is now out of stock" });
+      }
+    }
+
+    const payment = await startPayment(req, {
+      registration,
+      amount: registration.amountPaid,
+      description: registration.event.eventName,
+      returnPath: "/registrations",
+    });
+
+    // Stock is held again - back to pending until the payment completes
+    if (registration.status === "REJECTED") {
+      registration.status = "PENDING";
+      registration.paymentRejectionReason = undefined;
+      await registration.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      paymentId: payment._id,
+      checkoutUrl: payment.checkoutUrl,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to start payment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Pay online for a cart order
+ * POST /api/payments/orders/:orderId
+ */
+export const createOrderPayment = async (req, res) => {
+  try {
+    if (!isOnlinePaymentEnabled()) {
+      return paymentsUnavailable(res);
+    }
+
+    const order = await Order.findOne({ _id: req.params.orderId, participant: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.paymentStatus === "PAID") {
+      return res.status(400).json({ message: "Payment already approved" });
+    }
+
+    if (order.status === "CANCELLED") {
+      return res.status(400).json({ message: "Order was cancelled" });
+    }
+
+    if (order.paymentStatus === "PENDING_APPROVAL") {
+      return res.status(400).json({ message: "Payment proof already submitted - awaiting organizer approval" });
+    }
+
+    // Rejected orders gave their stock back - take it again before paying
+    const reserved = await reserveOrderStock(order._id);
+    if (!reserved) {
+      return res.status(400).json({ message: "Sorry, some items in this order are now out of stock" });
+    }
+
+    const payment = await startPayment(req, {
+      order,
+      amount: order.totalAmount,
+      description: `Order ${order.orderNumber}`,
+      returnPath: "/orders",
+    });
+
+    // Stock is held again - back to pending until the payment completes
+    if (order.status === "REJECTED") {
+      order.status = "PENDING";
+      order.paymentRejectionReason = undefined;
+      await order.save();
+
+      await Registration.updateMany(
+        { order: order._id, status: "REJECTED" },
+        { $set: { status: "PENDING" }, $unset: { paymentRejectionReason: "" } }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      paymentId: payment._id,
+      checkoutUrl: payment.checkoutUrl,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to start payment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the status of one of my payments
+ * GET /api/payments/:id
+ */
+export const getPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ _id: req.params.id, participant: req.user._id })
+      .select("registration order amount currency status failureReason confirmationError paidAt createdAt");
+
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    res.json({
+      success: true,
+      payment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm the purchase a successful payment was for.
+ * Returns an error message when it needs the organizer's attention, or null.
+ */
+const confirmPaidPurchase = async (payment) => {
+  const details = { method: "GATEWAY", reference: payment.providerPaymentId };
+
+  if (payment.registration) {
+    const registration = await Registration.findById(payment.registration).populate("event");
+    if (!registration || registration.status === "CANCELLED") {
+      return "Registration was cancelled before the payment completed - refund needed";
+    }
+    if (registration.paymentStatus === "PAID") {
+      return "Registration was already paid - refund the duplicate payment";
+    }
+
+    const confirmError = await confirmRegistrationPayment(registration, details);
+    if (confirmError) {
+      // Money was received - leave it for the organizer to approve or refund
+      registration.paymentStatus = "PENDING_APPROVAL";
+      registration.paymentMethod = "GATEWAY";
+      registration.paymentReference = payment.providerPaymentId;
+      await registration.save();
+    }
+    return confirmError;
+  }
+
+  const order = await Order.findById(payment.order);
+  if (!order || order.status === "CANCELLED") {
+    return "Order was cancelled before the payment completed - refund needed";
+  }
+  if (order.paymentStatus === "PAID") {
+    return "Order was already paid - refund the duplicate payment";
+  }
+
+  const confirmError = await confirmOrderPayment(order, details);
+  if (confirmError) {
+    order.paymentStatus = "PENDING_APPROVAL";
+    order.paymentMethod = "GATEWAY";
+    order.paymentReference = payment.providerPaymentId;
+    await order.save();
+    await Registration.updateMany(
+      { order: order._id, status: { $ne: "CANCELLED" } },
+      { paymentStatus: "PENDING_APPROVAL", paymentMethod: "GATEWAY" }
+    );
+  }
+  return confirmError;
+};
+
+/**
+ * Receive a payment provider webhook
+ * POST /api/payments/webhook/:provider
+ *
+ * No login - the request is trusted only if the provider's signature is valid.
+ * Each payment is confirmed at most once, however often the webhook is delivered.
+ */
+export const handleWebhook = async (req, res) => {
+  let provider;
+  let paymentEvent;
+  try {
+    provider = getPaymentProvider(req.params.provider);
+    paymentEvent = provider.verifyWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const payment = await Payment.findOne({
+      provider: provider.name,
+      providerPaymentId: paymentEvent.providerPaymentId,
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    if (paymentEvent.status === "FAILED") {
+      await Payment.updateOne(
+        { _id: payment._id, status: "CREATED" },
+        { status: "FAILED", failureReason: paymentEvent.failureReason || "Payment failed" }
+      );
+      return res.json({ received: true });
+    }
+
+    // Claim the payment so a repeated webhook doesn't confirm it twice
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $ne: "SUCCEEDED" } },
+      { status: "SUCCEEDED", paidAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const confirmationError = paymentEvent.amount !== claimed.amount
+      ? `Paid amount ₹${paymentEvent.amount} does not match ₹${claimed.amount}`
+      : await confirmPaidPurchase(claimed);
+
+    if (confirmationError) {
+      console.error(`Payment ${claimed._id} needs attention: ${confirmationError}`);
+      claimed.confirmationError = confirmationError;
+      await claimed.save();
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Escape text for the mock checkout page
+ */
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Mock provider checkout page (local development)
+ * GET /api/payments/mock/:providerPaymentId
+ */
+export const mockCheckoutPage = async (req, res) => {
+  try {
+    if (!isMockProviderActive()) {
+      return res.status(404).json({ message: "Route not found" });
+    }
+
+    const payment = await Payment.findOne({ provider: "mock", providerPaymentId: req.params.providerPaymentId })
+      .populate("order", "orderNumber")
+      .populate({ path: "registration", select: "event", populate: { path: "event", select: "eventName" } });
+
+    if (!payment) {
+      return res.status(404).send("Payment not found");
+    }
+
+    const description = payment.order
+      ? `Order ${payment.order.orderNumber}`
+      : payment.registration?.event?.eventName || "Felicity purchase";
+    const action = `/api/payments/mock/${encodeURIComponent(payment.providerPaymentId)}/complete`;
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head><title>Mock Payment</title></head>
+      <body style="font-family: Arial, sans-serif; max-width: 420px; margin: 60px auto; text-align: center;">
+        <h2>Mock Payment Gateway</h2>
+        <p style="color: #6B7280;">For local development - no real money is charged.</p>
+        <p><strong>${escapeHtml(description)}</strong></p>
+        <p style="font-size: 28px;">₹${payment.amount}</p>
+        ${payment.status === "CREATED" ? `
+          <form method="POST" action="${action}" style="display: inline;">
+            <input type="hidden" name="outcome" value="success" />
+            <button type="submit" style="padding: 12px 30px; background: #10B981; color: white; border: none; border-radius: 6px;">Pay</button>
+          </form>
+          <form method="POST" action="${action}" style="display: inline;">
+            <input type="hidden" name="outcome" value="fail" />
+            <button type="submit" style="padding: 12px 30px; background: #EF4444; color: white; border: none; border-radius: 6px;">Decline</button>
+          </form>
+        ` : `<p>This payment is ${payment.status.toLowerCase()}.</p>`}
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to load checkout",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mock provider: complete the payment and send the signed webhook
+ * POST /api/payments/mock/:providerPaymentId/complete
+ */
+export const mockCompletePayment = async (req, res) => {
+  try {
+    if (!isMockProviderActive()) {
+      return res.status(404).json({ message: "Route not found" });
+    }
+
+    const payment = await Payment.findOne({ provider: "mock", providerPaymentId: req.params.providerPaymentId });
+    if (!payment) {
+      return res.status(404).send("Payment not found");
+    }
+
+    // Deliver the result the way a real provider would - a signed webhook
+    const body = buildWebhookEvent(payment.providerPaymentId, payment.amount, req.body.outcome === "success");
+    const response = await fetch(`${getWebhookBaseUrl()}/api/payments/webhook/mock`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Mock-Signature": signWebhook(body),
+      },
+      body,
+    });
+
+    if (!response.ok) {
+      return res.status(502).send("Webhook delivery failed");
+    }
+
+    res.redirect(payment.returnUrl);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to complete payment",
+      error: error.message,
+    });
+  }
+};
@@ -1,7 +1,19 @@
 import Event from "../models/Event.js";
 import Registration from "../models/Registration.js";
-import { generateTicketId, generateQRCode } from "../utils/ticketGenerator.js";
+import { generateTicketId, generateQRCode, signTicketPayload } from "../utils/ticketGenerator.js";
 import { sendRegistrationEmail } from "../utils/emailService.js";
+import { getEventInvite } from "../utils/calendar.js";
+import { getWaitlistPosition, promoteFromWaitlist } from "../utils/waitlist.js";
+import {
+  findVariant,
+  getPurchasedQuantity,
+  getUnitPrice,
+  reserveStock,
+  restoreStock,
+  reserveRegistrationStock,
+  releaseStock,
+} from "../utils/merchandiseStock.js";
+import { getRefundQuote } from "../utils/refunds.js";
 import {
   isRegistrationOpen,
   hasCapacity,
@@ -28,15 +40,25 @@ export const registerForEvent = async (req, res) => {
       return res.status(400).json({ message: "Event is not open for registration" });
     }
 
-    // Check if already registered
+    if (event.isTeamEvent) {
+      return res.status(400).json({
+        message: "This is a team event. Create or join a team to register.",
+      });
+    }
+
+    // Check if already registered (a rejected payment can be resubmitted instead)
     const existingRegistration = await Registration.findOne({
       participant: req.user._id,
       event: eventId,
-      status: { $in: ["CONFIRMED", "PENDING"] },
+      status: { $in: ["CONFIRMED", "PENDING", "WAITLISTED", "REJECTED"] },
     });
 
     if (existingRegistration) {
-      return res.status(400).json({ message: "Already registered for this event" });
+      return res.status(400).json({
+        message: existingRegistration.status === "WAITLISTED"
+          ? "Already on the waitlist for this event"
+          : "Already registered for this event",
+      });
     }
 
     // Validate eligibility
@@ -51,9 +73,61 @@ export const registerForEvent = async (req, res) => {
       return res.status(400).json({ message: "Registration deadline has passed" });
     }
 
-    // Check capacity
+    // Event full - join the waitlist instead (ticket QR is generated on promotion)
     if (!hasCapacity(event.registrationLimit, event.currentRegistrations)) {
-      return res.status(400).json({ message: "Event is full" });
+      const registration = await Registration.create({
+        participant: req.user._id,
+        event: eventId,
+        ticketId: generateTicketId(),
+        registrationType: "NORMAL",
+        status: "WAITLISTED",
+        paymentStatus: event.registrationFee > 0 ? "UNPAID" : "PAID",
+        amountPaid: event.registrationFee || 0,
+        formResponse,
+      });
+
+      if (!event.formLocked) {
+        event.formLocked = true;
+        await event.save();
+      }
+
+      const waitlistPosition = await getWaitlistPosition(registration);
+
+      return res.status(201).json({
+        success: true,
+        waitlisted: true,
+        waitlistPosition,
+        message: `Event is full. You have been added to the waitlist at position ${waitlistPosition}.`,
+        registration,
+      });
+    }
+
+    // Paid events hold the seat until the payment is approved - no ticket yet
+    if (event.registrationFee > 0) {
+      const registration = await Registration.create({
+        participant: req.user._id,
+        event: eventId,
+        ticketId: generateTicketId(),
+        registrationType: "NORMAL",
+        status: "PENDING", // Pending payment approval
+        paymentStatus: "UNPAID",
+        amountPaid: event.registrationFee,
+        formResponse,
+      });
+
+      event.currentRegistrations += 1;
+      event.registrationsLast24h += 1;
+      if (!event.formLocked) {
+        event.formLocked = true;
+      }
+      await event.save();
+
+      return res.status(201).json({
+        success: true,
+        paymentRequired: true,
+        message: `Seat reserved. Pay ₹${event.registrationFee} online or upload payment proof in My Registrations to get your ticket.`,
+        registration,
+      });
     }
 
     // Generate ticket
@@ -65,8 +139,10 @@ export const registerForEvent = async (req, res) => {
       eventId: event._id.toString(),
       eventName: event.eventName,
       eventDate: event.eventStartDate,
+      eventEndDate: event.eventEndDate,
     };
-    const qrCode = await generateQRCode(qrData);
+    const qrToken = signTicketPayload(qrData);
+    const qrCode = await generateQRCode(qrToken);
 
     // Create registration
     const registration = await Registration.create({
@@ -74,9 +150,10 @@ export const registerForEvent = async (req, res) => {
       event: eventId,
       ticketId,
       qrCode,
+      qrToken,
       registrationType: "NORMAL",
       status: "CONFIRMED",
-      paymentStatus: event.registrationFee > 0 ? "UNPAID" : "PAID",
+      paymentStatus: "PAID", // Free event
       amountPaid: 0,
       formResponse,
     });
@@ -101,6 +178,7 @@ export const registerForEvent = async (req, res) => {
         ticketId,
         qrCode,
         eventDate: event.eventStartDate,
+        calendarInvite: await getEventInvite(event),
       });
     } catch (emailError) {
       console.error("Email sending failed:", emailError);
@@ -128,7 +206,8 @@ export const registerForEvent = async (req, res) => {
 export const purchaseMerchandise = async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { size, color, variant, quantity = 1 } = req.body;
+    const { size, color, variant } = req.body;
+    const quantity = parseInt(req.body.quantity ?? 1, 10);
 
     const event = await Event.findById(eventId).populate("organizer", "organizerName");
 
@@ -144,48 +223,63 @@ export const purchaseMerchandise = async (req, res) => {
       return res.status(400).json({ message: "Merchandise sale is not open" });
     }
 
-    // Check if already purchased
-    const existingPurchase = await Registration.findOne({
-      participant: req.user._id,
-      event: eventId,
-      status: { $in: ["CONFIRMED", "PENDING"] },
-    });
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: "Quantity must be at least 1" });
+    }
 
-    if (existingPurchase) {
-      return res.status(400).json({ message: "Already purchased this merchandise" });
+    // Check purchase limit (counts earlier purchases and cart orders too)
+    const alreadyPurchased = await getPurchasedQuantity(req.user._id, eventId);
+    if (alreadyPurchased + quantity > event.merchandise.purchaseLimit) {
+      return res.status(400).json({
+        message: `Maximum ${event.merchandise.purchaseLimit} items per person` +
+          (alreadyPurchased > 0 ? ` (you already have ${alreadyPurchased})` : ""),
+      });
     }
 
-    // Check stock
-    if (event.merchandise.stockQuantity <= 0) {
-      return res.status(400).json({ message: "Out of stock" });
+    // Events with variants track stock and price per size/color/variant combination
+    const hasVariants = event.merchandise.variants?.length > 0;
+    const selectedVariant = hasVariants ? findVariant(event, { size, color, variant }) : null;
+    if (hasVariants && !selectedVariant) {
+      return res.status(400).json({ message: "Selected size/color/variant is not available" });
     }
 
-    // Check purchase limit
-    if (quantity > event.merchandise.purchaseLimit) {
-      return res.status(400).json({
-        message: `Maximum ${event.merchandise.purchaseLimit} items per person`,
-      });
+    // Reserve stock now so two buyers can't both get the last unit
+    const reserved = await reserveStock(event._id, selectedVariant?._id, quantity);
+    if (!reserved) {
+      return res.status(400).json({ message: "Out of stock" });
     }
 
+    const unitPrice = getUnitPrice(event, selectedVariant);
+
     // Generate ticket ID
     const ticketId = generateTicketId();
 
     // Create purchase registration (pending approval)
-    const registration = await Registration.create({
-      participant: req.user._id,
-      event: eventId,
-      ticketId,
-      registrationType: "MERCHANDISE",
-      status: "PENDING", // Pending payment approval
-      paymentStatus: "PENDING_APPROVAL",
-      amountPaid: event.registrationFee * quantity,
-      merchandiseDetails: {
-        size,
-        color,
-        variant,
-        quantity,
-      },
-    });
+    let registration;
+    try {
+      registration = await Registration.create({
+        participant: req.user._id,
+        event: eventId,
+        ticketId,
+        registrationType: "MERCHANDISE",
+        status: "PENDING", // Pending payment approval
+        paymentStatus: "PENDING_APPROVAL",
+        amountPaid: unitPrice * quantity,
+        merchandiseDetails: {
+          size,
+          color,
+          variant,
+          quantity,
+          variantId: selectedVariant?._id,
+          unitPrice,
+          stockReserved: true,
+        },
+      });
+    } catch (createError) {
+      // Put the stock back if the purchase couldn't be saved
+      await restoreStock(event._id, selectedVariant?._id, quantity);
+      throw createError;
+    }
 
     res.status(201).json({
       success: true,
@@ -203,7 +297,7 @@ export const purchaseMerchandise = async (req, res) => {
 };
 
 /**
- * Upload payment proof for merchandise
+ * Upload payment proof for merchandise or a paid event
  * POST /api/registrations/:id/payment-proof
  */
 export const uploadPaymentProof = async (req, res) => {
@@ -225,6 +319,29 @@ export const uploadPaymentProof = async (req, res) => {
       return res.status(400).json({ message: "Payment already approved" });
     }
 
+    if (registration.status === "CANCELLED") {
+      return res.status(400).json({ message: "Registration was cancelled" });
+    }
+
+    if (registration.status === "WAITLISTED") {
+      return res.status(400).json({ message: "You are on the waitlist - pay once a seat is reserved for you" });
+    }
+
+    // Cart purchases are paid for as a whole order
+    if (registration.order) {
+      return res.status(400).json({
+        message: "This item is part of an order - upload payment proof for the order in My Orders",
+      });
+    }
+
+    // Rejected purchases gave their stock back - take it again for the resubmission
+    if (registration.registrationType === "MERCHANDISE") {
+      const reserved = await reserveRegistrationStock(registration);
+      if (!reserved) {
+        return res.status(400).json({ message: "Sorry, this item is now out of stock" });
+      }
+    }
+
     // Update registration with payment proof
     registration.paymentProof = paymentProof;
     registration.paymentProofUploadedAt = new Date();
@@ -308,18 +425,62 @@ export const cancelRegistration = async (req, res) => {
       return res.status(400).json({ message: "Cannot cancel after event has started" });
     }
 
-    // Update registration status
-    registration.status = "CANCELLED";
-    await registration.save();
+    // Unpaid cart items are cancelled together with their order
+    if (registration.order && registration.status !== "CONFIRMED") {
+      return res.status(400).json({
+        message: "This item is part of an unpaid order - cancel the order in My Orders",
+      });
+    }
+
+    // Leaving the waitlist doesn't free a seat
+    const wasWaitlisted = registration.status === "WAITLISTED";
+
+    // Update registration status - an unapproved payment proof is void now
+    const cancelledAt = new Date();
+    const paymentStatus = registration.paymentStatus === "PAID" ? "PAID" : "UNPAID";
+    const cancelled = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: registration.status, paymentStatus: registration.paymentStatus },
+      { $set: { status: "CANCELLED", cancelledAt, paymentStatus } }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ message: "Registration changed in the meantime - refresh and try again" });
+    }
+    registration.set({ status: "CANCELLED", cancelledAt, paymentStatus });
+
+    // Paid registrations can ask for a refund under the event's cancellation policy
+    const refundQuote = registration.paymentStatus === "PAID" && registration.amountPaid > 0
+      ? getRefundQuote(registration.event, registration.amountPaid, registration.cancelledAt, registration.registrationDate)
+      : null;
+
+    // Merchandise purchases don't hold seats - return their stock instead
+    if (registration.registrationType === "MERCHANDISE") {
+      await releaseStock(registration);
+      return res.json({
+        success: true,
+        message: "Purchase cancelled successfully",
+        refundQuote,
+      });
+    }
+
+    if (wasWaitlisted) {
+      return res.json({
+        success: true,
+        message: "Removed from waitlist successfully",
+      });
+    }
 
     // Decrement event registrations
     await Event.findByIdAndUpdate(registration.event._id, {
       $inc: { currentRegistrations: -1 },
     });
 
+    // Give the freed seat to the next person on the waitlist
+    await promoteFromWaitlist(registration.event._id);
+
     res.json({
       success: true,
       message: "Registration cancelled successfully",
+      refundQuote,
     });
   } catch (error) {
     res.status(500).json({
@@ -329,3 +490,74 @@ export const cancelRegistration = async (req, res) => {
     });
   }
 };
+
+/**
+ * Request a refund for a cancelled paid registration
+ * POST /api/events/registrations/:registrationId/refund-request
+ *
+ * The amount follows the event's cancellation policy at the time of cancellation;
+ * the organizer approves or rejects the request.
+ */
+export const requestRefund = async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+    const { reason } = req.body;
+
+    const registration = await Registration.findOne({
+      _id: registrationId,
+      participant: req.user._id,
+    }).populate("event");
+
+    if (!registration) {
+      return res.status(404).json({ message: "Registration not found" });
+    }
+
+    if (registration.status !== "CANCELLED") {
+      return res.status(400).json({ message: "Cancel the registration before requesting a refund" });
+    }
+
+    if (registration.paymentStatus !== "PAID" || !(registration.amountPaid > 0)) {
+      return res.status(400).json({ message: "No payment to refund for this registration" });
+    }
+
+    if (registration.refund?.status) {
+      return res.status(400).json({
+        message: `Refund already ${registration.refund.status.toLowerCase()}`,
+      });
+    }
+
+    const quote = getRefundQuote(
+      registration.event,
+      registration.amountPaid,
+      registration.cancelledAt || registration.updatedAt,
+      registration.registrationDate
+    );
+
+    if (quote.amount <= 0) {
+      return res.status(400).json({
+        message: "This cancellation is not eligible for a refund under the event's cancellation policy",
+      });
+    }
+
+    registration.refund = {
+      status: "REQUESTED",
+      reason: reason?.trim(),
+      requestedAt: new Date(),
+      refundPercent: quote.refundPercent,
+      amount: quote.amount,
+    };
+    await registration.save();
+
+    res.json({
+      success: true,
+      message: `Refund of ₹${quote.amount} (${quote.refundPercent}%) requested. The organizer will process it.`,
+      refund: registration.refund,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to request refund",
+      error: error.message,
+    });
+  }
+};
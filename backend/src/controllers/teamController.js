@@ -0,0 +1,473 @@
+/**
+ * TEAM CONTROLLER
+ *
+ * Team registration for team events (e.g., hackathons)
+ * - Leader creates a team and gets an invite code
+ * - Teammates join using the invite code
+ * - Once the team is complete, every member gets their own ticket
+ *   (paid events: once that member's payment is approved)
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import Team from "../models/Team.js";
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import User from "../models/User.js";
+import { generateTicketId, generateQRCode, signTicketPayload } from "../utils/ticketGenerator.js";
+import { sendRegistrationEmail, sendPaymentRequiredEmail } from "../utils/emailService.js";
+import { getEventInvite } from "../utils/calendar.js";
+import { isRegistrationOpen, checkEligibility } from "../utils/validators.js";
+
+/**
+ * Generate a short, shareable invite code (e.g., "7F3A9C2B")
+ */
+const generateInviteCode = () => uuidv4().split("-")[0].toUpperCase();
+
+/**
+ * Check whether a participant can be part of a team for this event.
+ * Returns an error message, or null if the participant is allowed.
+ */
+const checkCanJoinTeam = async (event, user) => {
+  if (!event.isTeamEvent) {
+    return "This is not a team event";
+  }
+
+  if (event.status !== "PUBLISHED") {
+    return "Event is not open for registration";
+  }
+
+  if (!isRegistrationOpen(event.registrationDeadline)) {
+    return "Registration deadline has passed";
+  }
+
+  if (!checkEligibility(event.eligibility, user.participantType)) {
+    return `This event is only for ${event.eligibility.replace("_", " ")} participants`;
+  }
+
+  const existingRegistration = await Registration.findOne({
+    participant: user._id,
+    event: event._id,
+    status: { $in: ["CONFIRMED", "PENDING", "WAITLISTED", "REJECTED"] },
+  });
+  if (existingRegistration) {
+    return "Already registered for this event";
+  }
+
+  const existingTeam = await Team.findOne({
+    event: event._id,
+    members: user._id,
+    status: { $in: ["FORMING", "COMPLETE"] },
+  });
+  if (existingTeam) {
+    return `Already in team "${existingTeam.teamName}" for this event`;
+  }
+
+  return null;
+};
+
+/**
+ * Confirm a team: reserve seats for every member, then issue
+ * each member their own ticket, QR code and confirmation email.
+ * For paid events each member's seat is held until their payment is approved.
+ * Returns an error message, or null on success.
+ */
+const completeTeam = async (team, event) => {
+  const teamSize = team.members.length;
+
+  // Reserve seats for the whole team at once so the team never ends up half-registered
+  const reserved = await Event.findOneAndUpdate(
+    {
+      _id: event._id,
+      $or: [
+        { registrationLimit: { $in: [null, 0] } }, // Unlimited
+        {
+          $expr: {
+            $lte: [{ $add: ["$currentRegistrations", teamSize] }, "$registrationLimit"],
+          },
+        },
+      ],
+    },
+    {
+      $inc: { currentRegistrations: teamSize, registrationsLast24h: teamSize },
+      $set: { formLocked: true },
+    },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return "Not enough seats left for the whole team";
+  }
+
+  // Only one request may complete the team, and only with the members the seats were reserved for
+  const claimed = await Team.findOneAndUpdate(
+    { _id: team._id, status: "FORMING", members: { $size: teamSize } },
+    { status: "COMPLETE", completedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await Event.findByIdAndUpdate(event._id, {
+      $inc: { currentRegistrations: -teamSize, registrationsLast24h: -teamSize },
+    });
+    return "Team is no longer forming";
+  }
+
+  const members = await User.find({ _id: { $in: claimed.members } });
+
+  for (const member of members) {
+    const ticketId = generateTicketId();
+
+    if (event.registrationFee > 0) {
+      await Registration.create({
+        participant: member._id,
+        event: event._id,
+        ticketId,
+        registrationType: "NORMAL",
+        status: "PENDING", // Pending payment approval
+        paymentStatus: "UNPAID",
+        amountPaid: event.registrationFee,
+        teamId: claimed._id,
+        teamName: claimed.teamName,
+      });
+
+      try {
+        await sendPaymentRequiredEmail({
+          to: member.email,
+          participantName: `${member.firstName} ${member.lastName}`,
+          eventName: event.eventName,
+          amount: event.registrationFee,
+          eventDate: event.eventStartDate,
+        });
+      } catch (emailError) {
+        console.error("Email sending failed:", emailError);
+      }
+      continue;
+    }
+
+    const qrData = {
+      ticketId,
+      participantId: member._id.toString(),
+      participantName: `${member.firstName} ${member.lastName}`,
+      eventId: event._id.toString(),
+      eventName: event.eventName,
+      eventDate: event.eventStartDate,
+      eventEndDate: event.eventEndDate,
+    };
+    const qrToken = signTicketPayload(qrData);
+    const qrCode = await generateQRCode(qrToken);
+
+    await Registration.create({
+      participant: member._id,
+      event: event._id,
+      ticketId,
+      qrCode,
+      qrToken,
+      registrationType: "NORMAL",
+      status: "CONFIRMED",
+      paymentStatus: "PAID", // Free event
+      amountPaid: 0,
+      teamId: claimed._id,
+      teamName: claimed.teamName,
+    });
+
+    try {
+      await sendRegistrationEmail({
+        to: member.email,
+        participantName: `${member.firstName} ${member.lastName}`,
+        eventName: event.eventName,
+        ticketId,
+        qrCode,
+        eventDate: event.eventStartDate,
+        calendarInvite: await getEventInvite(event),
+      });
+    } catch (emailError) {
+      console.error("Email sending failed:", emailError);
+    }
+  }
+
+  team.status = claimed.status;
+  team.completedAt = claimed.completedAt;
+  return null;
+};
+
+/**
+ * Create a team for a team event
+ * POST /api/teams/event/:eventId
+ */
+export const createTeam = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { teamName } = req.body;
+
+    if (!teamName || teamName.trim().length === 0) {
+      return res.status(400).json({ message: "Team name is required" });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const joinError = await checkCanJoinTeam(event, req.user);
+    if (joinError) {
+      return res.status(400).json({ message: joinError });
+    }
+
+    const nameTaken = await Team.findOne({
+      event: eventId,
+      teamName: teamName.trim(),
+      status: { $in: ["FORMING", "COMPLETE"] },
+    });
+    if (nameTaken) {
+      return res.status(400).json({ message: "Team name already taken for this event" });
+    }
+
+    const team = await Team.create({
+      event: eventId,
+      teamName: teamName.trim(),
+      leader: req.user._id,
+      members: [req.user._id],
+      inviteCode: generateInviteCode(),
+    });
+
+    // Solo-sized teams are complete immediately
+    if (team.members.length >= event.maxTeamSize) {
+      const completeError = await completeTeam(team, event);
+      if (completeError) {
+        team.status = "DISBANDED";
+        await team.save();
+        return res.status(400).json({ message: completeError });
+      }
+    }
+
+    await team.populate("members", "firstName lastName email");
+
+    res.status(201).json({
+      success: true,
+      message: team.status === "COMPLETE"
+        ? "Team registered successfully! Check your email for the ticket."
+        : `Team created. Share invite code ${team.inviteCode} with your teammates.`,
+      team,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to create team",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Join a team using its invite code
+ * POST /api/teams/join
+ */
+export const joinTeam = async (req, res) => {
+  try {
+    const { inviteCode } = req.body;
+
+    if (!inviteCode) {
+      return res.status(400).json({ message: "Invite code is required" });
+    }
+
+    const team = await Team.findOne({ inviteCode: inviteCode.trim().toUpperCase() });
+    if (!team) {
+      return res.status(404).json({ message: "Invalid invite code" });
+    }
+
+    if (team.status !== "FORMING") {
+      return res.status(400).json({ message: "This team is no longer accepting members" });
+    }
+
+    const event = await Event.findById(team.event);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const joinError = await checkCanJoinTeam(event, req.user);
+    if (joinError) {
+      return res.status(400).json({ message: joinError });
+    }
+
+    // Atomic add - fails if the team filled up or stopped forming meanwhile
+    const updatedTeam = await Team.findOneAndUpdate(
+      {
+        _id: team._id,
+        status: "FORMING",
+        members: { $ne: req.user._id },
+        [`members.${event.maxTeamSize - 1}`]: { $exists: false },
+      },
+      { $push: { members: req.user._id } },
+      { new: true }
+    );
+
+    if (!updatedTeam) {
+      return res.status(400).json({ message: "Team is already full" });
+    }
+
+    // Team reached max size - confirm everyone
+    let message = `Joined team "${updatedTeam.teamName}"`;
+    if (updatedTeam.members.length >= event.maxTeamSize) {
+      const completeError = await completeTeam(updatedTeam, event);
+      if (completeError) {
+        message += `, but the team could not be confirmed: ${completeError}`;
+      } else {
+        message += ". Team is complete - check your email for the ticket.";
+      }
+    }
+
+    await updatedTeam.populate("members", "firstName lastName email");
+
+    res.json({
+      success: true,
+      message,
+      team: updatedTeam,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to join team",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get my team for an event
+ * GET /api/teams/event/:eventId
+ */
+export const getMyTeam = async (req, res) => {
+  try {
+    const team = await Team.findOne({
+      event: req.params.eventId,
+      members: req.user._id,
+      status: { $in: ["FORMING", "COMPLETE"] },
+    })
+      .populate("members", "firstName lastName email")
+      .populate("leader", "firstName lastName");
+
+    res.json({
+      success: true,
+      team,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch team",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm a team that has at least the minimum number of members (leader only)
+ * POST /api/teams/:teamId/finalize
+ */
+export const finalizeTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    if (team.leader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Only the team leader can finalize the team" });
+    }
+
+    if (team.status !== "FORMING") {
+      return res.status(400).json({ message: "Team is no longer forming" });
+    }
+
+    const event = await Event.findById(team.event);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    if (event.status !== "PUBLISHED" || !isRegistrationOpen(event.registrationDeadline)) {
+      return res.status(400).json({ message: "Event is not open for registration" });
+    }
+
+    if (team.members.length < event.minTeamSize) {
+      return res.status(400).json({
+        message: `Team needs at least ${event.minTeamSize} members (currently ${team.members.length})`,
+      });
+    }
+
+    const completeError = await completeTeam(team, event);
+    if (completeError) {
+      return res.status(400).json({ message: completeError });
+    }
+
+    await team.populate("members", "firstName lastName email");
+
+    res.json({
+      success: true,
+      message: "Team registered successfully! Every member has received their ticket.",
+      team,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to finalize team",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Leave a team that is still forming (leader leaving disbands the team)
+ * POST /api/teams/:teamId/leave
+ */
+export const leaveTeam = async (req, res) => {
+  try {
+    const team = await Team.findOne({
+      _id: req.params.teamId,
+      members: req.user._id,
+    });
+
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    if (team.status !== "FORMING") {
+      return res.status(400).json({
+        message: "Team is already confirmed. Cancel your registration instead.",
+      });
+    }
+
+    // Claimed atomically - the team may be completing or changing at this moment
+    if (team.leader.toString() === req.user._id.toString()) {
+      const disbanded = await Team.updateOne(
+        { _id: team._id, status: "FORMING" },
+        { status: "DISBANDED" }
+      );
+      if (disbanded.modifiedCount === 0) {
+        return res.status(409).json({ message: "Team changed in the meantime - refresh and try again" });
+      }
+
+      return res.json({
+        success: true,
+        message: "Team disbanded",
+      });
+    }
+
+    const left = await Team.updateOne(
+      { _id: team._id, status: "FORMING", members: req.user._id },
+      { $pull: { members: req.user._id } }
+    );
+    if (left.modifiedCount === 0) {
+      return res.status(409).json({ message: "Team changed in the meantime - refresh and try again" });
+    }
+
+    res.json({
+      success: true,
+      message: "Left team successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to leave team",
+      error: error.message,
+    });
+  }
+};
@@ -1,13 +1,31 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+import http from "http";
 import app from "./app.js";
 import connectDB from "./config/db.js";
+import { startDiscordRetryWorker } from "./utils/discordNotifier.js";
+import { startAnnouncementScheduler } from "./utils/announcements.js";
+import { startFollowerDigestScheduler } from "./utils/followerNotifications.js";
+import { startTrendingJob } from "./utils/trending.js";
+import { startLifecycleScheduler } from "./utils/eventLifecycle.js";
+import { startCancellationScheduler } from "./utils/eventCancellation.js";
+import { initDiscussionSocket } from "./utils/discussionSocket.js";
 
 connectDB();
+startDiscordRetryWorker();
+startAnnouncementScheduler();
+startFollowerDigestScheduler();
+startTrendingJob();
+startLifecycleScheduler();
+startCancellationScheduler();
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+// Socket.IO shares the HTTP server with Express (real-time discussions)
+const server = http.createServer(app);
+initDiscussionSocket(server);
+
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
@@ -0,0 +1,81 @@
+/**
+ * ANNOUNCEMENT MODEL
+ *
+ * Organizer notices for an event, kept apart from participant discussions
+ * Emailed to every confirmed registrant when sent (now or at scheduledFor)
+ * readBy holds read receipts so organizers can see reach
+ */
+
+import mongoose from 'mongoose';
+
+const readReceiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const announcementSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 150
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+
+  // SCHEDULED: waiting for scheduledFor (sent right away when no time was given)
+  // SENT: visible to registrants and emailed
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'SENT'],
+    default: 'SCHEDULED'
+  },
+  scheduledFor: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: Date,
+
+  // Delivery
+  recipientCount: {
+    type: Number,
+    default: 0
+  }, // Confirmed registrants when it was sent
+  emailedCount: {
+    type: Number,
+    default: 0
+  },
+
+  readBy: [readReceiptSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+announcementSchema.index({ event: 1, createdAt: -1 });
+announcementSchema.index({ status: 1, scheduledFor: 1 });
+
+const Announcement = mongoose.model('Announcement', announcementSchema);
+
+export default Announcement;
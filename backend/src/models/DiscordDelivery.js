@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+/**
+ * One Discord webhook message and its delivery attempts.
+ * The webhook URL is read from the organizer at send time, so fixing a
+ * broken webhook in the profile also fixes pending retries.
+ */
+const discordDeliverySchema = new mongoose.Schema(
+  {
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+
+    // What triggered the message
+    type: {
+      type: String,
+      enum: ["EVENT_PUBLISHED", "EVENT_UPDATED", "EVENT_CLOSED", "MESSAGE_PINNED", "TEST"],
+      required: true,
+    },
+    // Webhook body as sent to Discord ({ username, embeds: [...] })
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // PENDING: waiting for its first attempt or a retry
+    // DELIVERED: Discord accepted the message
+    // FAILED: gave up (permanent error or out of attempts)
+    status: {
+      type: String,
+      enum: ["PENDING", "DELIVERED", "FAILED"],
+      default: "PENDING",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: Date,
+    lastStatusCode: Number, // HTTP status of the last attempt (none for network errors)
+    lastError: String,
+    deliveredAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+discordDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+discordDeliverySchema.index({ organizer: 1, createdAt: -1 });
+
+export default mongoose.model("DiscordDelivery", discordDeliverySchema);
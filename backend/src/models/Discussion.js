@@ -3,10 +3,29 @@
  * 
  * Real-time discussion forum for events
  * Participants can post messages and replies
+ * Authors can edit for a short while after posting; previous versions are
+ * kept in editHistory for moderators
+ * Messages are Markdown (rendered sanitized by the frontend) and can mention
+ * people, carry emoji reactions and image attachments
  */
 
 import mongoose from 'mongoose';
 
+// Emoji reactions participants can add to a message
+export const DISCUSSION_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '🙏'];
+
+// A previous version of a message or reply
+const editHistorySchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  } // When this version was replaced
+}, { _id: false });
+
 const replySchema = new mongoose.Schema({
   participant: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +38,59 @@ const replySchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date,
+  editHistory: [editHistorySchema],
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const reactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    enum: DISCUSSION_REACTIONS,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { _id: false });
+
+// Image stored the same way as payment proofs (base64 data URL)
+const attachmentSchema = new mongoose.Schema({
+  data: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+});
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -48,6 +120,8 @@ const discussionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  editedAt: Date,
+  editHistory: [editHistorySchema],
   isPinned: {
     type: Boolean,
     default: false
@@ -55,7 +129,27 @@ const discussionSchema = new mongoose.Schema({
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  reactions: [reactionSchema],
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }], // Registrants or the organizer @mentioned in the message
+  attachments: [attachmentSchema],
+
+  // Moderation
+  reports: [reportSchema], // Participants flagging the message for the organizer
+  isHidden: {
+    type: Boolean,
+    default: false
+  }, // Hidden from participants, still visible to the organizer
+  hiddenReason: String,
+  hiddenAt: Date,
+  isLocked: {
+    type: Boolean,
+    default: false
+  }, // No new replies
+  lockedAt: Date
 }, {
   timestamps: true
 });
@@ -0,0 +1,44 @@
+/**
+ * DISCUSSION MUTE MODEL
+ *
+ * A participant muted in one event's discussion until mutedUntil
+ * Muted participants can still read, but not post, reply or like
+ */
+
+import mongoose from 'mongoose';
+
+const discussionMuteSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mutedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  mutedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One mute per participant per event (muting again replaces it)
+discussionMuteSchema.index({ event: 1, participant: 1 }, { unique: true });
+
+const DiscussionMute = mongoose.model('DiscussionMute', discussionMuteSchema);
+
+export default DiscussionMute;
@@ -0,0 +1,34 @@
+/**
+ * DISCUSSION READ MODEL
+ *
+ * When a user last read an event's discussion
+ * Posts and replies by others after lastReadAt count as unread
+ */
+
+import mongoose from 'mongoose';
+
+const discussionReadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One read marker per user per event
+discussionReadSchema.index({ user: 1, event: 1 }, { unique: true });
+
+const DiscussionRead = mongoose.model('DiscussionRead', discussionReadSchema);
+
+export default DiscussionRead;
@@ -56,6 +56,32 @@ const eventSchema = new mongoose.Schema(
       required: true,
     },
     
+    // Sessions / days for multi-session events (attendance is tracked per session)
+    sessions: [{
+      name: {
+        type: String,
+        trim: true,
+      },
+      startTime: Date,
+      endTime: Date,
+    }],
+    
+    // Team Events (e.g., hackathons) - participants register as a team
+    isTeamEvent: {
+      type: Boolean,
+      default: false,
+    },
+    minTeamSize: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    maxTeamSize: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    
     // Pricing
     registrationFee: {
       type: Number,
@@ -66,9 +92,14 @@ const eventSchema = new mongoose.Schema(
     // Event Status
     status: {
       type: String,
-      enum: ["DRAFT", "PUBLISHED", "ONGOING", "COMPLETED", "CLOSED"],
+      enum: ["DRAFT", "PUBLISHED", "ONGOING", "COMPLETED", "CLOSED", "CANCELLED"],
       default: "DRAFT",
     },
+    // When off, the lifecycle scheduler leaves this event's status alone (utils/eventLifecycle.js)
+    autoStatus: {
+      type: Boolean,
+      default: true,
+    },
     
     // Tags for search/filter
     tags: [{
@@ -76,7 +107,7 @@ const eventSchema = new mongoose.Schema(
       trim: true,
     }],
     
-    // Trending metrics
+    // Trending metrics (utils/trending.js recomputes the score and the 24h count on a schedule)
     views: {
       type: Number,
       default: 0,
@@ -85,6 +116,19 @@ const eventSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    trendingScore: {
+      type: Number,
+      default: 0, // Time-decayed registrations + views
+    },
+    trendingUpdatedAt: Date,
+    trendingPinned: {
+      type: Boolean,
+      default: false, // Admin: always shown in trending
+    },
+    trendingExcluded: {
+      type: Boolean,
+      default: false, // Admin: never shown in trending
+    },
     
     // Normal Event - Custom Registration Form
     customForm: [{
@@ -106,18 +150,103 @@ const eventSchema = new mongoose.Schema(
     merchandise: {
       sizes: [String], // ["S", "M", "L", "XL"]
       colors: [String],
+      // One entry per size/color/variant combination, each with its own price and stock
       variants: [{
         name: String,
-        price: Number,
-        stock: Number,
+        size: String,
+        color: String,
+        price: Number, // Falls back to registrationFee when not set
+        stock: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
       }],
-      stockQuantity: Number,
+      stockQuantity: Number, // Used when the event has no variants
       purchaseLimit: {
         type: Number,
         default: 1, // Max items per participant
       },
     },
     
+    // Cancellation Policy - refund percentage by how close to the event the participant cancels
+    // e.g. [{ hoursBefore: 72, refundPercent: 100 }, { hoursBefore: 24, refundPercent: 50 }]
+    // No tiers = full refund on request; cancelling later than every tier = no refund
+    cancellationPolicy: {
+      tiers: [{
+        hoursBefore: {
+          type: Number,
+          min: 0,
+        },
+        refundPercent: {
+          type: Number,
+          min: 0,
+          max: 100,
+        },
+      }],
+      note: String, // Shown to participants alongside the tiers
+    },
+    
+    // Followers told about the event when it was published (utils/followerNotifications.js)
+    followerNotification: {
+      notifiedAt: Date,
+      followerCount: { type: Number, default: 0 },
+      inAppCount: { type: Number, default: 0 }, // Followers who have in-app notifications on
+      instantEmailCount: { type: Number, default: 0 },
+      digestCount: { type: Number, default: 0 }, // Queued for the daily digest
+      emailedCount: { type: Number, default: 0 }, // Emails actually delivered (instant + digest)
+    },
+
+    // Date changes after publishing (utils/eventReschedule.js), oldest first
+    reschedules: [{
+      previous: {
+        eventStartDate: Date,
+        eventEndDate: Date,
+        registrationDeadline: Date,
+      },
+      eventStartDate: Date,
+      eventEndDate: Date,
+      registrationDeadline: Date,
+      reason: String,
+      rescheduledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rescheduledAt: Date,
+      graceUntil: Date, // Earlier registrants can cancel for a full refund until then
+      notifiedCount: { type: Number, default: 0 },
+      emailsSent: { type: Number, default: 0 },
+    }],
+    // iCalendar SEQUENCE - goes up on every reschedule so calendar apps update the entry (utils/calendar.js)
+    calendarSequence: {
+      type: Number,
+      default: 0,
+    },
+
+    // What happened when the event was cancelled (utils/eventCancellation.js)
+    cancellation: {
+      reason: String,
+      cancelledAt: Date,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      cancelledByRole: {
+        type: String,
+        enum: ["ORGANIZER", "ADMIN"],
+      },
+      confirmedCancelled: { type: Number, default: 0 },
+      pendingCancelled: { type: Number, default: 0 },
+      waitlistCancelled: { type: Number, default: 0 },
+      ticketsInvalidated: { type: Number, default: 0 }, // QR codes that no longer scan
+      refundCount: { type: Number, default: 0 }, // Paid registrations queued for a full refund
+      refundTotal: { type: Number, default: 0 },
+      ordersCancelled: { type: Number, default: 0 }, // Unpaid cart orders with nothing left in them
+      emailsSent: { type: Number, default: 0 },
+      emailsFailed: { type: Number, default: 0 },
+      completedAt: Date, // Every registration settled - unset means the sweep is still to finish
+    },
+
     // Analytics
     totalRevenue: {
       type: Number,
@@ -136,6 +265,7 @@ eventSchema.index({ organizer: 1, status: 1 });
 eventSchema.index({ eventType: 1, status: 1 });
 eventSchema.index({ registrationDeadline: 1 });
 eventSchema.index({ tags: 1 });
+eventSchema.index({ status: 1, trendingScore: -1 });
 eventSchema.index({ eventName: "text", description: "text" }); // Text search
 
 export default mongoose.model("Event", eventSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+/**
+ * One event status change - made by the organizer, an admin or the lifecycle scheduler.
+ */
+const eventStatusLogSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["ORGANIZER", "ADMIN", "SCHEDULER"],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Not set for scheduler changes
+    },
+    // Scheduler reasons: DEADLINE_PASSED, CAPACITY_REACHED, SEATS_AVAILABLE, WAITLIST_OPEN, EVENT_STARTED, EVENT_ENDED
+    reason: String,
+    note: String, // Organizer's explanation (required when cancelling)
+  },
+  { timestamps: true }
+);
+
+eventStatusLogSchema.index({ event: 1, createdAt: -1 });
+
+export default mongoose.model("EventStatusLog", eventStatusLogSchema);
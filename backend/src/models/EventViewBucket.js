@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+/**
+ * Event page views counted per hour, so trending can weigh recent views more.
+ * Buckets expire on their own once they are older than any trending window.
+ */
+const eventViewBucketSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Event",
+    required: true,
+  },
+  hour: {
+    type: Date, // Start of the hour
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+});
+
+eventViewBucketSchema.index({ event: 1, hour: 1 }, { unique: true });
+eventViewBucketSchema.index({ hour: 1 }, { expireAfterSeconds: 8 * 24 * 60 * 60 });
+
+export default mongoose.model("EventViewBucket", eventViewBucketSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+/**
+ * A newly published event waiting for a follower's daily digest email.
+ * sentAt is set when the digest containing it is claimed for sending.
+ */
+const followerDigestItemSchema = new mongoose.Schema(
+  {
+    participant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+followerDigestItemSchema.index({ sentAt: 1, participant: 1 });
+
+export default mongoose.model("FollowerDigestItem", followerDigestItemSchema);
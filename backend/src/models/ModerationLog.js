@@ -0,0 +1,48 @@
+/**
+ * MODERATION LOG MODEL
+ *
+ * Every moderation action in an event's discussion, for the organizer to review
+ * Participant reports are logged too, so the log shows what prompted an action
+ */
+
+import mongoose from 'mongoose';
+
+const moderationLogSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // Who did it (organizer, or the participant for REPORT)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['REPORT', 'HIDE', 'UNHIDE', 'MUTE', 'UNMUTE', 'LOCK', 'UNLOCK', 'PIN', 'UNPIN', 'DELETE'],
+    required: true
+  },
+  // Message the action was about (kept as an ID - the message may be deleted since)
+  discussion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Discussion'
+  },
+  // Author of the message, or the muted participant
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  messageExcerpt: String, // Start of the message at the time of the action
+  mutedUntil: Date // MUTE only
+}, {
+  timestamps: true
+});
+
+moderationLogSchema.index({ event: 1, createdAt: -1 });
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+export default ModerationLog;
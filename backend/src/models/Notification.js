@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Kinds of in-app notification - each can be switched off in the user's preferences
+export const NOTIFICATION_TYPES = [
+  "PAYMENT_APPROVED",
+  "PAYMENT_REJECTED",
+  "WAITLIST_PROMOTED",
+  "DEADLINE_EXTENDED",
+  "EVENT_CANCELLED",
+  "EVENT_RESCHEDULED",
+  "NEW_EVENT", // From a followed organizer
+  "DISCUSSION_REPLY",
+  "DISCUSSION_MENTION",
+  "PASSWORD_RESET_PROCESSED",
+];
+
+/**
+ * One in-app notification shown in the navbar bell.
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    link: String, // Frontend path to open (e.g., "/events/<id>")
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+
+    isRead: { type: Boolean, default: false },
+    readAt: Date,
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+export default mongoose.model("Notification", notificationSchema);
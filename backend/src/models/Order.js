@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+const orderSchema = new mongoose.Schema(
+  {
+    // Human-readable reference (e.g., "ORD-2026-A3F9B")
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    participant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // All items in an order are sold by the same organizer, who approves the payment
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Line items - each one is backed by a MERCHANDISE registration (ticket for pickup)
+    items: [{
+      registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Registration",
+      },
+      event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Event",
+      },
+      eventName: String,
+      size: String,
+      color: String,
+      variant: String,
+      quantity: Number,
+      unitPrice: Number,
+      lineTotal: Number,
+    }],
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // PENDING: waiting for payment proof / approval
+    // CONFIRMED: payment approved, tickets issued
+    // REJECTED: payment rejected (participant can resubmit proof)
+    // CANCELLED: cancelled by participant, stock returned
+    status: {
+      type: String,
+      enum: ["PENDING", "CONFIRMED", "REJECTED", "CANCELLED"],
+      default: "PENDING",
+    },
+
+    // One payment proof covers the whole order
+    paymentStatus: {
+      type: String,
+      enum: ["UNPAID", "PAID", "PENDING_APPROVAL", "REFUNDED"],
+      default: "UNPAID",
+    },
+    paymentProof: String,
+    paymentProofUploadedAt: Date,
+    paymentRejectionReason: String,
+    paymentApprovedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    paymentApprovedAt: Date,
+    // MANUAL: payment proof approved by the organizer, GATEWAY: confirmed by the payment provider
+    paymentMethod: {
+      type: String,
+      enum: ["MANUAL", "GATEWAY"],
+    },
+    paymentReference: String, // Payment provider's transaction ID
+  },
+  { timestamps: true }
+);
+
+// Indexes
+orderSchema.index({ participant: 1, createdAt: -1 });
+orderSchema.index({ organizer: 1, status: 1 });
+
+export default mongoose.model("Order", orderSchema);
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+const paymentSchema = new mongoose.Schema(
+  {
+    participant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What is being paid for - a single registration or a cart order
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+
+    // Payment provider (e.g., "mock") and its ID for this payment
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerPaymentId: {
+      type: String,
+      required: true,
+    },
+    checkoutUrl: String, // Where the participant completes the payment
+    returnUrl: String, // Frontend page to come back to afterwards
+
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+
+    // CREATED: waiting for the participant to pay
+    // SUCCEEDED: provider confirmed the payment (webhook)
+    // FAILED: provider reported the payment failed
+    // CANCELLED: replaced by a newer payment attempt
+    status: {
+      type: String,
+      enum: ["CREATED", "SUCCEEDED", "FAILED", "CANCELLED"],
+      default: "CREATED",
+    },
+    failureReason: String,
+    paidAt: Date,
+    // Set when the payment succeeded but the purchase couldn't be confirmed automatically
+    // (e.g., sold out, already paid) - left for the organizer to resolve
+    confirmationError: String,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ registration: 1 });
+paymentSchema.index({ order: 1 });
+
+export default mongoose.model("Payment", paymentSchema);
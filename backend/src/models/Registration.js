@@ -21,6 +21,7 @@ const registrationSchema = new mongoose.Schema(
       unique: true,
     },
     qrCode: String, // QR code image URL or base64
+    qrToken: String, // Signed payload inside the current QR code (older QR codes are rejected)
     
     // Registration Type
     registrationType: {
@@ -32,9 +33,10 @@ const registrationSchema = new mongoose.Schema(
     // Status
     status: {
       type: String,
-      enum: ["PENDING", "CONFIRMED", "CANCELLED", "REJECTED", "COMPLETED"],
+      enum: ["PENDING", "CONFIRMED", "WAITLISTED", "CANCELLED", "REJECTED", "COMPLETED"],
       default: "CONFIRMED",
     },
+    promotedFromWaitlistAt: Date, // Set when a waitlisted registration gets a seat
     
     // Payment Information
     paymentStatus: {
@@ -54,6 +56,32 @@ const registrationSchema = new mongoose.Schema(
       ref: "User",
     },
     paymentApprovedAt: Date,
+    // MANUAL: payment proof approved by the organizer, GATEWAY: confirmed by the payment provider
+    paymentMethod: {
+      type: String,
+      enum: ["MANUAL", "GATEWAY"],
+    },
+    paymentReference: String, // Payment provider's transaction ID
+    cancelledAt: Date, // Refund amount depends on how close to the event this was
+    
+    // Refund (requested by the participant after cancelling a paid registration)
+    refund: {
+      status: {
+        type: String,
+        enum: ["REQUESTED", "APPROVED", "REJECTED"],
+      },
+      reason: String, // Participant's reason for the request
+      requestedAt: Date,
+      refundPercent: Number, // From the event's cancellation policy
+      amount: Number, // Amount to refund (organizer may adjust on approval)
+      reference: String, // Transaction/UPI reference of the refund payment
+      rejectionReason: String,
+      processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      processedAt: Date,
+    },
     
     // Custom Form Response (for Normal Events)
     formResponse: {
@@ -70,6 +98,18 @@ const registrationSchema = new mongoose.Schema(
         type: Number,
         default: 1,
       },
+      variantId: mongoose.Schema.Types.ObjectId, // Event.merchandise.variants._id the stock came from
+      unitPrice: Number,
+      stockReserved: {
+        type: Boolean,
+        default: false, // True while this purchase holds stock
+      },
+    },
+    
+    // Cart order this purchase belongs to (payment is approved per order)
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
     },
     
     // Team Information (for team events)
@@ -82,13 +122,28 @@ const registrationSchema = new mongoose.Schema(
     // Attendance
     attended: {
       type: Boolean,
-      default: false,
+      default: false, // True once the participant has been scanned into any session
     },
-    attendedAt: Date,
+    attendedAt: Date, // First scan
     markedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // One entry per session/day attended (session is null for single-session events)
+    attendanceLog: [{
+      session: mongoose.Schema.Types.ObjectId, // Event.sessions._id
+      scannedAt: Date,
+      markedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      device: String, // "online" or the offline scanner's device ID
+      scanId: String, // Offline scan ID, so re-synced scans are recognised
+      manual: {
+        type: Boolean,
+        default: false, // Ticket ID typed in - no QR signature was checked
+      },
+    }],
     
     // Timestamps
     registrationDate: {
@@ -103,5 +158,7 @@ const registrationSchema = new mongoose.Schema(
 registrationSchema.index({ participant: 1, event: 1 });
 // ticketId index is created automatically by unique: true
 registrationSchema.index({ event: 1, status: 1 });
+registrationSchema.index({ event: 1, status: 1, registrationDate: 1 }); // Waitlist ordering
+registrationSchema.index({ event: 1, "refund.status": 1 });
 
 export default mongoose.model("Registration", registrationSchema);
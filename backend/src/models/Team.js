@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const teamSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    teamName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    leader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Includes the leader
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    
+    // Shared with teammates so they can join
+    inviteCode: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    
+    // FORMING: waiting for members
+    // COMPLETE: registrations confirmed for every member
+    // DISBANDED: leader dissolved the team
+    status: {
+      type: String,
+      enum: ["FORMING", "COMPLETE", "DISBANDED"],
+      default: "FORMING",
+    },
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+teamSchema.index({ event: 1, status: 1 });
+teamSchema.index({ event: 1, members: 1 });
+teamSchema.index({ event: 1, teamName: 1 });
+
+export default mongoose.model("Team", teamSchema);
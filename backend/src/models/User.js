@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import { ROLES } from "../constants/roles.js";
+import { NOTIFICATION_TYPES } from "./Notification.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -41,6 +42,12 @@ const userSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     }],
+    // How new events from followed organizers are emailed
+    followedEventEmails: {
+      type: String,
+      enum: ["INSTANT", "DAILY"],
+      default: "DAILY",
+    },
     
     // Organizer-specific fields
     organizerName: String, // Display name for the organizer
@@ -51,7 +58,20 @@ const userSchema = new mongoose.Schema(
     description: String,
     contactEmail: String, // Public contact for organizer
     discordWebhook: String, // For Discord integration
-    
+
+    // In-app notification types the user has switched off (see models/Notification.js)
+    mutedNotificationTypes: [{
+      type: String,
+      enum: NOTIFICATION_TYPES,
+    }],
+
+    // Secret part of the user's calendar feed URL (controllers/calendarController.js)
+    calendarToken: {
+      type: String,
+      select: false,
+      index: { unique: true, sparse: true },
+    },
+
     // System fields
     isActive: { type: Boolean, default: true }, // For soft delete/disable
     lastLogin: Date,
@@ -26,4 +26,12 @@ router.get("/password-requests", adminController.getPasswordResetRequests);
 router.post("/password-requests/:id/approve", adminController.approvePasswordResetRequest);
 router.post("/password-requests/:id/reject", adminController.rejectPasswordResetRequest);
 
+// Trending
+router.get("/trending", adminController.getTrendingOverview);
+router.post("/trending/recompute", adminController.recomputeTrending);
+router.put("/events/:id/trending", adminController.updateEventTrending);
+
+// Events
+router.post("/events/:id/cancel", adminController.cancelEvent);
+
 export default router;
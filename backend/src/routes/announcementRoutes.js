@@ -0,0 +1,28 @@
+/**
+ * ANNOUNCEMENT ROUTES
+ * 
+ * Organizer announcements for events
+ */
+
+import express from 'express';
+import * as announcementController from '../controllers/announcementController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Announcements for an event (organizer sees scheduled ones and read counts)
+router.get('/event/:eventId', announcementController.getEventAnnouncements);
+
+// Post or schedule an announcement (organizer only)
+router.post('/event/:eventId', announcementController.createAnnouncement);
+
+// Read receipt
+router.post('/:announcementId/read', announcementController.markAnnouncementRead);
+
+// Cancel or delete an announcement (organizer only)
+router.delete('/:announcementId', announcementController.deleteAnnouncement);
+
+export default router;
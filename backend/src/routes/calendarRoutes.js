@@ -0,0 +1,16 @@
+import express from "express";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { ROLES } from "../constants/roles.js";
+import * as calendarController from "../controllers/calendarController.js";
+
+const router = express.Router();
+
+// Public - calendar apps can't log in (the feed token is the secret)
+router.get("/feed/:token.ics", calendarController.getCalendarFeed);
+router.get("/events/:id.ics", calendarController.getEventCalendar);
+
+// My feed URL
+router.get("/feed", protect, authorize(ROLES.PARTICIPANT, ROLES.ORGANIZER), calendarController.getMyCalendarFeed);
+router.post("/feed/reset", protect, authorize(ROLES.PARTICIPANT, ROLES.ORGANIZER), calendarController.resetMyCalendarFeed);
+
+export default router;
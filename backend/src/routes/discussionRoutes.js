@@ -16,19 +16,49 @@ router.use(protect);
 // Get all discussions for an event
 router.get('/event/:eventId', discussionController.getEventDiscussions);
 
+// People who can be @mentioned
+router.get('/event/:eventId/members', discussionController.getMentionableMembers);
+
+// Unread counter (replaces client-side message counts)
+router.get('/event/:eventId/unread', discussionController.getUnread);
+router.post('/event/:eventId/read', discussionController.markRead);
+
+// Moderation: mutes and log (organizer only)
+router.get('/event/:eventId/mutes', discussionController.getMutes);
+router.post('/event/:eventId/mutes', discussionController.muteParticipant);
+router.delete('/event/:eventId/mutes/:participantId', discussionController.unmuteParticipant);
+router.get('/event/:eventId/moderation-log', discussionController.getModerationLog);
+
 // Post new discussion message
 router.post('/event/:eventId', discussionController.postDiscussion);
 
 // Post reply to a discussion
 router.post('/:discussionId/reply', discussionController.postReply);
 
+// Edit or delete a reply (edits only shortly after posting)
+router.put('/:discussionId/replies/:replyId', discussionController.editReply);
+router.delete('/:discussionId/replies/:replyId', discussionController.deleteReply);
+
 // Toggle like on a discussion
 router.put('/:discussionId/like', discussionController.toggleLike);
 
+// Toggle an emoji reaction on a discussion
+router.put('/:discussionId/react', discussionController.toggleReaction);
+
+// Edit a discussion (author, shortly after posting)
+router.put('/:discussionId', discussionController.editDiscussion);
+
 // Delete a discussion
 router.delete('/:discussionId', discussionController.deleteDiscussion);
 
 // Pin/unpin a discussion (organizer only)
 router.put('/:discussionId/pin', discussionController.togglePin);
 
+// Report a message to the organizer
+router.post('/:discussionId/report', discussionController.reportDiscussion);
+
+// Hide/unhide a message and lock/unlock a thread (organizer only)
+router.put('/:discussionId/hide', discussionController.toggleHide);
+router.put('/:discussionId/lock', discussionController.toggleLock);
+
 export default router;
@@ -47,5 +47,11 @@ router.delete(
   authorize(ROLES.PARTICIPANT),
   registrationController.cancelRegistration
 );
+router.post(
+  "/registrations/:registrationId/refund-request",
+  protect,
+  authorize(ROLES.PARTICIPANT),
+  registrationController.requestRefund
+);
 
 export default router;
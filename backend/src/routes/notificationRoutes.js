@@ -0,0 +1,19 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import * as notificationController from "../controllers/notificationController.js";
+
+const router = express.Router();
+
+// All roles get notifications
+router.use(protect);
+
+// Per-type preferences
+router.get("/preferences", notificationController.getPreferences);
+router.put("/preferences", notificationController.updatePreferences);
+
+// Notification list and read state
+router.get("/", notificationController.getNotifications);
+router.put("/read-all", notificationController.markAllNotificationsRead);
+router.put("/:id/read", notificationController.markNotificationRead);
+
+export default router;
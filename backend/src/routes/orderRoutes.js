@@ -0,0 +1,28 @@
+/**
+ * ORDER ROUTES
+ * 
+ * Merchandise cart checkout and orders
+ */
+
+import express from "express";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { ROLES } from "../constants/roles.js";
+import * as orderController from "../controllers/orderController.js";
+
+const router = express.Router();
+
+// All routes require authentication as participant
+router.use(protect);
+router.use(authorize(ROLES.PARTICIPANT));
+
+// Checkout cart as one order
+router.post("/checkout", orderController.checkout);
+
+// My orders
+router.get("/my", orderController.getMyOrders);
+
+// Order actions
+router.post("/:id/payment-proof", orderController.uploadOrderPaymentProof);
+router.post("/:id/cancel", orderController.cancelOrder);
+
+export default router;
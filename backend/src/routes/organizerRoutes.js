@@ -13,6 +13,11 @@ router.use(authorize(ROLES.ORGANIZER));
 router.get("/profile", organizerController.getProfile);
 router.put("/profile", organizerController.updateProfile);
 
+// Discord webhook (test message, delivery log)
+router.post("/discord/test", organizerController.testDiscordWebhook);
+router.get("/discord/deliveries", organizerController.getDiscordDeliveries);
+router.post("/discord/deliveries/:id/retry", organizerController.retryDiscordDelivery);
+
 // Password reset requests
 router.post("/request-password-reset", organizerController.requestPasswordReset);
 router.get("/password-requests", organizerController.getMyPasswordResetRequests);
@@ -29,17 +34,36 @@ router.delete("/events/:id", organizerController.deleteEvent);
 // Event status changes
 router.post("/events/:id/publish", organizerController.publishEvent);
 router.post("/events/:id/close", organizerController.closeEvent);
+router.post("/events/:id/reopen", organizerController.reopenEvent);
+router.post("/events/:id/cancel", organizerController.cancelEvent);
+router.post("/events/:id/reschedule", organizerController.rescheduleEvent);
 router.post("/events/:id/complete", organizerController.completeEvent);
+router.put("/events/:id/auto-status", organizerController.setAutoStatus);
+router.get("/events/:id/status-history", organizerController.getEventStatusHistory);
 
 // Registrations management
 router.get("/events/:id/registrations", organizerController.getEventRegistrations);
 router.get("/events/:id/export", organizerController.exportRegistrations);
+router.get("/events/:id/teams", organizerController.getEventTeams);
 
 // Merchandise payment approval
 router.post("/registrations/:id/approve", organizerController.approveMerchandisePayment);
 router.post("/registrations/:id/reject", organizerController.rejectMerchandisePayment);
 
+// Refund requests for cancelled paid registrations
+router.post("/registrations/:id/refund/approve", organizerController.approveRefund);
+router.post("/registrations/:id/refund/reject", organizerController.rejectRefund);
+
+// Merchandise cart orders (one payment covers every item)
+router.get("/orders", organizerController.getOrders);
+router.post("/orders/:id/approve", organizerController.approveOrderPayment);
+router.post("/orders/:id/reject", organizerController.rejectOrderPayment);
+
 // Ticket verification (QR scanning)
 router.post("/verify-ticket", organizerController.verifyTicket);
 
+// Offline scanning (download manifest, sync queued scans)
+router.get("/events/:id/scan-manifest", organizerController.getScanManifest);
+router.post("/events/:id/sync-scans", organizerController.syncOfflineScans);
+
 export default router;
@@ -18,6 +18,9 @@ router.put("/preferences", participantController.setPreferences);
 router.get("/registrations", participantController.getMyRegistrations);
 router.get("/upcoming", participantController.getUpcomingEvents);
 
+// Personalized recommendations
+router.get("/recommendations", participantController.getRecommendations);
+
 // Organizers
 router.post("/follow/:organizerId", participantController.toggleFollowOrganizer);
 router.get("/organizers", participantController.getOrganizers);
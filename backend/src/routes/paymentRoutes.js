@@ -0,0 +1,41 @@
+/**
+ * PAYMENT ROUTES
+ * 
+ * Online payments through the payment gateway
+ */
+
+import express from "express";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { ROLES } from "../constants/roles.js";
+import * as paymentController from "../controllers/paymentController.js";
+
+const router = express.Router();
+
+// Provider webhooks (no login - verified by the provider's signature)
+router.post("/webhook/:provider", paymentController.handleWebhook);
+
+// Mock provider checkout page (only when PAYMENT_PROVIDER=mock, never in production)
+router.get("/mock/:providerPaymentId", paymentController.mockCheckoutPage);
+router.post("/mock/:providerPaymentId/complete", paymentController.mockCompletePayment);
+
+// Start an online payment (Participant only)
+router.post(
+  "/registrations/:registrationId",
+  protect,
+  authorize(ROLES.PARTICIPANT),
+  paymentController.createRegistrationPayment
+);
+router.post(
+  "/orders/:orderId",
+  protect,
+  authorize(ROLES.PARTICIPANT),
+  paymentController.createOrderPayment
+);
+router.get(
+  "/:id",
+  protect,
+  authorize(ROLES.PARTICIPANT),
+  paymentController.getPayment
+);
+
+export default router;
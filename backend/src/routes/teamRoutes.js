@@ -0,0 +1,29 @@
+/**
+ * TEAM ROUTES
+ * 
+ * Team registration for team events
+ */
+
+import express from "express";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { ROLES } from "../constants/roles.js";
+import * as teamController from "../controllers/teamController.js";
+
+const router = express.Router();
+
+// All routes require authentication as participant
+router.use(protect);
+router.use(authorize(ROLES.PARTICIPANT));
+
+// Join a team with an invite code
+router.post("/join", teamController.joinTeam);
+
+// Create a team / get my team for an event
+router.post("/event/:eventId", teamController.createTeam);
+router.get("/event/:eventId", teamController.getMyTeam);
+
+// Team actions
+router.post("/:teamId/finalize", teamController.finalizeTeam);
+router.post("/:teamId/leave", teamController.leaveTeam);
+
+export default router;
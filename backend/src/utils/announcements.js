@@ -0,0 +1,110 @@
+/**
+ * ANNOUNCEMENTS - Sends organizer announcements to event registrants
+ *
+ * Purpose: Publish an announcement and email it to every confirmed registrant
+ * Used by:
+ * - announcementController (announcements without a scheduled time go out at once)
+ * - index.js (startAnnouncementScheduler sends scheduled ones when due)
+ *
+ * Flow:
+ * 1. The announcement is claimed atomically (SCHEDULED → SENT) so it is only sent once
+ * 2. It becomes visible on the event page straight away
+ * 3. Emails go out in the background; emailedCount is recorded when they finish
+ */
+
+import mongoose from "mongoose";
+import Announcement from "../models/Announcement.js";
+import Registration from "../models/Registration.js";
+import User from "../models/User.js";
+import { sendAnnouncementEmails } from "./emailService.js";
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Email the announcement to the given registrations - never throws
+ */
+const emailAnnouncement = async (announcement, event, registrations) => {
+  try {
+    const organizer = await User.findById(announcement.organizer).select("organizerName");
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+
+    const { sent } = await sendAnnouncementEmails({
+      recipients: registrations
+        .filter((r) => r.participant?.email)
+        .map((r) => ({
+          to: r.participant.email,
+          participantName: `${r.participant.firstName} ${r.participant.lastName}`,
+        })),
+      eventName: event.eventName,
+      organizerName: organizer?.organizerName || "The organizer",
+      title: announcement.title,
+      message: announcement.message,
+      eventUrl: `${frontendUrl}/events/${event._id}`,
+    });
+
+    await Announcement.updateOne({ _id: announcement._id }, { emailedCount: sent });
+  } catch (error) {
+    console.error(`Announcement ${announcement._id} emails failed:`, error);
+  }
+};
+
+/**
+ * DELIVER ANNOUNCEMENT
+ *
+ * Sends a scheduled announcement whose time has come. Emails are not awaited.
+ *
+ * @param {ObjectId|String} announcementId - Announcement to send
+ * @returns {Object|null} Sent announcement, or null if it wasn't due (or was already sent)
+ */
+export const deliverAnnouncement = async (announcementId) => {
+  const now = new Date();
+  const announcement = await Announcement.findOneAndUpdate(
+    { _id: announcementId, status: "SCHEDULED", scheduledFor: { $lte: now } },
+    { status: "SENT", sentAt: now },
+    { new: true }
+  ).populate("event", "eventName");
+
+  if (!announcement) return null;
+
+  const registrations = await Registration.find({
+    event: announcement.event._id,
+    status: "CONFIRMED",
+  }).populate("participant", "firstName lastName email");
+
+  announcement.recipientCount = registrations.length;
+  await announcement.save();
+
+  emailAnnouncement(announcement, announcement.event, registrations);
+
+  return announcement;
+};
+
+/**
+ * DELIVER DUE ANNOUNCEMENTS
+ *
+ * Sends every scheduled announcement whose time has passed.
+ */
+export const deliverDueAnnouncements = async () => {
+  // Nothing to do until the database is connected
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const due = await Announcement.find({
+      status: "SCHEDULED",
+      scheduledFor: { $lte: new Date() },
+    }).select("_id").limit(50);
+
+    for (const announcement of due) {
+      await deliverAnnouncement(announcement._id);
+    }
+  } catch (error) {
+    console.error("Announcement scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the background scheduler for announcements with a send time
+ */
+export const startAnnouncementScheduler = () => {
+  setInterval(deliverDueAnnouncements, SCHEDULER_INTERVAL_MS).unref();
+};
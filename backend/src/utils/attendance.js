@@ -0,0 +1,105 @@
+/**
+ * ATTENDANCE - Per-session attendance log
+ *
+ * Purpose: Track attendance for each session/day of multi-session events
+ * Used by:
+ * - organizerController.verifyTicket (online scans)
+ * - organizerController.syncOfflineScans (offline scans)
+ *
+ * Rules:
+ * - Events without sessions: a ticket can be scanned once
+ * - Events with sessions: a ticket can be scanned once per session
+ * - The first scan of any session marks the registration attended and counts
+ *   towards event.totalAttendance (unique attendees)
+ */
+
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+
+/**
+ * RESOLVE SESSION
+ *
+ * Works out which session a scan belongs to:
+ * - Event has no sessions → null (single attendance)
+ * - sessionId given → must be one of the event's sessions
+ * - No sessionId → the session running at scan time
+ *
+ * @param {Object} event - Event document
+ * @param {String} sessionId - Session chosen on the scanner (optional)
+ * @param {Date} at - Scan time
+ * @returns {Object} { session } or { error }
+ */
+export const resolveSession = (event, sessionId, at = new Date()) => {
+  if (!event.sessions || event.sessions.length === 0) {
+    return { session: null };
+  }
+
+  if (sessionId) {
+    const session = event.sessions.find((s) => s._id.toString() === sessionId.toString());
+    return session ? { session } : { error: "Session not found for this event" };
+  }
+
+  const scanTime = new Date(at);
+  const current = event.sessions.find(
+    (s) => scanTime >= new Date(s.startTime) && scanTime <= new Date(s.endTime)
+  );
+  return current
+    ? { session: current }
+    : { error: "No session is running right now - select the session you are scanning for" };
+};
+
+/**
+ * FIND ATTENDANCE ENTRY
+ *
+ * @param {Object} registration - Registration document
+ * @param {Object|null} session - Session from resolveSession
+ * @returns {Object|undefined} Log entry for that session, if the ticket was scanned for it
+ */
+export const findAttendanceEntry = (registration, session) => {
+  const sessionId = session ? session._id.toString() : "";
+  return (registration.attendanceLog || []).find(
+    (entry) => (entry.session ? entry.session.toString() : "") === sessionId
+  );
+};
+
+/**
+ * RECORD ATTENDANCE
+ *
+ * Atomically appends an entry to the attendance log. Fails if the ticket was
+ * already scanned for this session (e.g., two gates scanning at the same moment).
+ *
+ * @param {Object} registration - Registration document
+ * @param {Object} entry - { session, scannedAt, markedBy, device, scanId, manual }
+ * @returns {Object|null} Registration as it was before the scan, or null if already scanned
+ */
+export const recordAttendance = async (registration, { session, scannedAt, markedBy, device, scanId, manual = false }) => {
+  const sessionId = session ? session._id : null;
+
+  // Single-session events also check the attended flag (covers tickets scanned before the log existed)
+  const notYetScanned = session
+    ? { attendanceLog: { $not: { $elemMatch: { session: sessionId } } } }
+    : { attended: false };
+
+  const previous = await Registration.findOneAndUpdate(
+    { _id: registration._id, ...notYetScanned },
+    {
+      $push: { attendanceLog: { session: sessionId, scannedAt, markedBy, device, scanId, manual } },
+      $set: { attended: true },
+    }
+  );
+
+  if (!previous) return null;
+
+  // First scan of any session - count the attendee once
+  if (!previous.attended) {
+    await Registration.updateOne(
+      { _id: registration._id },
+      { attendedAt: scannedAt, markedBy }
+    );
+    await Event.findByIdAndUpdate(registration.event._id || registration.event, {
+      $inc: { totalAttendance: 1 },
+    });
+  }
+
+  return previous;
+};
@@ -0,0 +1,163 @@
+/**
+ * CALENDAR - iCalendar (.ics) files for events
+ *
+ * Purpose: Let participants put events in their calendar, and keep those
+ * calendar entries up to date when an event changes
+ * Used by:
+ * - emailService callers (invite attached to every ticket confirmation email)
+ * - eventReschedule (updated invite attached to the reschedule email)
+ * - eventCancellation (CANCEL invite attached to the cancellation email)
+ * - calendarController (single-event download, secret-token subscription feeds
+ *   for participants and organizers)
+ *
+ * Every event has one fixed UID (getEventUid). Calendar apps match on it, so an
+ * .ics with the same UID and a higher SEQUENCE replaces the entry they already
+ * have instead of adding a second one. Event.calendarSequence goes up on every
+ * change that should reach people's calendars.
+ */
+
+import User from "../models/User.js";
+
+const CALENDAR_DOMAIN = "felicity.iiit.ac.in";
+const PRODUCT_ID = "-//Felicity//Event Management//EN";
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Stable calendar UID of an event
+ *
+ * @param {Object} event - Event (or anything with an _id)
+ * @returns {String} e.g. "event-64f1...@felicity.iiit.ac.in"
+ */
+export const getEventUid = (event) => `event-${event._id}@${CALENDAR_DOMAIN}`;
+
+/**
+ * UTC date-time, e.g. 20260314T093000Z
+ */
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escape text values (RFC 5545 section 3.3.11)
+ */
+const escapeText = (text) =>
+  String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Lines longer than 75 octets are folded onto continuation lines starting with a space
+ */
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines lose one octet to the space
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+/**
+ * VEVENT lines for one event
+ */
+const buildEventLines = (event, { organizerName, organizerEmail, url } = {}) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${getEventUid(event)}`,
+    `SEQUENCE:${event.calendarSequence || 0}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.eventStartDate)}`,
+    `DTEND:${formatDate(event.eventEndDate || event.eventStartDate)}`,
+    `SUMMARY:${escapeText(event.eventName)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.venue) lines.push(`LOCATION:${escapeText(event.venue)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizerEmail) {
+    lines.push(`ORGANIZER;CN=${escapeText(organizerName || organizerEmail)}:mailto:${organizerEmail}`);
+  }
+  lines.push(`STATUS:${event.status === "CANCELLED" ? "CANCELLED" : "CONFIRMED"}`);
+  lines.push("END:VEVENT");
+
+  return lines;
+};
+
+/**
+ * BUILD CALENDAR
+ *
+ * @param {Array} entries - [{ event, organizerName, organizerEmail, url }]
+ * @param {Object} options - { method: "PUBLISH" | "REQUEST" | "CANCEL", name } - name is shown for subscribed feeds
+ * @returns {String} .ics file contents
+ */
+export const buildCalendar = (entries, { method = "PUBLISH", name } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const { event, ...details } of entries) {
+    lines.push(...buildEventLines(event, details));
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+/**
+ * GET CALENDAR ENTRY
+ *
+ * Looks up the organizer if the event doesn't have it populated.
+ *
+ * @param {Object} event - Event (organizer populated or an id)
+ * @returns {Object} { event, organizerName, organizerEmail, url } for buildCalendar
+ */
+export const getCalendarEntry = async (event) => {
+  let organizer = event.organizer;
+  if (organizer && !organizer.organizerName) {
+    organizer = await User.findById(organizer).select("organizerName contactEmail");
+  }
+
+  return {
+    event,
+    organizerName: organizer?.organizerName,
+    organizerEmail: organizer?.contactEmail,
+    url: `${getFrontendUrl()}/events/${event._id}`,
+  };
+};
+
+/**
+ * GET EVENT INVITE
+ *
+ * Single-event .ics for an email attachment. REQUEST makes mail clients offer to
+ * add or update the entry; CANCEL (for a cancelled event, after its
+ * calendarSequence went up) removes it. Never throws - an email goes out without
+ * the invite rather than not at all.
+ *
+ * @param {Object} event - Event
+ * @param {Object} options - { method: "REQUEST" | "CANCEL" }
+ * @returns {String|null} .ics file contents
+ */
+export const getEventInvite = async (event, { method = "REQUEST" } = {}) => {
+  try {
+    return buildCalendar([await getCalendarEntry(event)], { method });
+  } catch (error) {
+    console.error("Building calendar invite failed:", error.message);
+    return null;
+  }
+};
@@ -0,0 +1,344 @@
+/**
+ * DISCORD NOTIFIER - Posts event announcements to organizers' Discord webhooks
+ *
+ * Purpose: Keep an organizer's Discord server in sync with their events
+ * Used by:
+ * - organizerController (publish, deadline/limit changes, close, test message)
+ * - discussionController (pinned messages)
+ *
+ * Flow:
+ * 1. Something happens → notify*() builds an embed and logs a DiscordDelivery
+ * 2. The delivery is attempted straight away (never blocks or fails the request)
+ * 3. Rate limits (429), server errors and network errors are retried with backoff
+ *    Other 4xx responses (e.g., deleted webhook) fail at once
+ * 4. Retries run in-process; startDiscordRetryWorker() also picks up retries
+ *    left over from a restart
+ *
+ * Webhook URLs are checked with validateDiscordWebhook (validators.js) - outside
+ * production a local stub server can stand in for Discord.
+ */
+
+import mongoose from "mongoose";
+import DiscordDelivery from "../models/DiscordDelivery.js";
+import User from "../models/User.js";
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_LEASE_MS = 60 * 1000; // A crashed attempt becomes retryable after this
+const WORKER_INTERVAL_MS = 60 * 1000;
+
+// Embed colours
+const COLORS = {
+  EVENT_PUBLISHED: 0x4f46e5,
+  EVENT_UPDATED: 0xf59e0b,
+  EVENT_CLOSED: 0xef4444,
+  MESSAGE_PINNED: 0x10b981,
+  TEST: 0x58b9ff,
+};
+
+/**
+ * Discord limits embed text lengths - cut long text instead of having the message rejected
+ */
+const truncate = (text, max) => {
+  if (!text) return "";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
+
+/**
+ * Discord renders <t:unix:F> in each reader's own timezone
+ */
+const discordTime = (date) => `<t:${Math.floor(new Date(date).getTime() / 1000)}:F>`;
+
+const eventUrl = (event) => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${frontendUrl}/events/${event._id}`;
+};
+
+const buildPayload = (organizer, type, embed) => ({
+  username: truncate(organizer.organizerName || "Felicity", 80),
+  embeds: [
+    {
+      color: COLORS[type],
+      timestamp: new Date().toISOString(),
+      footer: { text: "Felicity Event Management" },
+      ...embed,
+    },
+  ],
+});
+
+/**
+ * Delay before the next attempt - Discord's retry_after wins for rate limits
+ */
+const getRetryDelay = (attempts, retryAfterSeconds) => {
+  if (retryAfterSeconds > 0) {
+    return Math.ceil(retryAfterSeconds * 1000);
+  }
+  return RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)];
+};
+
+/**
+ * POST the payload once
+ * Returns { ok, retryable, statusCode?, retryAfter?, error? }
+ */
+const postToWebhook = async (webhookUrl, payload) => {
+  let response;
+  try {
+    response = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    return { ok: false, retryable: true, error: error.message };
+  }
+
+  if (response.ok) {
+    return { ok: true, statusCode: response.status };
+  }
+
+  const body = await response.text().catch(() => "");
+
+  if (response.status === 429) {
+    let retryAfter = Number(response.headers.get("retry-after"));
+    try {
+      retryAfter = JSON.parse(body).retry_after ?? retryAfter;
+    } catch {
+      // Not JSON - keep the header value
+    }
+    return { ok: false, retryable: true, statusCode: 429, retryAfter, error: "Rate limited by Discord" };
+  }
+
+  return {
+    ok: false,
+    retryable: response.status >= 500,
+    statusCode: response.status,
+    error: truncate(body, 300) || `Discord responded with ${response.status}`,
+  };
+};
+
+/**
+ * ATTEMPT DELIVERY
+ *
+ * Claims the delivery (so two workers never send it twice), posts it and
+ * records the outcome. Schedules an in-process retry when it can be retried.
+ * Never throws.
+ *
+ * @param {ObjectId|String} deliveryId - DiscordDelivery to send
+ * @returns {Object|null} Updated delivery, or null if it wasn't due
+ */
+export const attemptDelivery = async (deliveryId) => {
+  try {
+    const now = new Date();
+    const delivery = await DiscordDelivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        status: "PENDING",
+        $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }],
+      },
+      { $inc: { attempts: 1 }, $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+
+    if (!delivery) return null;
+
+    const organizer = await User.findById(delivery.organizer).select("discordWebhook");
+    const result = organizer?.discordWebhook
+      ? await postToWebhook(organizer.discordWebhook, delivery.payload)
+      : { ok: false, retryable: false, error: "No Discord webhook configured" };
+
+    delivery.lastStatusCode = result.statusCode;
+
+    if (result.ok) {
+      delivery.status = "DELIVERED";
+      delivery.deliveredAt = new Date();
+      delivery.lastError = undefined;
+      delivery.nextAttemptAt = undefined;
+    } else if (result.retryable && delivery.attempts < MAX_ATTEMPTS) {
+      const delay = getRetryDelay(delivery.attempts, result.retryAfter);
+      delivery.lastError = result.error;
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+      setTimeout(() => attemptDelivery(delivery._id), delay).unref();
+    } else {
+      delivery.status = "FAILED";
+      delivery.lastError = result.error;
+      delivery.nextAttemptAt = undefined;
+    }
+
+    await delivery.save();
+
+    if (!result.ok) {
+      console.error(`Discord delivery ${delivery._id} attempt ${delivery.attempts} failed:`, result.error);
+    }
+    return delivery;
+  } catch (error) {
+    console.error("Discord delivery failed:", error);
+    return null;
+  }
+};
+
+/**
+ * NOTIFY DISCORD
+ *
+ * Logs a delivery and sends it. Does nothing if the organizer has no webhook.
+ * Never throws - Discord problems must not break the organizer's action.
+ *
+ * @param {ObjectId|String} organizerId - Organizer whose webhook to post to
+ * @param {Object} options - { type, event, embed }
+ * @returns {Object|null} Delivery after its first attempt
+ */
+export const notifyDiscord = async (organizerId, { type, event, embed }) => {
+  try {
+    const organizer = await User.findById(organizerId).select("organizerName discordWebhook");
+    if (!organizer?.discordWebhook) return null;
+
+    const delivery = await DiscordDelivery.create({
+      organizer: organizer._id,
+      event: event?._id,
+      type,
+      payload: buildPayload(organizer, type, embed),
+    });
+
+    return (await attemptDelivery(delivery._id)) || delivery;
+  } catch (error) {
+    console.error("Discord notification failed:", error);
+    return null;
+  }
+};
+
+/**
+ * Event was published
+ */
+export const notifyEventPublished = (event) => {
+  const fields = [
+    { name: "Starts", value: discordTime(event.eventStartDate), inline: true },
+    { name: "Register by", value: discordTime(event.registrationDeadline), inline: true },
+    { name: "Fee", value: event.registrationFee > 0 ? `₹${event.registrationFee}` : "Free", inline: true },
+  ];
+  if (event.registrationLimit) {
+    fields.push({ name: "Seats", value: String(event.registrationLimit), inline: true });
+  }
+  if (event.eligibility && event.eligibility !== "ALL") {
+    fields.push({ name: "Eligibility", value: event.eligibility.replace("_", " "), inline: true });
+  }
+
+  return notifyDiscord(event.organizer, {
+    type: "EVENT_PUBLISHED",
+    event,
+    embed: {
+      title: truncate(`📢 ${event.eventName}`, 256),
+      url: eventUrl(event),
+      description: truncate(event.description, 1000),
+      fields,
+    },
+  });
+};
+
+/**
+ * Registration deadline or limit changed
+ *
+ * @param {Object} event - Updated event
+ * @param {Object} changes - { registrationDeadline?: { before, after }, registrationLimit?: { before, after } }
+ */
+export const notifyEventUpdated = (event, changes) => {
+  const fields = [];
+  if (changes.registrationDeadline) {
+    const { before, after } = changes.registrationDeadline;
+    fields.push({ name: "Registration deadline", value: `${discordTime(before)} → **${discordTime(after)}**` });
+  }
+  if (changes.registrationLimit) {
+    const { before, after } = changes.registrationLimit;
+    fields.push({ name: "Seats", value: `${before || "Unlimited"} → **${after || "Unlimited"}**` });
+  }
+
+  return notifyDiscord(event.organizer, {
+    type: "EVENT_UPDATED",
+    event,
+    embed: {
+      title: truncate(`✏️ Updated: ${event.eventName}`, 256),
+      url: eventUrl(event),
+      fields,
+    },
+  });
+};
+
+/**
+ * Registrations were closed
+ */
+export const notifyEventClosed = (event) => {
+  return notifyDiscord(event.organizer, {
+    type: "EVENT_CLOSED",
+    event,
+    embed: {
+      title: truncate(`🔒 Registrations closed: ${event.eventName}`, 256),
+      url: eventUrl(event),
+      description: `Registrations are closed. The event starts ${discordTime(event.eventStartDate)}.`,
+    },
+  });
+};
+
+/**
+ * Organizer pinned a discussion message
+ *
+ * @param {Object} event - Event the discussion belongs to
+ * @param {Object} discussion - Pinned message (participant populated)
+ */
+export const notifyMessagePinned = (event, discussion) => {
+  const poster = discussion.participant;
+  const author = poster?.organizerName || `${poster?.firstName || ""} ${poster?.lastName || ""}`.trim();
+
+  return notifyDiscord(event.organizer, {
+    type: "MESSAGE_PINNED",
+    event,
+    embed: {
+      title: truncate(`📌 Pinned in ${event.eventName}`, 256),
+      url: `${eventUrl(event)}/discussion`,
+      description: truncate(discussion.message, 2000),
+      ...(author && { author: { name: truncate(author, 256) } }),
+    },
+  });
+};
+
+/**
+ * Test message from the organizer profile
+ */
+export const sendTestMessage = (organizerId) => {
+  return notifyDiscord(organizerId, {
+    type: "TEST",
+    embed: {
+      title: "✅ Webhook connected",
+      description: "Your events will be posted here when you publish, update or close them.",
+    },
+  });
+};
+
+/**
+ * RETRY DUE DELIVERIES
+ *
+ * Sends every pending delivery whose retry time has passed.
+ */
+export const retryDueDeliveries = async () => {
+  // Nothing to do until the database is connected
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const due = await DiscordDelivery.find({
+      status: "PENDING",
+      $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: new Date() } }],
+    }).select("_id").limit(50);
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery._id);
+    }
+  } catch (error) {
+    console.error("Discord retry sweep failed:", error);
+  }
+};
+
+/**
+ * Start the background retry sweep (picks up retries scheduled before a restart)
+ */
+export const startDiscordRetryWorker = () => {
+  setInterval(retryDueDeliveries, WORKER_INTERVAL_MS).unref();
+};
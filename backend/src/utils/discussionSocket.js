@@ -0,0 +1,288 @@
+/**
+ * DISCUSSION SOCKET - Real-time event discussions over Socket.IO
+ *
+ * Purpose: Push discussion changes to open pages instead of having them poll
+ * Used by:
+ * - index.js (attaches Socket.IO to the HTTP server)
+ * - discussionController (broadcasts posts, replies, likes, edits, pins, moderation and deletes)
+ *
+ * Connecting: io(API_URL, { auth: { token: <JWT> } }) - the same token as the REST API
+ *
+ * Client → server:
+ * - discussion:join  (eventId, ack)  Open the discussion page - receives live updates, marks it read
+ * - discussion:leave (eventId)       Leave the page - marks it read
+ * - discussion:watch (eventId, ack)  Only get discussion:activity (for unread badges)
+ * - discussion:typing ({ eventId, isTyping })
+ * - discussion:read  (eventId)       Mark as read (e.g., after receiving a message on the open page)
+ *
+ * Server → client (room "event:<id>"):
+ * - discussion:created { discussion }
+ * - discussion:reply   { discussionId, reply }
+ * - discussion:like    { discussionId, likes }
+ * - discussion:react   { discussionId, reactions }
+ * - discussion:edit    { discussionId, message, mentions, editedAt }
+ * - discussion:reply-edit    { discussionId, replyId, message, mentions, editedAt }
+ * - discussion:reply-deleted { discussionId, replyId }
+ * - discussion:pin     { discussionId, isPinned }
+ * - discussion:hide    { discussionId, isHidden, discussion? } - discussion is sent when unhidden
+ * - discussion:lock    { discussionId, isLocked }
+ * - discussion:deleted { discussionId }
+ * - discussion:typing  { eventId, userId, name, isTyping }
+ * Server → client (room "watch:<id>"):
+ * - discussion:activity { eventId } - refetch the unread count
+ * Server → client (room "user:<id>", joined on connect):
+ * - notification:new { notification } - see utils/notifications.js
+ */
+
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { Server } from "socket.io";
+import Discussion from "../models/Discussion.js";
+import DiscussionRead from "../models/DiscussionRead.js";
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+
+let io = null;
+
+const eventRoom = (eventId) => `event:${eventId}`;
+const watchRoom = (eventId) => `watch:${eventId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * CAN ACCESS DISCUSSION
+ *
+ * Organizers of the event, staff and participants with a confirmed registration
+ * (same rule as the discussion REST endpoints)
+ *
+ * @param {Object} event - Event document
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean}
+ */
+export const canAccessDiscussion = async (event, user) => {
+  if (event.organizer.toString() === user._id.toString()) return true;
+  if (user.role !== ROLES.PARTICIPANT) return true;
+
+  const registration = await Registration.exists({
+    event: event._id,
+    participant: user._id,
+    status: "CONFIRMED",
+  });
+  return !!registration;
+};
+
+/**
+ * MARK DISCUSSION READ
+ *
+ * @param {ObjectId|String} eventId - Event whose discussion was read
+ * @param {ObjectId|String} userId - Reader
+ */
+export const markDiscussionRead = (eventId, userId) => {
+  return DiscussionRead.findOneAndUpdate(
+    { event: eventId, user: userId },
+    { lastReadAt: new Date() },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * GET UNREAD COUNT
+ *
+ * Posts and replies by other people since the user last read the discussion.
+ * Users who never opened it see everything as unread. Hidden messages don't count.
+ *
+ * @param {ObjectId|String} eventId - Event
+ * @param {ObjectId|String} userId - Reader
+ * @returns {Number} Unread posts + replies
+ */
+export const getUnreadCount = async (eventId, userId) => {
+  const read = await DiscussionRead.findOne({ event: eventId, user: userId });
+  const since = read?.lastReadAt || new Date(0);
+  const reader = new mongoose.Types.ObjectId(String(userId));
+
+  const [result] = await Discussion.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(String(eventId)), isHidden: { $ne: true } } },
+    {
+      $project: {
+        unread: {
+          $add: [
+            { $cond: [{ $and: [{ $gt: ["$createdAt", since] }, { $ne: ["$participant", reader] }] }, 1, 0] },
+            {
+              $size: {
+                $filter: {
+                  input: "$replies",
+                  as: "reply",
+                  cond: { $and: [{ $gt: ["$$reply.createdAt", since] }, { $ne: ["$$reply.participant", reader] }] },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $group: { _id: null, unread: { $sum: "$unread" } } },
+  ]);
+
+  return result?.unread || 0;
+};
+
+/**
+ * EMIT DISCUSSION EVENT
+ *
+ * Sends an update to everyone on the event's discussion page. New posts and
+ * replies also tell badge watchers to refresh their unread count.
+ * Does nothing if Socket.IO isn't running (e.g., scripts).
+ *
+ * @param {ObjectId|String} eventId - Event the discussion belongs to
+ * @param {String} type - created | reply | like | react | edit | reply-edit | reply-deleted | pin | hide | lock | deleted
+ * @param {Object} payload - Event data
+ */
+export const emitDiscussionEvent = (eventId, type, payload) => {
+  if (!io) return;
+
+  io.to(eventRoom(eventId)).emit(`discussion:${type}`, payload);
+
+  if (type === "created" || type === "reply") {
+    io.to(watchRoom(eventId)).emit("discussion:activity", { eventId: String(eventId) });
+  }
+};
+
+/**
+ * EMIT TO USER
+ *
+ * Sends an event to every open tab of one user. Does nothing if Socket.IO isn't running.
+ *
+ * @param {ObjectId|String} userId - Recipient
+ * @param {String} name - Socket event name
+ * @param {Object} payload - Event data
+ */
+export const emitToUser = (userId, name, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit(name, payload);
+};
+
+/**
+ * Load the event and check access - returns the event or null
+ */
+const authorizeEvent = async (socket, eventId) => {
+  if (!mongoose.isValidObjectId(eventId)) return null;
+
+  const event = await Event.findById(eventId).select("organizer");
+  if (!event || !(await canAccessDiscussion(event, socket.data.user))) return null;
+  return event;
+};
+
+/**
+ * Authenticate the connection with the JWT from the handshake
+ */
+const authenticate = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return next(new Error("Not authorized"));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select("firstName lastName organizerName role");
+    if (!user) {
+      return next(new Error("User not found"));
+    }
+
+    socket.data.user = user;
+    socket.data.openEvents = new Set(); // Discussion pages this socket has open
+    next();
+  } catch (error) {
+    next(new Error("Not authorized"));
+  }
+};
+
+const handleConnection = (socket) => {
+  const user = socket.data.user;
+  const name = user.organizerName || `${user.firstName} ${user.lastName}`;
+
+  // Personal notifications
+  socket.join(userRoom(user._id));
+
+  socket.on("discussion:join", async (eventId, ack = () => {}) => {
+    try {
+      const event = await authorizeEvent(socket, eventId);
+      if (!event) {
+        return ack({ success: false, message: "You must be registered for this event to view discussions" });
+      }
+
+      socket.join(eventRoom(eventId));
+      socket.data.openEvents.add(String(eventId));
+      await markDiscussionRead(eventId, user._id);
+      ack({ success: true });
+    } catch (error) {
+      console.error("Discussion join failed:", error);
+      ack({ success: false, message: "Failed to join discussion" });
+    }
+  });
+
+  socket.on("discussion:leave", async (eventId) => {
+    if (!socket.data.openEvents.delete(String(eventId))) return;
+
+    socket.leave(eventRoom(eventId));
+    socket.to(eventRoom(eventId)).emit("discussion:typing", { eventId, userId: user._id, name, isTyping: false });
+    await markDiscussionRead(eventId, user._id).catch((error) => console.error("Mark read failed:", error));
+  });
+
+  socket.on("discussion:watch", async (eventId, ack = () => {}) => {
+    try {
+      const event = await authorizeEvent(socket, eventId);
+      if (!event) {
+        return ack({ success: false });
+      }
+
+      socket.join(watchRoom(eventId));
+      ack({ success: true, unread: await getUnreadCount(eventId, user._id) });
+    } catch (error) {
+      console.error("Discussion watch failed:", error);
+      ack({ success: false });
+    }
+  });
+
+  socket.on("discussion:typing", ({ eventId, isTyping } = {}) => {
+    // Only people on the page can type
+    if (!socket.data.openEvents.has(String(eventId))) return;
+
+    socket.to(eventRoom(eventId)).emit("discussion:typing", {
+      eventId,
+      userId: user._id,
+      name,
+      isTyping: !!isTyping,
+    });
+  });
+
+  socket.on("discussion:read", async (eventId) => {
+    if (!socket.data.openEvents.has(String(eventId))) return;
+    await markDiscussionRead(eventId, user._id).catch((error) => console.error("Mark read failed:", error));
+  });
+
+  // Closing the tab counts as reading up to now
+  socket.on("disconnect", async () => {
+    for (const eventId of socket.data.openEvents) {
+      socket.to(eventRoom(eventId)).emit("discussion:typing", { eventId, userId: user._id, name, isTyping: false });
+      await markDiscussionRead(eventId, user._id).catch((error) => console.error("Mark read failed:", error));
+    }
+  });
+};
+
+/**
+ * INIT DISCUSSION SOCKET
+ *
+ * @param {Object} httpServer - Node HTTP server running the Express app
+ * @returns {Object} Socket.IO server
+ */
+export const initDiscussionSocket = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: { origin: "*" }, // Same as the REST API
+  });
+
+  io.use(authenticate);
+  io.on("connection", handleConnection);
+
+  return io;
+};
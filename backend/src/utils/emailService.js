@@ -68,6 +68,18 @@ const createTransporter = async () => {
   }
 };
 
+/**
+ * Calendar invite as a mail attachment (none if there is no invite)
+ *
+ * @param {String|null} calendarInvite - .ics contents
+ * @param {String} method - METHOD the invite was built with (REQUEST or CANCEL)
+ * @returns {Array} nodemailer attachments
+ */
+const calendarAttachment = (calendarInvite, method = "REQUEST") =>
+  calendarInvite
+    ? [{ filename: "event.ics", content: calendarInvite, contentType: `text/calendar; charset=utf-8; method=${method}` }]
+    : [];
+
 /**
  * SEND REGISTRATION CONFIRMATION EMAIL
  * 
@@ -81,6 +93,7 @@ const createTransporter = async () => {
  * @param {String} options.ticketId - Unique ticket ID
  * @param {String} options.qrCode - Base64 encoded QR code image
  * @param {Date} options.eventDate - Event date and time
+ * @param {String} options.calendarInvite - .ics contents to attach (optional, utils/calendar.js getEventInvite)
  * 
  * Returns: Email sending info (messageId, etc.)
  * Throws: Error if email fails to send
@@ -92,6 +105,7 @@ export const sendRegistrationEmail = async ({
   ticketId,
   qrCode,
   eventDate,
+  calendarInvite,
 }) => {
   try {
     const transporter = await createTransporter();
@@ -127,6 +141,7 @@ export const sendRegistrationEmail = async ({
           </div>
           
           <p>Please save this email or take a screenshot of the QR code for entry at the event.</p>
+          ${calendarInvite ? "<p>Open the attached invite to add the event to your calendar.</p>" : ""}
           
           <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
           
@@ -136,6 +151,7 @@ export const sendRegistrationEmail = async ({
           </p>
         </div>
       `,
+      attachments: calendarAttachment(calendarInvite),
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -211,3 +227,597 @@ export const sendOrganizerCredentials = async ({
     throw new Error("Failed to send credentials email");
   }
 };
+
+/**
+ * SEND REFUND STATUS EMAIL
+ *
+ * Purpose: Tell the participant whether their refund request was approved or rejected
+ * When called: After the organizer processes a refund request
+ *
+ * @param {Object} options - Email options
+ * @param {String} options.to - Recipient email address
+ * @param {String} options.participantName - Name of the participant
+ * @param {String} options.eventName - Name of the event
+ * @param {Boolean} options.approved - Whether the refund was approved
+ * @param {Number} options.amount - Refunded amount (approved)
+ * @param {String} options.reference - Refund transaction reference (approved)
+ * @param {String} options.reason - Rejection reason (rejected)
+ */
+export const sendRefundStatusEmail = async ({
+  to,
+  participantName,
+  eventName,
+  approved,
+  amount,
+  reference,
+  reason,
+}) => {
+  try {
+    const transporter = await createTransporter();
+
+    const details = approved
+      ? `
+          <div style="background-color: #D1FAE5; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10B981;">
+            <p><strong>Amount refunded:</strong> ₹${amount}</p>
+            ${reference ? `<p><strong>Reference:</strong> ${reference}</p>` : ""}
+          </div>
+        `
+      : `
+          <div style="background-color: #FEE2E2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #EF4444;">
+            <p><strong>Reason:</strong> ${reason}</p>
+          </div>
+        `;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+      to,
+      subject: `Refund ${approved ? "Approved" : "Rejected"}: ${eventName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4F46E5;">Refund ${approved ? "Approved" : "Rejected"}</h2>
+
+          <p>Dear ${participantName},</p>
+
+          <p>Your refund request for <strong>${eventName}</strong> has been ${approved ? "approved" : "rejected"} by the organizer.</p>
+
+          ${details}
+
+          <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
+
+          <p style="font-size: 12px; color: #6B7280;">
+            If you have questions about this refund, please contact the event organizer.
+          </p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log("✅ Refund status email sent:", info.messageId);
+    return info;
+  } catch (error) {
+    console.error("❌ Email sending error:", error);
+    throw new Error("Failed to send refund email");
+  }
+};
+
+/**
+ * Send "seat reserved - payment required" email
+ *
+ * Sent when a seat of a paid event is reserved without a direct registration
+ * (waitlist promotion, completed team). The ticket follows once the payment is approved.
+ *
+ * @param {Object} options
+ * @param {String} options.to - Participant's email address
+ * @param {String} options.participantName - Participant's full name
+ * @param {String} options.eventName - Name of the event
+ * @param {Number} options.amount - Registration fee to pay
+ * @param {Date} options.eventDate - Event date and time
+ */
+export const sendPaymentRequiredEmail = async ({
+  to,
+  participantName,
+  eventName,
+  amount,
+  eventDate,
+}) => {
+  try {
+    const transporter = await createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+      to,
+      subject: `Seat Reserved - Payment Required: ${eventName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4F46E5;">Your Seat Is Reserved! 🎉</h2>
+
+          <p>Dear ${participantName},</p>
+
+          <p>A seat for <strong>${eventName}</strong> has been reserved for you.</p>
+
+          <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p><strong>Registration fee:</strong> ₹${amount}</p>
+            <p><strong>Date:</strong> ${new Date(eventDate).toLocaleDateString("en-IN", {
+              weekday: "long",
+              year: "numeric",
+              month: "long",
+              day: "numeric",
+            })}</p>
+          </div>
+
+          <p>Pay online or upload your payment proof in <strong>My Registrations</strong>. Your ticket will be emailed once the payment is approved.</p>
+
+          <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
+
+          <p style="font-size: 12px; color: #6B7280;">
+            If you no longer want the seat, cancel the registration so it goes to the next person.
+          </p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log("✅ Payment required email sent:", info.messageId);
+    return info;
+  } catch (error) {
+    console.error("❌ Email sending error:", error);
+    throw new Error("Failed to send payment required email");
+  }
+};
+
+/**
+ * Escape organizer-written text before putting it in an email
+ */
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Send an event announcement to its registrants
+ *
+ * One email per recipient over a single connection (announcements can go to
+ * hundreds of people). A failed recipient doesn't stop the rest.
+ *
+ * @param {Object} options
+ * @param {Array} options.recipients - [{ to, participantName }]
+ * @param {String} options.eventName - Name of the event
+ * @param {String} options.organizerName - Organizer sending the announcement
+ * @param {String} options.title - Announcement title
+ * @param {String} options.message - Announcement text (plain text)
+ * @param {String} options.eventUrl - Link to the event page
+ *
+ * Returns: { sent, failed } counts
+ */
+export const sendAnnouncementEmails = async ({
+  recipients,
+  eventName,
+  organizerName,
+  title,
+  message,
+  eventUrl,
+}) => {
+  const transporter = await createTransporter();
+  const body = escapeHtml(message).replace(/\n/g, "<br/>");
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const { to, participantName } of recipients) {
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+        to,
+        subject: `📢 ${eventName}: ${title}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4F46E5;">📢 ${escapeHtml(title)}</h2>
+
+            <p>Dear ${participantName},</p>
+
+            <p>${escapeHtml(organizerName)} posted an announcement for <strong>${eventName}</strong>:</p>
+
+            <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #4F46E5;">
+              <p>${body}</p>
+            </div>
+
+            <p><a href="${eventUrl}" style="color: #4F46E5;">View the event</a></p>
+
+            <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
+
+            <p style="font-size: 12px; color: #6B7280;">
+              You're receiving this because you are registered for this event.
+            </p>
+          </div>
+        `,
+      });
+      sent++;
+    } catch (error) {
+      console.error(`❌ Announcement email to ${to} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  console.log(`✅ Announcement emails sent: ${sent} (${failed} failed)`);
+  return { sent, failed };
+};
+
+/**
+ * Send "event cancelled" emails to every registrant
+ *
+ * Attaches a calendar cancellation (same UID as the invite in their ticket email),
+ * which removes the event from their calendar.
+ * Over a single connection; a failed recipient doesn't stop the rest.
+ *
+ * @param {Object} options
+ * @param {Array} options.recipients - [{ to, participantName, ticketId, refundAmount }]
+ * @param {String} options.eventName - Event name
+ * @param {String} options.organizerName - Organizer name
+ * @param {Date} options.eventDate - Event start date
+ * @param {String} options.reason - Why the event was cancelled
+ * @param {String} options.calendarInvite - CANCEL .ics contents (utils/calendar.js getEventInvite)
+ *
+ * Returns: { sent, failed } counts
+ */
+export const sendEventCancelledEmails = async ({
+  recipients,
+  eventName,
+  organizerName,
+  eventDate,
+  reason,
+  calendarInvite,
+}) => {
+  const transporter = await createTransporter();
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const { to, participantName, ticketId, refundAmount } of recipients) {
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+        to,
+        subject: `❌ Cancelled: ${eventName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #DC2626;">❌ ${escapeHtml(eventName)} has been cancelled</h2>
+
+            <p>Dear ${participantName},</p>
+
+            <p>
+              ${escapeHtml(organizerName)} has cancelled <strong>${escapeHtml(eventName)}</strong>,
+              which was scheduled for ${new Date(eventDate).toLocaleString("en-IN")}.
+            </p>
+
+            <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Reason:</strong></p>
+              <p style="white-space: pre-wrap;">${escapeHtml(reason)}</p>
+            </div>
+
+            <p>
+              Your registration${ticketId ? ` (ticket <strong>${ticketId}</strong>)` : ""} has been cancelled
+              and its QR code will no longer be accepted.
+            </p>
+
+            ${refundAmount > 0 ? `
+            <p>
+              A full refund of <strong>₹${refundAmount}</strong> has been queued.
+              You can follow its status in My Registrations.
+            </p>
+            ` : ""}
+
+            ${calendarInvite ? "<p>Open the attached calendar update to remove the event from your calendar.</p>" : ""}
+
+            <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
+
+            <p style="font-size: 12px; color: #6B7280;">
+              You're receiving this because you registered for this event.
+            </p>
+          </div>
+        `,
+        attachments: calendarAttachment(calendarInvite, "CANCEL"),
+      });
+      sent++;
+    } catch (error) {
+      console.error(`❌ Cancellation email to ${to} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  console.log(`✅ Cancellation emails sent: ${sent} (${failed} failed)`);
+  return { sent, failed };
+};
+
+/**
+ * Send "event rescheduled" emails to every registrant
+ *
+ * Lists each date that changed (before → after) and attaches the updated
+ * calendar invite, which replaces the entry already in their calendar (same UID).
+ * Confirmed tickets were re-signed for the new dates, so their new QR code is
+ * included - the one in the confirmation email no longer scans.
+ * Over a single connection; a failed recipient doesn't stop the rest.
+ *
+ * @param {Object} options
+ * @param {Array} options.recipients - [{ to, participantName, ticketId, qrCode }] - qrCode only for reissued tickets
+ * @param {String} options.eventName - Event name
+ * @param {String} options.organizerName - Organizer name
+ * @param {Array} options.changes - [{ label, before, after }] dates that changed
+ * @param {String} options.reason - Why the event was rescheduled
+ * @param {Date} options.graceUntil - Until when they can cancel for a full refund
+ * @param {String} options.calendarInvite - .ics contents (utils/calendar.js getEventInvite)
+ * @param {String} options.eventUrl - Link to the event page
+ *
+ * Returns: { sent, failed } counts
+ */
+export const sendEventRescheduledEmails = async ({
+  recipients,
+  eventName,
+  organizerName,
+  changes,
+  reason,
+  graceUntil,
+  calendarInvite,
+  eventUrl,
+}) => {
+  const transporter = await createTransporter();
+
+  const rows = changes
+    .map(
+      ({ label, before, after }) => `
+        <tr>
+          <td style="padding: 8px 12px;"><strong>${label}</strong></td>
+          <td style="padding: 8px 12px; color: #6B7280; text-decoration: line-through;">${new Date(before).toLocaleString("en-IN")}</td>
+          <td style="padding: 8px 12px; color: #059669;"><strong>${new Date(after).toLocaleString("en-IN")}</strong></td>
+        </tr>
+      `
+    )
+    .join("");
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const { to, participantName, ticketId, qrCode } of recipients) {
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+        to,
+        subject: `📅 Rescheduled: ${eventName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4F46E5;">📅 ${escapeHtml(eventName)} has been rescheduled</h2>
+
+            <p>Dear ${participantName},</p>
+
+            <p>${escapeHtml(organizerName)} has changed the dates of <strong>${escapeHtml(eventName)}</strong>.</p>
+
+            <table style="width: 100%; border-collapse: collapse; background-color: #F3F4F6; border-radius: 8px; margin: 20px 0;">
+              <tr>
+                <th style="padding: 8px 12px; text-align: left;"></th>
+                <th style="padding: 8px 12px; text-align: left;">Was</th>
+                <th style="padding: 8px 12px; text-align: left;">Now</th>
+              </tr>
+              ${rows}
+            </table>
+
+            ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ""}
+
+            ${qrCode ? `
+              <div style="background-color: #FEF3C7; padding: 15px; border-radius: 8px; margin: 20px 0;">
+                <p style="margin: 0;">
+                  <strong>Your ticket has a new QR code.</strong> The QR code in your earlier
+                  confirmation email no longer scans - use this one (also in My Registrations).
+                </p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <p><strong>Ticket ID:</strong> ${ticketId}</p>
+                <img src="${qrCode}" alt="Ticket QR Code" style="max-width: 250px; border: 2px solid #E5E7EB; border-radius: 8px; padding: 10px;"/>
+                <p style="font-size: 12px; color: #6B7280;">Show this QR code at the event venue</p>
+              </div>
+            ` : ""}
+
+            <p>
+              If you can no longer attend, you can cancel from My Registrations until
+              <strong>${new Date(graceUntil).toLocaleString("en-IN")}</strong> and get a full refund
+              of anything you paid.
+            </p>
+
+            ${calendarInvite ? "<p>The attached calendar invite updates the entry already in your calendar.</p>" : ""}
+
+            <p><a href="${eventUrl}" style="color: #4F46E5;">View the event</a></p>
+
+            <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
+
+            <p style="font-size: 12px; color: #6B7280;">
+              You're receiving this because you registered for this event.
+            </p>
+          </div>
+        `,
+        attachments: calendarAttachment(calendarInvite),
+      });
+      sent++;
+    } catch (error) {
+      console.error(`❌ Reschedule email to ${to} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  console.log(`✅ Reschedule emails sent: ${sent} (${failed} failed)`);
+  return { sent, failed };
+};
+
+/**
+ * Send "you were mentioned" email
+ *
+ * Sent when someone @mentions a registrant or the organizer in an event discussion
+ *
+ * @param {Object} options
+ * @param {String} options.to - Mentioned person's email address
+ * @param {String} options.recipientName - Mentioned person's name
+ * @param {String} options.authorName - Who mentioned them
+ * @param {String} options.eventName - Name of the event
+ * @param {String} options.excerpt - Start of the message (plain text)
+ * @param {String} options.discussionUrl - Link to the event discussion
+ */
+export const sendMentionEmail = async ({
+  to,
+  recipientName,
+  authorName,
+  eventName,
+  excerpt,
+  discussionUrl,
+}) => {
+  try {
+    const transporter = await createTransporter();
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+      to,
+      subject: `${authorName} mentioned you in ${eventName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4F46E5;">You were mentioned 💬</h2>
+
+          <p>Dear ${recipientName},</p>
+
+          <p><strong>${escapeHtml(authorName)}</strong> mentioned you in the <strong>${eventName}</strong> discussion:</p>
+
+          <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #4F46E5;">
+            <p>${escapeHtml(excerpt)}</p>
+          </div>
+
+          <p><a href="${discussionUrl}" style="color: #4F46E5;">Open the discussion</a></p>
+        </div>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log("✅ Mention email sent:", info.messageId);
+    return info;
+  } catch (error) {
+    console.error("❌ Email sending error:", error);
+    throw new Error("Failed to send mention email");
+  }
+};
+
+/**
+ * Send "new event from an organizer you follow" emails
+ *
+ * Goes to followers who chose instant delivery, over a single connection.
+ * A failed recipient doesn't stop the rest.
+ *
+ * @param {Object} options
+ * @param {Array} options.recipients - [{ to, participantName }]
+ * @param {String} options.organizerName - Organizer who published the event
+ * @param {String} options.eventName - Name of the event
+ * @param {Date} options.eventDate - Event start date and time
+ * @param {Date} options.registrationDeadline - Last day to register
+ * @param {String} options.eventUrl - Link to the event page
+ *
+ * Returns: { sent, failed } counts
+ */
+export const sendNewEventEmails = async ({
+  recipients,
+  organizerName,
+  eventName,
+  eventDate,
+  registrationDeadline,
+  eventUrl,
+}) => {
+  const transporter = await createTransporter();
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const { to, participantName } of recipients) {
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+        to,
+        subject: `🆕 ${organizerName} published ${eventName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4F46E5;">🆕 New event from ${escapeHtml(organizerName)}</h2>
+
+            <p>Dear ${participantName},</p>
+
+            <p>An organizer you follow just published <strong>${escapeHtml(eventName)}</strong>.</p>
+
+            <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Starts:</strong> ${new Date(eventDate).toLocaleString("en-IN")}</p>
+              <p><strong>Register by:</strong> ${new Date(registrationDeadline).toLocaleString("en-IN")}</p>
+            </div>
+
+            <p><a href="${eventUrl}" style="color: #4F46E5;">View the event</a></p>
+
+            <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
+
+            <p style="font-size: 12px; color: #6B7280;">
+              You're receiving this because you follow ${escapeHtml(organizerName)}.
+              Switch to a daily digest on the Follow Organizers page.
+            </p>
+          </div>
+        `,
+      });
+      sent++;
+    } catch (error) {
+      console.error(`❌ New event email to ${to} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  console.log(`✅ New event emails sent: ${sent} (${failed} failed)`);
+  return { sent, failed };
+};
+
+/**
+ * Send the daily digest of events published by followed organizers
+ *
+ * @param {Object} options
+ * @param {String} options.to - Participant's email address
+ * @param {String} options.participantName - Participant's full name
+ * @param {Array} options.events - [{ eventName, organizerName, eventDate, eventUrl }]
+ */
+export const sendFollowerDigestEmail = async ({ to, participantName, events }) => {
+  try {
+    const transporter = await createTransporter();
+
+    const rows = events
+      .map(
+        (event) => `
+          <div style="background-color: #F3F4F6; padding: 16px 20px; border-radius: 8px; margin: 12px 0;">
+            <p style="margin: 0 0 6px;"><strong>${escapeHtml(event.eventName)}</strong> by ${escapeHtml(event.organizerName)}</p>
+            <p style="margin: 0 0 6px; color: #6B7280;">Starts ${new Date(event.eventDate).toLocaleString("en-IN")}</p>
+            <a href="${event.eventUrl}" style="color: #4F46E5;">View the event</a>
+          </div>
+        `
+      )
+      .join("");
+
+    const info = await transporter.sendMail({
+      from: process.env.EMAIL_FROM || "Felicity <noreply@felicity.iiit.ac.in>",
+      to,
+      subject: `🗓️ ${events.length} new event${events.length !== 1 ? "s" : ""} from organizers you follow`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4F46E5;">Your daily event digest</h2>
+
+          <p>Dear ${participantName},</p>
+
+          <p>Organizers you follow published these events since your last digest:</p>
+
+          ${rows}
+
+          <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;"/>
+
+          <p style="font-size: 12px; color: #6B7280;">
+            Prefer an email as soon as an event is published? Switch to instant emails on the Follow Organizers page.
+          </p>
+        </div>
+      `,
+    });
+
+    console.log("✅ Follower digest email sent:", info.messageId);
+    return info;
+  } catch (error) {
+    console.error("❌ Email sending error:", error);
+    throw new Error("Failed to send follower digest email");
+  }
+};
@@ -0,0 +1,275 @@
+/**
+ * EVENT CANCELLATION - Cancel an event and everyone's registration for it
+ *
+ * Purpose: One place that takes an event to CANCELLED and settles its registrations
+ * Used by:
+ * - organizerController (POST /api/organizer/events/:id/cancel)
+ * - adminController (POST /api/admin/events/:id/cancel)
+ * - index.js (startCancellationScheduler finishes sweeps that were cut short)
+ *
+ * Flow:
+ * 1. Event → CANCELLED through the status state machine (logged with who and why)
+ * 2. Every pending, confirmed or waitlisted registration → CANCELLED, and its QR
+ *    code is removed so verifyTicket and offline scans reject it
+ * 3. Paid registrations get a full refund request, so they show up in the
+ *    organizer's refund queue like any other refund (cancellation policy doesn't apply)
+ * 4. Unpaid cart orders left with nothing but cancelled items are cancelled too
+ * 5. Registrants get an in-app notification and an email with the reason, with a
+ *    calendar cancellation that removes the event from their calendar
+ * 6. A summary is saved on Event.cancellation for the organizer's report
+ *
+ * CANCELLED is final, so steps 2-6 must be able to run again: if the sweep stops
+ * partway (crash, database error), Event.cancellation.completedAt stays unset and
+ * the scheduler re-runs it. Each run only touches registrations that are still
+ * active and adds its counts to the report.
+ */
+
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import Order from "../models/Order.js";
+import Registration from "../models/Registration.js";
+import { transitionEvent } from "./eventLifecycle.js";
+import { notifyUsers } from "./notifications.js";
+import { sendEventCancelledEmails } from "./emailService.js";
+import { getEventInvite } from "./calendar.js";
+
+const ACTIVE_STATUSES = ["PENDING", "CONFIRMED", "WAITLISTED"];
+const SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_AFTER_MS = 10 * 60 * 1000; // Leave a sweep that may still be running alone
+const BATCH_SIZE = 20;
+
+/**
+ * Cancel the event's active registrations
+ *
+ * @returns {Object} { cancelled: [registration], counts }
+ */
+const cancelRegistrations = async (event, reason) => {
+  const now = new Date();
+  const registrations = await Registration.find({
+    event: event._id,
+    status: { $in: ACTIVE_STATUSES },
+  })
+    .populate("participant", "firstName lastName email")
+    .select("participant ticketId order status paymentStatus amountPaid refund qrToken");
+
+  const counts = {
+    confirmedCancelled: 0,
+    pendingCancelled: 0,
+    waitlistCancelled: 0,
+    ticketsInvalidated: 0,
+    refundCount: 0,
+    refundTotal: 0,
+  };
+  const cancelled = [];
+
+  for (const registration of registrations) {
+    const update = { $set: { status: "CANCELLED", cancelledAt: now }, $unset: { qrToken: "", qrCode: "" } };
+    if (registration.paymentStatus !== "PAID") {
+      update.$set.paymentStatus = "UNPAID"; // Payment proofs awaiting approval can't be approved anymore
+    }
+
+    const refundAmount = registration.paymentStatus === "PAID" && registration.amountPaid > 0 && !registration.refund?.status
+      ? registration.amountPaid
+      : 0;
+    if (refundAmount > 0) {
+      update.$set.refund = {
+        status: "REQUESTED",
+        reason: `Event cancelled: ${reason}`,
+        requestedAt: now,
+        refundPercent: 100,
+        amount: refundAmount,
+      };
+    }
+
+    // Skip registrations that changed since they were read
+    const result = await Registration.updateOne(
+      { _id: registration._id, status: registration.status, paymentStatus: registration.paymentStatus },
+      update
+    );
+    if (result.modifiedCount === 0) continue;
+
+    cancelled.push({ registration, refundAmount });
+    if (registration.status === "CONFIRMED") counts.confirmedCancelled++;
+    else if (registration.status === "PENDING") counts.pendingCancelled++;
+    else counts.waitlistCancelled++;
+    if (registration.qrToken) counts.ticketsInvalidated++;
+    if (refundAmount > 0) {
+      counts.refundCount++;
+      counts.refundTotal += refundAmount;
+    }
+  }
+
+  return { cancelled, counts };
+};
+
+/**
+ * Cancel unpaid cart orders whose items are now all cancelled
+ *
+ * @returns {Number} Orders cancelled
+ */
+const cancelEmptyOrders = async (orderIds) => {
+  let ordersCancelled = 0;
+
+  for (const orderId of orderIds) {
+    const hasActiveItem = await Registration.exists({ order: orderId, status: { $ne: "CANCELLED" } });
+    if (hasActiveItem) continue;
+
+    const result = await Order.updateOne(
+      { _id: orderId, paymentStatus: { $ne: "PAID" }, status: { $in: ["PENDING", "REJECTED"] } },
+      { status: "CANCELLED", paymentStatus: "UNPAID" }
+    );
+    ordersCancelled += result.modifiedCount;
+  }
+
+  return ordersCancelled;
+};
+
+/**
+ * CANCEL EVENT
+ *
+ * @param {Object} event - Event document
+ * @param {Object} change - { source: "ORGANIZER" | "ADMIN", actor, note } - note is the reason shown to registrants
+ * @returns {Object|null} Event with its cancellation report, or null if the
+ *   event's status changed in the meantime
+ */
+export const cancelEvent = async (event, { source, actor, note }) => {
+  const cancelledEvent = await transitionEvent(event, "CANCELLED", { source, actor, note });
+  if (!cancelledEvent) return null;
+
+  // Saved first so a re-run of the sweep knows the reason
+  const withReason = await Event.findByIdAndUpdate(
+    cancelledEvent._id,
+    {
+      $set: {
+        "cancellation.reason": note,
+        "cancellation.cancelledAt": new Date(),
+        "cancellation.cancelledBy": actor,
+        "cancellation.cancelledByRole": source,
+      },
+      $inc: { calendarSequence: 1 }, // The cancellation replaces the invite people already have
+    },
+    { new: true }
+  );
+
+  return settleCancellation(withReason);
+};
+
+/**
+ * SETTLE CANCELLATION
+ *
+ * Cancels, refunds and notifies every registration still active on a CANCELLED
+ * event, then adds the counts to its report. Safe to run more than once.
+ *
+ * @param {Object} event - CANCELLED event document
+ * @returns {Object} Event with its updated cancellation report
+ */
+const settleCancellation = async (event) => {
+  const note = event.cancellation?.reason || "Event cancelled";
+
+  const { cancelled, counts } = await cancelRegistrations(event, note);
+
+  const orderIds = [...new Set(
+    cancelled
+      .map(({ registration }) => registration.order?.toString())
+      .filter(Boolean)
+  )];
+  const ordersCancelled = await cancelEmptyOrders(orderIds);
+
+  const participants = cancelled
+    .map(({ registration }) => registration.participant)
+    .filter(Boolean);
+
+  await notifyUsers(
+    participants.map((participant) => participant._id),
+    {
+      type: "EVENT_CANCELLED",
+      title: "Event cancelled",
+      message: `${event.eventName} has been cancelled. Reason: ${note}`,
+      link: "/registrations",
+      event: event._id,
+    }
+  );
+
+  // Emails must not undo a cancellation that already happened
+  let emails = { sent: 0, failed: 0 };
+  const recipients = cancelled
+    .filter(({ registration }) => registration.participant?.email)
+    .map(({ registration, refundAmount }) => ({
+      to: registration.participant.email,
+      participantName: `${registration.participant.firstName} ${registration.participant.lastName}`,
+      ticketId: registration.ticketId,
+      refundAmount,
+    }));
+  if (recipients.length > 0) {
+    try {
+      const { organizer } = await event.populate("organizer", "organizerName contactEmail");
+      emails = await sendEventCancelledEmails({
+        recipients,
+        eventName: event.eventName,
+        organizerName: organizer?.organizerName || "The organizer",
+        eventDate: event.eventStartDate,
+        reason: note,
+        calendarInvite: await getEventInvite(event, { method: "CANCEL" }),
+      });
+    } catch (emailError) {
+      console.error("Cancellation emails failed:", emailError);
+      emails = { sent: 0, failed: recipients.length };
+    }
+  }
+
+  const report = { ...counts, ordersCancelled, emailsSent: emails.sent, emailsFailed: emails.failed };
+  return Event.findByIdAndUpdate(
+    event._id,
+    {
+      $inc: Object.fromEntries(Object.entries(report).map(([field, value]) => [`cancellation.${field}`, value])),
+      $set: { "cancellation.completedAt": new Date() },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Finish cancellations whose sweep never completed - never throws
+ */
+const resumeCancellations = async () => {
+  // Nothing to do until the database is connected
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const events = await Event.find({
+      status: "CANCELLED",
+      "cancellation.completedAt": { $exists: false },
+      $or: [
+        { "cancellation.cancelledAt": { $lte: new Date(Date.now() - RETRY_AFTER_MS) } },
+        { "cancellation.cancelledAt": { $exists: false } },
+      ],
+    }).limit(BATCH_SIZE);
+
+    for (const event of events) {
+      const settled = await settleCancellation(event);
+      console.log(`🔁 ${event.eventName}: finished cancellation (${describeCancellation(settled.cancellation)})`);
+    }
+  } catch (error) {
+    console.error("Cancellation scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the background scheduler that finishes interrupted cancellations
+ */
+export const startCancellationScheduler = () => {
+  setInterval(resumeCancellations, SCHEDULER_INTERVAL_MS).unref();
+};
+
+/**
+ * One-line summary of a cancellation report, for API responses
+ *
+ * @param {Object} cancellation - Event.cancellation
+ * @returns {String}
+ */
+export const describeCancellation = (cancellation) => {
+  const registrations = cancellation.confirmedCancelled + cancellation.pendingCancelled + cancellation.waitlistCancelled;
+  return `Event cancelled. ${registrations} registration(s) cancelled, ` +
+    `${cancellation.refundCount} refund(s) of ₹${cancellation.refundTotal} queued, ` +
+    `${cancellation.emailsSent} email(s) sent${cancellation.emailsFailed ? ` (${cancellation.emailsFailed} failed)` : ""}.`;
+};
@@ -0,0 +1,248 @@
+/**
+ * EVENT LIFECYCLE - Status changes, with a scheduler that applies them automatically
+ *
+ * Purpose: Keep event status in line with the calendar instead of relying on the
+ * organizer to close and complete every event by hand
+ * Used by:
+ * - organizerController (manual publish/close/reopen/complete, auto-status opt-out, status history)
+ * - eventCancellation (cancel event)
+ * - index.js (startLifecycleScheduler)
+ *
+ * Every status change goes through transitionEvent, which only allows the moves
+ * listed in EVENT_STATUS_TRANSITIONS.
+ *
+ * Scheduler rules (events with autoStatus turned off are skipped):
+ * - PUBLISHED → CLOSED     when registrationDeadline passes, or registrationLimit is reached on
+ *                          an event without a waitlist (a full waitlist event stays open so
+ *                          people can keep joining the waitlist until the deadline)
+ * - CLOSED → PUBLISHED     when the scheduler closed it for capacity before the deadline and
+ *                          seats freed up, or the event takes a waitlist
+ * - PUBLISHED/CLOSED → ONGOING   at eventStartDate
+ * - PUBLISHED/CLOSED/ONGOING → COMPLETED   at eventEndDate
+ *
+ * Every change, manual or automatic, is written to EventStatusLog.
+ */
+
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import EventStatusLog from "../models/EventStatusLog.js";
+import { notifyEventClosed } from "./discordNotifier.js";
+
+const LIFECYCLE_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Events registerForEvent puts on the waitlist when full (individual normal events)
+const TAKES_WAITLIST = { eventType: "NORMAL", isTeamEvent: { $ne: true } };
+
+/**
+ * Whether a full event keeps taking registrations as waitlist entries
+ *
+ * @param {Object} event - Event
+ * @returns {Boolean}
+ */
+export const takesWaitlist = (event) => event.eventType === "NORMAL" && !event.isTeamEvent;
+
+/**
+ * Legal status changes: current status → statuses it may move to
+ * COMPLETED and CANCELLED are final.
+ */
+export const EVENT_STATUS_TRANSITIONS = {
+  DRAFT: ["PUBLISHED"],
+  PUBLISHED: ["CLOSED", "ONGOING", "COMPLETED", "CANCELLED"],
+  CLOSED: ["PUBLISHED", "ONGOING", "COMPLETED", "CANCELLED"], // → PUBLISHED reopens registrations
+  ONGOING: ["COMPLETED", "CANCELLED"],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+/**
+ * GET TRANSITION ERROR
+ *
+ * @param {Object} event - Event (its status is the current one)
+ * @param {String} to - Requested status
+ * @returns {String|null} Why the change isn't allowed, or null if it is
+ */
+export const getTransitionError = (event, to) => {
+  const from = event.status;
+  if (from === to) return `Event is already ${to}`;
+
+  const allowed = EVENT_STATUS_TRANSITIONS[from] || [];
+  if (allowed.includes(to)) {
+    if (to === "COMPLETED" && new Date(event.eventEndDate) > new Date()) {
+      return "Cannot complete an event before it has ended";
+    }
+    return null;
+  }
+
+  return allowed.length > 0
+    ? `Cannot change a ${from} event to ${to} (allowed: ${allowed.join(", ")})`
+    : `Cannot change a ${from} event - ${from} is final`;
+};
+
+/**
+ * TRANSITION EVENT
+ *
+ * Changes the status only if it is still what the caller saw, so the scheduler
+ * and an organizer acting at the same moment can't both apply a change.
+ * Callers check getTransitionError first to give the user a clear message;
+ * an illegal change reaching this point is a bug and throws.
+ *
+ * @param {Object} event - Event document (its current status is the expected one)
+ * @param {String} to - New status
+ * @param {Object} change - { source: "ORGANIZER" | "ADMIN" | "SCHEDULER", actor, reason, note }
+ * @returns {Object|null} Updated event, or null if the status had already changed
+ */
+export const transitionEvent = async (event, to, { source, actor, reason, note } = {}) => {
+  const from = event.status;
+
+  const transitionError = getTransitionError(event, to);
+  if (transitionError) {
+    throw new Error(transitionError);
+  }
+
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, status: from },
+    { status: to },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await EventStatusLog.create({ event: event._id, from, to, source, actor, reason, note });
+  return updated;
+};
+
+/**
+ * GET STATUS HISTORY
+ *
+ * @param {ObjectId|String} eventId - Event
+ * @returns {Array} Status changes, newest first
+ */
+export const getStatusHistory = (eventId) => {
+  return EventStatusLog.find({ event: eventId })
+    .populate("actor", "firstName lastName organizerName")
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Move every matching event to the given status
+ *
+ * @returns {Number} Events changed
+ */
+const applyRule = async (query, to, reason, afterChange) => {
+  const events = await Event.find({ ...query, autoStatus: { $ne: false } }).limit(BATCH_SIZE);
+  let changed = 0;
+
+  for (const event of events) {
+    const updated = await transitionEvent(event, to, { source: "SCHEDULER", reason });
+    if (!updated) continue;
+
+    changed++;
+    console.log(`🔁 ${updated.eventName}: ${event.status} → ${to} (${reason})`);
+    if (afterChange) afterChange(updated);
+  }
+
+  return changed;
+};
+
+/**
+ * Closed-for-capacity events still before the deadline that have seats again,
+ * or that take a waitlist (closed before waitlist events stayed open)
+ */
+const reopenFreedEvents = async (now) => {
+  const candidates = await Event.find({
+    status: "CLOSED",
+    autoStatus: { $ne: false },
+    registrationDeadline: { $gt: now },
+    eventStartDate: { $gt: now },
+    $or: [
+      { registrationLimit: { $gt: 0 }, $expr: { $lt: ["$currentRegistrations", "$registrationLimit"] } },
+      TAKES_WAITLIST,
+    ],
+  }).limit(BATCH_SIZE);
+
+  let changed = 0;
+  for (const event of candidates) {
+    // Only undo the scheduler's own capacity close - an organizer's close stays
+    const lastChange = await EventStatusLog.findOne({ event: event._id }).sort({ createdAt: -1 });
+    if (lastChange?.source !== "SCHEDULER" || lastChange.reason !== "CAPACITY_REACHED") continue;
+
+    const full = event.registrationLimit > 0 && event.currentRegistrations >= event.registrationLimit;
+    const reason = full ? "WAITLIST_OPEN" : "SEATS_AVAILABLE";
+    const updated = await transitionEvent(event, "PUBLISHED", { source: "SCHEDULER", reason });
+    if (updated) {
+      changed++;
+      console.log(`🔁 ${updated.eventName}: CLOSED → PUBLISHED (${reason})`);
+    }
+  }
+
+  return changed;
+};
+
+/**
+ * RUN LIFECYCLE
+ *
+ * Applies every rule once. Later stages come first so an event that is long
+ * over goes straight to COMPLETED instead of stepping through each status.
+ *
+ * @returns {Number} Events changed
+ */
+export const runLifecycle = async () => {
+  const now = new Date();
+  let changed = 0;
+
+  changed += await applyRule(
+    { status: { $in: ["PUBLISHED", "CLOSED", "ONGOING"] }, eventEndDate: { $lte: now } },
+    "COMPLETED",
+    "EVENT_ENDED"
+  );
+
+  changed += await applyRule(
+    { status: { $in: ["PUBLISHED", "CLOSED"] }, eventStartDate: { $lte: now } },
+    "ONGOING",
+    "EVENT_STARTED"
+  );
+
+  changed += await applyRule(
+    { status: "PUBLISHED", registrationDeadline: { $lte: now } },
+    "CLOSED",
+    "DEADLINE_PASSED",
+    notifyEventClosed
+  );
+
+  changed += await applyRule(
+    {
+      status: "PUBLISHED",
+      registrationLimit: { $gt: 0 },
+      $expr: { $gte: ["$currentRegistrations", "$registrationLimit"] },
+      $nor: [TAKES_WAITLIST],
+    },
+    "CLOSED",
+    "CAPACITY_REACHED",
+    notifyEventClosed
+  );
+
+  changed += await reopenFreedEvents(now);
+
+  return changed;
+};
+
+/**
+ * Run the lifecycle if the database is connected - never throws
+ */
+const runLifecycleJob = async () => {
+  // Nothing to do until the database is connected
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    await runLifecycle();
+  } catch (error) {
+    console.error("Event lifecycle scheduler failed:", error);
+  }
+};
+
+/**
+ * Start the background scheduler for automatic status changes
+ */
+export const startLifecycleScheduler = () => {
+  setInterval(runLifecycleJob, LIFECYCLE_INTERVAL_MS).unref();
+};
@@ -0,0 +1,192 @@
+/**
+ * EVENT RESCHEDULE - Move a published event to new dates
+ *
+ * Purpose: Change the dates of an event people already registered for, and tell them
+ * Used by:
+ * - organizerController (POST /api/organizer/events/:id/reschedule)
+ *
+ * Flow:
+ * 1. New dates are saved with the old ones in Event.reschedules; sessions move by
+ *    the same amount as the start date; calendarSequence goes up
+ * 2. QR codes are re-signed (their expiry follows the event end date) - the old
+ *    ones stop scanning, and offline scan manifests must be downloaded again
+ * 3. Registrants get an in-app notification and an email listing what changed,
+ *    with their new QR code and an updated calendar invite (same UID, so it
+ *    replaces the old entry)
+ * 4. Until graceUntil, anyone who registered before the change can cancel for a
+ *    full refund (utils/refunds.js)
+ */
+
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import { signTicketPayload, generateQRCode } from "./ticketGenerator.js";
+import { notifyUsers } from "./notifications.js";
+import { sendEventRescheduledEmails } from "./emailService.js";
+import { getEventInvite } from "./calendar.js";
+
+const ACTIVE_STATUSES = ["PENDING", "CONFIRMED", "WAITLISTED"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days registrants have to cancel for a full refund (never past the new start)
+ */
+const getGraceDays = () => Number(process.env.RESCHEDULE_GRACE_DAYS) || 7;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+const DATE_LABELS = {
+  eventStartDate: "Starts",
+  eventEndDate: "Ends",
+  registrationDeadline: "Registration closes",
+};
+
+/**
+ * SHIFT SESSIONS
+ *
+ * @param {Array} sessions - Event sessions
+ * @param {Number} shift - Milliseconds to move them by
+ * @returns {Array} Sessions at their new times
+ */
+export const shiftSessions = (sessions, shift) =>
+  (sessions || []).map((session) => ({
+    _id: session._id,
+    name: session.name,
+    startTime: new Date(new Date(session.startTime).getTime() + shift),
+    endTime: new Date(new Date(session.endTime).getTime() + shift),
+  }));
+
+/**
+ * Re-sign the QR codes of confirmed tickets for the new dates
+ *
+ * @returns {Map} Registration ID → new QR code image, for each ticket reissued
+ */
+const reissueTickets = async (event, registrations) => {
+  const reissued = new Map();
+
+  for (const registration of registrations) {
+    if (registration.status !== "CONFIRMED" || !registration.qrToken || !registration.participant) continue;
+
+    const qrToken = signTicketPayload({
+      ticketId: registration.ticketId,
+      participantId: registration.participant._id.toString(),
+      participantName: `${registration.participant.firstName} ${registration.participant.lastName}`,
+      eventId: event._id.toString(),
+      eventName: event.eventName,
+      eventDate: event.eventStartDate,
+      eventEndDate: event.eventEndDate,
+    });
+    const qrCode = await generateQRCode(qrToken);
+
+    const result = await Registration.updateOne(
+      { _id: registration._id, status: "CONFIRMED", qrToken: registration.qrToken },
+      { qrToken, qrCode }
+    );
+    if (result.modifiedCount > 0) reissued.set(registration._id.toString(), qrCode);
+  }
+
+  return reissued;
+};
+
+/**
+ * RESCHEDULE EVENT
+ *
+ * Dates (and the shifted sessions) must already be validated by the caller.
+ *
+ * @param {Object} event - Event document (PUBLISHED or CLOSED)
+ * @param {Object} change - { eventStartDate, eventEndDate, registrationDeadline, reason, actor }
+ * @returns {Object|null} { event, reschedule, ticketsReissued }, or null if the
+ *   event changed in the meantime
+ */
+export const rescheduleEvent = async (event, { eventStartDate, eventEndDate, registrationDeadline, reason, actor }) => {
+  const now = new Date();
+  const previous = {
+    eventStartDate: event.eventStartDate,
+    eventEndDate: event.eventEndDate,
+    registrationDeadline: event.registrationDeadline,
+  };
+  const next = { eventStartDate, eventEndDate, registrationDeadline };
+
+  const sessions = shiftSessions(event.sessions, new Date(eventStartDate) - new Date(previous.eventStartDate));
+
+  const graceUntil = new Date(Math.min(now.getTime() + getGraceDays() * DAY_MS, new Date(eventStartDate).getTime()));
+
+  const updated = await Event.findOneAndUpdate(
+    // Same guard as transitionEvent - nobody changed the status or dates since the caller read them
+    { _id: event._id, status: event.status, eventStartDate: previous.eventStartDate },
+    {
+      $set: { ...next, sessions },
+      $inc: { calendarSequence: 1 },
+      $push: {
+        reschedules: { previous, ...next, reason, rescheduledBy: actor, rescheduledAt: now, graceUntil },
+      },
+    },
+    { new: true }
+  ).populate("organizer", "organizerName contactEmail");
+  if (!updated) return null;
+
+  const reschedule = updated.reschedules[updated.reschedules.length - 1];
+
+  const registrations = await Registration.find({
+    event: updated._id,
+    status: { $in: ACTIVE_STATUSES },
+  })
+    .populate("participant", "firstName lastName email")
+    .select("participant ticketId status qrToken");
+
+  const newQRCodes = await reissueTickets(updated, registrations);
+
+  const participants = registrations.map((registration) => registration.participant).filter(Boolean);
+
+  const changes = Object.keys(DATE_LABELS)
+    .filter((field) => new Date(previous[field]).getTime() !== new Date(next[field]).getTime())
+    .map((field) => ({ label: DATE_LABELS[field], before: previous[field], after: next[field] }));
+
+  const notifiedCount = await notifyUsers(
+    participants.map((participant) => participant._id),
+    {
+      type: "EVENT_RESCHEDULED",
+      title: "Event rescheduled",
+      message: `${updated.eventName} now starts ${new Date(eventStartDate).toLocaleString("en-IN")}. ` +
+        `Can't make it? Cancel by ${graceUntil.toLocaleString("en-IN")} for a full refund.`,
+      link: "/registrations",
+      event: updated._id,
+    }
+  );
+
+  // Emails must not undo a reschedule that already happened
+  let emails = { sent: 0, failed: 0 };
+  const recipients = registrations
+    .filter((registration) => registration.participant?.email)
+    .map((registration) => ({
+      to: registration.participant.email,
+      participantName: `${registration.participant.firstName} ${registration.participant.lastName}`,
+      ticketId: registration.ticketId,
+      qrCode: newQRCodes.get(registration._id.toString()),
+    }));
+  if (recipients.length > 0) {
+    try {
+      const eventUrl = `${getFrontendUrl()}/events/${updated._id}`;
+      emails = await sendEventRescheduledEmails({
+        recipients,
+        eventName: updated.eventName,
+        organizerName: updated.organizer?.organizerName || "The organizer",
+        changes,
+        reason,
+        graceUntil,
+        calendarInvite: await getEventInvite(updated),
+        eventUrl,
+      });
+    } catch (emailError) {
+      console.error("Reschedule emails failed:", emailError);
+    }
+  }
+
+  await Event.updateOne(
+    { _id: updated._id, "reschedules._id": reschedule._id },
+    { $set: { "reschedules.$.notifiedCount": notifiedCount, "reschedules.$.emailsSent": emails.sent } }
+  );
+  reschedule.notifiedCount = notifiedCount;
+  reschedule.emailsSent = emails.sent;
+
+  return { event: updated, reschedule, ticketsReissued: newQRCodes.size };
+};
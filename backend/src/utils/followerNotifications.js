@@ -0,0 +1,192 @@
+/**
+ * FOLLOWER NOTIFICATIONS - Tells followers when an organizer publishes an event
+ *
+ * Purpose: Make following an organizer more than a browse filter
+ * Used by:
+ * - organizerController (publishEvent)
+ * - index.js (startFollowerDigestScheduler sends the daily digests)
+ *
+ * Flow:
+ * 1. Every follower gets an in-app notification (unless they turned NEW_EVENT off)
+ * 2. Followers with followedEventEmails = INSTANT are emailed right away (in the background)
+ * 3. The rest get a FollowerDigestItem, emailed once a day at FOLLOWER_DIGEST_HOUR
+ * 4. The counts are stored on event.followerNotification for the organizer dashboard
+ */
+
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import FollowerDigestItem from "../models/FollowerDigestItem.js";
+import User from "../models/User.js";
+import { sendNewEventEmails, sendFollowerDigestEmail } from "./emailService.js";
+import { notifyUsers } from "./notifications.js";
+
+const DIGEST_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastDigestDay = null; // Date string of the last digest run (one run per day)
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Local hour (0-23) at which daily digests go out
+ */
+const getDigestHour = () => {
+  const hour = parseInt(process.env.FOLLOWER_DIGEST_HOUR, 10);
+  return hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+/**
+ * Email instant-delivery followers - never throws
+ */
+const emailInstantFollowers = async (event, organizer, followers) => {
+  try {
+    const { sent } = await sendNewEventEmails({
+      recipients: followers.map((follower) => ({
+        to: follower.email,
+        participantName: `${follower.firstName} ${follower.lastName}`,
+      })),
+      organizerName: organizer.organizerName,
+      eventName: event.eventName,
+      eventDate: event.eventStartDate,
+      registrationDeadline: event.registrationDeadline,
+      eventUrl: `${getFrontendUrl()}/events/${event._id}`,
+    });
+
+    await Event.updateOne({ _id: event._id }, { $inc: { "followerNotification.emailedCount": sent } });
+  } catch (error) {
+    console.error(`New event emails for ${event._id} failed:`, error);
+  }
+};
+
+/**
+ * NOTIFY FOLLOWERS
+ *
+ * Instant emails are not awaited.
+ *
+ * @param {Object} event - The event that was just published
+ * @param {Object} organizer - Organizer who published it
+ * @returns {Object} event.followerNotification
+ */
+export const notifyFollowers = async (event, organizer) => {
+  const followers = await User.find({
+    followedOrganizers: organizer._id,
+    role: "participant",
+    isActive: { $ne: false },
+  }).select("firstName lastName email followedEventEmails");
+
+  const inAppCount = await notifyUsers(followers.map((follower) => follower._id), {
+    type: "NEW_EVENT",
+    title: `New event from ${organizer.organizerName}`,
+    message: event.eventName,
+    link: `/events/${event._id}`,
+    event: event._id,
+  });
+
+  const instant = followers.filter((follower) => follower.followedEventEmails === "INSTANT");
+  const daily = followers.filter((follower) => follower.followedEventEmails !== "INSTANT");
+
+  if (daily.length > 0) {
+    await FollowerDigestItem.insertMany(
+      daily.map((follower) => ({ participant: follower._id, event: event._id, organizer: organizer._id }))
+    );
+  }
+
+  const followerNotification = {
+    notifiedAt: new Date(),
+    followerCount: followers.length,
+    inAppCount,
+    instantEmailCount: instant.length,
+    digestCount: daily.length,
+    emailedCount: 0,
+  };
+  await Event.updateOne({ _id: event._id }, { followerNotification });
+
+  if (instant.length > 0) {
+    emailInstantFollowers(event, organizer, instant);
+  }
+
+  return followerNotification;
+};
+
+/**
+ * SEND DAILY DIGESTS
+ *
+ * One email per participant with every event queued for them. Items are claimed
+ * before sending so a digest is never sent twice. Events that are no longer
+ * published (e.g., cancelled) are left out.
+ *
+ * @returns {Number} Digest emails sent
+ */
+export const sendDailyDigests = async () => {
+  const participantIds = await FollowerDigestItem.distinct("participant", { sentAt: null });
+  let sentCount = 0;
+
+  for (const participantId of participantIds) {
+    try {
+      const items = await FollowerDigestItem.find({ participant: participantId, sentAt: null });
+      const claimed = await FollowerDigestItem.updateMany(
+        { _id: { $in: items.map((item) => item._id) }, sentAt: null },
+        { sentAt: new Date() }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const participant = await User.findById(participantId).select("firstName lastName email isActive");
+      if (!participant || participant.isActive === false) continue;
+
+      const events = await Event.find({
+        _id: { $in: items.map((item) => item.event) },
+        status: "PUBLISHED",
+      })
+        .populate("organizer", "organizerName")
+        .sort({ eventStartDate: 1 });
+      if (events.length === 0) continue;
+
+      await sendFollowerDigestEmail({
+        to: participant.email,
+        participantName: `${participant.firstName} ${participant.lastName}`,
+        events: events.map((event) => ({
+          eventName: event.eventName,
+          organizerName: event.organizer?.organizerName || "An organizer",
+          eventDate: event.eventStartDate,
+          eventUrl: `${getFrontendUrl()}/events/${event._id}`,
+        })),
+      });
+
+      await Event.updateMany(
+        { _id: { $in: events.map((event) => event._id) } },
+        { $inc: { "followerNotification.emailedCount": 1 } }
+      );
+      sentCount++;
+    } catch (error) {
+      console.error(`Follower digest for ${participantId} failed:`, error.message);
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * Send the day's digests once the digest hour is reached
+ */
+const runDigestIfDue = async () => {
+  // Nothing to do until the database is connected
+  if (mongoose.connection.readyState !== 1) return;
+
+  const now = new Date();
+  const today = now.toDateString();
+  if (now.getHours() < getDigestHour() || lastDigestDay === today) return;
+
+  lastDigestDay = today;
+  try {
+    const sent = await sendDailyDigests();
+    if (sent > 0) console.log(`🗓️ Sent ${sent} follower digest email(s)`);
+  } catch (error) {
+    console.error("Follower digest run failed:", error);
+  }
+};
+
+/**
+ * Start the background scheduler for daily follower digests
+ */
+export const startFollowerDigestScheduler = () => {
+  setInterval(runDigestIfDue, DIGEST_CHECK_INTERVAL_MS).unref();
+};
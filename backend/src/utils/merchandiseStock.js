@@ -0,0 +1,257 @@
+/**
+ * MERCHANDISE STOCK - Per-variant inventory for merchandise events
+ *
+ * Purpose: Reserve stock when a purchase is made and give it back if the purchase fails
+ * Used by:
+ * - registrationController (purchase, payment proof resubmission, cancellation)
+ * - orderController (cart checkout, order payment proof, order cancellation)
+ * - paymentController (online payment for a purchase or order)
+ * - organizerController (payment approval / rejection)
+ *
+ * Flow:
+ * 1. Participant picks size/color/variant → matching variant is found
+ * 2. reserveStock() atomically takes the quantity out of that variant's stock
+ * 3. Payment rejected or purchase cancelled → releaseStock() puts it back
+ *
+ * Events without variants use merchandise.stockQuantity as a single pool.
+ */
+
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+
+/**
+ * FIND VARIANT
+ *
+ * Matches the buyer's selection against the event's variants.
+ * A variant field that is not set matches only an empty selection, so
+ * "M / Black" and "M / White" are tracked separately.
+ *
+ * @param {Object} event - Merchandise event
+ * @param {Object} selection - { size, color, variant }
+ * @returns {Object|null} Matching variant, or null if the combination isn't sold
+ */
+export const findVariant = (event, { size, color, variant }) => {
+  const variants = event.merchandise?.variants || [];
+  return (
+    variants.find(
+      (v) =>
+        (v.size || "") === (size || "") &&
+        (v.color || "") === (color || "") &&
+        (v.name || "") === (variant || "")
+    ) || null
+  );
+};
+
+/**
+ * GET PURCHASED QUANTITY
+ *
+ * Items a participant already holds for an event (pending or confirmed),
+ * used to enforce merchandise.purchaseLimit across several purchases/orders.
+ *
+ * @param {ObjectId} participantId - Buyer
+ * @param {ObjectId} eventId - Merchandise event
+ * @returns {Number} Total quantity
+ */
+export const getPurchasedQuantity = async (participantId, eventId) => {
+  const purchases = await Registration.find({
+    participant: participantId,
+    event: eventId,
+    status: { $in: ["CONFIRMED", "PENDING"] },
+  }).select("merchandiseDetails.quantity");
+
+  return purchases.reduce((sum, p) => sum + (p.merchandiseDetails?.quantity || 1), 0);
+};
+
+/**
+ * CHECK PURCHASE LIMIT ON APPROVAL
+ *
+ * A rejected purchase stops counting towards the limit (its stock is released),
+ * so the participant can buy more and then resubmit proof for the rejected one.
+ * Approval therefore checks again against what they already have confirmed.
+ *
+ * @param {Array} registrations - Registrations confirmed together (event populated)
+ * @returns {String|null} Error message, or null if within the limit
+ */
+export const checkPurchaseLimitOnApproval = async (registrations) => {
+  const byEvent = new Map();
+  for (const registration of registrations) {
+    if (registration.registrationType !== "MERCHANDISE") continue;
+
+    const key = registration.event._id.toString();
+    const entry = byEvent.get(key) || {
+      event: registration.event,
+      participant: registration.participant._id || registration.participant,
+      quantity: 0,
+      ids: [],
+    };
+    entry.quantity += registration.merchandiseDetails?.quantity || 1;
+    entry.ids.push(registration._id);
+    byEvent.set(key, entry);
+  }
+
+  for (const { event, participant, quantity, ids } of byEvent.values()) {
+    const limit = event.merchandise?.purchaseLimit;
+    if (!limit) continue;
+
+    const confirmed = await Registration.find({
+      participant,
+      event: event._id,
+      status: "CONFIRMED",
+      _id: { $nin: ids },
+    }).select("merchandiseDetails.quantity");
+    const held = confirmed.reduce((sum, p) => sum + (p.merchandiseDetails?.quantity || 1), 0);
+
+    if (held + quantity > limit) {
+      return `${event.eventName}: maximum ${limit} items per person (participant already has ${held} confirmed)`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * GET UNIT PRICE
+ *
+ * @param {Object} event - Merchandise event
+ * @param {Object|null} variant - Chosen variant
+ * @returns {Number} Price for one item
+ */
+export const getUnitPrice = (event, variant) => {
+  return variant && variant.price != null ? variant.price : event.registrationFee || 0;
+};
+
+/**
+ * RESERVE STOCK
+ *
+ * Atomically takes `quantity` items out of stock, only if enough are left,
+ * so two buyers can never both get the last unit.
+ *
+ * @param {ObjectId} eventId - Merchandise event
+ * @param {ObjectId|null} variantId - Variant to take stock from (null = stockQuantity pool)
+ * @param {Number} quantity - Number of items
+ * @returns {Boolean} True if the stock was reserved
+ */
+export const reserveStock = async (eventId, variantId, quantity) => {
+  const filter = variantId
+    ? {
+        _id: eventId,
+        "merchandise.variants": { $elemMatch: { _id: variantId, stock: { $gte: quantity } } },
+      }
+    : { _id: eventId, "merchandise.stockQuantity": { $gte: quantity } };
+
+  const update = variantId
+    ? { $inc: { "merchandise.variants.$.stock": -quantity } }
+    : { $inc: { "merchandise.stockQuantity": -quantity } };
+
+  const result = await Event.updateOne(filter, update);
+  if (result.modifiedCount === 1) return true;
+
+  // No stockQuantity set on an event without variants means unlimited stock
+  if (!variantId) {
+    const unlimited = await Event.exists({ _id: eventId, "merchandise.stockQuantity": null });
+    return !!unlimited;
+  }
+  return false;
+};
+
+/**
+ * RESTORE STOCK
+ *
+ * Puts items back into a variant (or the stockQuantity pool)
+ *
+ * @param {ObjectId} eventId - Merchandise event
+ * @param {ObjectId|null} variantId - Variant the stock was taken from
+ * @param {Number} quantity - Number of items
+ */
+export const restoreStock = async (eventId, variantId, quantity) => {
+  if (variantId) {
+    await Event.updateOne(
+      { _id: eventId, "merchandise.variants._id": variantId },
+      { $inc: { "merchandise.variants.$.stock": quantity } }
+    );
+  } else {
+    await Event.updateOne(
+      { _id: eventId, "merchandise.stockQuantity": { $ne: null } }, // Unlimited stays unlimited
+      { $inc: { "merchandise.stockQuantity": quantity } }
+    );
+  }
+};
+
+/**
+ * RESERVE STOCK FOR A REGISTRATION
+ *
+ * Used when a purchase needs its stock back (e.g., payment proof resubmitted after rejection).
+ * Does nothing if the registration already holds stock.
+ *
+ * @param {Object} registration - Merchandise registration
+ * @returns {Boolean} True if the registration now holds stock
+ */
+export const reserveRegistrationStock = async (registration) => {
+  const details = registration.merchandiseDetails || {};
+  if (details.stockReserved) return true;
+
+  const eventId = registration.event._id || registration.event;
+  const reserved = await reserveStock(eventId, details.variantId, details.quantity || 1);
+  if (!reserved) return false;
+
+  await Registration.updateOne(
+    { _id: registration._id },
+    { "merchandiseDetails.stockReserved": true }
+  );
+  registration.merchandiseDetails.stockReserved = true;
+  return true;
+};
+
+/**
+ * RELEASE STOCK
+ *
+ * Returns a registration's reserved stock. Safe to call more than once -
+ * only the first call puts the items back.
+ *
+ * @param {Object} registration - Merchandise registration
+ * @returns {Boolean} True if stock was returned
+ */
+export const releaseStock = async (registration) => {
+  const claimed = await Registration.findOneAndUpdate(
+    { _id: registration._id, "merchandiseDetails.stockReserved": true },
+    { "merchandiseDetails.stockReserved": false }
+  );
+  if (!claimed) return false;
+
+  const { variantId, quantity = 1 } = claimed.merchandiseDetails;
+  await restoreStock(claimed.event, variantId, quantity);
+
+  if (registration.merchandiseDetails) {
+    registration.merchandiseDetails.stockReserved = false;
+  }
+  return true;
+};
+
+/**
+ * RESERVE STOCK FOR AN ORDER
+ *
+ * Rejected orders gave their stock back - takes it again for every line item
+ * before the order is paid for again. All or nothing: if one item is sold out,
+ * stock taken for the others is returned.
+ *
+ * @param {ObjectId} orderId - Cart order
+ * @returns {Boolean} True if every line item now holds stock
+ */
+export const reserveOrderStock = async (orderId) => {
+  const registrations = await Registration.find({ order: orderId, status: { $ne: "CANCELLED" } });
+  const retaken = [];
+
+  for (const registration of registrations) {
+    const wasReserved = registration.merchandiseDetails.stockReserved;
+    const reserved = await reserveRegistrationStock(registration);
+    if (!reserved) {
+      for (const taken of retaken) {
+        await releaseStock(taken);
+      }
+      return false;
+    }
+    if (!wasReserved) retaken.push(registration);
+  }
+
+  return true;
+};
@@ -0,0 +1,129 @@
+/**
+ * MOCK PAYMENT PROVIDER - Local stand-in for a real payment gateway
+ *
+ * Purpose: Develop and test online payments without a gateway account
+ * - createPayment() returns a checkout page served by this backend (/api/payments/mock/:id)
+ * - On that page you choose "Pay" or "Decline"; the result is delivered as a signed
+ *   webhook to /api/payments/webhook/mock, just like a real provider would send it
+ *
+ * Webhook signature header:
+ *   X-Mock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Signed with PAYMENT_WEBHOOK_SECRET (falls back to JWT_SECRET).
+ */
+
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+
+const SIGNATURE_HEADER = "x-mock-signature";
+const TOLERANCE_SECONDS = 5 * 60; // Reject replays of old webhooks
+
+/**
+ * Secret shared with the "provider" for webhook signatures
+ * Read lazily because dotenv is loaded after module imports
+ */
+const getWebhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET is not configured");
+  }
+  return secret;
+};
+
+const computeSignature = (timestamp, rawBody) => {
+  return crypto
+    .createHmac("sha256", getWebhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+};
+
+/**
+ * Error thrown when a webhook fails verification
+ * code: MALFORMED | BAD_SIGNATURE
+ */
+const webhookError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * SIGN WEBHOOK
+ *
+ * @param {String} rawBody - Exact JSON body that will be sent
+ * @param {Number} timestamp - Unix seconds (defaults to now)
+ * @returns {String} Value for the X-Mock-Signature header
+ */
+export const signWebhook = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}`;
+};
+
+/**
+ * BUILD WEBHOOK EVENT
+ *
+ * What the mock checkout page reports when the participant pays or declines.
+ *
+ * @param {String} providerPaymentId - Mock payment ID
+ * @param {Number} amount - Amount paid
+ * @param {Boolean} succeeded - Pay or decline
+ * @returns {String} JSON body for the webhook
+ */
+export const buildWebhookEvent = (providerPaymentId, amount, succeeded) => {
+  return JSON.stringify({
+    id: `evt_${uuidv4().replace(/-/g, "")}`,
+    type: succeeded ? "payment.succeeded" : "payment.failed",
+    data: {
+      paymentId: providerPaymentId,
+      amount,
+      failureReason: succeeded ? undefined : "Payment declined",
+    },
+  });
+};
+
+const createPayment = async ({ baseUrl }) => {
+  const providerPaymentId = `mock_${uuidv4().replace(/-/g, "")}`;
+  return {
+    providerPaymentId,
+    checkoutUrl: `${baseUrl}/api/payments/mock/${providerPaymentId}`,
+  };
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  if (!header || !rawBody) {
+    throw webhookError("MALFORMED", "Missing webhook body or signature");
+  }
+
+  const parts = Object.fromEntries(header.split(",").map((part) => part.trim().split("=")));
+  const timestamp = Number(parts.t);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    throw webhookError("BAD_SIGNATURE", "Webhook timestamp is outside the allowed window");
+  }
+
+  const expected = Buffer.from(computeSignature(timestamp, rawBody));
+  const received = Buffer.from(parts.v1 || "");
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw webhookError("BAD_SIGNATURE", "Invalid webhook signature");
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch {
+    throw webhookError("MALFORMED", "Webhook body is not valid JSON");
+  }
+
+  return {
+    eventId: event.id,
+    providerPaymentId: event.data?.paymentId,
+    status: event.type === "payment.succeeded" ? "SUCCEEDED" : "FAILED",
+    amount: event.data?.amount,
+    failureReason: event.data?.failureReason,
+  };
+};
+
+export default {
+  name: "mock",
+  signatureHeader: SIGNATURE_HEADER,
+  createPayment,
+  verifyWebhook,
+};
@@ -0,0 +1,66 @@
+/**
+ * NOTIFICATIONS - In-app notifications for the navbar bell
+ *
+ * Purpose: Tell users about things that happened to them without a page refresh
+ * Used by:
+ * - paymentConfirmation / organizerController (payment approved or rejected, deadline extended)
+ * - waitlist (promotion from the waitlist)
+ * - followerNotifications (new event from a followed organizer)
+ * - eventCancellation / adminController (event cancelled)
+ * - eventReschedule (event dates changed)
+ * - discussionController (replies to your post, @mentions)
+ * - adminController (password reset request processed)
+ *
+ * Flow:
+ * 1. Skip users who switched the notification type off (User.mutedNotificationTypes)
+ * 2. Save the Notification
+ * 3. Push it to the user's open tabs over Socket.IO ("notification:new")
+ *
+ * Never throws - a failed notification must not fail the action that caused it.
+ */
+
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { emitToUser } from "./discussionSocket.js";
+
+/**
+ * NOTIFY USERS
+ *
+ * @param {Array} userIds - Recipients (ObjectIds or strings)
+ * @param {Object} notification - { type, title, message, link, event }
+ * @returns {Number} Notifications created
+ */
+export const notifyUsers = async (userIds, { type, title, message, link, event }) => {
+  try {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return 0;
+
+    const recipients = await User.find({
+      _id: { $in: ids },
+      isActive: { $ne: false },
+      mutedNotificationTypes: { $ne: type },
+    }).select("_id");
+    if (recipients.length === 0) return 0;
+
+    const notifications = await Notification.insertMany(
+      recipients.map((user) => ({ user: user._id, type, title, message, link, event }))
+    );
+
+    for (const notification of notifications) {
+      emitToUser(notification.user, "notification:new", { notification });
+    }
+
+    return notifications.length;
+  } catch (error) {
+    console.error(`Notification ${type} failed:`, error);
+    return 0;
+  }
+};
+
+/**
+ * NOTIFY USER
+ *
+ * @param {ObjectId|String} userId - Recipient
+ * @param {Object} notification - { type, title, message, link, event }
+ */
+export const notifyUser = (userId, notification) => notifyUsers([userId], notification);
@@ -0,0 +1,207 @@
+/**
+ * PAYMENT CONFIRMATION - Turns a paid purchase into a confirmed ticket
+ *
+ * Purpose: Confirm payments the same way whether the organizer approved an
+ * uploaded payment proof or the payment gateway reported a successful payment
+ * Used by:
+ * - organizerController (manual approval of payment proofs)
+ * - paymentController (payment gateway webhooks)
+ *
+ * Flow:
+ * 1. Make sure the event wasn't cancelled and the purchase is still within
+ *    the per-person limit and holds its stock
+ * 2. Generate the signed QR ticket, claim the PENDING registration as PAID/CONFIRMED
+ * 3. Record the revenue, email the ticket and send an in-app notification
+ */
+
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import { generateQRCode, signTicketPayload } from "./ticketGenerator.js";
+import { sendRegistrationEmail } from "./emailService.js";
+import { getEventInvite } from "./calendar.js";
+import {
+  reserveRegistrationStock,
+  releaseStock,
+  checkPurchaseLimitOnApproval,
+} from "./merchandiseStock.js";
+import { notifyUser } from "./notifications.js";
+
+/**
+ * ISSUE TICKET FOR A PAID REGISTRATION
+ *
+ * Generates the QR ticket, records the revenue and emails the participant.
+ * The registration is claimed atomically - only a PENDING registration whose
+ * payment status hasn't changed since it was loaded gets the ticket, so two
+ * approvals (or an approval and a cancellation) can't both go through.
+ *
+ * @param {Object} registration - Registration with event populated
+ * @param {Object} payment - { approvedBy, method: "MANUAL" | "GATEWAY", reference }
+ * @returns {Boolean} False if the registration changed in the meantime
+ */
+export const issuePaidTicket = async (registration, { approvedBy, method = "MANUAL", reference } = {}) => {
+  const participant = await User.findById(registration.participant);
+  const event = registration.event;
+
+  // Generate QR code now
+  const qrData = {
+    ticketId: registration.ticketId,
+    participantId: participant._id.toString(),
+    participantName: `${participant.firstName} ${participant.lastName}`,
+    eventId: event._id.toString(),
+    eventName: event.eventName,
+    eventDate: event.eventStartDate,
+    eventEndDate: event.eventEndDate,
+  };
+  const qrToken = signTicketPayload(qrData);
+  const qrCode = await generateQRCode(qrToken);
+
+  const update = {
+    status: "CONFIRMED",
+    paymentStatus: "PAID",
+    paymentMethod: method,
+    paymentReference: reference,
+    qrCode,
+    qrToken,
+    paymentApprovedBy: approvedBy,
+    paymentApprovedAt: new Date(),
+  };
+  const claimed = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: "PENDING", paymentStatus: registration.paymentStatus },
+    { $set: update }
+  );
+  if (!claimed) return false;
+  registration.set(update);
+
+  // Record revenue (stock was already taken when the purchase was made)
+  await Event.findByIdAndUpdate(event._id, {
+    $inc: { totalRevenue: registration.amountPaid },
+  });
+
+  // Send confirmation email
+  try {
+    await sendRegistrationEmail({
+      to: participant.email,
+      participantName: `${participant.firstName} ${participant.lastName}`,
+      eventName: event.eventName,
+      ticketId: registration.ticketId,
+      qrCode,
+      eventDate: event.eventStartDate,
+      calendarInvite: await getEventInvite(event),
+    });
+  } catch (emailError) {
+    console.error("Email sending failed:", emailError);
+  }
+
+  // Cart orders get a single notification for the whole order
+  if (!registration.order) {
+    await notifyUser(participant._id, {
+      type: "PAYMENT_APPROVED",
+      title: "Payment approved",
+      message: `Your payment for ${event.eventName} was approved. Ticket ${registration.ticketId} is ready.`,
+      link: "/registrations",
+      event: event._id,
+    });
+  }
+
+  return true;
+};
+
+/**
+ * CONFIRM REGISTRATION PAYMENT
+ *
+ * @param {Object} registration - Registration with event populated
+ * @param {Object} payment - { approvedBy, method, reference }
+ * @returns {String|null} Error message, or null on success
+ */
+export const confirmRegistrationPayment = async (registration, payment) => {
+  if (registration.event.status === "CANCELLED") {
+    return "Event was cancelled - refund the payment instead";
+  }
+  if (registration.status !== "PENDING") {
+    return "Registration is no longer pending payment";
+  }
+
+  const limitError = await checkPurchaseLimitOnApproval([registration]);
+  if (limitError) return limitError;
+
+  // Stock is normally reserved at purchase - older purchases take it now
+  if (registration.registrationType === "MERCHANDISE") {
+    const reserved = await reserveRegistrationStock(registration);
+    if (!reserved) {
+      return "Not enough stock left to approve this purchase";
+    }
+  }
+
+  const issued = await issuePaidTicket(registration, payment);
+  if (!issued) {
+    // Cancelled or rejected meanwhile - don't keep the stock taken above
+    const current = await Registration.findById(registration._id);
+    if (current && ["CANCELLED", "REJECTED"].includes(current.status)) {
+      await releaseStock(current);
+    }
+    return "Registration changed in the meantime - refresh and try again";
+  }
+  return null;
+};
+
+/**
+ * CONFIRM ORDER PAYMENT
+ *
+ * One payment confirms every line item of a cart order.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} payment - { approvedBy, method, reference }
+ * @returns {String|null} Error message, or null on success
+ */
+export const confirmOrderPayment = async (order, payment) => {
+  const registrations = await Registration.find({ order: order._id, status: { $ne: "CANCELLED" } })
+    .populate("event");
+
+  if (registrations.some((registration) => registration.event.status === "CANCELLED")) {
+    return "An event in this order was cancelled - refund the payment instead";
+  }
+
+  const limitError = await checkPurchaseLimitOnApproval(registrations);
+  if (limitError) return limitError;
+
+  // Every item must still hold its stock (older orders take it now)
+  for (const registration of registrations) {
+    const reserved = await reserveRegistrationStock(registration);
+    if (!reserved) {
+      return `Not enough stock left for ${registration.event.eventName} to approve this order`;
+    }
+  }
+
+  // Claim the order first so it is confirmed (and ticketed) only once
+  const update = {
+    status: "CONFIRMED",
+    paymentStatus: "PAID",
+    paymentMethod: payment.method || "MANUAL",
+    paymentReference: payment.reference,
+    paymentApprovedBy: payment.approvedBy,
+    paymentApprovedAt: new Date(),
+  };
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: "PENDING", paymentStatus: order.paymentStatus },
+    { $set: update }
+  );
+  if (!claimed) {
+    return "Order changed in the meantime - refresh and try again";
+  }
+  order.set(update);
+
+  for (const registration of registrations) {
+    await issuePaidTicket(registration, payment);
+  }
+
+  await notifyUser(order.participant, {
+    type: "PAYMENT_APPROVED",
+    title: "Payment approved",
+    message: `Your payment for order ${order.orderNumber} was approved - ${registrations.length} item(s) confirmed.`,
+    link: "/orders",
+  });
+
+  return null;
+};
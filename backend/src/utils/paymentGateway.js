@@ -0,0 +1,67 @@
+/**
+ * PAYMENT GATEWAY - Provider abstraction for online payments
+ *
+ * Purpose: Let participants pay online instead of uploading a payment screenshot
+ * Used by: paymentController
+ *
+ * Every provider implements:
+ * - name: used in webhook URLs (/api/payments/webhook/<name>)
+ * - createPayment({ amount, currency, description, baseUrl })
+ *     → { providerPaymentId, checkoutUrl }
+ * - verifyWebhook(rawBody, headers)
+ *     → { eventId, providerPaymentId, status: "SUCCEEDED" | "FAILED", amount, failureReason }
+ *     Throws (error.code = "BAD_SIGNATURE" | "MALFORMED") if the webhook can't be trusted
+ *
+ * The active provider is chosen with PAYMENT_PROVIDER. There is no default - online
+ * payments are off until one is set. "mock" confirms payments without taking money,
+ * so it is refused when NODE_ENV=production.
+ * To add a real gateway, implement the functions above and register it in `providers`.
+ */
+
+import mockProvider from "./mockPaymentProvider.js";
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+};
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+/**
+ * GET PAYMENT PROVIDER
+ *
+ * @param {String} name - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object} Provider implementation
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new Error("Online payments are not configured (set PAYMENT_PROVIDER)");
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not configured`);
+  }
+
+  if (provider === mockProvider && isProduction()) {
+    throw new Error("The mock payment provider cannot be used in production");
+  }
+  return provider;
+};
+
+/**
+ * Whether participants can pay online (a usable provider is configured)
+ */
+export const isOnlinePaymentEnabled = () => {
+  try {
+    getPaymentProvider();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether the local mock provider is the active one (enables its checkout page)
+ */
+export const isMockProviderActive = () =>
+  process.env.PAYMENT_PROVIDER === mockProvider.name && !isProduction();
@@ -0,0 +1,170 @@
+/**
+ * RECOMMENDATIONS - Personalized event suggestions for participants
+ *
+ * Purpose: Score open events for one participant and explain each suggestion
+ * Used by:
+ * - participantController (GET /api/participant/recommendations)
+ *
+ * Signals (weights below):
+ * 1. Event tags / organizer category overlapping the participant's interests
+ * 2. Organizer is followed
+ * 3. History - organizers the participant registered with (more if they attended),
+ *    and tags of events they registered for
+ * 4. Popularity - registrations, recent registrations and views
+ *
+ * Only published events still open for registration, that the participant is
+ * eligible for and not already registered for, are considered.
+ */
+
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import { checkEligibility } from "./validators.js";
+
+const WEIGHTS = {
+  interestTag: 3, // Per matching tag/category
+  followedOrganizer: 4,
+  pastOrganizer: 2,
+  attendedOrganizer: 3, // Replaces pastOrganizer when they actually attended
+  historyTag: 1, // Per tag shared with past registrations
+  popularity: 2, // Upper bound
+};
+const MAX_INTEREST_MATCHES = 3;
+const MAX_HISTORY_MATCHES = 2;
+const MAX_CANDIDATES = 500;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Registrations that count as history (not cancelled or rejected)
+ */
+const HISTORY_STATUSES = ["CONFIRMED", "PENDING", "WAITLISTED", "COMPLETED"];
+
+/**
+ * Popularity score between 0 and WEIGHTS.popularity (log scale, recent registrations count double)
+ */
+const popularityScore = (event) => {
+  const activity = (event.currentRegistrations || 0) + 2 * (event.registrationsLast24h || 0) + (event.views || 0) / 10;
+  return Math.min(WEIGHTS.popularity, Math.log10(1 + activity));
+};
+
+/**
+ * Tags seen in a participant's registrations, and organizers registered with / attended
+ */
+const getHistory = async (participantId) => {
+  const registrations = await Registration.find({
+    participant: participantId,
+    status: { $in: HISTORY_STATUSES },
+  })
+    .populate("event", "tags organizer")
+    .select("event attended status");
+
+  const tags = new Set();
+  const organizers = new Set();
+  const attendedOrganizers = new Set();
+  const registeredEvents = new Set();
+
+  for (const registration of registrations) {
+    if (!registration.event) continue;
+    registeredEvents.add(registration.event._id.toString());
+    organizers.add(registration.event.organizer.toString());
+    if (registration.attended) attendedOrganizers.add(registration.event.organizer.toString());
+    for (const tag of registration.event.tags || []) tags.add(normalize(tag));
+  }
+
+  return { tags, organizers, attendedOrganizers, registeredEvents };
+};
+
+/**
+ * SCORE EVENT
+ *
+ * @param {Object} event - Event with organizer populated
+ * @param {Object} context - { interests, followed, history }
+ * @returns {Object} { score, reasons }
+ */
+const scoreEvent = (event, { interests, followed, history }) => {
+  let score = 0;
+  const reasons = [];
+  const organizerId = event.organizer._id.toString();
+  const organizerName = event.organizer.organizerName || "this organizer";
+
+  // 1. Interests
+  const eventTopics = [...(event.tags || []), event.organizer.category].filter(Boolean);
+  const interestMatches = [...new Set(eventTopics.filter((topic) => interests.has(normalize(topic))))]
+    .slice(0, MAX_INTEREST_MATCHES);
+  if (interestMatches.length > 0) {
+    score += WEIGHTS.interestTag * interestMatches.length;
+    reasons.push(`Matches your interests: ${interestMatches.join(", ")}`);
+  }
+
+  // 2. Followed organizer
+  if (followed.has(organizerId)) {
+    score += WEIGHTS.followedOrganizer;
+    reasons.push(`From ${organizerName}, who you follow`);
+  }
+
+  // 3. History
+  if (history.attendedOrganizers.has(organizerId)) {
+    score += WEIGHTS.attendedOrganizer;
+    reasons.push(`You attended an event by ${organizerName} before`);
+  } else if (history.organizers.has(organizerId)) {
+    score += WEIGHTS.pastOrganizer;
+    reasons.push(`You registered for an event by ${organizerName} before`);
+  }
+
+  const historyMatches = [...new Set((event.tags || []).filter((tag) => history.tags.has(normalize(tag))))]
+    .filter((tag) => !interestMatches.includes(tag))
+    .slice(0, MAX_HISTORY_MATCHES);
+  if (historyMatches.length > 0) {
+    score += WEIGHTS.historyTag * historyMatches.length;
+    reasons.push(`Similar to events you registered for: ${historyMatches.join(", ")}`);
+  }
+
+  // 4. Popularity
+  score += popularityScore(event);
+  if (event.registrationsLast24h > 0) {
+    reasons.push(`${event.registrationsLast24h} people registered in the last 24 hours`);
+  } else if (event.currentRegistrations >= 10) {
+    reasons.push(`Popular - ${event.currentRegistrations} people registered`);
+  }
+
+  if (reasons.length === 0) {
+    reasons.push("Open for registration");
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * GET RECOMMENDATIONS
+ *
+ * @param {Object} participant - Participant user document
+ * @param {Number} limit - How many events to return
+ * @returns {Array} [{ event, score, reasons }] - best first
+ */
+export const getRecommendations = async (participant, limit = 6) => {
+  const now = new Date();
+  const history = await getHistory(participant._id);
+
+  const candidates = await Event.find({
+    status: "PUBLISHED",
+    registrationDeadline: { $gt: now },
+    eventStartDate: { $gt: now },
+    _id: { $nin: [...history.registeredEvents] },
+  })
+    .populate("organizer", "organizerName category")
+    .select("-customForm")
+    .sort({ eventStartDate: 1 })
+    .limit(MAX_CANDIDATES);
+
+  const context = {
+    interests: new Set((participant.interests || []).map(normalize)),
+    followed: new Set((participant.followedOrganizers || []).map((id) => id.toString())),
+    history,
+  };
+
+  return candidates
+    .filter((event) => event.organizer && checkEligibility(event.eligibility, participant.participantType))
+    .map((event) => ({ event, ...scoreEvent(event, context) }))
+    .sort((a, b) => b.score - a.score || a.event.eventStartDate - b.event.eventStartDate)
+    .slice(0, limit);
+};
@@ -0,0 +1,127 @@
+/**
+ * REFUNDS - Cancellation policy and refund processing
+ *
+ * Purpose: Work out how much of a cancelled paid registration is refunded,
+ * and record approved refunds against the event's revenue
+ * Used by:
+ * - registrationController (cancellation, refund requests)
+ * - participantController (reschedule grace shown in My Registrations)
+ * - organizerController (refund approval)
+ *
+ * Flow:
+ * 1. Participant cancels a paid registration → cancelledAt is recorded
+ * 2. Participant requests a refund → amount is quoted from the event's cancellation policy
+ *    (or in full, if the event was rescheduled after they registered and they cancelled
+ *    within the reschedule grace window)
+ * 3. Organizer approves (with a refund reference) → paymentStatus REFUNDED, revenue reduced
+ *    or rejects with a reason
+ */
+
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import Order from "../models/Order.js";
+
+/**
+ * GET RESCHEDULE GRACE
+ *
+ * The latest reschedule that happened after the participant registered and
+ * whose grace window is still open at the given time.
+ *
+ * @param {Object} event - Event with reschedules
+ * @param {Date} registeredAt - When the participant registered
+ * @param {Date} at - When they cancel (or now)
+ * @returns {Object|null} The reschedule entry, or null
+ */
+export const getRescheduleGrace = (event, registeredAt, at = new Date()) => {
+  const reschedules = event.reschedules || [];
+
+  for (let i = reschedules.length - 1; i >= 0; i--) {
+    const reschedule = reschedules[i];
+    if (new Date(reschedule.rescheduledAt) <= new Date(registeredAt)) break;
+    if (new Date(at) <= new Date(reschedule.graceUntil)) return reschedule;
+  }
+
+  return null;
+};
+
+/**
+ * GET REFUND QUOTE
+ *
+ * Picks the policy tier for the time left before the event:
+ * the tier with the largest hoursBefore that the cancellation still meets.
+ * - Event has no tiers → full refund
+ * - Cancelled later than every tier → no refund
+ * - Cancelled within the grace window of a reschedule the participant didn't
+ *   sign up for → full refund
+ *
+ * @param {Object} event - Event with cancellationPolicy
+ * @param {Number} amountPaid - Amount the participant paid
+ * @param {Date} at - When the registration was cancelled
+ * @param {Date} registeredAt - When the participant registered (for the reschedule grace)
+ * @returns {Object} { refundPercent, amount, hoursBefore, rescheduleGrace }
+ */
+export const getRefundQuote = (event, amountPaid, at = new Date(), registeredAt) => {
+  const hoursBefore = (new Date(event.eventStartDate) - new Date(at)) / (1000 * 60 * 60);
+  const tiers = event.cancellationPolicy?.tiers || [];
+  const rescheduleGrace = !!(registeredAt && getRescheduleGrace(event, registeredAt, at));
+
+  let refundPercent = 100;
+  if (tiers.length > 0 && !rescheduleGrace) {
+    const tier = [...tiers]
+      .sort((a, b) => b.hoursBefore - a.hoursBefore)
+      .find((t) => hoursBefore >= t.hoursBefore);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    refundPercent,
+    amount: Math.round((amountPaid || 0) * refundPercent) / 100,
+    hoursBefore: Math.max(0, Math.floor(hoursBefore)),
+    rescheduleGrace,
+  };
+};
+
+/**
+ * COMPLETE REFUND
+ *
+ * Atomically moves a REQUESTED refund to APPROVED (so it is only counted once),
+ * marks the payment REFUNDED and takes the amount off the event's revenue.
+ * A cart order is marked REFUNDED once all of its items are refunded.
+ *
+ * @param {Object} registration - Registration with a requested refund
+ * @param {Object} details - { amount, reference, processedBy }
+ * @returns {Object|null} Updated registration, or null if the refund was already processed
+ */
+export const completeRefund = async (registration, { amount, reference, processedBy }) => {
+  const updated = await Registration.findOneAndUpdate(
+    { _id: registration._id, "refund.status": "REQUESTED" },
+    {
+      $set: {
+        paymentStatus: "REFUNDED",
+        "refund.status": "APPROVED",
+        "refund.amount": amount,
+        "refund.reference": reference,
+        "refund.processedBy": processedBy,
+        "refund.processedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await Event.findByIdAndUpdate(updated.event, {
+    $inc: { totalRevenue: -amount },
+  });
+
+  if (updated.order) {
+    const notRefunded = await Registration.exists({
+      order: updated.order,
+      paymentStatus: { $ne: "REFUNDED" },
+    });
+    if (!notRefunded) {
+      await Order.updateOne({ _id: updated.order }, { paymentStatus: "REFUNDED" });
+    }
+  }
+
+  return updated;
+};
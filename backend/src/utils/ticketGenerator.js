@@ -6,15 +6,56 @@
  * - uuid: Creates unique random IDs
  * - qrcode: Converts data into scannable QR code images
  * 
+ * - crypto: Signs ticket payloads so they can't be forged
+ * 
  * Flow:
  * 1. Generate unique ticket ID (e.g., FEL-2026-A3F9B)
- * 2. Create QR code containing ticket data
- * 3. Return QR code as base64 image (can be embedded in emails/shown on screen)
+ * 2. Sign the ticket data (HMAC-SHA256) into a tamper-proof token
+ * 3. Create QR code containing the signed token
+ * 4. Return QR code as base64 image (can be embedded in emails/shown on screen)
  */
 
+import crypto from "crypto";  // Node built-in - HMAC signing
 import QRCode from "qrcode";  // Package to generate QR codes
 import { v4 as uuidv4 } from "uuid";  // Package to generate unique IDs
 
+// Signed tokens look like: FEL1.<base64url payload>.<base64url signature>
+const TOKEN_PREFIX = "FEL1";
+
+/**
+ * How long after the event ends a ticket QR is still accepted
+ */
+const getGraceHours = () => Number(process.env.TICKET_QR_GRACE_HOURS) || 24;
+
+/**
+ * Secret used to sign tickets (falls back to the JWT secret)
+ * Read lazily because dotenv is loaded after module imports
+ */
+const getSigningSecret = () => {
+  const secret = process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("TICKET_SIGNING_SECRET is not configured");
+  }
+  return secret;
+};
+
+const sign = (encodedPayload) => {
+  return crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`${TOKEN_PREFIX}.${encodedPayload}`)
+    .digest("base64url");
+};
+
+/**
+ * Error thrown when a scanned QR code fails verification
+ * code: MALFORMED | UNSIGNED | BAD_SIGNATURE | EXPIRED
+ */
+const qrError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
 /**
  * GENERATE UNIQUE TICKET ID
  * 
@@ -34,6 +75,46 @@ export const generateTicketId = () => {
   return `FEL-${year}-${uniqueCode}`;             // Combine into ticket ID
 };
 
+/**
+ * GET TICKET EXPIRY
+ * 
+ * Tickets (and offline scan manifests) stay valid until the event ends plus a grace period
+ * 
+ * @param {Date} eventEndDate - Event end (or start) date
+ * @returns {Date} Time after which tickets are rejected
+ */
+export const getTicketExpiry = (eventEndDate) => {
+  return new Date(new Date(eventEndDate).getTime() + getGraceHours() * 60 * 60 * 1000);
+};
+
+/**
+ * SIGN TICKET PAYLOAD
+ * 
+ * Purpose: Turn ticket data into a tamper-proof token for the QR code
+ * 
+ * How it works:
+ * 1. Add issued-at (iat) and expiry (exp) timestamps to the data
+ *    - exp = event end (or start) + grace period
+ * 2. Encode the JSON as base64url
+ * 3. Sign it with HMAC-SHA256 using a server-only secret
+ * 
+ * Anyone can read the payload, but changing a single character breaks the signature,
+ * and nobody without the secret can create a valid signature for a made-up ticket.
+ * 
+ * @param {Object} data - Ticket data (ticketId, participantId, eventId, eventDate, eventEndDate, ...)
+ * @returns {String} Signed token "FEL1.<payload>.<signature>"
+ */
+export const signTicketPayload = (data) => {
+  const payload = {
+    ...data,
+    iat: Date.now(),
+    exp: getTicketExpiry(data.eventEndDate || data.eventDate).getTime(),
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${TOKEN_PREFIX}.${encodedPayload}.${sign(encodedPayload)}`;
+};
+
 /**
  * GENERATE QR CODE
  * 
@@ -47,20 +128,20 @@ export const generateTicketId = () => {
  * - Can be stored in database
  * 
  * How it works:
- * 1. Convert data object to JSON string
+ * 1. Use the string as-is (signed ticket token), or convert an object to JSON
  * 2. Generate QR code from that string
  * 3. Return as base64 image
  * 
- * When scanned: The QR scanner will read back the original JSON data
+ * When scanned: The QR scanner will read back the original string
  * 
- * @param {Object} data - Data to encode (e.g., {ticketId, participantName, eventName})
+ * @param {String|Object} data - Signed token from signTicketPayload, or any data object
  * @returns {String} Base64 image string starting with "data:image/png;base64,..."
  */
 export const generateQRCode = async (data) => {
   try {
-    // Step 1: Convert JavaScript object to JSON string
+    // Step 1: Signed tokens are already strings; objects become JSON
     // Example: {ticketId: "FEL-2026-ABC"} → '{"ticketId":"FEL-2026-ABC"}'
-    const qrString = JSON.stringify(data);
+    const qrString = typeof data === "string" ? data : JSON.stringify(data);
     
     // Step 2: Generate QR code from the JSON string
     const qrCodeDataURL = await QRCode.toDataURL(qrString, {
@@ -83,28 +164,101 @@ export const generateQRCode = async (data) => {
 /**
  * VERIFY QR CODE DATA
  * 
- * Purpose: Parse and validate data from a scanned QR code
+ * Purpose: Check that a scanned QR code is a genuine, unexpired ticket
  * 
  * How organizers use this:
  * 1. Scan participant's QR code using phone camera or scanner
- * 2. Get the JSON string from QR code
+ * 2. Get the token string from QR code
  * 3. Pass it to this function
- * 4. Get back the original ticket data object
+ * 4. Get back the original ticket data object (only if the signature is valid)
  * 
  * Example:
- * Input (scanned QR):  '{"ticketId":"FEL-2026-ABC","participantName":"John"}'
- * Output:              {ticketId: "FEL-2026-ABC", participantName: "John"}
+ * Input (scanned QR):  'FEL1.eyJ0aWNrZXRJZCI6IkZFTC0yMDI2LUFCQyJ9.Xk3...'
+ * Output:              {ticketId: "FEL-2026-ABC", participantId: "...", iat: ..., exp: ...}
  * 
- * @param {String} qrData - JSON string from scanned QR code
- * @returns {Object} Parsed ticket data object
- * @throws {Error} If QR data is invalid/corrupted
+ * @param {String} qrData - Token string from scanned QR code
+ * @param {Object} options - { at: Date } check expiry at this time (offline scans), default now
+ * @returns {Object} Verified ticket data object
+ * @throws {Error} With error.code MALFORMED, UNSIGNED, BAD_SIGNATURE or EXPIRED
  */
-export const verifyQRCode = (qrData) => {
+export const verifyQRCode = (qrData, { at = new Date() } = {}) => {
+  if (!qrData || typeof qrData !== "string") {
+    throw qrError("MALFORMED", "Invalid QR code data");
+  }
+
+  const parts = qrData.trim().split(".");
+
+  // Old-style plain JSON tickets carry no signature and can be forged
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    throw qrError("UNSIGNED", "QR code is not a signed Felicity ticket");
+  }
+
+  const [, encodedPayload, signature] = parts;
+
+  // Constant-time comparison so the signature can't be guessed byte by byte
+  const expected = Buffer.from(sign(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw qrError("BAD_SIGNATURE", "QR code signature is invalid - ticket may be tampered");
+  }
+
+  let payload;
   try {
-    // Convert JSON string back to JavaScript object
-    return JSON.parse(qrData);
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
   } catch (error) {
-    // If parsing fails, QR code is invalid/corrupted
-    throw new Error("Invalid QR code data");
+    throw qrError("MALFORMED", "Invalid QR code data");
+  }
+
+  if (payload.exp && new Date(at).getTime() > payload.exp) {
+    throw qrError("EXPIRED", "Ticket QR code has expired");
   }
+
+  return payload;
+};
+
+/**
+ * HASH TICKET TOKEN
+ * 
+ * Purpose: Fingerprint a signed ticket token for the offline scan manifest
+ * Scanners store only hashes, so a leaked manifest can't be turned back into QR codes.
+ * The browser computes the same SHA-256 hex digest of the scanned text to look it up.
+ * 
+ * @param {String} token - Signed ticket token (registration.qrToken)
+ * @returns {String} SHA-256 hex digest
+ */
+export const hashTicketToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * SIGN SCAN MANIFEST
+ * 
+ * Purpose: Sign the header of the ticket list an offline scanner downloads
+ * The header ({ eventId, generatedAt, expiresAt, ticketCount }) is sent back when
+ * offline scans are synced, proving they were made against a manifest from this server.
+ * Individual tickets don't need signing - each scanned QR token is re-verified on sync.
+ * 
+ * @param {Object} header - { eventId, generatedAt, expiresAt, ticketCount }
+ * @returns {String} base64url HMAC-SHA256 signature
+ */
+export const signManifest = (header) => {
+  const { eventId, generatedAt, expiresAt, ticketCount } = header;
+  return crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`MANIFEST.${JSON.stringify({ eventId, generatedAt, expiresAt, ticketCount })}`)
+    .digest("base64url");
+};
+
+/**
+ * VERIFY SCAN MANIFEST SIGNATURE
+ * 
+ * @param {Object} header - Manifest header as downloaded
+ * @param {String} signature - Signature returned with the manifest
+ * @returns {Boolean} True if the header is unmodified
+ */
+export const verifyManifestSignature = (header, signature) => {
+  if (!header || !signature || typeof signature !== "string") return false;
+  const expected = Buffer.from(signManifest(header));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 };
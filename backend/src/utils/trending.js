@@ -0,0 +1,164 @@
+/**
+ * TRENDING - Time-decayed trending scores for events
+ *
+ * Purpose: Rank events by recent activity instead of all-time registrations
+ * Used by:
+ * - eventController (records page views, GET /api/events/trending reads the cached score)
+ * - adminController (trending overview, pin/exclude, recompute now)
+ * - index.js (startTrendingJob refreshes the scores on a schedule)
+ *
+ * Flow:
+ * 1. Registrations are timestamped (Registration.registrationDate); page views are
+ *    counted in hourly EventViewBucket documents
+ * 2. Every TRENDING_JOB_INTERVAL_MS the job scores activity within the rolling window:
+ *    each registration/view counts less the older it is (halved every HALF_LIFE_HOURS)
+ * 3. The score is cached on Event.trendingScore, and registrationsLast24h is
+ *    corrected to the real count for the last 24 hours
+ *
+ * Admins can pin an event (always trending) or exclude it (never trending).
+ */
+
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import EventViewBucket from "../models/EventViewBucket.js";
+import Registration from "../models/Registration.js";
+
+const TRENDING_WINDOW_HOURS = 72;
+const HALF_LIFE_HOURS = 12;
+const REGISTRATION_WEIGHT = 1;
+const VIEW_WEIGHT = 0.1;
+const TRENDING_JOB_INTERVAL_MS = 15 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DECAY_PER_MS = Math.LN2 / (HALF_LIFE_HOURS * HOUR_MS);
+
+let lastComputedAt = null;
+
+/**
+ * Aggregation expression: weight * 2^(-age / half-life)
+ */
+const decayed = (now, dateField, weight) => ({
+  $multiply: [weight, { $exp: { $multiply: [-DECAY_PER_MS, { $subtract: [now, dateField] }] } }],
+});
+
+/**
+ * RECORD EVENT VIEW
+ *
+ * Never throws - a failed view count must not break the event page.
+ *
+ * @param {ObjectId|String} eventId - Viewed event
+ */
+export const recordEventView = async (eventId) => {
+  try {
+    const hour = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+    await EventViewBucket.updateOne({ event: eventId, hour }, { $inc: { count: 1 } }, { upsert: true });
+  } catch (error) {
+    console.error("Recording event view failed:", error.message);
+  }
+};
+
+/**
+ * COMPUTE TRENDING SCORES
+ *
+ * Recomputes trendingScore and registrationsLast24h for every event with activity
+ * in the window, and resets events whose activity has dropped out of it.
+ *
+ * @returns {Number} Events with a non-zero score
+ */
+export const computeTrendingScores = async () => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - TRENDING_WINDOW_HOURS * HOUR_MS);
+  const dayAgo = new Date(now.getTime() - 24 * HOUR_MS);
+
+  const [registrations, views] = await Promise.all([
+    Registration.aggregate([
+      {
+        $match: {
+          registrationDate: { $gte: windowStart },
+          status: { $nin: ["CANCELLED", "REJECTED"] },
+        },
+      },
+      {
+        $group: {
+          _id: "$event",
+          score: { $sum: decayed(now, "$registrationDate", REGISTRATION_WEIGHT) },
+          last24h: { $sum: { $cond: [{ $gte: ["$registrationDate", dayAgo] }, 1, 0] } },
+        },
+      },
+    ]),
+    EventViewBucket.aggregate([
+      { $match: { hour: { $gte: windowStart } } },
+      {
+        $group: {
+          _id: "$event",
+          score: { $sum: { $multiply: ["$count", decayed(now, "$hour", VIEW_WEIGHT)] } },
+        },
+      },
+    ]),
+  ]);
+
+  const scores = new Map();
+  for (const { _id, score, last24h } of registrations) {
+    scores.set(_id.toString(), { score, last24h });
+  }
+  for (const { _id, score } of views) {
+    const entry = scores.get(_id.toString()) || { score: 0, last24h: 0 };
+    entry.score += score;
+    scores.set(_id.toString(), entry);
+  }
+
+  if (scores.size > 0) {
+    await Event.bulkWrite(
+      [...scores].map(([eventId, { score, last24h }]) => ({
+        updateOne: {
+          filter: { _id: eventId },
+          update: {
+            trendingScore: Math.round(score * 1000) / 1000,
+            registrationsLast24h: last24h,
+            trendingUpdatedAt: now,
+          },
+        },
+      }))
+    );
+  }
+
+  // Everything else has no recent activity
+  await Event.updateMany(
+    {
+      _id: { $nin: [...scores.keys()] },
+      $or: [{ trendingScore: { $gt: 0 } }, { registrationsLast24h: { $ne: 0 } }],
+    },
+    { trendingScore: 0, registrationsLast24h: 0, trendingUpdatedAt: now }
+  );
+
+  lastComputedAt = now;
+  return scores.size;
+};
+
+/**
+ * When the scores were last recomputed (null until the first run)
+ */
+export const getTrendingComputedAt = () => lastComputedAt;
+
+/**
+ * Recompute the scores if the database is connected - never throws
+ */
+const runTrendingJob = async () => {
+  // Nothing to do until the database is connected
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    await computeTrendingScores();
+  } catch (error) {
+    console.error("Trending job failed:", error);
+  }
+};
+
+/**
+ * Start the background job that keeps trending scores fresh
+ */
+export const startTrendingJob = () => {
+  // First run as soon as the database is up, then on the interval
+  mongoose.connection.once("connected", runTrendingJob);
+  setInterval(runTrendingJob, TRENDING_JOB_INTERVAL_MS).unref();
+};
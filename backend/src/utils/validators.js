@@ -79,6 +79,92 @@ export const validateEventDates = (startDate, endDate, deadline) => {
   return { valid: true };
 };
 
+/**
+ * Validate team sizes (team events are normal events only)
+ * @param {Object} event - { eventType, isTeamEvent, minTeamSize, maxTeamSize }
+ * @returns {Object} { valid: Boolean, message: String }
+ */
+export const validateTeamSize = ({ eventType, isTeamEvent, minTeamSize, maxTeamSize }) => {
+  const teamEvent = !!isTeamEvent && String(eventType).toUpperCase() === "NORMAL";
+  if (teamEvent && (!minTeamSize || !maxTeamSize || Number(minTeamSize) > Number(maxTeamSize))) {
+    return { valid: false, message: "Team events need a valid min and max team size" };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Validate event sessions (multi-day / multi-session events)
+ * @param {Array} sessions - [{ name, startTime, endTime }]
+ * @param {Date} startDate - Event start date
+ * @param {Date} endDate - Event end date
+ * @returns {Object} { valid: Boolean, message: String }
+ */
+export const validateSessions = (sessions, startDate, endDate) => {
+  if (!Array.isArray(sessions)) {
+    return { valid: false, message: "Sessions must be a list" };
+  }
+
+  for (const session of sessions) {
+    if (!session.name || !session.startTime || !session.endTime) {
+      return { valid: false, message: "Each session needs a name, start time and end time" };
+    }
+
+    const start = new Date(session.startTime);
+    const end = new Date(session.endTime);
+
+    if (end <= start) {
+      return { valid: false, message: `Session "${session.name}" must end after it starts` };
+    }
+
+    if (start < new Date(startDate) || end > new Date(endDate)) {
+      return {
+        valid: false,
+        message: `Session "${session.name}" must be within the event dates`,
+      };
+    }
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Validate new dates for rescheduling a published event
+ * The registration deadline may stay in the past (event already closed) as long as it isn't changed.
+ * @param {Object} current - Event's current { registrationDeadline }
+ * @param {Object} dates - { eventStartDate, eventEndDate, registrationDeadline }
+ * @returns {Object} { valid: Boolean, message: String }
+ */
+export const validateRescheduleDates = (current, { eventStartDate, eventEndDate, registrationDeadline }) => {
+  const now = new Date();
+  const start = new Date(eventStartDate);
+  const end = new Date(eventEndDate);
+  const deadline = new Date(registrationDeadline);
+
+  if (isNaN(start) || isNaN(end) || isNaN(deadline)) {
+    return { valid: false, message: "Please provide valid dates" };
+  }
+
+  if (start < now) {
+    return { valid: false, message: "Event start date cannot be in the past" };
+  }
+
+  if (end < start) {
+    return { valid: false, message: "Event end date must be after start date" };
+  }
+
+  if (deadline > start) {
+    return { valid: false, message: "Registration deadline must be before event start" };
+  }
+
+  const deadlineChanged = deadline.getTime() !== new Date(current.registrationDeadline).getTime();
+  if (deadlineChanged && deadline < now) {
+    return { valid: false, message: "Registration deadline cannot be in the past" };
+  }
+
+  return { valid: true };
+};
+
 /**
  * Generate random password
  * @param {Number} length - Password length
@@ -93,3 +179,101 @@ export const generateRandomPassword = (length = 12) => {
   }
   return password;
 };
+
+/**
+ * Validate cancellation policy tiers
+ * @param {Array} tiers - [{ hoursBefore, refundPercent }]
+ * @returns {Object} { valid: Boolean, message: String }
+ */
+export const validateCancellationPolicy = (tiers) => {
+  if (!Array.isArray(tiers)) {
+    return { valid: false, message: "Refund tiers must be a list" };
+  }
+
+  const seen = new Set();
+
+  for (const tier of tiers) {
+    const hours = Number(tier.hoursBefore);
+    const percent = Number(tier.refundPercent);
+
+    if (!Number.isFinite(hours) || hours < 0) {
+      return { valid: false, message: "Each refund tier needs hours before the event (0 or more)" };
+    }
+
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      return { valid: false, message: "Refund percentage must be between 0 and 100" };
+    }
+
+    if (seen.has(hours)) {
+      return { valid: false, message: "Two refund tiers cannot have the same hours before the event" };
+    }
+    seen.add(hours);
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Validate a Discord webhook URL
+ * Outside production, localhost URLs are accepted so a local stub server can stand in for Discord
+ * @param {String} url - Webhook URL
+ * @returns {Object} { valid: Boolean, message: String }
+ */
+export const validateDiscordWebhook = (url) => {
+  const discordHosts = ["discord.com", "discordapp.com", "ptb.discord.com", "canary.discord.com"];
+  const localHosts = ["localhost", "127.0.0.1", "[::1]"];
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, message: "Invalid Discord webhook URL" };
+  }
+
+  const isDiscord = parsed.protocol === "https:" &&
+    discordHosts.includes(parsed.hostname) &&
+    parsed.pathname.startsWith("/api/webhooks/");
+  const isLocalStub = process.env.NODE_ENV !== "production" &&
+    ["http:", "https:"].includes(parsed.protocol) &&
+    localHosts.includes(parsed.hostname);
+
+  if (!isDiscord && !isLocalStub) {
+    return {
+      valid: false,
+      message: "Invalid Discord webhook URL. It should start with https://discord.com/api/webhooks/",
+    };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Validate image attachments sent as base64 data URLs (same format as payment proofs)
+ * @param {Array} attachments - [{ data, name }]
+ * @param {Object} limits - { maxCount, maxBytes } per image
+ * @returns {Object} { valid: Boolean, message: String }
+ */
+export const validateImageAttachments = (attachments, { maxCount = 3, maxBytes = 2 * 1024 * 1024 } = {}) => {
+  if (!Array.isArray(attachments)) {
+    return { valid: false, message: "Attachments must be a list" };
+  }
+
+  if (attachments.length > maxCount) {
+    return { valid: false, message: `You can attach up to ${maxCount} images` };
+  }
+
+  for (const attachment of attachments) {
+    const match = /^data:image\/(png|jpeg|gif|webp);base64,([A-Za-z0-9+/]+=*)$/.exec(attachment?.data || "");
+    if (!match) {
+      return { valid: false, message: "Attachments must be PNG, JPEG, GIF or WebP images" };
+    }
+
+    // 4 base64 characters encode 3 bytes
+    const bytes = Math.floor((match[2].length * 3) / 4);
+    if (bytes > maxBytes) {
+      return { valid: false, message: `Each image must be smaller than ${Math.round(maxBytes / (1024 * 1024))}MB` };
+    }
+  }
+
+  return { valid: true };
+};
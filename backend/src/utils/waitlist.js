@@ -0,0 +1,182 @@
+/**
+ * WAITLIST - Ranked waitlist for full events
+ *
+ * Purpose: Hand freed seats to waitlisted participants automatically
+ * Used by:
+ * - registrationController (participant cancels a confirmed registration)
+ * - organizerController (organizer raises registrationLimit)
+ *
+ * Flow:
+ * 1. Participant registers for a full event → Registration with status WAITLISTED
+ * 2. A seat frees up → promoteFromWaitlist(eventId)
+ * 3. Oldest waitlisted registration becomes CONFIRMED
+ * 4. Ticket QR code is generated, emailed and the participant gets an in-app notification
+ *
+ * Paid events: the promoted registration becomes PENDING instead - the seat is
+ * held and the ticket is issued once the payment is approved.
+ */
+
+import Event from "../models/Event.js";
+import Registration from "../models/Registration.js";
+import User from "../models/User.js";
+import { generateQRCode, signTicketPayload } from "./ticketGenerator.js";
+import { sendRegistrationEmail, sendPaymentRequiredEmail } from "./emailService.js";
+import { getEventInvite } from "./calendar.js";
+import { notifyUser } from "./notifications.js";
+
+/**
+ * GET WAITLIST POSITION
+ *
+ * Position is 1-based and ranked by registration date (first come, first served)
+ *
+ * @param {Object} registration - A WAITLISTED registration
+ * @returns {Number} Position in the event's waitlist
+ */
+export const getWaitlistPosition = async (registration) => {
+  const ahead = await Registration.countDocuments({
+    event: registration.event._id || registration.event,
+    status: "WAITLISTED",
+    registrationDate: { $lt: registration.registrationDate },
+  });
+  return ahead + 1;
+};
+
+/**
+ * RESERVE A SEAT
+ *
+ * Atomically increments currentRegistrations only if the event still has capacity,
+ * so two promotions running at once can never overfill the event.
+ *
+ * @returns {Object|null} Updated event, or null if no seat was available
+ */
+const reserveSeat = (eventId) => {
+  return Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $in: ["PUBLISHED", "CLOSED"] },
+      eventStartDate: { $gt: new Date() },
+      $or: [
+        { registrationLimit: { $in: [null, 0] } }, // Unlimited
+        { $expr: { $lt: ["$currentRegistrations", "$registrationLimit"] } },
+      ],
+    },
+    { $inc: { currentRegistrations: 1, registrationsLast24h: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * PROMOTE FROM WAITLIST
+ *
+ * Fills every free seat with the next waitlisted participant, generating
+ * the QR ticket and sending the confirmation email for each one.
+ * Never throws - promotion failures are logged so the calling request still succeeds.
+ *
+ * @param {ObjectId|String} eventId - Event whose waitlist should be processed
+ * @returns {Array} Promoted registrations
+ */
+export const promoteFromWaitlist = async (eventId) => {
+  const promoted = [];
+
+  try {
+    while (true) {
+      const next = await Registration.findOne({ event: eventId, status: "WAITLISTED" })
+        .sort({ registrationDate: 1 });
+
+      if (!next) break;
+
+      const event = await reserveSeat(eventId);
+      if (!event) break;
+
+      // Claim the registration - it may have been cancelled in the meantime
+      const requiresPayment = event.registrationFee > 0;
+      const registration = await Registration.findOneAndUpdate(
+        { _id: next._id, status: "WAITLISTED" },
+        {
+          status: requiresPayment ? "PENDING" : "CONFIRMED",
+          amountPaid: requiresPayment ? event.registrationFee : 0,
+          promotedFromWaitlistAt: new Date(),
+        },
+        { new: true }
+      );
+
+      if (!registration) {
+        await Event.findByIdAndUpdate(eventId, {
+          $inc: { currentRegistrations: -1, registrationsLast24h: -1 },
+        });
+        continue;
+      }
+
+      const participant = await User.findById(registration.participant);
+
+      // Paid events - hold the seat until the payment is approved
+      if (requiresPayment) {
+        try {
+          await sendPaymentRequiredEmail({
+            to: participant.email,
+            participantName: `${participant.firstName} ${participant.lastName}`,
+            eventName: event.eventName,
+            amount: event.registrationFee,
+            eventDate: event.eventStartDate,
+          });
+        } catch (emailError) {
+          console.error("Waitlist promotion email failed:", emailError);
+        }
+
+        await notifyUser(participant._id, {
+          type: "WAITLIST_PROMOTED",
+          title: "A seat opened up",
+          message: `You're off the waitlist for ${event.eventName}. Pay ₹${event.registrationFee} to confirm your seat.`,
+          link: "/registrations",
+          event: event._id,
+        });
+
+        console.log(`⬆️ Promoted ${registration.ticketId} from waitlist for ${event.eventName} (awaiting payment)`);
+        promoted.push(registration);
+        continue;
+      }
+
+      const qrData = {
+        ticketId: registration.ticketId,
+        participantId: participant._id.toString(),
+        participantName: `${participant.firstName} ${participant.lastName}`,
+        eventId: event._id.toString(),
+        eventName: event.eventName,
+        eventDate: event.eventStartDate,
+        eventEndDate: event.eventEndDate,
+      };
+      registration.qrToken = signTicketPayload(qrData);
+      registration.qrCode = await generateQRCode(registration.qrToken);
+      await registration.save();
+
+      try {
+        await sendRegistrationEmail({
+          to: participant.email,
+          participantName: `${participant.firstName} ${participant.lastName}`,
+          eventName: event.eventName,
+          ticketId: registration.ticketId,
+          qrCode: registration.qrCode,
+          eventDate: event.eventStartDate,
+          calendarInvite: await getEventInvite(event),
+        });
+      } catch (emailError) {
+        console.error("Waitlist promotion email failed:", emailError);
+      }
+
+      await notifyUser(participant._id, {
+        type: "WAITLIST_PROMOTED",
+        title: "You're in!",
+        message: `You're off the waitlist for ${event.eventName}. Ticket ${registration.ticketId} is ready.`,
+        link: "/registrations",
+        event: event._id,
+      });
+
+      console.log(`⬆️ Promoted ${registration.ticketId} from waitlist for ${event.eventName}`);
+      promoted.push(registration);
+    }
+  } catch (error) {
+    console.error("Waitlist promotion failed:", error);
+  }
+
+  return promoted;
+};
@@ -25,6 +25,8 @@ import MyRegistrations from './pages/participant/MyRegistrations';
 import FollowOrganizers from './pages/participant/FollowOrganizers';
 import ParticipantProfile from './pages/participant/ParticipantProfile';
 import EventDiscussion from './pages/participant/EventDiscussion';
+import Cart from './pages/participant/Cart';
+import MyOrders from './pages/participant/MyOrders';
 import OrganizerDashboard from './pages/organizer/OrganizerDashboard';
 import CreateEvent from './pages/organizer/CreateEvent';
 import ManageEvents from './pages/organizer/ManageEvents';
@@ -37,6 +39,8 @@ import EventFeedback from './pages/organizer/EventFeedback';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import ManageOrganizers from './pages/admin/ManageOrganizers';
 import PasswordResetRequests from './pages/admin/PasswordResetRequests';
+import TrendingEvents from './pages/admin/TrendingEvents';
+import NotificationSettings from './pages/NotificationSettings';
 import DebugAuth from './pages/DebugAuth';
 
 // Import components
@@ -131,6 +135,24 @@ function App() {
                 } 
               />
 
+              <Route 
+                path="/cart" 
+                element={
+                  <ProtectedRoute allowedRoles={['participant']}>
+                    <Cart />
+                  </ProtectedRoute>
+                } 
+              />
+
+              <Route 
+                path="/orders" 
+                element={
+                  <ProtectedRoute allowedRoles={['participant']}>
+                    <MyOrders />
+                  </ProtectedRoute>
+                } 
+              />
+
               <Route 
                 path="/follow-organizers" 
                 element={
@@ -158,6 +180,16 @@ function App() {
                 } 
               />
 
+              {/* Shared Routes - Every logged-in role */}
+              <Route 
+                path="/notifications/settings" 
+                element={
+                  <ProtectedRoute>
+                    <NotificationSettings />
+                  </ProtectedRoute>
+                } 
+              />
+
               {/* Organizer Routes - For club heads who create/manage events */}
               <Route 
                 path="/organizer/dashboard" 
@@ -267,6 +299,15 @@ function App() {
                 } 
               />
 
+              <Route 
+                path="/admin/trending" 
+                element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <TrendingEvents />
+                  </ProtectedRoute>
+                } 
+              />
+
               {/* Default route */}
               <Route path="/" element={<Navigate to="/login" />} />
             </Routes>
@@ -0,0 +1,81 @@
+/**
+ * CALENDAR FEED - Secret subscription link for calendar apps
+ *
+ * - Participants: events they have a confirmed ticket for
+ * - Organizers: their own published events
+ * - The link is created the first time it's shown; "New link" replaces it
+ *   (for when it was shared by mistake)
+ */
+
+import React, { useState } from 'react';
+import { calendarAPI } from '../services/api';
+import './CalendarFeed.css';
+
+function CalendarFeed({ description }) {
+  const [url, setUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const showLink = async () => {
+    try {
+      setLoading(true);
+      const response = await calendarAPI.getFeed();
+      setUrl(response.data.url);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to load calendar link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetLink = async () => {
+    if (!window.confirm('Create a new link? Calendars subscribed with the current link will stop updating.')) return;
+
+    try {
+      setLoading(true);
+      const response = await calendarAPI.resetFeed();
+      setUrl(response.data.url);
+      alert(response.data.message);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to create a new link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Link copied');
+    } catch {
+      alert('Copy failed - select the link and copy it manually');
+    }
+  };
+
+  return (
+    <div className="calendar-feed">
+      <h3>📅 Calendar Feed</h3>
+      <p className="calendar-feed-description">
+        {description} Add the link to Google Calendar, Outlook or Apple Calendar
+        ("subscribe from URL") and it stays up to date. Keep it private - anyone with the link can see it.
+      </p>
+
+      {url ? (
+        <>
+          <input className="calendar-feed-url" type="text" value={url} readOnly onFocus={(e) => e.target.select()} />
+          <div className="calendar-feed-actions">
+            <button onClick={copyLink}>Copy Link</button>
+            <button className="danger" onClick={resetLink} disabled={loading}>New Link</button>
+          </div>
+        </>
+      ) : (
+        <div className="calendar-feed-actions">
+          <button onClick={showLink} disabled={loading}>
+            {loading ? 'Loading...' : 'Show Calendar Link'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalendarFeed;
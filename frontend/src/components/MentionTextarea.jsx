@@ -0,0 +1,84 @@
+/**
+ * MENTION TEXTAREA COMPONENT - Textarea with @mention suggestions
+ *
+ * Typing "@" followed by a name suggests matching people; picking one
+ * inserts "@First Last". findMentions() turns the text back into user IDs.
+ */
+
+import React, { useRef, useState } from 'react';
+
+/**
+ * IDs of the members mentioned as "@First Last" in the text
+ */
+export const findMentions = (text, members) => (
+  members
+    .filter(m => text.includes(`@${m.firstName} ${m.lastName}`))
+    .map(m => m._id)
+);
+
+function MentionTextarea({ value, onChange, members = [], ...textareaProps }) {
+  const textareaRef = useRef(null);
+  const [query, setQuery] = useState(null); // Text typed after "@", or null when not mentioning
+
+  const handleChange = (e) => {
+    onChange(e);
+    const beforeCursor = e.target.value.slice(0, e.target.selectionStart);
+    const match = /(^|\s)@([^\s@]*)$/.exec(beforeCursor);
+    setQuery(match ? match[2].toLowerCase() : null);
+  };
+
+  const suggestions = query === null ? [] : members
+    .filter(m => (
+      `${m.firstName} ${m.lastName}`.toLowerCase().startsWith(query) ||
+      m.lastName.toLowerCase().startsWith(query)
+    ))
+    .slice(0, 6);
+
+  const insertMention = (member) => {
+    const textarea = textareaRef.current;
+    const cursor = textarea.selectionStart;
+    const before = value.slice(0, cursor).replace(/@([^\s@]*)$/, `@${member.firstName} ${member.lastName} `);
+
+    onChange({ target: { value: before + value.slice(cursor) } });
+    setQuery(null);
+
+    // Put the cursor after the inserted name
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  return (
+    <div className="mention-textarea">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={(e) => e.key === 'Escape' && setQuery(null)}
+        {...textareaProps}
+      />
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions">
+          {suggestions.map((member) => (
+            <li key={member._id}>
+              {/* onMouseDown keeps the textarea focused */}
+              <button
+                type="button"
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  insertMention(member);
+                }}
+              >
+                @{member.firstName} {member.lastName}
+                {member.isOrganizer && <span className="mention-role"> • Organizer</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default MentionTextarea;
@@ -0,0 +1,46 @@
+/**
+ * MESSAGE BODY COMPONENT - Renders a discussion message
+ *
+ * - Markdown, sanitized (no raw HTML, scripts or inline images)
+ * - @mentions of known people are highlighted
+ * - Links open in a new tab
+ */
+
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import rehypeSanitize from 'rehype-sanitize';
+
+const MENTION_HREF = '#mention-';
+
+function MessageBody({ text, mentions = [], currentUserId, className = '' }) {
+  // Turn "@First Last" into a link the renderer below shows as a highlighted mention
+  let markdown = text;
+  for (const person of mentions) {
+    if (!person?.firstName) continue;
+    const name = `@${person.firstName} ${person.lastName}`;
+    markdown = markdown.split(name).join(`[${name}](${MENTION_HREF}${person._id})`);
+  }
+
+  const renderLink = ({ href, children }) => {
+    if (href?.startsWith(MENTION_HREF)) {
+      const isMe = href.slice(MENTION_HREF.length) === currentUserId;
+      return <span className={`mention ${isMe ? 'mention-me' : ''}`}>{children}</span>;
+    }
+    return <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>;
+  };
+
+  return (
+    <div className={`message-body ${className}`}>
+      <ReactMarkdown
+        rehypePlugins={[rehypeSanitize]}
+        disallowedElements={['img']}
+        unwrapDisallowed
+        components={{ a: renderLink }}
+      >
+        {markdown}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default MessageBody;
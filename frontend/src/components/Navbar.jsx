@@ -4,11 +4,13 @@
  * Shows different links based on:
  * - Whether user is logged in
  * - What role the user has (participant, organizer, admin)
+ * Logged-in users also get the notification bell
  */
 
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 function Navbar() {
@@ -42,6 +44,8 @@ function Navbar() {
                   <Link to="/dashboard">Dashboard</Link>
                   <Link to="/browse-events">Browse Events</Link>
                   <Link to="/registrations">My Registrations</Link>
+                  <Link to="/orders">My Orders</Link>
+                  <Link to="/cart">Cart</Link>
                   <Link to="/follow-organizers">Follow Organizers</Link>
                   <Link to="/profile">Profile</Link>
                 </>
@@ -62,10 +66,12 @@ function Navbar() {
                   <Link to="/admin/dashboard">Dashboard</Link>
                   <Link to="/admin/manage-organizers">Manage Organizers</Link>
                   <Link to="/admin/password-requests">Password Reset Requests</Link>
+                  <Link to="/admin/trending">Trending</Link>
                 </>
               )}
 
               <div className="navbar-user">
+                <NotificationBell />
                 <span className="user-name">
                   {user.firstName} {user.lastName}
                 </span>
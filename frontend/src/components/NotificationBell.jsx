@@ -0,0 +1,176 @@
+/**
+ * NOTIFICATION BELL - In-app notifications in the navbar
+ *
+ * - Badge with the unread count (updated live over Socket.IO)
+ * - Dropdown with recent notifications: click one to open it (marks it read)
+ * - "Mark all read" and a link to per-type notification settings
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { notificationAPI } from '../services/api';
+import { watchNotifications } from '../services/socket';
+import './NotificationBell.css';
+
+function NotificationBell() {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await notificationAPI.getNotifications();
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unreadCount || 0);
+      setHasMore(!!response.data.hasMore);
+    } catch (err) {
+      console.error('Failed to fetch notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+
+    return watchNotifications((notification) => {
+      setNotifications((prev) => [notification, ...prev.filter((n) => n._id !== notification._id)]);
+      setUnreadCount((count) => count + 1);
+    }, fetchNotifications);
+  }, [fetchNotifications]);
+
+  /**
+   * Close the dropdown when clicking anywhere else
+   */
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const markRead = async (notification) => {
+    if (notification.isRead) return;
+
+    setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, isRead: true } : n)));
+    setUnreadCount((count) => Math.max(0, count - 1));
+    try {
+      await notificationAPI.markRead(notification._id);
+    } catch (err) {
+      console.error('Failed to mark notification read:', err);
+    }
+  };
+
+  const handleOpenNotification = (notification) => {
+    markRead(notification);
+    if (notification.link) {
+      setOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      setNotifications((prev) => prev.map((n) => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  const handleLoadMore = async () => {
+    const last = notifications[notifications.length - 1];
+    if (!last) return;
+
+    try {
+      const response = await notificationAPI.getNotifications(last.createdAt);
+      setNotifications((prev) => [...prev, ...(response.data.notifications || [])]);
+      setHasMore(!!response.data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more notifications:', err);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="bell-button"
+        onClick={() => setOpen((value) => !value)}
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="bell-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-dropdown">
+          <div className="notification-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="btn-link" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">You're all caught up.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map((notification) => (
+                <li
+                  key={notification._id}
+                  className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+                  onClick={() => handleOpenNotification(notification)}
+                >
+                  <div className="notification-title">{notification.title}</div>
+                  {notification.message && (
+                    <div className="notification-message">{notification.message}</div>
+                  )}
+                  <div className="notification-time">
+                    {new Date(notification.createdAt).toLocaleString('en-IN')}
+                  </div>
+                  {!notification.isRead && (
+                    <button
+                      type="button"
+                      className="btn-link notification-mark"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        markRead(notification);
+                      }}
+                    >
+                      Mark read
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="notification-footer">
+            {hasMore && (
+              <button type="button" className="btn-link" onClick={handleLoadMore}>
+                Load older
+              </button>
+            )}
+            <Link to="/notifications/settings" onClick={() => setOpen(false)}>
+              Settings
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -20,6 +20,7 @@
 
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { authAPI } from '../services/api';
+import { disconnectSocket } from '../services/socket';
 
 // Create the context (storage for auth state)
 const AuthContext = createContext();
@@ -175,6 +176,9 @@ export const AuthProvider = ({ children }) => {
     // Step 2: Clear state
     setToken(null);
     setUser(null);
+
+    // Step 3: Close the real-time connection (it was authenticated as this user)
+    disconnectSocket();
   };
 
   /**
@@ -0,0 +1,157 @@
+/**
+ * NOTIFICATION SETTINGS PAGE (all roles)
+ *
+ * Turn each kind of in-app notification on or off
+ * Only the kinds that can reach the user's role are listed
+ */
+
+import React, { useState, useEffect } from 'react';
+import { notificationAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import './NotificationSettings.css';
+
+const NOTIFICATION_TYPES = [
+  {
+    type: 'PAYMENT_APPROVED',
+    label: 'Payment approved',
+    description: 'Your payment proof or order was approved and your ticket is ready',
+    roles: ['participant'],
+  },
+  {
+    type: 'PAYMENT_REJECTED',
+    label: 'Payment rejected',
+    description: 'Your payment proof was rejected and needs to be resubmitted',
+    roles: ['participant'],
+  },
+  {
+    type: 'WAITLIST_PROMOTED',
+    label: 'Waitlist promotion',
+    description: 'A seat opened up and you were moved off the waitlist',
+    roles: ['participant'],
+  },
+  {
+    type: 'DEADLINE_EXTENDED',
+    label: 'Deadline extended',
+    description: 'An organizer you follow extended the registration deadline of an event',
+    roles: ['participant'],
+  },
+  {
+    type: 'EVENT_CANCELLED',
+    label: 'Event cancelled',
+    description: 'An event you registered for (or, for organizers, one of your events) was cancelled',
+    roles: ['participant', 'organizer'],
+  },
+  {
+    type: 'EVENT_RESCHEDULED',
+    label: 'Event rescheduled',
+    description: 'The dates of an event you registered for changed',
+    roles: ['participant'],
+  },
+  {
+    type: 'NEW_EVENT',
+    label: 'New events',
+    description: 'An organizer you follow published a new event',
+    roles: ['participant'],
+  },
+  {
+    type: 'DISCUSSION_REPLY',
+    label: 'Discussion replies',
+    description: 'Someone replied to your post in an event discussion',
+    roles: ['participant', 'organizer', 'admin'],
+  },
+  {
+    type: 'DISCUSSION_MENTION',
+    label: 'Mentions',
+    description: 'Someone @mentioned you in an event discussion',
+    roles: ['participant', 'organizer'],
+  },
+  {
+    type: 'PASSWORD_RESET_PROCESSED',
+    label: 'Password reset requests',
+    description: 'An admin approved or rejected your password reset request',
+    roles: ['organizer'],
+  },
+];
+
+function NotificationSettings() {
+  const { user } = useAuth();
+  const [preferences, setPreferences] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await notificationAPI.getPreferences();
+      setPreferences(response.data.preferences || {});
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load notification settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = (type) => {
+    setPreferences((prev) => ({ ...prev, [type]: !prev[type] }));
+    setSuccess('');
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await notificationAPI.updatePreferences(preferences);
+      setPreferences(response.data.preferences);
+      setSuccess(response.data.message || 'Notification preferences saved');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="notification-settings loading">Loading notification settings...</div>;
+  }
+
+  const types = NOTIFICATION_TYPES.filter(({ roles }) => roles.includes(user?.role));
+
+  return (
+    <div className="notification-settings">
+      <h1>Notification Settings</h1>
+      <p className="settings-subtitle">Choose which notifications show up under the 🔔 bell.</p>
+
+      {error && <div className="settings-error">{error}</div>}
+      {success && <div className="settings-success">{success}</div>}
+
+      <ul className="settings-list">
+        {types.map(({ type, label, description }) => (
+          <li key={type} className="settings-item">
+            <label>
+              <input
+                type="checkbox"
+                checked={preferences[type] !== false}
+                onChange={() => handleToggle(type)}
+              />
+              <span>
+                <strong>{label}</strong>
+                <small>{description}</small>
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <button className="btn-save-settings" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Preferences'}
+      </button>
+    </div>
+  );
+}
+
+export default NotificationSettings;
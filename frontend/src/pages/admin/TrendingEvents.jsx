@@ -0,0 +1,172 @@
+/**
+ * TRENDING EVENTS PAGE (Admin)
+ *
+ * See what is trending and why
+ * - Upcoming events with their time-decayed trending score
+ * - Pin an event (always trending) or exclude it (never trending)
+ * - Recompute the scores now instead of waiting for the scheduled job
+ * - Cancel an event (registrants are emailed and refunded)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { adminAPI } from '../../services/api';
+import './TrendingEvents.css';
+
+function TrendingEvents() {
+  const [events, setEvents] = useState([]);
+  const [computedAt, setComputedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [processingId, setProcessingId] = useState(null);
+  const [recomputing, setRecomputing] = useState(false);
+
+  useEffect(() => {
+    fetchTrending();
+  }, []);
+
+  const fetchTrending = async () => {
+    try {
+      const response = await adminAPI.getTrending();
+      setEvents(response.data.events || []);
+      setComputedAt(response.data.computedAt);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load trending events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpdate = async (eventId, settings) => {
+    try {
+      setProcessingId(eventId);
+      await adminAPI.updateEventTrending(eventId, settings);
+      await fetchTrending();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update trending settings');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleCancel = async (event) => {
+    const reason = prompt(`Cancel "${event.eventName}"? Every registration will be cancelled, paid ones refunded in full and registrants emailed. This cannot be undone.\n\nReason (shown to registrants and the organizer):`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Please give a reason for cancelling the event');
+      return;
+    }
+
+    try {
+      setProcessingId(event._id);
+      const response = await adminAPI.cancelEvent(event._id, reason.trim());
+      alert(`✅ ${response.data.message}`);
+      await fetchTrending();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel event');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleRecompute = async () => {
+    try {
+      setRecomputing(true);
+      const response = await adminAPI.recomputeTrending();
+      alert(`✅ ${response.data.message}`);
+      await fetchTrending();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to recompute trending');
+    } finally {
+      setRecomputing(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-IN', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (loading) return <div className="loading">Loading...</div>;
+
+  return (
+    <div className="trending-events">
+      <div className="page-header">
+        <h1>Trending Events</h1>
+        <p>
+          Scores weigh recent registrations and views more (older activity fades out).
+          {computedAt && ` Last computed ${formatDate(computedAt)}.`}
+        </p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <button className="btn-recompute" onClick={handleRecompute} disabled={recomputing}>
+        {recomputing ? 'Recomputing...' : '🔄 Recompute Now'}
+      </button>
+
+      {events.length === 0 ? (
+        <div className="no-data">No upcoming published events</div>
+      ) : (
+        <table className="trending-table">
+          <thead>
+            <tr>
+              <th>Event</th>
+              <th>Starts</th>
+              <th>Score</th>
+              <th>Registrations (24h)</th>
+              <th>Views</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr key={event._id} className={event.trendingExcluded ? 'excluded' : ''}>
+                <td>
+                  <strong>{event.eventName}</strong>
+                  <div className="organizer-name">{event.organizer?.organizerName}</div>
+                </td>
+                <td>{formatDate(event.eventStartDate)}</td>
+                <td>{(event.trendingScore || 0).toFixed(2)}</td>
+                <td>{event.registrationsLast24h || 0}</td>
+                <td>{event.views || 0}</td>
+                <td>
+                  {event.trendingPinned && <span className="trending-badge pinned">📌 Pinned</span>}
+                  {event.trendingExcluded && <span className="trending-badge excluded">🚫 Excluded</span>}
+                  {!event.trendingPinned && !event.trendingExcluded && <span className="trending-badge">Ranked</span>}
+                </td>
+                <td className="trending-actions">
+                  <button
+                    onClick={() => handleUpdate(event._id, { pinned: !event.trendingPinned })}
+                    disabled={processingId === event._id}
+                  >
+                    {event.trendingPinned ? 'Unpin' : 'Pin'}
+                  </button>
+                  <button
+                    onClick={() => handleUpdate(event._id, { excluded: !event.trendingExcluded })}
+                    disabled={processingId === event._id}
+                  >
+                    {event.trendingExcluded ? 'Include' : 'Exclude'}
+                  </button>
+                  <button
+                    className="danger"
+                    onClick={() => handleCancel(event)}
+                    disabled={processingId === event._id}
+                  >
+                    Cancel Event
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default TrendingEvents;
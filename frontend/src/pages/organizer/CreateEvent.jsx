@@ -27,10 +27,15 @@ function CreateEvent() {
     registrationFee: 0,
     eligibility: 'ALL',
     tags: '',
+    // Team event fields
+    isTeamEvent: false,
+    minTeamSize: 2,
+    maxTeamSize: 4,
     // Merchandise fields
     sizes: '',
     colors: '',
     stock: '',
+    purchaseLimit: 1,
   });
 
   const [customForm, setCustomForm] = useState([]);//custom form is an array of objects where each object represents a form field with its properties like fieldName, fieldType, required, options, etc. This allows us to dynamically add and manage custom fields for the registration form of the event.
@@ -44,6 +49,18 @@ function CreateEvent() {
   // It holds the values of the form inputs for creating a new custom field before it is added to the customForm array. 
   // Once the user fills in the details for the new field and clicks "Add Field", this newField state is used to create a new field object that gets added to the customForm array, and then it is reset back to its initial state for adding another field if needed.
 
+  // Sessions / days for multi-session events (attendance is scanned per session)
+  const [sessions, setSessions] = useState([]);
+  const [newSession, setNewSession] = useState({ name: '', startTime: '', endTime: '' });
+
+  // Merchandise stock/price per size + color combination
+  const [variants, setVariants] = useState([]);
+
+  // Cancellation policy - refund % by how many hours before the event the participant cancels
+  const [refundTiers, setRefundTiers] = useState([]);
+  const [newTier, setNewTier] = useState({ hoursBefore: '', refundPercent: '' });
+  const [policyNote, setPolicyNote] = useState('');
+
   const [creating, setCreating] = useState(false);
   const [error, setError] = useState('');
 
@@ -80,6 +97,59 @@ function CreateEvent() {
     setCustomForm(customForm.filter((_, i) => i !== index));
   };//removes the field at a particular index since custom form is an array of fields and each field has a index we can use that index to remove the field from the custom form array.
 
+  const handleAddSession = () => {
+    if (!newSession.name || !newSession.startTime || !newSession.endTime) {
+      alert('Please enter session name, start time and end time');
+      return;
+    }
+    if (new Date(newSession.endTime) <= new Date(newSession.startTime)) {
+      alert('Session must end after it starts');
+      return;
+    }
+
+    setSessions([...sessions, newSession]);
+    setNewSession({ name: '', startTime: '', endTime: '' });
+  };
+
+  const handleRemoveSession = (index) => {
+    setSessions(sessions.filter((_, i) => i !== index));
+  };
+
+  const handleAddTier = () => {
+    const hoursBefore = parseFloat(newTier.hoursBefore);
+    const refundPercent = parseFloat(newTier.refundPercent);
+    if (isNaN(hoursBefore) || hoursBefore < 0 || isNaN(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      alert('Enter hours before the event (0 or more) and a refund percentage between 0 and 100');
+      return;
+    }
+    if (refundTiers.some(t => t.hoursBefore === hoursBefore)) {
+      alert('A tier for that many hours already exists');
+      return;
+    }
+
+    setRefundTiers([...refundTiers, { hoursBefore, refundPercent }].sort((a, b) => b.hoursBefore - a.hoursBefore));
+    setNewTier({ hoursBefore: '', refundPercent: '' });
+  };
+
+  const handleGenerateVariants = () => {
+    const sizes = formData.sizes ? formData.sizes.split(',').map(s => s.trim()).filter(Boolean) : [''];
+    const colors = formData.colors ? formData.colors.split(',').map(c => c.trim()).filter(Boolean) : [''];
+
+    // Keep price/stock already entered for combinations that still exist
+    const combos = [];
+    sizes.forEach(size => {
+      colors.forEach(color => {
+        const existing = variants.find(v => v.size === size && v.color === color);
+        combos.push(existing || { size, color, price: formData.registrationFee || '', stock: '' });
+      });
+    });
+    setVariants(combos);
+  };
+
+  const handleVariantChange = (index, field, value) => {
+    setVariants(variants.map((v, i) => (i === index ? { ...v, [field]: value } : v)));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();//prevents the default form submission behavior which would cause a page reload. 
     
@@ -102,6 +172,26 @@ function CreateEvent() {
         tags: formData.tags ? formData.tags.split(',').map(t => t.trim()) : [],
       };
 
+      // Team sizes only apply to team events
+      if (formData.eventType === 'NORMAL' && formData.isTeamEvent) {
+        eventData.minTeamSize = parseInt(formData.minTeamSize);
+        eventData.maxTeamSize = parseInt(formData.maxTeamSize);
+      } else {
+        eventData.isTeamEvent = false;
+        delete eventData.minTeamSize;
+        delete eventData.maxTeamSize;
+      }
+
+      // Add sessions for multi-session normal events
+      if (formData.eventType === 'NORMAL' && sessions.length > 0) {
+        eventData.sessions = sessions;
+      }
+
+      // Cancellation policy for paid events
+      if (refundTiers.length > 0 || policyNote) {
+        eventData.cancellationPolicy = { tiers: refundTiers, note: policyNote || undefined };
+      }
+
       // Add custom form for normal events
       if (formData.eventType === 'NORMAL' && customForm.length > 0) {
         eventData.customForm = customForm;
@@ -112,7 +202,15 @@ function CreateEvent() {
         eventData.merchandise = {
           sizes: formData.sizes ? formData.sizes.split(',').map(s => s.trim()) : [],
           colors: formData.colors ? formData.colors.split(',').map(c => c.trim()) : [],
-          stock: parseInt(formData.stock) || 0
+          variants: variants.map(v => ({
+            size: v.size || undefined,
+            color: v.color || undefined,
+            price: v.price === '' ? undefined : parseFloat(v.price),
+            stock: parseInt(v.stock) || 0
+          })),
+          // Single stock pool when there is no per-variant stock
+          stockQuantity: variants.length > 0 ? undefined : parseInt(formData.stock) || 0,
+          purchaseLimit: parseInt(formData.purchaseLimit) || 1
         };
       }
 
@@ -286,6 +384,115 @@ function CreateEvent() {
           </div>
         </div>
 
+        {/* Team Settings for Normal Events */}
+        {formData.eventType === 'NORMAL' && (
+          <div style={{ background: '#1a2332', padding: '24px', borderRadius: '8px', marginBottom: '24px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+            <h2 style={{ marginTop: 0, color: '#e5e7eb' }}>Team Event</h2>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#e5e7eb', marginBottom: '15px' }}>
+              <input
+                type="checkbox"
+                name="isTeamEvent"
+                checked={formData.isTeamEvent}
+                onChange={handleChange}
+              />
+              Participants register as teams (e.g., hackathons)
+            </label>
+
+            {formData.isTeamEvent && (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+                <div>
+                  <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#e5e7eb' }}>Min Team Size *</label>
+                  <input
+                    type="number"
+                    name="minTeamSize"
+                    value={formData.minTeamSize}
+                    onChange={handleChange}
+                    min="1"
+                    required
+                    style={{ width: '100%', padding: '10px', borderRadius: '6px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#0f1419', color: '#e5e7eb' }}
+                  />
+                </div>
+                <div>
+                  <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#e5e7eb' }}>Max Team Size *</label>
+                  <input
+                    type="number"
+                    name="maxTeamSize"
+                    value={formData.maxTeamSize}
+                    onChange={handleChange}
+                    min={formData.minTeamSize || 1}
+                    required
+                    style={{ width: '100%', padding: '10px', borderRadius: '6px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#0f1419', color: '#e5e7eb' }}
+                  />
+                </div>
+              </div>
+            )}
+            <p style={{ color: '#9ca3af', marginBottom: 0 }}>Registration limit counts individual participants, not teams.</p>
+          </div>
+        )}
+
+        {/* Sessions for Multi-Day / Multi-Session Normal Events */}
+        {formData.eventType === 'NORMAL' && (
+          <div style={{ background: '#1a2332', padding: '24px', borderRadius: '8px', marginBottom: '24px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+            <h2 style={{ marginTop: 0, color: '#e5e7eb' }}>Sessions (Optional)</h2>
+            <p style={{ color: '#9ca3af', marginBottom: '20px' }}>For multi-day events or workshops with several sessions - attendance is taken separately for each session</p>
+
+            {/* Added Sessions */}
+            {sessions.length > 0 && (
+              <div style={{ marginBottom: '20px' }}>
+                {sessions.map((session, index) => (
+                  <div key={index} style={{ background: '#0f1419', padding: '12px', marginBottom: '10px', borderRadius: '6px', display: 'flex', justifyContent: 'space-between', alignItems: 'center', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+                    <div style={{ color: '#e5e7eb' }}>
+                      <strong>{session.name}</strong>
+                      <span style={{ color: '#9ca3af', marginLeft: '8px' }}>
+                        {new Date(session.startTime).toLocaleString('en-IN')} - {new Date(session.endTime).toLocaleString('en-IN')}
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveSession(index)}
+                      style={{ background: '#ef4444', color: 'white', border: 'none', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Add New Session */}
+            <div style={{ background: '#0f1419', padding: '15px', borderRadius: '6px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '10px', marginBottom: '10px' }}>
+                <input
+                  type="text"
+                  placeholder="Session name (e.g., Day 1)"
+                  value={newSession.name}
+                  onChange={(e) => setNewSession({ ...newSession, name: e.target.value })}
+                  style={{ padding: '8px', borderRadius: '4px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#1a2332', color: '#e5e7eb' }}
+                />
+                <input
+                  type="datetime-local"
+                  value={newSession.startTime}
+                  onChange={(e) => setNewSession({ ...newSession, startTime: e.target.value })}
+                  style={{ padding: '8px', borderRadius: '4px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#1a2332', color: '#e5e7eb' }}
+                />
+                <input
+                  type="datetime-local"
+                  value={newSession.endTime}
+                  onChange={(e) => setNewSession({ ...newSession, endTime: e.target.value })}
+                  style={{ padding: '8px', borderRadius: '4px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#1a2332', color: '#e5e7eb' }}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={handleAddSession}
+                style={{ background: '#10b981', color: 'white', border: 'none', padding: '8px 16px', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                ➕ Add Session
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Custom Form Builder for Normal Events */}
         {formData.eventType === 'NORMAL' && (
           <div style={{ background: '#1a2332', padding: '24px', borderRadius: '8px', marginBottom: '24px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
@@ -391,21 +598,151 @@ function CreateEvent() {
               />
             </div>
 
-            <div>
-              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#e5e7eb' }}>Stock Quantity *</label>
+            <div style={{ marginBottom: '20px' }}>
+              <button
+                type="button"
+                onClick={handleGenerateVariants}
+                style={{ background: '#10b981', color: 'white', border: 'none', padding: '8px 16px', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                {variants.length > 0 ? '🔄 Update Stock Table' : '📦 Set Stock & Price per Size/Color'}
+              </button>
+              {variants.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setVariants([])}
+                  style={{ background: 'transparent', color: '#9ca3af', border: '1px solid rgba(139, 157, 255, 0.2)', padding: '8px 16px', borderRadius: '4px', cursor: 'pointer', marginLeft: '10px' }}
+                >
+                  Use a single stock count instead
+                </button>
+              )}
+            </div>
+
+            {variants.length > 0 ? (
+              <div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: '10px', marginBottom: '8px', color: '#9ca3af', fontSize: '14px' }}>
+                  <span>Size</span>
+                  <span>Color</span>
+                  <span>Price (₹)</span>
+                  <span>Stock *</span>
+                </div>
+                {variants.map((variant, index) => (
+                  <div key={`${variant.size}-${variant.color}`} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: '10px', marginBottom: '8px', alignItems: 'center', color: '#e5e7eb' }}>
+                    <span>{variant.size || '-'}</span>
+                    <span>{variant.color || '-'}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={variant.price}
+                      onChange={(e) => handleVariantChange(index, 'price', e.target.value)}
+                      placeholder="Registration fee"
+                      style={{ padding: '8px', borderRadius: '4px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#0f1419', color: '#e5e7eb' }}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      value={variant.stock}
+                      onChange={(e) => handleVariantChange(index, 'stock', e.target.value)}
+                      required
+                      style={{ padding: '8px', borderRadius: '4px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#0f1419', color: '#e5e7eb' }}
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#e5e7eb' }}>Stock Quantity *</label>
+                <input
+                  type="number"
+                  name="stock"
+                  value={formData.stock}
+                  onChange={handleChange}
+                  required
+                  min="1"
+                  style={{ width: '100%', padding: '10px', borderRadius: '6px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#0f1419', color: '#e5e7eb' }}
+                />
+              </div>
+            )}
+
+            <div style={{ marginTop: '15px' }}>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#e5e7eb' }}>Purchase Limit per Person</label>
               <input
                 type="number"
-                name="stock"
-                value={formData.stock}
+                name="purchaseLimit"
+                value={formData.purchaseLimit}
                 onChange={handleChange}
-                required
                 min="1"
                 style={{ width: '100%', padding: '10px', borderRadius: '6px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#0f1419', color: '#e5e7eb' }}
               />
+              <small style={{ color: '#9ca3af' }}>Total items one participant can buy across all sizes/colors</small>
             </div>
           </div>
         )}
 
+        {/* Cancellation Policy for Paid Events */}
+        {parseFloat(formData.registrationFee) > 0 && (
+          <div style={{ background: '#1a2332', padding: '24px', borderRadius: '8px', marginBottom: '24px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+            <h2 style={{ marginTop: 0, color: '#e5e7eb' }}>Cancellation Policy (Optional)</h2>
+            <p style={{ color: '#9ca3af', marginBottom: '20px' }}>Refund percentage depending on how early participants cancel. Without tiers, cancelled payments can be refunded in full.</p>
+
+            {refundTiers.length > 0 && (
+              <div style={{ marginBottom: '20px' }}>
+                {refundTiers.map((tier, index) => (
+                  <div key={tier.hoursBefore} style={{ background: '#0f1419', padding: '12px', marginBottom: '10px', borderRadius: '6px', display: 'flex', justifyContent: 'space-between', alignItems: 'center', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+                    <span style={{ color: '#e5e7eb' }}>
+                      Cancelled {tier.hoursBefore}+ hours before the event → <strong>{tier.refundPercent}% refund</strong>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setRefundTiers(refundTiers.filter((_, i) => i !== index))}
+                      style={{ background: '#ef4444', color: 'white', border: 'none', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <p style={{ color: '#9ca3af', fontSize: '0.9rem' }}>Cancelled later than the last tier → no refund</p>
+              </div>
+            )}
+
+            <div style={{ background: '#0f1419', padding: '15px', borderRadius: '6px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '10px' }}>
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Hours before event (e.g., 72)"
+                  value={newTier.hoursBefore}
+                  onChange={(e) => setNewTier({ ...newTier, hoursBefore: e.target.value })}
+                  style={{ padding: '8px', borderRadius: '4px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#1a2332', color: '#e5e7eb' }}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  placeholder="Refund % (e.g., 100)"
+                  value={newTier.refundPercent}
+                  onChange={(e) => setNewTier({ ...newTier, refundPercent: e.target.value })}
+                  style={{ padding: '8px', borderRadius: '4px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#1a2332', color: '#e5e7eb' }}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={handleAddTier}
+                style={{ background: '#10b981', color: 'white', border: 'none', padding: '8px 16px', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                ➕ Add Refund Tier
+              </button>
+            </div>
+
+            <textarea
+              placeholder="Policy note shown to participants (optional)"
+              value={policyNote}
+              onChange={(e) => setPolicyNote(e.target.value)}
+              rows={2}
+              style={{ width: '100%', marginTop: '15px', padding: '10px', borderRadius: '6px', border: '1px solid rgba(139, 157, 255, 0.2)', background: '#0f1419', color: '#e5e7eb' }}
+            />
+          </div>
+        )}
+
         {/* Submit */}
         <div style={{ display: 'flex', gap: '15px' }}>
           <button
@@ -3,7 +3,7 @@
  * 
  * Full event management interface for organizers:
  * - View all events with filters
- * - Publish/unpublish events
+ * - Publish, close, reopen, complete or cancel events
  * - Edit/delete events
  * - View registrations
  */
@@ -17,7 +17,7 @@ function ManageEvents() {
   
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('ALL'); // ALL, DRAFT, PUBLISHED, COMPLETED
+  const [filter, setFilter] = useState('ALL'); // ALL, DRAFT, PUBLISHED, CLOSED, COMPLETED, CANCELLED
 
   useEffect(() => {
     fetchEvents();
@@ -48,6 +48,47 @@ function ManageEvents() {
     }
   };
 
+  const handleClose = async (eventId) => {
+    if (!confirm('Close registrations for this event?')) return;
+
+    try {
+      await organizerAPI.closeEvent(eventId);
+      alert('✅ Registrations closed');
+      fetchEvents();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to close event');
+    }
+  };
+
+  const handleReopen = async (eventId) => {
+    if (!confirm('Reopen registrations for this event?')) return;
+
+    try {
+      await organizerAPI.reopenEvent(eventId);
+      alert('✅ Registrations reopened');
+      fetchEvents();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to reopen event');
+    }
+  };
+
+  const handleCancel = async (eventId, eventName) => {
+    const reason = prompt(`Cancel "${eventName}"? Every registration will be cancelled, paid ones refunded in full and registrants emailed. This cannot be undone.\n\nReason (shown to registrants):`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Please give a reason for cancelling the event');
+      return;
+    }
+
+    try {
+      const response = await organizerAPI.cancelEvent(eventId, reason.trim());
+      alert(`✅ ${response.data.message}`);
+      fetchEvents();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to cancel event');
+    }
+  };
+
   const handleComplete = async (eventId) => {
     if (!confirm('Mark this event as completed? This will close registrations and finalize statistics.')) return;
     
@@ -96,7 +137,7 @@ function ManageEvents() {
 
       {/* Filter Tabs */}
       <div style={{ display: 'flex', gap: '10px', marginBottom: '30px', borderBottom: '2px solid #e5e7eb' }}>
-        {['ALL', 'DRAFT', 'PUBLISHED', 'COMPLETED'].map(status => (
+        {['ALL', 'DRAFT', 'PUBLISHED', 'CLOSED', 'COMPLETED', 'CANCELLED'].map(status => (
           <button
             key={status}
             onClick={() => setFilter(status)}
@@ -215,7 +256,43 @@ function ManageEvents() {
                     </button>
                   )}
 
-                  {event.status === 'PUBLISHED' && new Date(event.eventEndDate) < new Date() && (
+                  {event.status === 'PUBLISHED' && (
+                    <button
+                      onClick={() => handleClose(event._id)}
+                      style={{
+                        background: '#374151',
+                        color: '#e5e7eb',
+                        border: '1px solid #4b5563',
+                        padding: '10px 20px',
+                        borderRadius: '6px',
+                        cursor: 'pointer',
+                        fontSize: '14px',
+                        fontWeight: '500'
+                      }}
+                    >
+                      🔒 Close
+                    </button>
+                  )}
+
+                  {event.status === 'CLOSED' && (
+                    <button
+                      onClick={() => handleReopen(event._id)}
+                      style={{
+                        background: 'rgba(139, 157, 255, 0.15)',
+                        color: '#8b9dff',
+                        border: '1px solid rgba(139, 157, 255, 0.3)',
+                        padding: '10px 20px',
+                        borderRadius: '6px',
+                        cursor: 'pointer',
+                        fontSize: '14px',
+                        fontWeight: '500'
+                      }}
+                    >
+                      🔓 Reopen
+                    </button>
+                  )}
+
+                  {['PUBLISHED', 'CLOSED', 'ONGOING'].includes(event.status) && new Date(event.eventEndDate) < new Date() && (
                     <button
                       onClick={() => handleComplete(event._id)}
                       style={{
@@ -264,6 +341,24 @@ function ManageEvents() {
                     📊 View
                   </button>
 
+                  {['PUBLISHED', 'CLOSED', 'ONGOING'].includes(event.status) && (
+                    <button
+                      onClick={() => handleCancel(event._id, event.eventName)}
+                      style={{
+                        background: 'rgba(239, 68, 68, 0.15)',
+                        color: '#fca5a5',
+                        border: '1px solid rgba(239, 68, 68, 0.3)',
+                        padding: '10px 20px',
+                        borderRadius: '6px',
+                        cursor: 'pointer',
+                        fontSize: '14px',
+                        fontWeight: '500'
+                      }}
+                    >
+                      ✖️ Cancel Event
+                    </button>
+                  )}
+
                   <button
                     onClick={() => handleDelete(event._id, event.eventName)}
                     style={{
@@ -5,6 +5,7 @@
  * - View their created events
  * - Create new events
  * - See event statistics
+ * - See followers and how many were notified about each published event
  */
 
 import React, { useState, useEffect } from 'react';
@@ -48,8 +49,8 @@ function OrganizerDashboard() {
     if (!confirm('Publish this event? It will become visible to all participants.')) return;
     
     try {
-      await organizerAPI.publishEvent(eventId);
-      alert('✅ Event published successfully!');
+      const response = await organizerAPI.publishEvent(eventId);
+      alert(`✅ ${response.data.message || 'Event published successfully!'}`);
       fetchDashboard(); // Refresh data
     } catch (error) {
       alert(error.response?.data?.message || 'Failed to publish event');
@@ -87,6 +88,14 @@ function OrganizerDashboard() {
             <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#8b5cf6' }}>{dashboard.stats?.pendingPayments || 0}</div>
             <div style={{ color: '#9ca3af', marginTop: '5px' }}>Pending Approvals</div>
           </div>
+          <div style={{ background: '#1a2332', padding: '20px', borderRadius: '8px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+            <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#ec4899' }}>{dashboard.stats?.followerCount || 0}</div>
+            <div style={{ color: '#9ca3af', marginTop: '5px' }}>Followers</div>
+          </div>
+          <div style={{ background: '#1a2332', padding: '20px', borderRadius: '8px', border: '1px solid rgba(139, 157, 255, 0.2)' }}>
+            <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#06b6d4' }}>{dashboard.stats?.followersNotified || 0}</div>
+            <div style={{ color: '#9ca3af', marginTop: '5px' }}>Follower Notifications Sent</div>
+          </div>
         </div>
       )}
 
@@ -174,6 +183,12 @@ function OrganizerDashboard() {
                     <p style={{ color: '#9ca3af', fontSize: '14px', margin: '5px 0' }}>
                       👥 {event.currentRegistrations || 0} / {event.registrationLimit || '∞'} registrations
                     </p>
+                    {event.followerNotification?.notifiedAt && (
+                      <p style={{ color: '#9ca3af', fontSize: '14px', margin: '5px 0' }}>
+                        🔔 {event.followerNotification.followerCount} follower(s) notified
+                        {' '}({event.followerNotification.instantEmailCount} instant email, {event.followerNotification.digestCount} daily digest, {event.followerNotification.emailedCount} emailed so far)
+                      </p>
+                    )}
                     {event.registrationFee > 0 && (
                       <p style={{ color: '#9ca3af', fontSize: '14px', margin: '5px 0' }}>
                         💰 ₹{event.registrationFee}
@@ -1,41 +1,50 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { organizerAPI, discussionAPI } from '../../services/api';
+import { organizerAPI, announcementAPI } from '../../services/api';
+import { watchDiscussionUnread } from '../../services/socket';
 import './OrganizerEventDetails.css';
 
 //for the view button
 
+// datetime-local inputs work in local time
+const toDateTimeInput = (date) => {
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
 function OrganizerEventDetails() {
   const { id } = useParams();//in built functions
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [event, setEvent] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
   const [registrations, setRegistrations] = useState([]);
   const [filter, setFilter] = useState('ALL');
   const [error, setError] = useState(null);
   const [newMessagesCount, setNewMessagesCount] = useState(0);
+  const [announcements, setAnnouncements] = useState([]);
+  const [announcementForm, setAnnouncementForm] = useState({ title: '', message: '', scheduledFor: '' });
+  const [postingAnnouncement, setPostingAnnouncement] = useState(false);
+  const [statusHistory, setStatusHistory] = useState([]);
+  const [updatingAutoStatus, setUpdatingAutoStatus] = useState(false);
+  const [rescheduleForm, setRescheduleForm] = useState(null); // null while the form is hidden
+  const [rescheduling, setRescheduling] = useState(false);
 
   useEffect(() => {
     fetchEventDetails();
     fetchRegistrations();
+    fetchAnnouncements();
+    fetchStatusHistory();
   }, [id]);
 
+  // Unread discussion messages (live)
+  useEffect(() => watchDiscussionUnread(id, setNewMessagesCount), [id]);
+
   const fetchEventDetails = async () => {
     try {
       const response = await organizerAPI.getEventDetails(id);
       setEvent(response.data.event);
-      
-      // Check for new messages
-      try {
-        const discussionRes = await discussionAPI.getEventDiscussions(id);
-        const currentCount = discussionRes.data.discussions?.length || 0;
-        const lastSeenCount = parseInt(localStorage.getItem(`discussion_organizer_${id}_count`) || '0');
-        if (currentCount > lastSeenCount) {
-          setNewMessagesCount(currentCount - lastSeenCount);
-        }
-      } catch (err) {
-        // Ignore error
-      }
+      setAnalytics(response.data.analytics);
     } catch (err) {
       console.error('Error fetching event details:', err);
       setError(err.response?.data?.message || 'Failed to load event details');
@@ -62,6 +71,108 @@ function OrganizerEventDetails() {
     }
   }, [filter]);
 
+  const fetchAnnouncements = async () => {
+    try {
+      const response = await announcementAPI.getEventAnnouncements(id);
+      setAnnouncements(response.data.announcements || []);
+    } catch (err) {
+      console.error('Error fetching announcements:', err);
+    }
+  };
+
+  const fetchStatusHistory = async () => {
+    try {
+      const response = await organizerAPI.getStatusHistory(id);
+      setStatusHistory(response.data.history || []);
+    } catch (err) {
+      console.error('Error fetching status history:', err);
+    }
+  };
+
+  const handleToggleAutoStatus = async () => {
+    try {
+      setUpdatingAutoStatus(true);
+      const response = await organizerAPI.setAutoStatus(id, !event.autoStatus);
+      setEvent({ ...event, autoStatus: response.data.event.autoStatus });
+    } catch (err) {
+      console.error('Error updating automatic status:', err);
+      alert(err.response?.data?.message || 'Failed to update automatic status');
+    } finally {
+      setUpdatingAutoStatus(false);
+    }
+  };
+
+    const openRescheduleForm = () => {
+    setRescheduleForm({
+      eventStartDate: toDateTimeInput(event.eventStartDate),
+      eventEndDate: toDateTimeInput(event.eventEndDate),
+      registrationDeadline: toDateTimeInput(event.registrationDeadline),
+      reason: '',
+    });
+  };
+
+  const handleReschedule = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Reschedule this event? Every registrant will be emailed the new dates and a new ticket QR code. Offline scan manifests downloaded before now stop matching - download them again.')) return;
+
+    try {
+      setRescheduling(true);
+      const { eventStartDate, eventEndDate, registrationDeadline, reason } = rescheduleForm;
+      const response = await organizerAPI.rescheduleEvent(id, {
+        eventStartDate: new Date(eventStartDate).toISOString(),
+        eventEndDate: new Date(eventEndDate).toISOString(),
+        registrationDeadline: new Date(registrationDeadline).toISOString(),
+        reason,
+      });
+      alert(`✅ ${response.data.message}`);
+      setRescheduleForm(null);
+      fetchEventDetails();
+    } catch (err) {
+      console.error('Error rescheduling event:', err);
+      alert(err.response?.data?.message || 'Failed to reschedule event');
+    } finally {
+      setRescheduling(false);
+    }
+  };
+
+  const handlePostAnnouncement = async (e) => {
+    e.preventDefault();
+
+    try {
+      setPostingAnnouncement(true);
+      const { title, message, scheduledFor } = announcementForm;
+      const response = await announcementAPI.createAnnouncement(id, {
+        title,
+        message,
+        // datetime-local is local time - send it as an absolute time
+        ...(scheduledFor && { scheduledFor: new Date(scheduledFor).toISOString() }),
+      });
+      alert(response.data.message);
+      setAnnouncementForm({ title: '', message: '', scheduledFor: '' });
+      fetchAnnouncements();
+    } catch (err) {
+      console.error('Error posting announcement:', err);
+      alert(err.response?.data?.message || 'Failed to post announcement');
+    } finally {
+      setPostingAnnouncement(false);
+    }
+  };
+
+  const handleDeleteAnnouncement = async (announcement) => {
+    const question = announcement.status === 'SCHEDULED'
+      ? 'Cancel this scheduled announcement?'
+      : 'Delete this announcement? It will no longer show on the event page.';
+    if (!window.confirm(question)) return;
+
+    try {
+      await announcementAPI.deleteAnnouncement(announcement._id);
+      fetchAnnouncements();
+    } catch (err) {
+      console.error('Error deleting announcement:', err);
+      alert(err.response?.data?.message || 'Failed to delete announcement');
+    }
+  };
+
   const handleExportCSV = async () => {
     try {
       const response = await organizerAPI.exportRegistrations(id);
@@ -178,6 +289,29 @@ function OrganizerEventDetails() {
         </div>
       </div>
 
+      {/* Per-Session Attendance (multi-session events) */}
+      {analytics?.sessionAttendance && (
+        <div className="event-info-section">
+          <h2>Session Attendance</h2>
+          <div className="session-attendance-list">
+            {analytics.sessionAttendance.map((session) => (
+              <div key={session.sessionId} className="session-attendance-row">
+                <div>
+                  <strong>{session.name}</strong>
+                  <p className="stat-label">
+                    {new Date(session.startTime).toLocaleString()} - {new Date(session.endTime).toLocaleString()}
+                  </p>
+                </div>
+                <div className="session-attendance-count">
+                  {session.attended} / {analytics.confirmedRegistrations}
+                  <span className="stat-label"> ({session.attendanceRate})</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Event Details */}
       <div className="event-info-section">
         <h2>Event Details</h2>
@@ -218,13 +352,253 @@ function OrganizerEventDetails() {
         </div>
       </div>
 
+      {/* Cancellation Report */}
+      {event.status === 'CANCELLED' && event.cancellation && (
+        <div className="event-info-section cancellation-report">
+          <h2>Cancellation Report</h2>
+          <p className="stat-label">
+            Cancelled {event.cancellation.cancelledByRole === 'ADMIN' ? 'by an admin ' : ''}
+            on {new Date(event.cancellation.cancelledAt).toLocaleString()}
+          </p>
+          <p className="cancellation-reason">{event.cancellation.reason}</p>
+          {!event.cancellation.completedAt && (
+            <p className="stat-label">
+              ⏳ Some registrations are still being cancelled - this is retried automatically and the numbers below will update.
+            </p>
+          )}
+          <div className="analytics-grid">
+            <div className="stat-card">
+              <h3>Registrations Cancelled</h3>
+              <p className="stat-value">
+                {event.cancellation.confirmedCancelled + event.cancellation.pendingCancelled + event.cancellation.waitlistCancelled}
+              </p>
+              <p className="stat-label">
+                {event.cancellation.confirmedCancelled} confirmed, {event.cancellation.pendingCancelled} pending, {event.cancellation.waitlistCancelled} waitlisted
+              </p>
+            </div>
+            <div className="stat-card">
+              <h3>Tickets Invalidated</h3>
+              <p className="stat-value">{event.cancellation.ticketsInvalidated}</p>
+              <p className="stat-label">QR codes no longer scan</p>
+            </div>
+            <div className="stat-card">
+              <h3>Refunds Queued</h3>
+              <p className="stat-value">₹{event.cancellation.refundTotal}</p>
+              <p className="stat-label">
+                {event.cancellation.refundCount} full refund{event.cancellation.refundCount !== 1 ? 's' : ''} - approve them under Payment Approvals
+              </p>
+            </div>
+            <div className="stat-card">
+              <h3>Registrants Emailed</h3>
+              <p className="stat-value">{event.cancellation.emailsSent}</p>
+              <p className="stat-label">
+                {event.cancellation.emailsFailed} failed
+                {event.cancellation.ordersCancelled > 0 && `, ${event.cancellation.ordersCancelled} unpaid order(s) cancelled`}
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Status Section */}
+      <div className="event-info-section">
+        <h2>Status</h2>
+        <label className="auto-status-toggle">
+          <input
+            type="checkbox"
+            checked={event.autoStatus !== false}
+            onChange={handleToggleAutoStatus}
+            disabled={updatingAutoStatus}
+          />
+          Change status automatically (closes at the deadline or when full, ongoing at the start, completed at the end)
+        </label>
+
+        {statusHistory.length === 0 ? (
+          <p className="stat-label">No status changes yet.</p>
+        ) : (
+          <div className="status-history-list">
+            {statusHistory.map((change) => (
+              <div key={change._id} className="status-history-row">
+                <span>
+                  {change.from} → <strong>{change.to}</strong>
+                </span>
+                <span className="stat-label">
+                  {change.source === 'SCHEDULER' && `Automatic (${change.reason.replace(/_/g, ' ').toLowerCase()})`}
+                  {change.source === 'ADMIN' && 'Admin'}
+                  {change.source === 'ORGANIZER' && (change.actor?.organizerName || 'Organizer')}
+                  {' · '}
+                  {new Date(change.createdAt).toLocaleString()}
+                  {change.note && <> · “{change.note}”</>}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+            {/* Reschedule Section */}
+      {(event.status === 'PUBLISHED' || event.status === 'CLOSED' || event.reschedules?.length > 0) && (
+        <div className="event-info-section">
+          <h2>📅 Reschedule</h2>
+          {(event.status === 'PUBLISHED' || event.status === 'CLOSED') && (
+            rescheduleForm ? (
+              <form onSubmit={handleReschedule} className="reschedule-form">
+                <div className="reschedule-dates">
+                  <label>
+                    Starts
+                    <input
+                      type="datetime-local"
+                      value={rescheduleForm.eventStartDate}
+                      onChange={(e) => setRescheduleForm({ ...rescheduleForm, eventStartDate: e.target.value })}
+                      required
+                    />
+                  </label>
+                  <label>
+                    Ends
+                    <input
+                      type="datetime-local"
+                      value={rescheduleForm.eventEndDate}
+                      onChange={(e) => setRescheduleForm({ ...rescheduleForm, eventEndDate: e.target.value })}
+                      required
+                    />
+                  </label>
+                  <label>
+                    Registration closes
+                    <input
+                      type="datetime-local"
+                      value={rescheduleForm.registrationDeadline}
+                      onChange={(e) => setRescheduleForm({ ...rescheduleForm, registrationDeadline: e.target.value })}
+                      required
+                    />
+                  </label>
+                </div>
+                <textarea
+                  placeholder="Reason (optional) - included in the email to registrants"
+                  value={rescheduleForm.reason}
+                  onChange={(e) => setRescheduleForm({ ...rescheduleForm, reason: e.target.value })}
+                  maxLength={1000}
+                  rows={3}
+                />
+                <p className="stat-label">
+                  Sessions move with the start date. Registrants get an email with the changes and an updated
+                  calendar invite, and can cancel for a full refund for a few days.
+                </p>
+                <div className="reschedule-actions">
+                  <button type="button" onClick={() => setRescheduleForm(null)} disabled={rescheduling}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="primary" disabled={rescheduling}>
+                    {rescheduling ? 'Rescheduling...' : 'Reschedule & Notify'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button className="reschedule-button" onClick={openRescheduleForm}>
+                Change event dates
+              </button>
+            )
+          )}
+
+          {event.reschedules?.length > 0 && (
+            <div className="status-history-list reschedule-history">
+              {[...event.reschedules].reverse().map((reschedule) => (
+                <div key={reschedule._id} className="status-history-row">
+                  <span>
+                    {new Date(reschedule.previous.eventStartDate).toLocaleString()} →{' '}
+                    <strong>{new Date(reschedule.eventStartDate).toLocaleString()}</strong>
+                    {reschedule.reason && <span className="stat-label"> · “{reschedule.reason}”</span>}
+                  </span>
+                  <span className="stat-label">
+                    {new Date(reschedule.rescheduledAt).toLocaleString()} · {reschedule.emailsSent} emailed
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Announcements Section */}
+      <div className="event-info-section">
+        <h2>📢 Announcements</h2>
+        {event.status === 'DRAFT' ? (
+          <p className="stat-label">Publish the event to post announcements.</p>
+        ) : (
+          <form onSubmit={handlePostAnnouncement} className="announcement-form">
+            <input
+              type="text"
+              placeholder="Title"
+              value={announcementForm.title}
+              onChange={(e) => setAnnouncementForm({ ...announcementForm, title: e.target.value })}
+              maxLength={150}
+              required
+            />
+            <textarea
+              placeholder="Message - emailed to every confirmed registrant"
+              value={announcementForm.message}
+              onChange={(e) => setAnnouncementForm({ ...announcementForm, message: e.target.value })}
+              maxLength={5000}
+              rows={4}
+              required
+            />
+            <div className="announcement-form-footer">
+              <label>
+                Send at (optional):{' '}
+                <input
+                  type="datetime-local"
+                  value={announcementForm.scheduledFor}
+                  onChange={(e) => setAnnouncementForm({ ...announcementForm, scheduledFor: e.target.value })}
+                />
+              </label>
+              <button type="submit" className="export-button" disabled={postingAnnouncement}>
+                {postingAnnouncement
+                  ? 'Sending...'
+                  : announcementForm.scheduledFor ? '🕒 Schedule' : '📤 Send Now'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {announcements.length > 0 && (
+          <div className="announcement-list">
+            {announcements.map((announcement) => (
+              <div key={announcement._id} className="announcement-row">
+                <div>
+                  <strong>{announcement.title}</strong>
+                  <p className="announcement-text">{announcement.message}</p>
+                  <p className="stat-label">
+                    {announcement.status === 'SCHEDULED'
+                      ? `🕒 Scheduled for ${new Date(announcement.scheduledFor).toLocaleString()}`
+                      : `Sent ${new Date(announcement.sentAt).toLocaleString()} • ${announcement.emailedCount}/${announcement.recipientCount} emailed`}
+                  </p>
+                </div>
+                <div className="announcement-reach">
+                  {announcement.status === 'SENT' && (
+                    <div className="session-attendance-count">
+                      {announcement.readCount} / {announcement.recipientCount}
+                      <span className="stat-label"> read</span>
+                    </div>
+                  )}
+                  <button
+                    onClick={() => handleDeleteAnnouncement(announcement)}
+                    className="reject-button"
+                  >
+                    {announcement.status === 'SCHEDULED' ? 'Cancel' : 'Delete'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Registrations Section */}
       <div className="registrations-section">
         <div className="registrations-header">
           <h2>Registrations ({totalRegistrations})</h2>
           <div className="registrations-actions">
             <div className="filter-buttons">
-              {['ALL', 'CONFIRMED', 'PENDING', 'CANCELLED'].map((filterOption) => (
+              {['ALL', 'CONFIRMED', 'PENDING', 'WAITLISTED', 'CANCELLED'].map((filterOption) => (
                 <button
                   key={filterOption}
                   onClick={() => setFilter(filterOption)}
@@ -236,14 +610,7 @@ function OrganizerEventDetails() {
             </div>
             <div className="action-buttons-group">
               <button 
-                onClick={() => {
-                  // Mark as seen
-                  discussionAPI.getEventDiscussions(id).then(res => {
-                    const count = res.data.discussions?.length || 0;
-                    localStorage.setItem(`discussion_organizer_${id}_count`, count.toString());
-                  });
-                  navigate(`/events/${id}/discussion`);
-                }} 
+                onClick={() => navigate(`/events/${id}/discussion`)} 
                 className="discussion-button"
                 title="Moderate event discussion forum"
               >
@@ -4,7 +4,8 @@
  * Manage organizer profile and settings
  * - Edit organizer information
  * - Update contact details
- * - Configure Discord webhook
+ * - Configure Discord webhook, send a test message, view the delivery log
+ * - Calendar feed link for their events
  * - Change password
  */
 
@@ -12,6 +13,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { organizerAPI } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
+import CalendarFeed from '../../components/CalendarFeed';
 import './OrganizerProfile.css';
 
 function OrganizerProfile() {
@@ -36,6 +38,11 @@ function OrganizerProfile() {
     discordWebhook: '',
   });
 
+  // Discord
+  const [savedWebhook, setSavedWebhook] = useState(''); // Test messages go to the saved webhook
+  const [deliveries, setDeliveries] = useState([]);
+  const [testingWebhook, setTestingWebhook] = useState(false);
+
   // Password Reset Request State
   const [resetReason, setResetReason] = useState('');
   const [resetRequests, setResetRequests] = useState([]);
@@ -69,6 +76,8 @@ function OrganizerProfile() {
         contactNumber: profile.contactNumber || '',
         discordWebhook: profile.discordWebhook || '',
       });
+      setSavedWebhook(profile.discordWebhook || '');
+      fetchDeliveries();
     } catch (err) {
       console.error('Failed to fetch profile:', err);
       setError('Failed to load profile. Please try again.');
@@ -99,13 +108,6 @@ function OrganizerProfile() {
       setError('');
       setSuccess('');
 
-      // Validate Discord webhook URL if provided
-      if (profileData.discordWebhook && !profileData.discordWebhook.startsWith('https://discord.com/api/webhooks/')) {
-        setError('Invalid Discord webhook URL. It should start with https://discord.com/api/webhooks/');
-        setSaving(false);
-        return;
-      }
-
       await organizerAPI.updateProfile({
         organizerName: profileData.organizerName,
         category: profileData.category,
@@ -115,6 +117,7 @@ function OrganizerProfile() {
         discordWebhook: profileData.discordWebhook,
       });
 
+      setSavedWebhook(profileData.discordWebhook);
       setSuccess('✅ Profile updated successfully!');
       
       // Update user context
@@ -188,39 +191,51 @@ function OrganizerProfile() {
     }
   };
 
+  /**
+   * FETCH DISCORD DELIVERY LOG
+   */
+  const fetchDeliveries = async () => {
+    try {
+      const response = await organizerAPI.getDiscordDeliveries();
+      setDeliveries(response.data.deliveries || []);
+    } catch (err) {
+      console.error('Failed to fetch Discord deliveries:', err);
+    }
+  };
+
   /**
    * TEST DISCORD WEBHOOK
+   * Sent by the backend so it goes through the same delivery log and retries
    */
   const testDiscordWebhook = async () => {
-    if (!profileData.discordWebhook) {
-      alert('Please enter a Discord webhook URL first.');
+    if (profileData.discordWebhook !== savedWebhook) {
+      alert('Please save your changes before testing the webhook.');
       return;
     }
 
     try {
-      const response = await fetch(profileData.discordWebhook, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          content: '✅ Discord webhook test successful! Your events will be automatically posted here.',
-          embeds: [{
-            title: 'Webhook Connected',
-            description: 'This is a test message from Felicity Event Management System.',
-            color: 5814783,
-            timestamp: new Date().toISOString(),
-          }],
-        }),
-      });
+      setTestingWebhook(true);
+      const response = await organizerAPI.testDiscordWebhook();
+      alert(`✅ ${response.data.message}`);
+    } catch (err) {
+      alert(`❌ ${err.response?.data?.message || 'Discord webhook test failed. Please check the URL and try again.'}`);
+    } finally {
+      setTestingWebhook(false);
+      fetchDeliveries();
+    }
+  };
 
-      if (response.ok) {
-        alert('✅ Discord webhook test successful! Check your Discord channel.');
-      } else {
-        alert('❌ Discord webhook test failed. Please check the URL and try again.');
-      }
+  /**
+   * RETRY A FAILED DISCORD DELIVERY
+   */
+  const retryDelivery = async (deliveryId) => {
+    try {
+      const response = await organizerAPI.retryDiscordDelivery(deliveryId);
+      alert(response.data.success ? '✅ Message delivered' : `❌ ${response.data.message}`);
     } catch (err) {
-      alert('❌ Discord webhook test failed. Please check the URL and try again.');
+      alert(err.response?.data?.message || 'Failed to retry delivery');
+    } finally {
+      fetchDeliveries();
     }
   };
 
@@ -381,7 +396,7 @@ function OrganizerProfile() {
                   placeholder="https://discord.com/api/webhooks/..."
                 />
                 <small className="field-hint">
-                  Events will be automatically posted to Discord when published
+                  Posted when you publish an event, change its deadline or seat limit, close registrations or pin a discussion message
                 </small>
               </div>
 
@@ -390,10 +405,42 @@ function OrganizerProfile() {
                   type="button"
                   className="test-webhook-btn"
                   onClick={testDiscordWebhook}
+                  disabled={testingWebhook}
                 >
-                  Test Webhook
+                  {testingWebhook ? 'Sending...' : 'Send Test Message'}
                 </button>
               )}
+
+              {/* Delivery Log */}
+              {deliveries.length > 0 && (
+                <div className="delivery-log">
+                  <h3>Recent Discord Messages</h3>
+                  {deliveries.map((delivery) => (
+                    <div key={delivery._id} className="delivery-row">
+                      <span className={`status-badge ${delivery.status.toLowerCase()}`}>
+                        {delivery.status}
+                      </span>
+                      <span className="delivery-type">
+                        {delivery.type.replace('_', ' ').toLowerCase()}
+                        {delivery.event?.eventName && ` - ${delivery.event.eventName}`}
+                      </span>
+                      <span className="request-date">
+                        {new Date(delivery.createdAt).toLocaleString()}
+                      </span>
+                      {delivery.status !== 'DELIVERED' && delivery.lastError && (
+                        <span className="delivery-error">
+                          {delivery.lastError} ({delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'})
+                        </span>
+                      )}
+                      {delivery.status === 'FAILED' && (
+                        <button type="button" className="retry-btn" onClick={() => retryDelivery(delivery._id)}>
+                          Retry
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
 
             {/* Save Button */}
@@ -406,6 +453,8 @@ function OrganizerProfile() {
               </button>
             </div>
           </form>
+
+          <CalendarFeed description="A private link to all your upcoming events, including cancelled ones so calendars show the cancellation." />
         </div>
       )}
 
@@ -1,11 +1,12 @@
 /**
  * PAYMENT APPROVALS PAGE (Organizer)
  * 
- * View and manage merchandise payment approvals
+ * View and manage payment approvals for merchandise and paid event registrations
  * - View all registrations with payment proofs
  * - Filter by status (Pending/Approved/Rejected)
  * - Approve or reject payments
  * - View payment proof images
+ * - Process refund requests for cancelled paid registrations
  */
 
 import React, { useState, useEffect } from 'react';
@@ -21,7 +22,7 @@ function PaymentApprovals() {
   const [eventDetails, setEventDetails] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [filter, setFilter] = useState('pending'); // pending, approved, rejected, all
+  const [filter, setFilter] = useState('pending'); // pending, approved, rejected, refunds, all
   const [processingId, setProcessingId] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [selectedRegistration, setSelectedRegistration] = useState(null);
@@ -59,13 +60,13 @@ function PaymentApprovals() {
       const response = await organizerAPI.getEventRegistrations(eventId);
       console.log('Registrations response:', response.data);
       
-      // Filter only merchandise registrations
-      const merchandiseRegs = response.data.registrations.filter(
-        reg => reg.registrationType === 'MERCHANDISE'
+      // Only registrations that involve a payment (plus any registration with a refund request)
+      const paidRegs = response.data.registrations.filter(
+        reg => reg.registrationType === 'MERCHANDISE' || reg.amountPaid > 0 || reg.refund?.status
       );
       
-      console.log('Merchandise registrations:', merchandiseRegs);
-      setRegistrations(merchandiseRegs);
+      console.log('Paid registrations:', paidRegs);
+      setRegistrations(paidRegs);
     } catch (err) {
       setError('Failed to load registrations');
       console.error('Fetch registrations error:', err);
@@ -75,8 +76,11 @@ function PaymentApprovals() {
     }
   };
 
-  const handleApprove = async (registrationId) => {
-    if (!window.confirm('Approve this payment? This will generate a ticket and send confirmation email.')) {
+  const handleApprove = async (registrationId, order) => {
+    const message = order
+      ? `Approve payment for order ${order.orderNumber}? This applies to all ${order.items?.length || 0} items in the order.`
+      : 'Approve this payment? This will generate a ticket and send confirmation email.';
+    if (!window.confirm(message)) {
       return;
     }
 
@@ -114,6 +118,41 @@ function PaymentApprovals() {
     }
   };
 
+  const handleApproveRefund = async (registration) => {
+    const reference = prompt(`Refund ₹${registration.refund.amount} to ${registration.participant?.firstName}.\nEnter the refund transaction reference:`);
+    if (!reference) return;
+
+    const amount = prompt('Refund amount (₹):', registration.refund.amount);
+    if (amount === null) return;
+
+    try {
+      setProcessingId(registration._id);
+      await organizerAPI.approveRefund(registration._id, { reference, amount });
+      await fetchRegistrations();
+      alert('✅ Refund approved. Participant has been notified.');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to approve refund');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleRejectRefund = async (registration) => {
+    const reason = prompt('Enter rejection reason:');
+    if (!reason) return;
+
+    try {
+      setProcessingId(registration._id);
+      await organizerAPI.rejectRefund(registration._id, { reason });
+      await fetchRegistrations();
+      alert('Refund request rejected.');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to reject refund');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
   const openRejectModal = (registration) => {
     setSelectedRegistration(registration);
     setRejectionReason('');
@@ -125,6 +164,7 @@ function PaymentApprovals() {
     if (filter === 'pending') return reg.paymentStatus === 'PENDING_APPROVAL';
     if (filter === 'approved') return reg.paymentStatus === 'PAID';
     if (filter === 'rejected') return reg.status === 'REJECTED';
+    if (filter === 'refunds') return !!reg.refund?.status;
     return true;
   });
 
@@ -146,7 +186,9 @@ function PaymentApprovals() {
         <button onClick={() => navigate(-1)} className="back-btn">← Back</button>
         <div>
           <h1>Payment Approvals</h1>
-          <p>{eventDetails?.eventName || 'Event'} - Merchandise Orders</p>
+          <p>
+            {eventDetails?.eventName || 'Event'} - {eventDetails?.eventType === 'MERCHANDISE' ? 'Merchandise Orders' : 'Paid Registrations'}
+          </p>
         </div>
       </div>
 
@@ -172,6 +214,12 @@ function PaymentApprovals() {
         >
           Rejected ({registrations.filter(r => r.status === 'REJECTED').length})
         </button>
+        <button 
+          className={filter === 'refunds' ? 'active' : ''}
+          onClick={() => setFilter('refunds')}
+        >
+          Refunds ({registrations.filter(r => r.refund?.status === 'REQUESTED').length} pending)
+        </button>
         <button 
           className={filter === 'all' ? 'active' : ''}
           onClick={() => setFilter('all')}
@@ -209,18 +257,35 @@ function PaymentApprovals() {
                     <strong>Amount:</strong>
                     <span>₹{registration.amountPaid}</span>
                   </div>
-                  <div className="info-item">
-                    <strong>Size:</strong>
-                    <span>{registration.merchandiseDetails?.size || 'N/A'}</span>
-                  </div>
-                  <div className="info-item">
-                    <strong>Quantity:</strong>
-                    <span>{registration.merchandiseDetails?.quantity || 1}</span>
-                  </div>
+                  {registration.registrationType === 'MERCHANDISE' ? (
+                    <>
+                      <div className="info-item">
+                        <strong>Size:</strong>
+                        <span>{registration.merchandiseDetails?.size || 'N/A'}</span>
+                      </div>
+                      <div className="info-item">
+                        <strong>Quantity:</strong>
+                        <span>{registration.merchandiseDetails?.quantity || 1}</span>
+                      </div>
+                    </>
+                  ) : (
+                    <div className="info-item">
+                      <strong>Type:</strong>
+                      <span>Event registration{registration.teamName ? ` (team ${registration.teamName})` : ''}</span>
+                    </div>
+                  )}
                   <div className="info-item">
                     <strong>Registered:</strong>
                     <span>{formatDate(registration.createdAt)}</span>
                   </div>
+                  {registration.order && (
+                    <div className="info-item">
+                      <strong>Order:</strong>
+                      <span>
+                        {registration.order.orderNumber} ({registration.order.items?.length || 0} items, ₹{registration.order.totalAmount})
+                      </span>
+                    </div>
+                  )}
                   {registration.paymentProofUploadedAt && (
                     <div className="info-item">
                       <strong>Proof Uploaded:</strong>
@@ -229,19 +294,26 @@ function PaymentApprovals() {
                   )}
                 </div>
 
-                {/* Payment Proof Image */}
-                {registration.paymentProof && (
+                {/* Paid through the payment gateway but couldn't be confirmed automatically */}
+                {registration.paymentMethod === 'GATEWAY' && (
+                  <div className="approval-info">
+                    <strong>Paid online</strong>{registration.paymentReference && ` - Ref: ${registration.paymentReference}`}
+                  </div>
+                )}
+
+                {/* Payment Proof Image - cart orders share one proof */}
+                {(registration.paymentProof || registration.order?.paymentProof) && (
                   <div className="payment-proof-section">
                     <strong>Payment Proof:</strong>
                     <div className="image-container">
                       <img 
-                        src={registration.paymentProof} 
+                        src={registration.paymentProof || registration.order.paymentProof} 
                         alt="Payment Proof" 
-                        onClick={() => window.open(registration.paymentProof, '_blank')}
+                        onClick={() => window.open(registration.paymentProof || registration.order.paymentProof, '_blank')}
                       />
                       <button 
                         className="view-full-btn"
-                        onClick={() => window.open(registration.paymentProof, '_blank')}
+                        onClick={() => window.open(registration.paymentProof || registration.order.paymentProof, '_blank')}
                       >
                         View Full Size
                       </button>
@@ -257,6 +329,16 @@ function PaymentApprovals() {
                   </div>
                 )}
 
+                {/* Refund Request */}
+                {registration.refund?.status && (
+                  <div className={`refund-info ${registration.refund.status.toLowerCase()}`}>
+                    <strong>Refund {registration.refund.status.toLowerCase()}:</strong> ₹{registration.refund.amount} ({registration.refund.refundPercent}% under cancellation policy)
+                    {registration.refund.reason && <p>Reason: {registration.refund.reason}</p>}
+                    {registration.refund.reference && <p>Reference: {registration.refund.reference}</p>}
+                    {registration.refund.rejectionReason && <p>Rejected: {registration.refund.rejectionReason}</p>}
+                  </div>
+                )}
+
                 {/* Approval Info */}
                 {registration.paymentStatus === 'PAID' && registration.paymentApprovedAt && (
                   <div className="approval-info">
@@ -269,7 +351,7 @@ function PaymentApprovals() {
               {registration.paymentStatus === 'PENDING_APPROVAL' && (
                 <div className="card-actions">
                   <button 
-                    onClick={() => handleApprove(registration._id)}
+                    onClick={() => handleApprove(registration._id, registration.order)}
                     className="btn-approve"
                     disabled={processingId === registration._id}
                   >
@@ -284,6 +366,25 @@ function PaymentApprovals() {
                   </button>
                 </div>
               )}
+
+              {registration.refund?.status === 'REQUESTED' && (
+                <div className="card-actions">
+                  <button 
+                    onClick={() => handleApproveRefund(registration)}
+                    className="btn-approve"
+                    disabled={processingId === registration._id}
+                  >
+                    ✓ Approve Refund
+                  </button>
+                  <button 
+                    onClick={() => handleRejectRefund(registration)}
+                    className="btn-reject"
+                    disabled={processingId === registration._id}
+                  >
+                    ✕ Reject Refund
+                  </button>
+                </div>
+              )}
             </div>
           ))}
         </div>
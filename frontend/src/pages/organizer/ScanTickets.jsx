@@ -8,12 +8,21 @@
  * - Verify ticket authenticity
  * - Mark attendance
  * - View verification history and statistics
+ * - Offline mode: verify against a downloaded manifest, queue scans and sync later
+ * - Multi-session events: attendance is taken per session/day
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Html5QrcodeScanner, Html5QrcodeScanType } from 'html5-qrcode';
 import { organizerAPI } from '../../services/api';
+import {
+  getManifest,
+  getQueue,
+  saveManifest,
+  recordOfflineScan,
+  syncQueuedScans,
+} from '../../services/offlineScanner';
 import './ScanTickets.css';
 
 function ScanTickets() {
@@ -30,16 +39,188 @@ function ScanTickets() {
   const [cameraScanner, setCameraScanner] = useState(null);
   const [scannerLoading, setScannerLoading] = useState(false);
 
+  // Offline scanning
+  const [events, setEvents] = useState([]);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [selectedSessionId, setSelectedSessionId] = useState('');
+  const [manifest, setManifest] = useState(null);
+  const [queueCount, setQueueCount] = useState(0);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [offlineMode, setOfflineMode] = useState(!navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const [syncResult, setSyncResult] = useState(null);
+
+  // Scan handlers are memoised for the camera scanner, so they read these through refs
+  const offlineRef = useRef({ offlineMode, selectedEventId, selectedSessionId, manifest });
+  offlineRef.current = { offlineMode, selectedEventId, selectedSessionId, manifest };
+
+  // Sessions of the selected event (from the manifest when offline)
+  const sessions = events.find((e) => e._id === selectedEventId)?.sessions || manifest?.sessions || [];
+
+  /**
+   * LOAD EVENTS FOR OFFLINE MANIFEST SELECTION
+   */
+  useEffect(() => {
+    organizerAPI.getMyEvents()
+      .then((response) => {
+        const scannable = (response.data.events || []).filter((e) =>
+          ['PUBLISHED', 'ONGOING', 'CLOSED'].includes(e.status)
+        );
+        setEvents(scannable);
+      })
+      .catch((err) => console.error('Failed to load events:', err));
+  }, []);
+
+  /**
+   * LOAD STORED MANIFEST + QUEUE WHEN EVENT CHANGES
+   */
+  useEffect(() => {
+    if (!selectedEventId) {
+      setManifest(null);
+      setQueueCount(0);
+      return;
+    }
+    setManifest(getManifest(selectedEventId));
+    setQueueCount(getQueue(selectedEventId).length);
+    setSyncResult(null);
+    setSelectedSessionId('');
+  }, [selectedEventId]);
+
   /**
-   * VERIFY TICKET BY ID
+   * SYNC QUEUED SCANS
    */
-  const verifyTicketById = async (id) => {
+  const handleSync = React.useCallback(async () => {
+    const eventId = offlineRef.current.selectedEventId;
+    if (!eventId || getQueue(eventId).length === 0) return;
+
+    try {
+      setSyncing(true);
+      const data = await syncQueuedScans(eventId, organizerAPI.syncScans);
+      setSyncResult(data);
+      setManifest(getManifest(eventId));
+    } catch (err) {
+      console.error('Sync failed:', err);
+      setSyncResult({
+        failed: true,
+        message: err.response?.data?.message || 'Sync failed - scans are kept and will be retried',
+      });
+    } finally {
+      setQueueCount(getQueue(eventId).length);
+      setSyncing(false);
+    }
+  }, []);
+
+  /**
+   * TRACK CONNECTIVITY - switch to offline mode when the network drops, sync when it returns
+   */
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      handleSync();
+    };
+    const handleOffline = () => {
+      setIsOnline(false);
+      setOfflineMode(true);
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [handleSync]);
+
+  /**
+   * DOWNLOAD MANIFEST
+   */
+  const handleDownloadManifest = async () => {
+    if (!selectedEventId) return;
+
+    try {
+      const response = await organizerAPI.getScanManifest(selectedEventId);
+      saveManifest(selectedEventId, response.data.manifest);
+      setManifest(response.data.manifest);
+      setError('');
+    } catch (err) {
+      console.error('Manifest download failed:', err);
+      setError(err.response?.data?.message || 'Failed to download scan manifest');
+    }
+  };
+
+  /**
+   * VERIFY TICKET OFFLINE - check against the manifest and queue the scan
+   */
+  const verifyTicketOffline = async (id, qrData) => {
+    const { selectedEventId: eventId, selectedSessionId: sessionId, manifest: currentManifest } = offlineRef.current;
+
+    setScanning(true);
+    setError('');
+    setResult(null);
+
+    const outcome = await recordOfflineScan(eventId, { qrData, ticketId: id, sessionId: sessionId || undefined, manual: !qrData });
+    const ticketLabel = outcome.ticket?.ticketId || (qrData ? 'QR scan' : id.trim());
+
+    if (outcome.success) {
+      setResult({
+        success: true,
+        offline: true,
+        verificationMethod: qrData ? 'SIGNED_QR' : 'MANUAL',
+        registration: {
+          ticketId: outcome.ticket.ticketId,
+          status: 'QUEUED',
+          participant: { name: outcome.ticket.participantName },
+          event: { name: currentManifest?.eventName },
+          session: outcome.session ? { name: outcome.session.name } : null,
+        },
+      });
+      setQueueCount(getQueue(eventId).length);
+    } else {
+      setResult({
+        success: false,
+        message: outcome.message,
+        reason: outcome.reason,
+        alreadyScanned: outcome.reason === 'ALREADY_SCANNED',
+        registration: outcome.ticket && {
+          participant: { firstName: outcome.ticket.participantName, lastName: '' },
+          scannedAt: outcome.scannedAt,
+        },
+      });
+      setError(outcome.message);
+    }
+
+    setHistory(prevHistory => [
+      {
+        id: Date.now(),
+        ticketId: ticketLabel,
+        timestamp: new Date(),
+        success: outcome.success,
+        participant: outcome.ticket?.participantName,
+        message: outcome.message,
+      },
+      ...prevHistory
+    ]);
+
+    setScanning(false);
+  };
+
+  /**
+   * VERIFY TICKET BY ID (manual entry) OR BY SIGNED QR DATA (camera scan)
+   */
+  const verifyTicketById = async (id, qrData) => {
+    if (offlineRef.current.offlineMode) {
+      return verifyTicketOffline(id, qrData);
+    }
+
     try {
       setScanning(true);
       setError('');
       setResult(null);
 
-      const response = await organizerAPI.verifyTicket(id.trim());
+      const sessionId = offlineRef.current.selectedSessionId || undefined;
+      const response = qrData
+        ? await organizerAPI.verifyTicket(undefined, qrData, sessionId)
+        : await organizerAPI.verifyTicket(id.trim(), undefined, sessionId, true);
       
       // Success
       setResult({
@@ -51,7 +232,7 @@ function ScanTickets() {
       setHistory(prevHistory => [
         {
           id: Date.now(),
-          ticketId: id.trim(),
+          ticketId: response.data.registration.ticketId,
           timestamp: new Date(),
           success: true,
           participant: response.data.registration.participant.name
@@ -66,6 +247,7 @@ function ScanTickets() {
       setResult({
         success: false,
         message: errorData.message || 'Verification failed',
+        reason: errorData.reason,
         alreadyScanned: errorData.alreadyScanned,
         registration: errorData.registration
       });
@@ -74,7 +256,7 @@ function ScanTickets() {
       setHistory(prevHistory => [
         {
           id: Date.now(),
-          ticketId: id.trim(),
+          ticketId: errorData.registration?.ticketId || (qrData ? 'QR scan' : id.trim()),
           timestamp: new Date(),
           success: false,
           message: errorData.message || 'Verification failed'
@@ -103,26 +285,8 @@ function ScanTickets() {
       }
     }
 
-    // Parse QR code data - it could be JSON or plain ticketId
-    let ticketId = decodedText;
-    try {
-      // Try to parse as JSON (in case QR contains ticket object)
-      const qrData = JSON.parse(decodedText);
-      console.log('Parsed QR data:', qrData);
-      
-      // Extract ticketId from the parsed object
-      if (qrData.ticketId) {
-        ticketId = qrData.ticketId;
-      }
-    } catch (e) {
-      // Not JSON, use as plain ticketId
-      console.log('QR code contains plain text, using as ticketId');
-    }
-
-    console.log('Using ticketId for verification:', ticketId);
-
-    // Verify the ticket
-    await verifyTicketById(ticketId);
+    // Send the raw QR contents - the server checks the ticket signature and expiry
+    await verifyTicketById(null, decodedText);
   }, []);
 
   /**
@@ -206,6 +370,16 @@ function ScanTickets() {
       return;
     }
 
+    if (offlineMode && !manifest) {
+      setError('Select an event and download its scan manifest to scan offline');
+      return;
+    }
+
+    // A typed-in ID skips the QR signature check - anyone who saw the email knows it
+    if (!window.confirm('Manual entry does not check the QR signature. Have you checked the participant\'s ID card?')) {
+      return;
+    }
+
     await verifyTicketById(ticketId);
     setTicketId('');
   };
@@ -319,6 +493,94 @@ function ScanTickets() {
         </div>
       )}
 
+      {/* Event / Session Selection + Offline Scanning */}
+      <div className="offline-panel">
+        <div className="offline-panel-header">
+          <h2>📴 Event, Session & Offline Scanning</h2>
+          <span className={`connection-badge ${isOnline ? 'online' : 'offline'}`}>
+            {isOnline ? 'Online' : 'No network'}
+          </span>
+        </div>
+
+        <div className="offline-controls">
+          <select
+            value={selectedEventId}
+            onChange={(e) => setSelectedEventId(e.target.value)}
+            className="event-select"
+          >
+            <option value="">Select event...</option>
+            {events.map((event) => (
+              <option key={event._id} value={event._id}>{event.eventName}</option>
+            ))}
+          </select>
+          {sessions.length > 0 && (
+            <select
+              value={selectedSessionId}
+              onChange={(e) => setSelectedSessionId(e.target.value)}
+              className="event-select"
+            >
+              <option value="">Current session (by time)</option>
+              {sessions.map((session) => (
+                <option key={session._id} value={session._id}>{session.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={handleDownloadManifest}
+            disabled={!selectedEventId || !isOnline}
+            className="btn-secondary"
+          >
+            ⬇️ {manifest ? 'Refresh Manifest' : 'Download Manifest'}
+          </button>
+          <label className="offline-toggle">
+            <input
+              type="checkbox"
+              checked={offlineMode}
+              onChange={(e) => setOfflineMode(e.target.checked)}
+              disabled={!isOnline}
+            />
+            Offline mode
+          </label>
+        </div>
+
+        {manifest && (
+          <p className="manifest-info">
+            {manifest.ticketCount} tickets · downloaded {new Date(manifest.generatedAt).toLocaleString('en-IN')}
+          </p>
+        )}
+        {offlineMode && !manifest && (
+          <p className="warning-text">⚠️ Download the manifest for your event before going offline</p>
+        )}
+
+        {selectedEventId && (
+          <div className="sync-row">
+            <span>{queueCount} scan(s) waiting to sync</span>
+            <button
+              onClick={handleSync}
+              disabled={syncing || queueCount === 0 || !isOnline}
+              className="btn-secondary"
+            >
+              {syncing ? '⏳ Syncing...' : '🔄 Sync Now'}
+            </button>
+          </div>
+        )}
+
+        {syncResult && (
+          <div className={`sync-result ${syncResult.failed ? 'failure' : ''}`}>
+            <p>{syncResult.message}</p>
+            {syncResult.results?.filter((r) => r.status === 'CONFLICT' || r.status === 'REJECTED').map((r) => (
+              <div key={r.clientScanId} className={`sync-item ${r.status.toLowerCase()}`}>
+                <strong>{r.status}</strong> {r.ticketId || ''} - {r.message}
+                {r.firstScannedAt && (
+                  <span> (first scanned {new Date(r.firstScannedAt).toLocaleString('en-IN')}
+                    {r.firstScannedBy ? ` by ${r.firstScannedBy}` : ''})</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Scan Mode Toggle */}
       <div className="mode-toggle">
         <button 
@@ -407,21 +669,32 @@ function ScanTickets() {
                   <div className="result-icon success-icon">✅</div>
                   <h3>Ticket Verified!</h3>
                   <div className="attendance-marked">
-                    <span className="checkmark">✓</span> Attendance Marked
+                    <span className="checkmark">✓</span> {result.offline ? 'Attendance Queued (offline)' : 'Attendance Marked'}
                   </div>
+                  {result.verificationMethod === 'MANUAL' && (
+                    <p className="warning-text">⚠️ Entered manually - please check the participant's ID card</p>
+                  )}
                   <div className="result-details">
                     <div className="detail-item">
                       <strong>Participant:</strong>
                       <span>{result.registration.participant.name}</span>
                     </div>
-                    <div className="detail-item">
-                      <strong>Email:</strong>
-                      <span>{result.registration.participant.email}</span>
-                    </div>
+                    {result.registration.participant.email && (
+                      <div className="detail-item">
+                        <strong>Email:</strong>
+                        <span>{result.registration.participant.email}</span>
+                      </div>
+                    )}
                     <div className="detail-item">
                       <strong>Event:</strong>
                       <span>{result.registration.event.name}</span>
                     </div>
+                    {result.registration.session && (
+                      <div className="detail-item">
+                        <strong>Session:</strong>
+                        <span>{result.registration.session.name}</span>
+                      </div>
+                    )}
                     <div className="detail-item">
                       <strong>Ticket ID:</strong>
                       <span className="ticket-id-display">{result.registration.ticketId}</span>
@@ -441,6 +714,9 @@ function ScanTickets() {
                   <div className="result-icon error-icon">❌</div>
                   <h3>Verification Failed</h3>
                   <p className="error-message">{result.message}</p>
+                  {['BAD_SIGNATURE', 'UNSIGNED', 'MISMATCH'].includes(result.reason) && (
+                    <p className="warning-text">⚠️ This QR code may be forged. Do not admit without checking with the organizer team.</p>
+                  )}
                   
                   {result.alreadyScanned && result.registration && (
                     <div className="result-details">
@@ -449,10 +725,12 @@ function ScanTickets() {
                         <strong>Participant:</strong>
                         <span>{result.registration.participant.firstName} {result.registration.participant.lastName}</span>
                       </div>
-                      <div className="detail-item">
-                        <strong>Scanned At:</strong>
-                        <span>{new Date(result.registration.scannedAt).toLocaleString('en-IN')}</span>
-                      </div>
+                      {result.registration.scannedAt && (
+                        <div className="detail-item">
+                          <strong>Scanned At:</strong>
+                          <span>{new Date(result.registration.scannedAt).toLocaleString('en-IN')}</span>
+                        </div>
+                      )}
                     </div>
                   )}
                   
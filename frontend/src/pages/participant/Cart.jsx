@@ -0,0 +1,147 @@
+/**
+ * CART PAGE
+ *
+ * Merchandise items waiting for checkout
+ * - Items are grouped by organizer (each organizer approves payment for their own order)
+ * - Change quantity or remove items
+ * - Place one order per organizer
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { orderAPI } from '../../services/api';
+import { getCart, updateQuantity, removeFromCart, removeItems } from '../../services/cart';
+import './Cart.css';
+
+function Cart() {
+  const navigate = useNavigate();
+
+  // State
+  const [cart, setCart] = useState(getCart());
+  const [placingFor, setPlacingFor] = useState(null); // Organizer whose order is being placed
+  const [error, setError] = useState('');
+
+  /**
+   * GROUP ITEMS BY ORGANIZER
+   */
+  const groups = cart.reduce((acc, item) => {
+    const key = item.organizerId || 'unknown';
+    if (!acc[key]) {
+      acc[key] = { organizerId: key, organizerName: item.organizerName, items: [] };
+    }
+    acc[key].items.push(item);
+    return acc;
+  }, {});
+
+  /**
+   * HANDLE QUANTITY CHANGE
+   */
+  const handleQuantityChange = (key, value) => {
+    const quantity = parseInt(value);
+    if (!quantity || quantity < 1) return;
+    setCart(updateQuantity(key, quantity));
+  };
+
+  /**
+   * PLACE ORDER
+   * Checks out one organizer's items as a single order
+   */
+  const placeOrder = async (group) => {
+    try {
+      setPlacingFor(group.organizerId);
+      setError('');
+
+      await orderAPI.checkout(group.items.map(item => ({
+        eventId: item.eventId,
+        size: item.size,
+        color: item.color,
+        variant: item.variant,
+        quantity: item.quantity,
+      })));
+
+      setCart(removeItems(group.items.map(item => item.key)));
+      navigate('/orders');
+    } catch (err) {
+      console.error('Checkout failed:', err);
+      setError(err.response?.data?.message || 'Checkout failed. Please try again.');
+    } finally {
+      setPlacingFor(null);
+    }
+  };
+
+  if (cart.length === 0) {
+    return (
+      <div className="cart-page">
+        <div className="page-header">
+          <h1>🛒 My Cart</h1>
+        </div>
+        <div className="cart-empty">
+          <p>Your cart is empty</p>
+          <button onClick={() => navigate('/browse-events')} className="browse-btn">
+            Browse Merchandise
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="cart-page">
+      <div className="page-header">
+        <h1>🛒 My Cart</h1>
+        <p>Items from each organizer are placed as a separate order</p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {Object.values(groups).map(group => {
+        const total = group.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+        return (
+          <div key={group.organizerId} className="cart-group">
+            <h2>{group.organizerName || 'Organizer'}</h2>
+
+            {group.items.map(item => (
+              <div key={item.key} className="cart-item">
+                <div className="cart-item-info">
+                  <h3>{item.eventName}</h3>
+                  <p>
+                    {[item.variant, item.size, item.color].filter(Boolean).join(' / ') || 'Standard'}
+                    {' · '}₹{item.unitPrice} each
+                  </p>
+                </div>
+
+                <input
+                  type="number"
+                  min="1"
+                  value={item.quantity}
+                  onChange={(e) => handleQuantityChange(item.key, e.target.value)}
+                  className="cart-qty"
+                />
+
+                <span className="cart-line-total">₹{item.unitPrice * item.quantity}</span>
+
+                <button onClick={() => setCart(removeFromCart(item.key))} className="cart-remove">
+                  Remove
+                </button>
+              </div>
+            ))}
+
+            <div className="cart-group-footer">
+              <span className="cart-total">Total: ₹{total}</span>
+              <button
+                onClick={() => placeOrder(group)}
+                disabled={placingFor !== null}
+                className="place-order-btn"
+              >
+                {placingFor === group.organizerId ? 'Placing Order...' : 'Place Order'}
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Cart;
@@ -4,6 +4,7 @@
  * Shows:
  * - Upcoming events you're registered for
  * - Quick stats
+ * - Events recommended for you (with why each was suggested)
  * - Quick links to browse events
  */
 
@@ -25,6 +26,7 @@ function Dashboard() {
     completed: 0
   });
   const [loading, setLoading] = useState(true);
+  const [recommendations, setRecommendations] = useState([]);
 
   /**
    * FETCH DASHBOARD DATA
@@ -72,6 +74,11 @@ function Dashboard() {
     };
 
     fetchData();
+
+    // Recommendations load separately - the dashboard works without them
+    participantAPI.getRecommendations(6)
+      .then((response) => setRecommendations(response.data.recommendations || []))
+      .catch((error) => console.error('Failed to fetch recommendations:', error));
   }, []);
 
   /**
@@ -153,6 +160,32 @@ function Dashboard() {
         </div>
       )}
 
+      {/* Recommended Events */}
+      {recommendations.length > 0 && (
+        <div className="recommended-section">
+          <h2>Recommended for You</h2>
+          <div className="recommended-grid">
+            {recommendations.map(({ event, reasons }) => (
+              <div
+                key={event._id}
+                className="recommended-card"
+                onClick={() => navigate(`/events/${event._id}`)}
+              >
+                <h3>{event.eventName}</h3>
+                <p className="recommended-meta">
+                  {event.organizer?.organizerName} · 📅 {formatDate(event.eventStartDate)}
+                </p>
+                <ul className="recommended-reasons">
+                  {reasons.map((reason) => (
+                    <li key={reason}>{reason}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div className="quick-actions">
         <h2>Quick Actions</h2>
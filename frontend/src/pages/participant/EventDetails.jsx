@@ -6,12 +6,16 @@
  * - Custom registration form (if normal event)
  * - Merchandise options (if merchandise event)
  * - Register button
+ * - Add to calendar (.ics download)
+ * - Organizer announcements (registered participants)
  */
 
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { eventAPI, registrationAPI, discussionAPI } from '../../services/api';
+import { eventAPI, registrationAPI, teamAPI, announcementAPI, calendarAPI } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
+import { addToCart } from '../../services/cart';
+import { watchDiscussionUnread } from '../../services/socket';
 import './EventDetails.css';
 
 function EventDetails() {
@@ -22,14 +26,22 @@ function EventDetails() {
   // State
   const [event, setEvent] = useState(null);
   const [isRegistered, setIsRegistered] = useState(false);
+  const [isWaitlisted, setIsWaitlisted] = useState(false);
   const [loading, setLoading] = useState(true);
   const [registering, setRegistering] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [newMessagesCount, setNewMessagesCount] = useState(0);
+  const [announcements, setAnnouncements] = useState([]);
   const [showTicketModal, setShowTicketModal] = useState(false);
   const [ticketData, setTicketData] = useState(null);
 
+  // Team state (team events only)
+  const [team, setTeam] = useState(null);
+  const [teamName, setTeamName] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [teamBusy, setTeamBusy] = useState(false);
+
   // Form state
   const [formResponse, setFormResponse] = useState({});
   const [merchandiseSelection, setMerchandiseSelection] = useState({
@@ -53,20 +65,23 @@ function EventDetails() {
         console.log('User logged in:', !!user);
         setEvent(response.data.event);
         setIsRegistered(response.data.isRegistered || false);
-        
-        // Check for new messages if registered
-        if (response.data.isRegistered && user) {
+
+        // Load my team for team events (teams are participant-only)
+        if (response.data.event.isTeamEvent && user?.role === 'participant') {
           try {
-            const discussionRes = await discussionAPI.getEventDiscussions(id);
-            const currentCount = discussionRes.data.discussions?.length || 0;
-            const lastSeenCount = parseInt(localStorage.getItem(`discussion_${id}_count`) || '0');
-            if (currentCount > lastSeenCount) {
-              setNewMessagesCount(currentCount - lastSeenCount);
+            const teamRes = await teamAPI.getMyTeam(id);
+            setTeam(teamRes.data.team);
+            if (teamRes.data.team?.status === 'COMPLETE') {
+              setIsRegistered(true);
             }
           } catch (err) {
-            console.log('Discussion check error:', err.response?.status);
+            // 404 just means no team yet
+            if (err.response?.status !== 404) {
+              setError(err.response?.data?.message || 'Failed to load your team.');
+            }
           }
         }
+        
       } catch (err) {
         console.error('Failed to fetch event:', err);
         if (err.code === 'ERR_NETWORK') {
@@ -82,6 +97,37 @@ function EventDetails() {
     fetchEvent();
   }, [id]);
 
+  /**
+   * UNREAD DISCUSSION MESSAGES (live)
+   */
+  useEffect(() => {
+    if (!isRegistered || isWaitlisted || !user) return;
+    return watchDiscussionUnread(id, setNewMessagesCount);
+  }, [id, isRegistered, isWaitlisted, user]);
+
+  /**
+   * ANNOUNCEMENTS
+   * Showing an announcement here counts as reading it (read receipt);
+   * the NEW badge stays until the page is reloaded
+   */
+  useEffect(() => {
+    if (!isRegistered || isWaitlisted || !user) return;
+
+    const fetchAnnouncements = async () => {
+      try {
+        const response = await announcementAPI.getEventAnnouncements(id);
+        setAnnouncements(response.data.announcements);
+        response.data.announcements
+          .filter(a => !a.isRead)
+          .forEach(a => announcementAPI.markRead(a._id).catch(() => {}));
+      } catch (err) {
+        console.error('Error fetching announcements:', err);
+      }
+    };
+
+    fetchAnnouncements();
+  }, [id, isRegistered, isWaitlisted, user]);
+
   /**
    * HANDLE CUSTOM FORM INPUT CHANGE
    */
@@ -102,6 +148,28 @@ function EventDetails() {
     });
   };
 
+  /**
+   * GET SELECTED MERCHANDISE VARIANT
+   * Stock and price are tracked per size/color combination
+   */
+  const getSelectedVariant = () => {
+    const variants = event?.merchandise?.variants || [];
+    return variants.find(v =>
+      (v.size || '') === merchandiseSelection.size &&
+      (v.color || '') === merchandiseSelection.color &&
+      (v.name || '') === merchandiseSelection.variant
+    );
+  };
+
+  /**
+   * CHECK IF AN OPTION IS SOLD OUT IN EVERY COMBINATION
+   */
+  const isOptionSoldOut = (field, value) => {
+    const variants = event?.merchandise?.variants || [];
+    const matching = variants.filter(v => (v[field] || '') === value);
+    return matching.length > 0 && matching.every(v => v.stock <= 0);
+  };
+
   /**
    * HANDLE REGISTRATION
    */
@@ -125,6 +193,20 @@ function EventDetails() {
       setSuccess(response.data.message);
       setIsRegistered(true);
       
+      // Waitlisted - no ticket yet, it is emailed on promotion
+      if (response.data.waitlisted) {
+        setIsWaitlisted(true);
+        return;
+      }
+
+      // Paid event - the ticket is issued once the payment is approved
+      if (response.data.paymentRequired) {
+        setTimeout(() => {
+          navigate('/registrations');
+        }, 2000);
+        return;
+      }
+
       // Show ticket modal with QR code if registration data is available
       if (response.data.registration) {
         setTicketData(response.data.registration);
@@ -144,6 +226,75 @@ function EventDetails() {
     }
   };
 
+  /**
+   * HANDLE ADD TO CART
+   * Merchandise items are checked out together from the cart page
+   */
+  const handleAddToCart = () => {
+    const variant = getSelectedVariant();
+
+    if (event.merchandise?.variants?.length > 0 && !variant) {
+      setError('This combination is not available');
+      return;
+    }
+
+    addToCart({
+      eventId: id,
+      eventName: event.eventName,
+      organizerId: event.organizer?._id,
+      organizerName: event.organizer?.organizerName,
+      size: merchandiseSelection.size,
+      color: merchandiseSelection.color,
+      variant: merchandiseSelection.variant,
+      quantity: merchandiseSelection.quantity || 1,
+      unitPrice: variant?.price ?? event.registrationFee,
+    });
+
+    setError('');
+    setSuccess('Added to cart');
+  };
+
+  /**
+   * HANDLE TEAM ACTIONS (create, join, finalize, leave)
+   */
+  const handleTeamAction = async (action) => {
+    try {
+      setTeamBusy(true);
+      setError('');
+      setSuccess('');
+
+      let response;
+      if (action === 'create') {
+        response = await teamAPI.createTeam(id, { teamName });
+      } else if (action === 'join') {
+        response = await teamAPI.joinTeam(inviteCode);
+      } else if (action === 'finalize') {
+        response = await teamAPI.finalizeTeam(team._id);
+      } else if (action === 'leave') {
+        if (!window.confirm(isTeamLeader()
+          ? 'Disband this team? All members will be removed.'
+          : 'Leave this team?')) {
+          return;
+        }
+        response = await teamAPI.leaveTeam(team._id);
+      }
+
+      setSuccess(response.data.message);
+
+      // Refresh team state
+      const teamRes = await teamAPI.getMyTeam(id);
+      setTeam(teamRes.data.team);
+      setIsRegistered(teamRes.data.team?.status === 'COMPLETE');
+      setTeamName('');
+      setInviteCode('');
+    } catch (err) {
+      console.error('Team action failed:', err);
+      setError(err.response?.data?.message || 'Team action failed. Please try again.');
+    } finally {
+      setTeamBusy(false);
+    }
+  };
+
   /**
    * FORMAT DATE
    */
@@ -166,7 +317,23 @@ function EventDetails() {
     if (!event) return false;
     const now = new Date();
     const deadline = new Date(event.registrationDeadline);
-    return now < deadline && event.currentRegistrations < event.registrationLimit;
+    return now < deadline;
+  };
+
+  /**
+   * CHECK IF EVENT IS FULL (normal events can still be waitlisted)
+   */
+  const isEventFull = () => {
+    if (!event || !event.registrationLimit) return false;
+    return event.currentRegistrations >= event.registrationLimit;
+  };
+
+  /**
+   * CHECK IF CURRENT USER LEADS THEIR TEAM
+   */
+  const isTeamLeader = () => {
+    if (!team || !user) return false;
+    return (team.leader?._id || team.leader) === user.id;
   };
 
   if (loading) {
@@ -178,7 +345,13 @@ function EventDetails() {
   }
 
   if (!event) {
-    return (
+    // Merchandise stock and price for the current size/color selection
+  const hasVariants = event.merchandise?.variants?.length > 0;
+  const selectedVariant = getSelectedVariant();
+  const availableStock = hasVariants ? selectedVariant?.stock : event.merchandise?.stockQuantity;
+  const unitPrice = selectedVariant?.price ?? event.registrationFee;
+
+  return (
       <div className="event-details">
         <div className="error-box">Event not found.</div>
       </div>
@@ -215,9 +388,12 @@ function EventDetails() {
           <span className="badge eligibility">
             {event.eligibility.replace('_', ' ')}
           </span>
-          {isRegistered && (
+          {isRegistered && !isWaitlisted && (
             <span className="badge registered">✓ REGISTERED</span>
           )}
+          {isWaitlisted && (
+            <span className="badge waitlisted">⏳ WAITLISTED</span>
+          )}
         </div>
 
         <h1>{event.eventName}</h1>
@@ -226,8 +402,31 @@ function EventDetails() {
           Organized by <strong>{event.organizer?.organizerName}</strong>
           {event.organizer?.category && ` • ${event.organizer.category}`}
         </p>
+
+        <a href={calendarAPI.getEventCalendarUrl(event._id)} className="add-to-calendar-btn">
+          📅 Add to Calendar
+        </a>
       </div>
 
+      {/* Organizer Announcements */}
+      {announcements.length > 0 && (
+        <div className="announcements-section">
+          <h2>📢 Announcements</h2>
+          {announcements.map((announcement) => (
+            <div key={announcement._id} className={`announcement-card ${announcement.isRead ? '' : 'unread'}`}>
+              <div className="announcement-header">
+                <h3>
+                  {announcement.title}
+                  {!announcement.isRead && <span className="announcement-new">NEW</span>}
+                </h3>
+                <span className="announcement-time">{formatDate(announcement.sentAt)}</span>
+              </div>
+              <p className="announcement-message">{announcement.message}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Event Info Grid */}
       <div className="event-info-grid">
         <div className="info-card">
@@ -273,6 +472,24 @@ function EventDetails() {
         <p className="event-description">{event.description}</p>
       </div>
 
+      {/* Cancellation Policy */}
+      {event.registrationFee > 0 && (event.cancellationPolicy?.tiers?.length > 0 || event.cancellationPolicy?.note) && (
+        <div className="event-section">
+          <h3>Cancellation Policy</h3>
+          <ul className="policy-list">
+            {[...event.cancellationPolicy.tiers]
+              .sort((a, b) => b.hoursBefore - a.hoursBefore)
+              .map(tier => (
+                <li key={tier._id}>
+                  Cancel {tier.hoursBefore}+ hours before the event: <strong>{tier.refundPercent}% refund</strong>
+                </li>
+              ))}
+            {event.cancellationPolicy.tiers.length > 0 && <li>Later cancellations: no refund</li>}
+          </ul>
+          {event.cancellationPolicy.note && <p className="policy-note">{event.cancellationPolicy.note}</p>}
+        </div>
+      )}
+
       {/* Tags */}
       {event.tags && event.tags.length > 0 && (
         <div className="event-section">
@@ -286,18 +503,10 @@ function EventDetails() {
       )}
 
       {/* Discussion Button - Prominent Location for Registered Participants */}
-      {isRegistered && (
+      {isRegistered && !isWaitlisted && (
         <div className="discussion-section-prominent">
           <button 
-            onClick={() => {
-              console.log('Discussion button clicked!');
-              // Mark as seen
-              discussionAPI.getEventDiscussions(id).then(res => {
-                const count = res.data.discussions?.length || 0;
-                localStorage.setItem(`discussion_${id}_count`, count.toString());
-              }).catch(err => console.log('Mark as seen error:', err));
-              navigate(`/events/${id}/discussion`);
-            }}
+            onClick={() => navigate(`/events/${id}/discussion`)}
             className="discussion-btn-prominent"
           >
             💬 Join Event Discussion Forum
@@ -364,7 +573,7 @@ function EventDetails() {
           <h2>Merchandise Options</h2>
           <div className="merchandise-selection">
             {/* Sizes */}
-            {event.merchandise.sizes && (
+            {event.merchandise.sizes?.length > 0 && (
               <div className="form-field">
                 <label>Size <span className="required">*</span></label>
                 <select
@@ -375,14 +584,16 @@ function EventDetails() {
                 >
                   <option value="">Select size...</option>
                   {event.merchandise.sizes.map((size, i) => (
-                    <option key={i} value={size}>{size}</option>
+                    <option key={i} value={size} disabled={isOptionSoldOut('size', size)}>
+                      {size}{isOptionSoldOut('size', size) ? ' (sold out)' : ''}
+                    </option>
                   ))}
                 </select>
               </div>
             )}
 
             {/* Colors */}
-            {event.merchandise.colors && (
+            {event.merchandise.colors?.length > 0 && (
               <div className="form-field">
                 <label>Color <span className="required">*</span></label>
                 <select
@@ -393,7 +604,9 @@ function EventDetails() {
                 >
                   <option value="">Select color...</option>
                   {event.merchandise.colors.map((color, i) => (
-                    <option key={i} value={color}>{color}</option>
+                    <option key={i} value={color} disabled={isOptionSoldOut('color', color)}>
+                      {color}{isOptionSoldOut('color', color) ? ' (sold out)' : ''}
+                    </option>
                   ))}
                 </select>
               </div>
@@ -405,12 +618,19 @@ function EventDetails() {
               <input
                 type="number"
                 min="1"
-                max={event.merchandise.stock}
+                max={Math.min(availableStock ?? Infinity, event.merchandise.purchaseLimit || Infinity)}
                 value={merchandiseSelection.quantity}
                 onChange={(e) => handleMerchandiseChange('quantity', parseInt(e.target.value))}
                 disabled={isRegistered}
               />
-              <small>Available: {event.merchandise.stock}</small>
+              {hasVariants && !selectedVariant ? (
+                <small>Select a size and color to see availability</small>
+              ) : (
+                <small>
+                  {availableStock == null ? 'In stock' : availableStock > 0 ? `Available: ${availableStock}` : 'Sold out'}
+                  {' · '}₹{unitPrice} each · Total ₹{unitPrice * (merchandiseSelection.quantity || 1)}
+                </small>
+              )}
             </div>
           </div>
         </div>
@@ -424,8 +644,107 @@ function EventDetails() {
         </div>
       )}
 
+      {/* Team Registration */}
+      {event.isTeamEvent && (
+        <div className="event-section team-section">
+          <h2>👥 Team Registration</h2>
+          <p className="team-size-hint">
+            Teams of {event.minTeamSize}
+            {event.maxTeamSize !== event.minTeamSize && `-${event.maxTeamSize}`} members.
+            Every member gets their own ticket once the team is confirmed.
+          </p>
+
+          {team ? (
+            <div className="team-card">
+              <div className="team-card-header">
+                <h3>{team.teamName}</h3>
+                <span className={`badge team-${team.status.toLowerCase()}`}>{team.status}</span>
+              </div>
+
+              {team.status === 'FORMING' && (
+                <div className="invite-code-box">
+                  <label>Invite Code</label>
+                  <div className="invite-code">{team.inviteCode}</div>
+                  <small>Share this code with your teammates so they can join</small>
+                </div>
+              )}
+
+              <div className="team-members">
+                <strong>Members ({team.members.length}/{event.maxTeamSize})</strong>
+                <ul>
+                  {team.members.map((member) => (
+                    <li key={member._id}>
+                      {member.firstName} {member.lastName}
+                      {member._id === (team.leader?._id || team.leader) && ' 👑'}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {team.status === 'FORMING' && (
+                <div className="team-actions">
+                  {isTeamLeader() && (
+                    <button
+                      onClick={() => handleTeamAction('finalize')}
+                      disabled={teamBusy || team.members.length < event.minTeamSize}
+                      className="btn-primary"
+                      title={team.members.length < event.minTeamSize ? `Need at least ${event.minTeamSize} members` : ''}
+                    >
+                      ✓ Confirm Team
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleTeamAction('leave')}
+                    disabled={teamBusy}
+                    className="btn-secondary"
+                  >
+                    {isTeamLeader() ? 'Disband Team' : 'Leave Team'}
+                  </button>
+                </div>
+              )}
+            </div>
+          ) : isRegistrationOpen() ? (
+            <div className="team-forms">
+              <div className="form-field">
+                <label>Create a team</label>
+                <input
+                  type="text"
+                  placeholder="Team name"
+                  value={teamName}
+                  maxLength={50}
+                  onChange={(e) => setTeamName(e.target.value)}
+                />
+                <button
+                  onClick={() => handleTeamAction('create')}
+                  disabled={teamBusy || !teamName.trim()}
+                  className="btn-primary"
+                >
+                  Create Team
+                </button>
+              </div>
+              <div className="form-field">
+                <label>Or join with an invite code</label>
+                <input
+                  type="text"
+                  placeholder="e.g. 7F3A9C2B"
+                  value={inviteCode}
+                  onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+                />
+                <button
+                  onClick={() => handleTeamAction('join')}
+                  disabled={teamBusy || !inviteCode.trim()}
+                  className="btn-secondary"
+                >
+                  Join Team
+                </button>
+              </div>
+            </div>
+          ) : null}
+        </div>
+      )}
+
       {/* Register Button */}
-      {!isRegistered && isRegistrationOpen() && (
+      {!event.isTeamEvent && !isRegistered && isRegistrationOpen() && !isEventFull() && (
         <div className="register-section">
           <button 
             onClick={handleRegister} 
@@ -434,12 +753,36 @@ function EventDetails() {
           >
             {registering ? 'Registering...' : `Register Now ${event.registrationFee > 0 ? `- ₹${event.registrationFee}` : '- FREE'}`}
           </button>
+          {event.eventType === 'MERCHANDISE' && (
+            <div className="cart-actions">
+              <button onClick={handleAddToCart} className="cart-btn">
+                🛒 Add to Cart
+              </button>
+              <button onClick={() => navigate('/cart')} className="cart-link">
+                View Cart
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Waitlist Button - Full normal events */}
+      {!event.isTeamEvent && !isRegistered && isRegistrationOpen() && isEventFull() && event.eventType === 'NORMAL' && (
+        <div className="register-section">
+          <p className="waitlist-hint">This event is full. Join the waitlist and you'll get a ticket automatically if a seat frees up.</p>
+          <button 
+            onClick={handleRegister} 
+            disabled={registering}
+            className="register-btn"
+          >
+            {registering ? 'Joining...' : 'Join Waitlist'}
+          </button>
         </div>
       )}
 
       {/* Discussion section moved to prominent location above */}
 
-      {!isRegistrationOpen() && !isRegistered && (
+      {!isRegistered && (!isRegistrationOpen() || (isEventFull() && event.eventType !== 'NORMAL')) && (
         <div className="closed-message">
           Registration for this event is closed.
         </div>
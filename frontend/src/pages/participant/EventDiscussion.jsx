@@ -7,16 +7,32 @@
  * - Post new messages
  * - Reply to messages
  * - Like messages
- * - Auto-refresh (polling)
+ * - Edit own messages and replies shortly after posting; delete replies
+ * - Markdown, @mentions, emoji reactions and image attachments
+ * - Live updates and typing indicator (Socket.IO)
  * - Pinned messages
+ * - Reporting messages; organizer moderation (hide, lock, mute, moderation log)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { discussionAPI, eventAPI } from '../../services/api';
+import { getSocket } from '../../services/socket';
 import { useAuth } from '../../context/AuthContext';
+import MessageBody from '../../components/MessageBody';
+import MentionTextarea, { findMentions } from '../../components/MentionTextarea';
 import './EventDiscussion.css';
 
+// Same window as the backend (discussionController EDIT_WINDOW_MINUTES)
+const EDIT_WINDOW_MINUTES = 15;
+
+// Same set as the backend (DISCUSSION_REACTIONS)
+const REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '🙏'];
+
+// Same limits as the backend (validateImageAttachments)
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+
 function EventDiscussion() {
   console.log('=== EventDiscussion Component Mounted ===');
   const { eventId } = useParams();
@@ -36,9 +52,22 @@ function EventDiscussion() {
   const [replyingTo, setReplyingTo] = useState(null);
   const [replyMessage, setReplyMessage] = useState('');
   const [likingIds, setLikingIds] = useState(new Set());
+  const [typingUsers, setTypingUsers] = useState({}); // userId -> name
+  const [mutedUntil, setMutedUntil] = useState(null);
+  const [showModeration, setShowModeration] = useState(false);
+  const [moderationLog, setModerationLog] = useState([]);
+  const [mutes, setMutes] = useState([]);
+  const [editing, setEditing] = useState(null); // { discussionId, replyId? }
+  const [editText, setEditText] = useState('');
+  const [openHistories, setOpenHistories] = useState(new Set()); // Message/reply IDs (organizer)
+  const [members, setMembers] = useState([]); // People who can be @mentioned
+  const [attachments, setAttachments] = useState([]); // Images for the new message: [{ data, name }]
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [previewImage, setPreviewImage] = useState(null);
   
   const messagesEndRef = useRef(null);
-  const pollIntervalRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
+  const isOrganizerRef = useRef(false); // For socket handlers (set from the discussions response)
 
   /**
    * FETCH EVENT DETAILS
@@ -70,6 +99,8 @@ function EventDiscussion() {
       console.log('Number of discussions:', response.data.discussions?.length);
       console.log('Discussions array:', response.data.discussions);
       setDiscussions(response.data.discussions);
+      setMutedUntil(response.data.mutedUntil);
+      isOrganizerRef.current = response.data.isOrganizer;
       setError('');
     } catch (err) {
       console.error('Error fetching discussions:', err);
@@ -85,37 +116,187 @@ function EventDiscussion() {
   };
 
   /**
-   * INITIAL LOAD & POLLING
+   * LOCAL UPDATES
+   * Same order as the server: pinned first, then newest first
+   */
+  const sortDiscussions = (list) => [...list].sort((a, b) =>
+    (b.isPinned - a.isPinned) || (new Date(b.createdAt) - new Date(a.createdAt))
+  );
+
+  const upsertDiscussion = (discussion) => {
+    setDiscussions(prev => sortDiscussions([
+      discussion,
+      ...prev.filter(d => d._id !== discussion._id),
+    ]));
+  };
+
+  // Edited message or reply - the organizer also keeps the replaced text in the history
+  const applyEdit = (item, message, editedAt, mentions) => {
+    if (item.message === message) return item; // Already applied (own edit + its broadcast)
+    return {
+      ...item,
+      message,
+      mentions,
+      isEdited: true,
+      editedAt,
+      ...(item.editHistory && { editHistory: [...item.editHistory, { message: item.message, editedAt }] }),
+    };
+  };
+
+  const updateDiscussion = (discussionId, update) => {
+    setDiscussions(prev => sortDiscussions(
+      prev.map(d => (d._id === discussionId ? { ...d, ...update(d) } : d))
+    ));
+  };
+
+  /**
+   * INITIAL LOAD & LIVE UPDATES
    */
   useEffect(() => {
     fetchDiscussions();
+    discussionAPI.getMembers(eventId)
+      .then(res => setMembers(res.data.members))
+      .catch(() => {});
 
-    // Mark as viewed
-    if (event) {
-      const storageKey = user?.role === 'organizer' 
-        ? `discussion_organizer_${eventId}_count` 
-        : `discussion_${eventId}_count`;
-      
-      // Update the last seen count
-      setTimeout(() => {
-        discussionAPI.getEventDiscussions(eventId).then(res => {
-          const count = res.data.discussions?.length || 0;
-          localStorage.setItem(storageKey, count.toString());
-        }).catch(() => {});
-      }, 2000);
-    }
+    const socket = getSocket();
 
-    // Poll for new messages every 5 seconds
-    pollIntervalRef.current = setInterval(() => {
-      fetchDiscussions();
-    }, 5000);
+    // Joining marks the discussion as read; rejoin after reconnecting
+    let missedUpdates = false;
+    const join = () => {
+      socket.emit('discussion:join', eventId);
+      if (missedUpdates) {
+        fetchDiscussions(); // Catch up on anything missed while disconnected
+        missedUpdates = false;
+      }
+    };
+    const onDisconnect = () => {
+      missedUpdates = true;
+      setTypingUsers({});
+    };
 
-    return () => {
-      if (pollIntervalRef.current) {
-        clearInterval(pollIntervalRef.current);
+    const onCreated = ({ discussion }) => {
+      upsertDiscussion(discussion);
+      socket.emit('discussion:read', eventId);
+    };
+
+    const onReply = ({ discussionId, reply }) => {
+      updateDiscussion(discussionId, d => ({
+        replies: d.replies.some(r => r._id === reply._id) ? d.replies : [...d.replies, reply],
+      }));
+      socket.emit('discussion:read', eventId);
+    };
+
+    const onLike = ({ discussionId, likes }) => updateDiscussion(discussionId, () => ({ likes }));
+
+    const onReact = ({ discussionId, reactions }) => updateDiscussion(discussionId, () => ({ reactions }));
+
+    const onEdit = ({ discussionId, message, editedAt, mentions }) => {
+      updateDiscussion(discussionId, d => applyEdit(d, message, editedAt, mentions));
+    };
+
+    const onReplyEdit = ({ discussionId, replyId, message, editedAt, mentions }) => {
+      updateDiscussion(discussionId, d => ({
+        replies: d.replies.map(r => (r._id === replyId ? applyEdit(r, message, editedAt, mentions) : r)),
+      }));
+    };
+
+    const onReplyDeleted = ({ discussionId, replyId }) => {
+      updateDiscussion(discussionId, d => ({ replies: d.replies.filter(r => r._id !== replyId) }));
+    };
+
+    const onPin = ({ discussionId, isPinned }) => updateDiscussion(discussionId, () => ({ isPinned }));
+
+    const onDeleted = ({ discussionId }) => {
+      setDiscussions(prev => prev.filter(d => d._id !== discussionId));
+    };
+
+    // The organizer keeps hidden messages; participants drop them
+    const onHide = ({ discussionId, isHidden, discussion }) => {
+      if (isOrganizerRef.current) {
+        updateDiscussion(discussionId, () => ({ isHidden }));
+      } else if (isHidden) {
+        setDiscussions(prev => prev.filter(d => d._id !== discussionId));
+      } else if (discussion) {
+        upsertDiscussion(discussion);
       }
     };
-  }, [eventId, event, user]);
+
+    const onLock = ({ discussionId, isLocked }) => updateDiscussion(discussionId, () => ({ isLocked }));
+
+    const onTyping = ({ eventId: typingEventId, userId, name, isTyping }) => {
+      if (typingEventId !== eventId) return;
+      setTypingUsers(prev => {
+        const next = { ...prev };
+        if (isTyping) next[userId] = name;
+        else delete next[userId];
+        return next;
+      });
+    };
+
+    if (socket.connected) join();
+    socket.on('connect', join);
+    socket.on('disconnect', onDisconnect);
+    socket.on('discussion:created', onCreated);
+    socket.on('discussion:reply', onReply);
+    socket.on('discussion:like', onLike);
+    socket.on('discussion:react', onReact);
+    socket.on('discussion:edit', onEdit);
+    socket.on('discussion:reply-edit', onReplyEdit);
+    socket.on('discussion:reply-deleted', onReplyDeleted);
+    socket.on('discussion:pin', onPin);
+    socket.on('discussion:deleted', onDeleted);
+    socket.on('discussion:hide', onHide);
+    socket.on('discussion:lock', onLock);
+    socket.on('discussion:typing', onTyping);
+
+    return () => {
+      socket.emit('discussion:leave', eventId);
+      socket.off('connect', join);
+      socket.off('disconnect', onDisconnect);
+      socket.off('discussion:created', onCreated);
+      socket.off('discussion:reply', onReply);
+      socket.off('discussion:like', onLike);
+      socket.off('discussion:react', onReact);
+      socket.off('discussion:edit', onEdit);
+      socket.off('discussion:reply-edit', onReplyEdit);
+      socket.off('discussion:reply-deleted', onReplyDeleted);
+      socket.off('discussion:pin', onPin);
+      socket.off('discussion:deleted', onDeleted);
+      socket.off('discussion:hide', onHide);
+      socket.off('discussion:lock', onLock);
+      socket.off('discussion:typing', onTyping);
+      clearTimeout(typingTimeoutRef.current);
+    };
+  }, [eventId]);
+
+  /**
+   * TYPING INDICATOR
+   * Stops showing 3 seconds after the last keystroke
+   */
+  const setTyping = (isTyping) => {
+    getSocket().emit('discussion:typing', { eventId, isTyping });
+  };
+
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+
+    if (!typingTimeoutRef.current) {
+      setTyping(true);
+    }
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(() => {
+      typingTimeoutRef.current = null;
+      setTyping(false);
+    }, 3000);
+  };
+
+  const stopTyping = () => {
+    if (typingTimeoutRef.current) {
+      clearTimeout(typingTimeoutRef.current);
+      typingTimeoutRef.current = null;
+      setTyping(false);
+    }
+  };
 
   /**
    * POST NEW MESSAGE
@@ -129,9 +310,15 @@ function EventDiscussion() {
 
     try {
       setPosting(true);
-      await discussionAPI.postDiscussion(eventId, { message: newMessage });
+      stopTyping();
+      const response = await discussionAPI.postDiscussion(eventId, {
+        message: newMessage,
+        mentions: findMentions(newMessage, members),
+        attachments,
+      });
       setNewMessage('');
-      await fetchDiscussions();
+      setAttachments([]);
+      upsertDiscussion(response.data.discussion);
       
       // Scroll to bottom
       setTimeout(() => {
@@ -139,7 +326,7 @@ function EventDiscussion() {
       }, 100);
     } catch (err) {
       console.error('Error posting message:', err);
-      alert(err.response?.data?.message || 'Failed to post message');
+      handleActionError(err, 'Failed to post message');
     } finally {
       setPosting(false);
     }
@@ -154,13 +341,63 @@ function EventDiscussion() {
     }
 
     try {
-      await discussionAPI.postReply(discussionId, { message: replyMessage });
+      const response = await discussionAPI.postReply(discussionId, {
+        message: replyMessage,
+        mentions: findMentions(replyMessage, members),
+      });
       setReplyMessage('');
       setReplyingTo(null);
-      await fetchDiscussions();
+      updateDiscussion(discussionId, () => ({ replies: response.data.discussion.replies }));
     } catch (err) {
       console.error('Error posting reply:', err);
-      alert(err.response?.data?.message || 'Failed to post reply');
+      handleActionError(err, 'Failed to post reply');
+    }
+  };
+
+  /**
+   * ATTACH IMAGES
+   * Read as base64 data URLs, the same way as payment proofs
+   */
+  const handleAttachImages = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Allow picking the same file again
+
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
+      alert(`You can attach up to ${MAX_ATTACHMENTS} images`);
+      return;
+    }
+
+    for (const file of files) {
+      if (!['image/png', 'image/jpeg', 'image/gif', 'image/webp'].includes(file.type)) {
+        alert('Please select PNG, JPEG, GIF or WebP images');
+        return;
+      }
+      if (file.size > MAX_ATTACHMENT_BYTES) {
+        alert('Each image must be smaller than 2MB');
+        return;
+      }
+    }
+
+    files.forEach((file) => {
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        setAttachments(prev => [...prev, { data: reader.result, name: file.name }]);
+      };
+      reader.readAsDataURL(file);
+    });
+  };
+
+  /**
+   * TOGGLE REACTION
+   */
+  const handleToggleReaction = async (discussionId, emoji) => {
+    try {
+      setReactionPickerFor(null);
+      const response = await discussionAPI.toggleReaction(discussionId, emoji);
+      updateDiscussion(discussionId, () => ({ reactions: response.data.reactions }));
+    } catch (err) {
+      console.error('Error toggling reaction:', err);
+      handleActionError(err, 'Failed to react');
     }
   };
 
@@ -172,10 +409,17 @@ function EventDiscussion() {
 
     try {
       setLikingIds(prev => new Set([...prev, discussionId]));
-      await discussionAPI.toggleLike(discussionId);
-      await fetchDiscussions();
+      const response = await discussionAPI.toggleLike(discussionId);
+      updateDiscussion(discussionId, d => ({
+        likes: response.data.isLiked
+          ? [...d.likes.filter(id => id !== user._id), user._id]
+          : d.likes.filter(id => id !== user._id),
+      }));
     } catch (err) {
       console.error('Error toggling like:', err);
+      if (err.response?.data?.mutedUntil) {
+        handleActionError(err, 'Failed to like message');
+      }
     } finally {
       setLikingIds(prev => {
         const newSet = new Set(prev);
@@ -195,26 +439,271 @@ function EventDiscussion() {
 
     try {
       await discussionAPI.deleteDiscussion(discussionId);
-      await fetchDiscussions();
+      setDiscussions(prev => prev.filter(d => d._id !== discussionId));
     } catch (err) {
       console.error('Error deleting message:', err);
       alert(err.response?.data?.message || 'Failed to delete message');
     }
   };
 
+  /**
+   * EDIT MESSAGE OR REPLY
+   * Only offered within EDIT_WINDOW_MINUTES of posting (the server checks too)
+   */
+  const canEdit = (item) => (
+    item.participant?._id === user._id &&
+    Date.now() - new Date(item.createdAt).getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000
+  );
+
+  const startEditing = (discussionId, item, replyId) => {
+    setEditing({ discussionId, replyId });
+    setEditText(item.message);
+  };
+
+  const cancelEditing = () => {
+    setEditing(null);
+    setEditText('');
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editText.trim()) return;
+
+    const { discussionId, replyId } = editing;
+    try {
+      if (replyId) {
+        const response = await discussionAPI.editReply(discussionId, replyId, {
+          message: editText,
+          mentions: findMentions(editText, members),
+        });
+        const { message, editedAt, mentions } = response.data.reply;
+        updateDiscussion(discussionId, d => ({
+          replies: d.replies.map(r => (r._id === replyId ? applyEdit(r, message, editedAt, mentions) : r)),
+        }));
+      } else {
+        const response = await discussionAPI.editDiscussion(discussionId, {
+          message: editText,
+          mentions: findMentions(editText, members),
+        });
+        const { message, editedAt, mentions } = response.data.discussion;
+        updateDiscussion(discussionId, d => applyEdit(d, message, editedAt, mentions));
+      }
+      cancelEditing();
+    } catch (err) {
+      console.error('Error editing message:', err);
+      handleActionError(err, 'Failed to save changes');
+    }
+  };
+
+  /**
+   * DELETE REPLY
+   */
+  const handleDeleteReply = async (discussionId, replyId) => {
+    if (!window.confirm('Are you sure you want to delete this reply?')) {
+      return;
+    }
+
+    try {
+      await discussionAPI.deleteReply(discussionId, replyId);
+      updateDiscussion(discussionId, d => ({ replies: d.replies.filter(r => r._id !== replyId) }));
+    } catch (err) {
+      console.error('Error deleting reply:', err);
+      alert(err.response?.data?.message || 'Failed to delete reply');
+    }
+  };
+
+  /**
+   * EDIT HISTORY (ORGANIZER ONLY)
+   */
+  const toggleHistory = (id) => {
+    setOpenHistories(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const renderEditHistory = (id, item) => (
+    openHistories.has(id) && (
+      <ul className="edit-history">
+        {[...item.editHistory].reverse().map((version, index) => (
+          <li key={index}>
+            <span className="edit-history-time">
+              Replaced {new Date(version.editedAt).toLocaleString('en-IN')}
+            </span>
+            <p>{version.message}</p>
+          </li>
+        ))}
+      </ul>
+    )
+  );
+
+  const renderEditedMarker = (id, item) => (
+    item.isEdited && (
+      <span className="edited-marker" title={item.editedAt && `Edited ${new Date(item.editedAt).toLocaleString('en-IN')}`}>
+        (edited)
+        {isOrganizer && item.editHistory?.length > 0 && (
+          <button onClick={() => toggleHistory(id)} className="history-btn">
+            {openHistories.has(id) ? 'hide history' : `history (${item.editHistory.length})`}
+          </button>
+        )}
+      </span>
+    )
+  );
+
+  const renderEditForm = (maxLength) => (
+    <div className="edit-input-container">
+      <MentionTextarea
+        value={editText}
+        onChange={(e) => setEditText(e.target.value)}
+        members={members}
+        maxLength={maxLength}
+        rows={2}
+      />
+      <div className="reply-actions">
+        <button onClick={handleSaveEdit} disabled={!editText.trim()} className="post-reply-btn">
+          Save
+        </button>
+        <button onClick={cancelEditing} className="cancel-reply-btn">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
   /**
    * TOGGLE PIN MESSAGE (ORGANIZER ONLY)
    */
   const handleTogglePin = async (discussionId, currentPinState) => {
     try {
-      await discussionAPI.togglePin(discussionId);
-      await fetchDiscussions();
+      const response = await discussionAPI.togglePin(discussionId);
+      updateDiscussion(discussionId, () => ({ isPinned: response.data.isPinned }));
     } catch (err) {
       console.error('Error toggling pin:', err);
       alert(err.response?.data?.message || 'Failed to toggle pin');
     }
   };
 
+  /**
+   * Moderation requests return 403 with mutedUntil once a mute starts
+   */
+  const handleActionError = (err, fallback) => {
+    if (err.response?.data?.mutedUntil) {
+      setMutedUntil(err.response.data.mutedUntil);
+    }
+    alert(err.response?.data?.message || fallback);
+  };
+
+  /**
+   * REPORT MESSAGE
+   */
+  const handleReport = async (discussionId) => {
+    const reason = prompt('Why are you reporting this message? (optional)');
+    if (reason === null) return;
+
+    try {
+      const response = await discussionAPI.reportDiscussion(discussionId, reason);
+      alert(response.data.message);
+    } catch (err) {
+      console.error('Error reporting message:', err);
+      alert(err.response?.data?.message || 'Failed to report message');
+    }
+  };
+
+  /**
+   * HIDE/UNHIDE MESSAGE (ORGANIZER ONLY)
+   */
+  const handleToggleHide = async (discussion) => {
+    let reason;
+    if (!discussion.isHidden) {
+      reason = prompt('Reason for hiding this message (optional)');
+      if (reason === null) return;
+    }
+
+    try {
+      const response = await discussionAPI.toggleHide(discussion._id, reason);
+      updateDiscussion(discussion._id, () => ({
+        isHidden: response.data.isHidden,
+        hiddenReason: response.data.hiddenReason,
+      }));
+      if (showModeration) fetchModeration();
+    } catch (err) {
+      console.error('Error toggling hide:', err);
+      alert(err.response?.data?.message || 'Failed to update message visibility');
+    }
+  };
+
+  /**
+   * LOCK/UNLOCK THREAD (ORGANIZER ONLY)
+   */
+  const handleToggleLock = async (discussionId) => {
+    try {
+      const response = await discussionAPI.toggleLock(discussionId);
+      updateDiscussion(discussionId, () => ({ isLocked: response.data.isLocked }));
+      if (showModeration) fetchModeration();
+    } catch (err) {
+      console.error('Error toggling lock:', err);
+      alert(err.response?.data?.message || 'Failed to update thread lock');
+    }
+  };
+
+  /**
+   * MUTE AUTHOR (ORGANIZER ONLY)
+   */
+  const handleMute = async (participant) => {
+    const minutes = prompt(`Mute ${participant.firstName} ${participant.lastName} for how many minutes?`, '60');
+    if (minutes === null) return;
+    const reason = prompt('Reason (optional)');
+    if (reason === null) return;
+
+    try {
+      const response = await discussionAPI.muteParticipant(eventId, {
+        participantId: participant._id,
+        durationMinutes: Number(minutes),
+        reason,
+      });
+      alert(response.data.message);
+      if (showModeration) fetchModeration();
+    } catch (err) {
+      console.error('Error muting participant:', err);
+      alert(err.response?.data?.message || 'Failed to mute participant');
+    }
+  };
+
+  /**
+   * MODERATION PANEL (ORGANIZER ONLY)
+   */
+  const fetchModeration = async () => {
+    try {
+      const [logResponse, mutesResponse] = await Promise.all([
+        discussionAPI.getModerationLog(eventId),
+        discussionAPI.getMutes(eventId),
+      ]);
+      setModerationLog(logResponse.data.entries);
+      setMutes(mutesResponse.data.mutes);
+    } catch (err) {
+      console.error('Error fetching moderation log:', err);
+      alert(err.response?.data?.message || 'Failed to load moderation log');
+    }
+  };
+
+  const handleToggleModeration = () => {
+    if (!showModeration) fetchModeration();
+    setShowModeration(!showModeration);
+  };
+
+  const handleUnmute = async (participantId) => {
+    try {
+      await discussionAPI.unmuteParticipant(eventId, participantId);
+      fetchModeration();
+    } catch (err) {
+      console.error('Error unmuting participant:', err);
+      alert(err.response?.data?.message || 'Failed to unmute participant');
+    }
+  };
+
+  const isMuted = mutedUntil && new Date(mutedUntil) > new Date();
+
   /**
    * CHECK IF CURRENT USER IS ORGANIZER
    */
@@ -277,8 +766,70 @@ function EventDiscussion() {
           {discussions.length} message{discussions.length !== 1 ? 's' : ''}
           {isOrganizer && <span className="moderator-badge"> • You are moderating</span>}
         </p>
+        {isOrganizer && (
+          <button onClick={handleToggleModeration} className="moderation-toggle-btn">
+            {showModeration ? 'Hide moderation log' : '🛡️ Moderation log'}
+          </button>
+        )}
       </div>
 
+      {/* Moderation Panel (organizer only) */}
+      {isOrganizer && showModeration && (
+        <div className="moderation-panel">
+          <h3>Muted participants</h3>
+          {mutes.length === 0 ? (
+            <p className="moderation-empty">Nobody is muted.</p>
+          ) : (
+            <ul className="mute-list">
+              {mutes.map((mute) => (
+                <li key={mute._id}>
+                  <span>
+                    <strong>{mute.participant?.firstName} {mute.participant?.lastName}</strong>
+                    {' '}until {new Date(mute.mutedUntil).toLocaleString('en-IN')}
+                    {mute.reason && <em> - {mute.reason}</em>}
+                  </span>
+                  <button onClick={() => handleUnmute(mute.participant?._id)} className="unmute-btn">
+                    Unmute
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h3>Moderation log</h3>
+          {moderationLog.length === 0 ? (
+            <p className="moderation-empty">No moderation activity yet.</p>
+          ) : (
+            <table className="moderation-log">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Action</th>
+                  <th>By</th>
+                  <th>About</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {moderationLog.map((entry) => (
+                  <tr key={entry._id}>
+                    <td>{new Date(entry.createdAt).toLocaleString('en-IN')}</td>
+                    <td><span className={`log-action log-${entry.action.toLowerCase()}`}>{entry.action}</span></td>
+                    <td>{entry.actor?.organizerName || `${entry.actor?.firstName || ''} ${entry.actor?.lastName || ''}`}</td>
+                    <td>{entry.targetUser ? `${entry.targetUser.firstName} ${entry.targetUser.lastName}` : '-'}</td>
+                    <td>
+                      {entry.messageExcerpt && <div className="log-excerpt">"{entry.messageExcerpt}"</div>}
+                      {entry.reason && <div>Reason: {entry.reason}</div>}
+                      {entry.mutedUntil && <div>Until {new Date(entry.mutedUntil).toLocaleString('en-IN')}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       {/* Error Message */}
       {error && (
         <div className="error-message">
@@ -304,11 +855,26 @@ function EventDiscussion() {
                   return (
                   <div 
                     key={discussion._id} 
-                    className={`message-card ${discussion.isPinned ? 'pinned' : ''}`}
+                    className={`message-card ${discussion.isPinned ? 'pinned' : ''} ${discussion.isHidden ? 'hidden-message' : ''}`}
                   >
                     {discussion.isPinned && (
                       <div className="pinned-badge">📌 Pinned</div>
                     )}
+                    {discussion.isHidden && (
+                      <div className="hidden-badge">
+                        🚫 Hidden from participants{discussion.hiddenReason && ` - ${discussion.hiddenReason}`}
+                      </div>
+                    )}
+                    {isOrganizer && discussion.reports?.length > 0 && (
+                      <div
+                        className="report-badge"
+                        title={discussion.reports
+                          .map(r => `${r.reporter?.firstName || ''} ${r.reporter?.lastName || ''}: ${r.reason || 'No reason given'}`)
+                          .join('\n')}
+                      >
+                        🚩 Reported {discussion.reports.length} time{discussion.reports.length !== 1 ? 's' : ''}
+                      </div>
+                    )}
 
                     {/* Message Header */}
                     <div className="message-header">
@@ -324,7 +890,9 @@ function EventDiscussion() {
                             <span className="organizer-badge">👤 Organizer</span>
                           )}
                         </span>
-                        <span className="message-time">{formatTime(discussion.createdAt)}</span>
+                        <span className="message-time">
+                          {formatTime(discussion.createdAt)} {renderEditedMarker(discussion._id, discussion)}
+                        </span>
                       </div>
                       
                       {/* Moderation buttons */}
@@ -339,7 +907,56 @@ function EventDiscussion() {
                             {discussion.isPinned ? '📌 Unpin' : '📍 Pin'}
                           </button>
                         )}
+
+                        {isOrganizer && (
+                          <>
+                            <button
+                              onClick={() => handleToggleHide(discussion)}
+                              className="moderate-btn"
+                              title={discussion.isHidden ? 'Show to participants again' : 'Hide from participants'}
+                            >
+                              {discussion.isHidden ? '👁️ Unhide' : '🚫 Hide'}
+                            </button>
+                            <button
+                              onClick={() => handleToggleLock(discussion._id)}
+                              className="moderate-btn"
+                              title={discussion.isLocked ? 'Allow replies again' : 'Stop new replies'}
+                            >
+                              {discussion.isLocked ? '🔓 Unlock' : '🔒 Lock'}
+                            </button>
+                            {discussion.participant._id !== user._id && (
+                              <button
+                                onClick={() => handleMute(discussion.participant)}
+                                className="moderate-btn"
+                                title="Mute the author in this discussion"
+                              >
+                                🔇 Mute
+                              </button>
+                            )}
+                          </>
+                        )}
+
+                        {/* Report button for other people's messages */}
+                        {!isOrganizer && discussion.participant._id !== user._id && (
+                          <button
+                            onClick={() => handleReport(discussion._id)}
+                            className="report-btn"
+                            title="Report to the organizer"
+                          >
+                            🚩
+                          </button>
+                        )}
                         
+                        {canEdit(discussion) && !editing && (
+                          <button
+                            onClick={() => startEditing(discussion._id, discussion)}
+                            className="edit-btn"
+                            title={`Edit (within ${EDIT_WINDOW_MINUTES} minutes of posting)`}
+                          >
+                            ✏️
+                          </button>
+                        )}
+
                         {/* Delete button for own messages or organizer */}
                         {(discussion.participant._id === user._id || isOrganizer) && (
                           <button 
@@ -354,9 +971,27 @@ function EventDiscussion() {
                     </div>
 
                     {/* Message Content */}
-                    <div className="message-content">
-                      <p>{discussion.message}</p>
-                    </div>
+                    {editing?.discussionId === discussion._id && !editing.replyId ? (
+                      renderEditForm(1000)
+                    ) : (
+                      <div className="message-content">
+                        <MessageBody text={discussion.message} mentions={discussion.mentions} currentUserId={user._id} />
+                      </div>
+                    )}
+                    {renderEditHistory(discussion._id, discussion)}
+
+                    {discussion.attachments?.length > 0 && (
+                      <div className="message-attachments">
+                        {discussion.attachments.map((attachment) => (
+                          <img
+                            key={attachment._id}
+                            src={attachment.data}
+                            alt={attachment.name || 'Attachment'}
+                            onClick={() => setPreviewImage(attachment.data)}
+                          />
+                        ))}
+                      </div>
+                    )}
 
                     {/* Message Actions */}
                     <div className="message-actions">
@@ -367,39 +1002,104 @@ function EventDiscussion() {
                       >
                         ❤️ {discussion.likes.length}
                       </button>
+
+                      {/* Emoji reactions: counts, plus a picker for new ones */}
+                      <div className="reaction-bar">
+                        {REACTIONS.map((emoji) => {
+                          const reactions = (discussion.reactions || []).filter(r => r.emoji === emoji);
+                          if (reactions.length === 0 && reactionPickerFor !== discussion._id) return null;
+                          const isMine = reactions.some(r => r.user === user._id);
+                          return (
+                            <button
+                              key={emoji}
+                              onClick={() => handleToggleReaction(discussion._id, emoji)}
+                              className={`reaction-btn ${isMine ? 'mine' : ''}`}
+                            >
+                              {emoji}{reactions.length > 0 && ` ${reactions.length}`}
+                            </button>
+                          );
+                        })}
+                        <button
+                          onClick={() => setReactionPickerFor(reactionPickerFor === discussion._id ? null : discussion._id)}
+                          className="reaction-add-btn"
+                          title="Add reaction"
+                        >
+                          {reactionPickerFor === discussion._id ? '✕' : '😊+'}
+                        </button>
+                      </div>
                       
-                      <button 
-                        onClick={() => setReplyingTo(replyingTo === discussion._id ? null : discussion._id)}
-                        className="reply-btn"
-                      >
-                        💬 Reply {discussion.replies.length > 0 && `(${discussion.replies.length})`}
-                      </button>
+                      {discussion.isLocked && !isOrganizer ? (
+                        <span className="locked-note">
+                          🔒 Thread locked {discussion.replies.length > 0 && `(${discussion.replies.length} replies)`}
+                        </span>
+                      ) : (
+                        <button 
+                          onClick={() => setReplyingTo(replyingTo === discussion._id ? null : discussion._id)}
+                          className="reply-btn"
+                        >
+                          💬 Reply {discussion.replies.length > 0 && `(${discussion.replies.length})`}
+                        </button>
+                      )}
+                      {discussion.isLocked && isOrganizer && (
+                        <span className="locked-note">🔒 Locked</span>
+                      )}
                     </div>
 
                     {/* Replies */}
                     {discussion.replies.length > 0 && (
                       <div className="replies-list">
-                        {discussion.replies.map((reply, index) => (
-                          <div key={index} className="reply-card">
+                        {discussion.replies.map((reply) => (
+                          <div key={reply._id} className="reply-card">
                             <div className="reply-header">
                               <span className="reply-author">
                                 {reply.participant.firstName} {reply.participant.lastName}
                               </span>
-                              <span className="reply-time">{formatTime(reply.createdAt)}</span>
+                              <span className="reply-time">
+                                {formatTime(reply.createdAt)} {renderEditedMarker(reply._id, reply)}
+                                {canEdit(reply) && !editing && (
+                                  <button
+                                    onClick={() => startEditing(discussion._id, reply, reply._id)}
+                                    className="reply-action-btn"
+                                    title="Edit reply"
+                                  >
+                                    ✏️
+                                  </button>
+                                )}
+                                {(reply.participant._id === user._id || isOrganizer) && (
+                                  <button
+                                    onClick={() => handleDeleteReply(discussion._id, reply._id)}
+                                    className="reply-action-btn"
+                                    title="Delete reply"
+                                  >
+                                    🗑️
+                                  </button>
+                                )}
+                              </span>
                             </div>
-                            <p className="reply-content">{reply.message}</p>
+                            {editing?.replyId === reply._id ? (
+                              renderEditForm(500)
+                            ) : (
+                              <MessageBody
+                                text={reply.message}
+                                mentions={reply.mentions}
+                                currentUserId={user._id}
+                                className="reply-content"
+                              />
+                            )}
+                            {renderEditHistory(reply._id, reply)}
                           </div>
                         ))}
                       </div>
                     )}
 
                     {/* Reply Input */}
-                    {replyingTo === discussion._id && (
+                    {replyingTo === discussion._id && (!discussion.isLocked || isOrganizer) && (
                       <div className="reply-input-container">
-                        <textarea
+                        <MentionTextarea
                           value={replyMessage}
                           onChange={(e) => setReplyMessage(e.target.value)}
-                          placeholder="Write a reply..."
+                          members={members}
+                          placeholder="Write a reply... (@ to mention)"
                           maxLength={500}
                           rows={2}
                         />
@@ -433,20 +1133,62 @@ function EventDiscussion() {
 
           {/* New Message Input */}
           <div className="new-message-container">
+            {Object.keys(typingUsers).length > 0 && (
+              <p className="typing-indicator">
+                {Object.values(typingUsers).join(', ')} {Object.keys(typingUsers).length === 1 ? 'is' : 'are'} typing...
+              </p>
+            )}
+            {isMuted && (
+              <p className="muted-notice">
+                🔇 The organizer has muted you in this discussion until {new Date(mutedUntil).toLocaleString('en-IN')}.
+                You can still read messages.
+              </p>
+            )}
             <form onSubmit={handlePostMessage} className="new-message-form">
-              <textarea
+              <MentionTextarea
                 value={newMessage}
-                onChange={(e) => setNewMessage(e.target.value)}
-                placeholder="Share your thoughts about this event..."
+                onChange={handleMessageChange}
+                members={members}
+                onBlur={stopTyping}
+                placeholder="Share your thoughts about this event... (Markdown supported, @ to mention)"
                 maxLength={1000}
                 rows={3}
-                disabled={posting}
+                disabled={posting || isMuted}
               />
+              {attachments.length > 0 && (
+                <div className="attachment-previews">
+                  {attachments.map((attachment, index) => (
+                    <div key={index} className="attachment-preview">
+                      <img src={attachment.data} alt={attachment.name} />
+                      <button
+                        type="button"
+                        onClick={() => setAttachments(prev => prev.filter((_, i) => i !== index))}
+                        title="Remove image"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
               <div className="form-footer">
-                <span className="char-count">{newMessage.length}/1000</span>
+                <span className="char-count">
+                  {newMessage.length}/1000
+                  <label className="attach-btn" title={`Attach up to ${MAX_ATTACHMENTS} images`}>
+                    📎 Image
+                    <input
+                      type="file"
+                      accept="image/png,image/jpeg,image/gif,image/webp"
+                      multiple
+                      onChange={handleAttachImages}
+                      disabled={posting || isMuted || attachments.length >= MAX_ATTACHMENTS}
+                      hidden
+                    />
+                  </label>
+                </span>
                 <button 
                   type="submit" 
-                  disabled={!newMessage.trim() || posting}
+                  disabled={!newMessage.trim() || posting || isMuted}
                   className="post-btn"
                 >
                   {posting ? 'Posting...' : '📤 Post Message'}
@@ -456,6 +1198,13 @@ function EventDiscussion() {
           </div>
         </>
       )}
+
+      {/* Full-size attachment */}
+      {previewImage && (
+        <div className="image-preview-overlay" onClick={() => setPreviewImage(null)}>
+          <img src={previewImage} alt="Attachment" />
+        </div>
+      )}
     </div>
   );
 }
@@ -6,6 +6,7 @@
  * - See organizer details
  * - Follow/unfollow organizers
  * - Track followed organizers
+ * - Choose how new events from followed organizers are emailed (instantly or daily digest)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -24,6 +25,7 @@ function FollowOrganizers() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [filter, setFilter] = useState('all'); // all, following
+  const [emailFrequency, setEmailFrequency] = useState('DAILY'); // INSTANT, DAILY
 
   /**
    * FETCH ORGANIZERS AND PROFILE
@@ -91,6 +93,7 @@ function FollowOrganizers() {
       
       console.log('Processed followed IDs:', followedIds);
       setFollowedOrganizers(followedIds);
+      setEmailFrequency(response.data.profile?.followedEventEmails || 'DAILY');
     } catch (err) {
       console.error('Failed to fetch user profile:', err);
     }
@@ -141,6 +144,21 @@ function FollowOrganizers() {
     }
   };
 
+  /**
+   * CHANGE NEW EVENT EMAIL FREQUENCY
+   */
+  const handleEmailFrequencyChange = async (e) => {
+    const previous = emailFrequency;
+    setEmailFrequency(e.target.value);
+
+    try {
+      await participantAPI.setPreferences({ followedEventEmails: e.target.value });
+    } catch (err) {
+      setEmailFrequency(previous);
+      alert(err.response?.data?.message || 'Failed to update email preference');
+    }
+  };
+
   /**
    * CHECK IF FOLLOWING
    */
@@ -185,6 +203,17 @@ function FollowOrganizers() {
         </div>
       )}
 
+      {/* New Event Emails */}
+      {user && (
+        <div className="email-frequency">
+          <label htmlFor="email-frequency">Email me about new events from organizers I follow:</label>
+          <select id="email-frequency" value={emailFrequency} onChange={handleEmailFrequencyChange}>
+            <option value="INSTANT">Instantly</option>
+            <option value="DAILY">In a daily digest</option>
+          </select>
+        </div>
+      )}
+
       {/* Filter Tabs */}
       <div className="filter-tabs">
         <button 
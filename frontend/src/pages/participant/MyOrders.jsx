@@ -0,0 +1,318 @@
+/**
+ * MY ORDERS PAGE
+ *
+ * Merchandise orders placed from the cart
+ * - Line items, totals and status
+ * - Pay online, or upload one payment proof for the whole order
+ * - Cancel orders that haven't been paid
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { orderAPI, paymentAPI } from '../../services/api';
+import { startCheckout, getPaymentResult } from '../../services/payments';
+import './MyOrders.css';
+
+function MyOrders() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // State
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedOrder, setSelectedOrder] = useState(null); // Order in the upload modal
+  const [paymentProofFile, setPaymentProofFile] = useState(null);
+  const [paymentProofPreview, setPaymentProofPreview] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [paymentResult, setPaymentResult] = useState(null); // Shown after returning from online checkout
+  const [payingId, setPayingId] = useState(null);
+
+  /**
+   * FETCH ORDERS
+   */
+  const fetchOrders = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await orderAPI.getMyOrders();
+      setOrders(response.data.orders || []);
+    } catch (err) {
+      console.error('Failed to fetch orders:', err);
+      setError(err.response?.data?.message || 'Failed to load orders.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchOrders();
+  }, []);
+
+  // The payment provider sends the participant back with ?payment=<id>
+  useEffect(() => {
+    const paymentId = searchParams.get('payment');
+    if (paymentId) {
+      getPaymentResult(paymentId).then(setPaymentResult);
+    }
+  }, [searchParams]);
+
+  /**
+   * PAY ONLINE
+   * Redirects to the payment provider's checkout page
+   */
+  const payOnline = async (order) => {
+    try {
+      setPayingId(order._id);
+      await startCheckout(() => paymentAPI.payForOrder(order._id));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to start payment');
+      setPayingId(null);
+    }
+  };
+
+  /**
+   * FORMAT DATE
+   */
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  /**
+   * HANDLE FILE SELECT
+   */
+  const handleFileSelect = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      alert('Please select an image file');
+      return;
+    }
+
+    if (file.size > 5 * 1024 * 1024) {
+      alert('File size must be less than 5MB');
+      return;
+    }
+
+    setPaymentProofFile(file);
+
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      setPaymentProofPreview(reader.result);
+    };
+    reader.readAsDataURL(file);
+  };
+
+  /**
+   * CLOSE UPLOAD MODAL
+   */
+  const closeUploadModal = () => {
+    setSelectedOrder(null);
+    setPaymentProofFile(null);
+    setPaymentProofPreview('');
+  };
+
+  /**
+   * UPLOAD PAYMENT PROOF
+   * The preview already holds the image as base64
+   */
+  const uploadPaymentProof = async () => {
+    if (!paymentProofPreview) {
+      alert('Please select a payment proof image');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      await orderAPI.uploadPaymentProof(selectedOrder._id, { paymentProof: paymentProofPreview });
+      alert('✅ Payment proof uploaded successfully! Awaiting organizer approval.');
+      closeUploadModal();
+      fetchOrders();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to upload payment proof');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  /**
+   * CANCEL ORDER
+   */
+  const cancelOrder = async (order) => {
+    if (!window.confirm(`Cancel order ${order.orderNumber}? All items in it will be cancelled.`)) {
+      return;
+    }
+
+    try {
+      await orderAPI.cancelOrder(order._id);
+      fetchOrders();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel order');
+    }
+  };
+
+  if (loading) {
+    return <div className="my-orders loading">Loading orders...</div>;
+  }
+
+  return (
+    <div className="my-orders">
+      <div className="page-header">
+        <h1>🧾 My Orders</h1>
+        <p>Merchandise orders placed from your cart</p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {paymentResult && (
+        <div className={`payment-result ${paymentResult.type}`}>
+          {paymentResult.message}
+        </div>
+      )}
+
+      {orders.length === 0 ? (
+        <div className="orders-empty">
+          <p>You haven't placed any orders yet</p>
+          <button onClick={() => navigate('/cart')} className="browse-btn">
+            Go to Cart
+          </button>
+        </div>
+      ) : (
+        <div className="orders-list">
+          {orders.map(order => (
+            <div key={order._id} className="order-card">
+              <div className="order-header">
+                <div>
+                  <h3>{order.orderNumber}</h3>
+                  <p>{order.organizer?.organizerName} · {formatDate(order.createdAt)}</p>
+                </div>
+                <div className="status-badges">
+                  <span className={`order-badge ${order.status.toLowerCase()}`}>{order.status}</span>
+                  <span className={`order-badge ${order.paymentStatus.toLowerCase()}`}>
+                    {order.paymentStatus.replace('_', ' ')}
+                  </span>
+                </div>
+              </div>
+
+              <table className="order-items">
+                <tbody>
+                  {order.items.map(item => (
+                    <tr key={item._id}>
+                      <td>
+                        {item.eventName}
+                        <span className="order-item-options">
+                          {[item.variant, item.size, item.color].filter(Boolean).join(' / ')}
+                        </span>
+                      </td>
+                      <td>× {item.quantity}</td>
+                      <td className="amount">₹{item.lineTotal}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="order-total">Total: ₹{order.totalAmount}</div>
+
+              {order.paymentRejectionReason && order.status === 'REJECTED' && (
+                <div className="order-rejection">
+                  <strong>Payment rejected:</strong> {order.paymentRejectionReason}
+                </div>
+              )}
+
+              {order.status === 'CONFIRMED' && (
+                <p className="order-hint">Payment approved - pickup tickets are in My Registrations.</p>
+              )}
+
+              <div className="order-actions">
+                {order.paymentStatus === 'UNPAID' && order.status !== 'CANCELLED' && (
+                  <button
+                    onClick={() => payOnline(order)}
+                    className="action-btn upload"
+                    disabled={payingId === order._id}
+                  >
+                    {payingId === order._id ? 'Redirecting...' : '💳 Pay Online'}
+                  </button>
+                )}
+                {(order.paymentStatus === 'UNPAID' || order.status === 'REJECTED') && order.status !== 'CANCELLED' && (
+                  <button onClick={() => setSelectedOrder(order)} className="action-btn upload">
+                    📤 {order.status === 'REJECTED' ? 'Resubmit Payment Proof' : 'Upload Payment Proof'}
+                  </button>
+                )}
+                {order.status === 'CONFIRMED' && (
+                  <button onClick={() => navigate('/registrations')} className="action-btn view">
+                    View Tickets
+                  </button>
+                )}
+                {order.paymentStatus !== 'PAID' && order.status !== 'CANCELLED' && (
+                  <button onClick={() => cancelOrder(order)} className="action-btn cancel">
+                    Cancel Order
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Upload Payment Proof Modal */}
+      {selectedOrder && (
+        <div className="modal-overlay" onClick={closeUploadModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>Upload Payment Proof</h2>
+
+            <div className="modal-body">
+              <p><strong>Order:</strong> {selectedOrder.orderNumber}</p>
+              <p><strong>Amount:</strong> ₹{selectedOrder.totalAmount}</p>
+              <p><strong>Items:</strong> {selectedOrder.items.length}</p>
+
+              <div className="file-upload-area">
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleFileSelect}
+                  id="order-proof-input"
+                  style={{ display: 'none' }}
+                />
+                <label htmlFor="order-proof-input" className="upload-label">
+                  {paymentProofPreview ? (
+                    <div className="preview-container">
+                      <img src={paymentProofPreview} alt="Payment Proof Preview" />
+                      <p>Click to change image</p>
+                    </div>
+                  ) : (
+                    <div className="upload-placeholder">
+                      <span className="upload-icon">📷</span>
+                      <p>Click to select payment proof image</p>
+                    </div>
+                  )}
+                </label>
+              </div>
+            </div>
+
+            <div className="modal-actions">
+              <button
+                onClick={uploadPaymentProof}
+                className="btn-upload"
+                disabled={!paymentProofFile || uploading}
+              >
+                {uploading ? 'Uploading...' : 'Upload & Submit'}
+              </button>
+              <button onClick={closeUploadModal} className="btn-cancel">
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MyOrders;
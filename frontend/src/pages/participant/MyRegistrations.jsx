@@ -6,26 +6,32 @@
  * - Download tickets
  * - Track payment status
  * - Cancel registrations
+ * - Add events to a calendar (single download or the subscription feed)
  */
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { participantAPI, registrationAPI, feedbackAPI } from '../../services/api';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { participantAPI, registrationAPI, feedbackAPI, paymentAPI, calendarAPI } from '../../services/api';
+import { startCheckout, getPaymentResult } from '../../services/payments';
+import CalendarFeed from '../../components/CalendarFeed';
 import './MyRegistrations.css';
 
 function MyRegistrations() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
 
   // State
   const [registrations, setRegistrations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [filter, setFilter] = useState('all'); // all, confirmed, pending, cancelled
+  const [filter, setFilter] = useState('all'); // all, confirmed, pending, waitlisted, cancelled
   const [uploadingId, setUploadingId] = useState(null);
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [selectedRegistration, setSelectedRegistration] = useState(null);
   const [paymentProofFile, setPaymentProofFile] = useState(null);
   const [paymentProofPreview, setPaymentProofPreview] = useState('');
+  const [paymentResult, setPaymentResult] = useState(null); // Shown after returning from online checkout
+  const [payingId, setPayingId] = useState(null);
   
   // Feedback state
   const [showFeedbackModal, setShowFeedbackModal] = useState(false);
@@ -71,6 +77,31 @@ function MyRegistrations() {
     fetchRegistrations();
   }, []);
 
+  /**
+   * SHOW ONLINE PAYMENT RESULT
+   * The payment provider sends the participant back with ?payment=<id>
+   */
+  useEffect(() => {
+    const paymentId = searchParams.get('payment');
+    if (paymentId) {
+      getPaymentResult(paymentId).then(setPaymentResult);
+    }
+  }, [searchParams]);
+
+  /**
+   * PAY ONLINE
+   * Redirects to the payment provider's checkout page
+   */
+  const payOnline = async (registration) => {
+    try {
+      setPayingId(registration._id);
+      await startCheckout(() => paymentAPI.payForRegistration(registration._id));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to start payment');
+      setPayingId(null);
+    }
+  };
+
   /**
    * FILTER REGISTRATIONS
    */
@@ -174,28 +205,61 @@ function MyRegistrations() {
   /**
    * CANCEL REGISTRATION
    */
-  const cancelRegistration = async (registrationId) => {
-    if (!window.confirm('Are you sure you want to cancel this registration?')) {
+  const cancelRegistration = async (registrationId, confirmMessage = 'Are you sure you want to cancel this registration?') => {
+    if (!window.confirm(confirmMessage)) {
       return;
     }
 
     try {
-      await registrationAPI.cancelRegistration(registrationId);
+      const response = await registrationAPI.cancelRegistration(registrationId);
+      const { refundQuote } = response.data;
       
       // Update local state
       setRegistrations(registrations.map(reg => 
         reg._id === registrationId 
-          ? { ...reg, status: 'CANCELLED' }
+          ? { ...reg, status: 'CANCELLED', cancelledAt: new Date().toISOString() }
           : reg
       ));
 
-      alert('Registration cancelled successfully');
+      // Paid registrations - tell the participant what they can get back
+      if (refundQuote) {
+        alert(refundQuote.amount > 0
+          ? `${response.data.message}. You can request a refund of ₹${refundQuote.amount} (${refundQuote.refundPercent}%) from My Registrations.`
+          : `${response.data.message}. This cancellation is not eligible for a refund under the event's cancellation policy.`);
+        return;
+      }
+
+      alert(response.data.message || 'Registration cancelled successfully');
     } catch (err) {
       console.error('Failed to cancel registration:', err);
       alert(err.response?.data?.message || 'Failed to cancel registration');
     }
   };
 
+  /**
+   * REQUEST REFUND
+   * For cancelled registrations that were paid for
+   */
+  const requestRefund = async (registration) => {
+    const reason = prompt('Reason for the refund request (optional):');
+    if (reason === null) return;
+
+    try {
+      const response = await registrationAPI.requestRefund(registration._id, { reason });
+
+      setRegistrations(registrations.map(reg =>
+        reg._id === registration._id
+          ? { ...reg, refund: response.data.refund }
+          : reg
+      ));
+
+      alert(response.data.message);
+    } catch (err) {
+      console.error('Failed to request refund:', err);
+      alert(err.response?.data?.message || 'Failed to request refund');
+    }
+  };
+
   /**
    * HANDLE FILE SELECTION
    */
@@ -389,6 +453,15 @@ function MyRegistrations() {
         </div>
       )}
 
+      <CalendarFeed description="A private link to every event you have a confirmed ticket for." />
+
+      {/* Online Payment Result */}
+      {paymentResult && (
+        <div className={`payment-result ${paymentResult.type}`}>
+          {paymentResult.message}
+        </div>
+      )}
+
       {/* Filter Tabs */}
       <div className="filter-tabs">
         <button 
@@ -409,6 +482,12 @@ function MyRegistrations() {
         >
           Pending ({registrations.filter(r => r.status === 'PENDING').length})
         </button>
+        <button 
+          className={filter === 'waitlisted' ? 'active' : ''}
+          onClick={() => setFilter('waitlisted')}
+        >
+          Waitlisted ({registrations.filter(r => r.status === 'WAITLISTED').length})
+        </button>
         <button 
           className={filter === 'cancelled' ? 'active' : ''}
           onClick={() => setFilter('cancelled')}
@@ -458,6 +537,30 @@ function MyRegistrations() {
                     </span>
                   </div>
 
+                  {registration.order && (
+                    <div className="info-row">
+                      <span className="label">Order:</span>
+                      <span className="value">{registration.order.orderNumber}</span>
+                    </div>
+                  )}
+
+                  {registration.merchandiseDetails && registration.registrationType === 'MERCHANDISE' && (
+                    <div className="info-row">
+                      <span className="label">Item:</span>
+                      <span className="value">
+                        {[registration.merchandiseDetails.variant, registration.merchandiseDetails.size, registration.merchandiseDetails.color]
+                          .filter(Boolean).join(' / ') || 'Standard'} × {registration.merchandiseDetails.quantity}
+                      </span>
+                    </div>
+                  )}
+
+                  {registration.teamName && (
+                    <div className="info-row">
+                      <span className="label">Team:</span>
+                      <span className="value">{registration.teamName}</span>
+                    </div>
+                  )}
+
                   <div className="info-row">
                     <span className="label">Registered On:</span>
                     <span className="value">{formatDate(registration.createdAt)}</span>
@@ -498,21 +601,107 @@ function MyRegistrations() {
                 )}
               </div>
 
-              {/* Payment Proof Upload - For merchandise orders */}
-              {registration.registrationType === 'MERCHANDISE' && 
+              {/* Cart orders are paid for as a whole in My Orders */}
+              {registration.order && registration.status !== 'CONFIRMED' && registration.status !== 'CANCELLED' && (
+                <div className="payment-upload-section">
+                  <p className="upload-hint">This item is part of order {registration.order.orderNumber}</p>
+                  <button 
+                    onClick={() => navigate('/orders')}
+                    className="action-btn upload"
+                  >
+                    🧾 View Order
+                  </button>
+                </div>
+              )}
+
+              {/* Payment - merchandise purchases and paid event registrations */}
+              {!registration.order && registration.status !== 'CANCELLED' && registration.status !== 'WAITLISTED' &&
                (registration.paymentStatus === 'UNPAID' || registration.status === 'REJECTED') && (
                 <div className="payment-upload-section">
                   <p className="upload-hint">
                     {registration.paymentRejectionReason 
                       ? '⚠️ Please upload a new payment proof' 
-                      : 'Please upload payment proof to complete your order'}
+                      : registration.registrationType === 'MERCHANDISE'
+                        ? 'Pay online or upload payment proof to complete your order'
+                        : 'Your seat is reserved - pay online or upload payment proof to get your ticket'}
                   </p>
+                  {registration.amountPaid > 0 && (
+                    <button 
+                      onClick={() => payOnline(registration)}
+                      className="action-btn upload"
+                      disabled={payingId === registration._id}
+                    >
+                      {payingId === registration._id ? 'Redirecting...' : '💳 Pay Online'}
+                    </button>
+                  )}
                   <button 
                     onClick={() => openUploadModal(registration)}
                     className="action-btn upload"
                   >
                     📤 Upload Payment Proof
                   </button>
+                  {registration.registrationType === 'NORMAL' && registration.status !== 'CONFIRMED' && (
+                    <button 
+                      onClick={() => cancelRegistration(registration._id, 'Give up your reserved seat?')}
+                      className="action-btn cancel"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Reschedule Notice */}
+              {registration.rescheduleGrace && registration.status !== 'CANCELLED' && (
+                <div className="reschedule-notice">
+                  <p>
+                    📅 This event was rescheduled from{' '}
+                    {new Date(registration.rescheduleGrace.previous.eventStartDate).toLocaleString('en-IN')} to{' '}
+                    <strong>{new Date(registration.rescheduleGrace.eventStartDate).toLocaleString('en-IN')}</strong>.
+                    Can't make it? Cancel before {new Date(registration.rescheduleGrace.graceUntil).toLocaleString('en-IN')}
+                    {registration.amountPaid > 0 ? ' for a full refund.' : '.'}
+                  </p>
+                </div>
+              )}
+
+              {/* Waitlist Notice */}
+              {registration.status === 'WAITLISTED' && (
+                <div className="waitlist-notice">
+                  <p>
+                    ⏳ You are <strong>#{registration.waitlistPosition}</strong> on the waitlist.
+                    You'll get your ticket by email as soon as a seat frees up.
+                  </p>
+                  <button 
+                    onClick={() => cancelRegistration(registration._id, 'Are you sure you want to leave the waitlist?')}
+                    className="action-btn cancel"
+                  >
+                    Leave Waitlist
+                  </button>
+                </div>
+              )}
+
+              {/* Refund - cancelled paid registrations */}
+              {registration.status === 'CANCELLED' && registration.amountPaid > 0 &&
+               registration.paymentStatus === 'PAID' && !registration.refund?.status && (
+                <div className="refund-section">
+                  <p>You paid ₹{registration.amountPaid} for this registration.</p>
+                  <button
+                    onClick={() => requestRefund(registration)}
+                    className="action-btn refund"
+                  >
+                    💸 Request Refund
+                  </button>
+                </div>
+              )}
+
+              {registration.refund?.status && (
+                <div className={`refund-status ${registration.refund.status.toLowerCase()}`}>
+                  {registration.refund.status === 'REQUESTED' &&
+                    `⏳ Refund of ₹${registration.refund.amount} requested - awaiting organizer.`}
+                  {registration.refund.status === 'APPROVED' &&
+                    `✅ Refunded ₹${registration.refund.amount}${registration.refund.reference ? ` (Ref: ${registration.refund.reference})` : ''}`}
+                  {registration.refund.status === 'REJECTED' &&
+                    `❌ Refund rejected: ${registration.refund.rejectionReason}`}
                 </div>
               )}
 
@@ -532,6 +721,12 @@ function MyRegistrations() {
                   >
                     📥 Download Ticket
                   </button>
+                  <button 
+                    onClick={() => { window.location.href = calendarAPI.getEventCalendarUrl(registration.event?._id); }}
+                    className="action-btn download"
+                  >
+                    📅 Add to Calendar
+                  </button>
                   <button 
                     onClick={() => navigate(`/events/${registration.event?._id}`)}
                     className="action-btn view"
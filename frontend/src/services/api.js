@@ -95,6 +95,9 @@ export const participantAPI = {
   // Get upcoming events
   getUpcomingEvents: () => api.get('/api/participant/upcoming'),
   
+  // Personalized recommendations, each with the reasons it was suggested
+  getRecommendations: (limit) => api.get('/api/participant/recommendations', { params: { limit } }),
+  
   // Follow/unfollow organizer
   toggleFollowOrganizer: (organizerId) => api.post(`/api/participant/follow/${organizerId}`),
   
@@ -124,6 +127,63 @@ export const registrationAPI = {
   
   // Cancel registration
   cancelRegistration: (registrationId) => api.delete(`/api/events/registrations/${registrationId}`),
+  
+  // Request a refund for a cancelled paid registration
+  requestRefund: (registrationId, data) => api.post(`/api/events/registrations/${registrationId}/refund-request`, data),
+};
+
+// ============================================
+// ORDER APIs (merchandise cart)
+// ============================================
+
+export const orderAPI = {
+  // Checkout cart items as one order
+  checkout: (items) => api.post('/api/orders/checkout', { items }),
+  
+  // Get my orders
+  getMyOrders: () => api.get('/api/orders/my'),
+  
+  // Upload one payment proof for the whole order
+  uploadPaymentProof: (orderId, data) => api.post(`/api/orders/${orderId}/payment-proof`, data),
+  
+  // Cancel an unpaid order
+  cancelOrder: (orderId) => api.post(`/api/orders/${orderId}/cancel`),
+};
+
+// ============================================
+// PAYMENT APIs (online payment gateway)
+// ============================================
+
+export const paymentAPI = {
+  // Start an online payment for a purchase (returns checkoutUrl)
+  payForRegistration: (registrationId) => api.post(`/api/payments/registrations/${registrationId}`),
+  
+  // Start an online payment for a cart order (returns checkoutUrl)
+  payForOrder: (orderId) => api.post(`/api/payments/orders/${orderId}`),
+  
+  // Get payment status (after returning from checkout)
+  getPayment: (paymentId) => api.get(`/api/payments/${paymentId}`),
+};
+
+// ============================================
+// TEAM APIs
+// ============================================
+
+export const teamAPI = {
+  // Create a team for a team event
+  createTeam: (eventId, data) => api.post(`/api/teams/event/${eventId}`, data),
+  
+  // Join a team with an invite code
+  joinTeam: (inviteCode) => api.post('/api/teams/join', { inviteCode }),
+  
+  // Get my team for an event
+  getMyTeam: (eventId) => api.get(`/api/teams/event/${eventId}`),
+  
+  // Confirm the team (leader only)
+  finalizeTeam: (teamId) => api.post(`/api/teams/${teamId}/finalize`),
+  
+  // Leave the team (leader disbands it)
+  leaveTeam: (teamId) => api.post(`/api/teams/${teamId}/leave`),
 };
 
 // ============================================
@@ -135,6 +195,11 @@ export const organizerAPI = {
   getProfile: () => api.get('/api/organizer/profile'),
   updateProfile: (data) => api.put('/api/organizer/profile', data),
   
+  // Discord webhook - test message and delivery log
+  testDiscordWebhook: () => api.post('/api/organizer/discord/test'),
+  getDiscordDeliveries: (params) => api.get('/api/organizer/discord/deliveries', { params }),
+  retryDiscordDelivery: (id) => api.post(`/api/organizer/discord/deliveries/${id}/retry`),
+  
   // Password reset requests
   requestPasswordReset: (data) => api.post('/api/organizer/request-password-reset', data),
   getMyPasswordResetRequests: () => api.get('/api/organizer/password-requests'),
@@ -160,9 +225,24 @@ export const organizerAPI = {
   // Close event
   closeEvent: (id) => api.post(`/api/organizer/events/${id}/close`),
   
+  // Reopen registrations of a closed event
+  reopenEvent: (id) => api.post(`/api/organizer/events/${id}/reopen`),
+  
+  // Cancel event (cancels and refunds every registration)
+  cancelEvent: (id, reason) => api.post(`/api/organizer/events/${id}/cancel`, { reason }),
+  
+  // Reschedule event (registrants are emailed the new dates)
+  rescheduleEvent: (id, data) => api.post(`/api/organizer/events/${id}/reschedule`, data),
+  
   // Complete event
   completeEvent: (id) => api.post(`/api/organizer/events/${id}/complete`),
   
+  // Turn automatic status changes on/off
+  setAutoStatus: (id, enabled) => api.put(`/api/organizer/events/${id}/auto-status`, { enabled }),
+  
+  // Get status change history
+  getStatusHistory: (id) => api.get(`/api/organizer/events/${id}/status-history`),
+  
   // Delete event
   deleteEvent: (id) => api.delete(`/api/organizer/events/${id}`),
   
@@ -172,14 +252,36 @@ export const organizerAPI = {
   // Export registrations
   exportRegistrations: (id) => api.get(`/api/organizer/events/${id}/export`, { responseType: 'blob' }),
   
+  // Get teams for a team event
+  getEventTeams: (id, params) => api.get(`/api/organizer/events/${id}/teams`, { params }),
+  
   // Approve merchandise payment
   approveMerchandisePayment: (id) => api.post(`/api/organizer/registrations/${id}/approve`),
   
   // Reject merchandise payment
   rejectMerchandisePayment: (id, data) => api.post(`/api/organizer/registrations/${id}/reject`, data),
   
-  // Verify ticket (QR scanning)
-  verifyTicket: (ticketId) => api.post('/api/organizer/verify-ticket', { ticketId }),
+  // Approve a refund request ({ reference, amount })
+  approveRefund: (id, data) => api.post(`/api/organizer/registrations/${id}/refund/approve`, data),
+  
+  // Reject a refund request ({ reason })
+  rejectRefund: (id, data) => api.post(`/api/organizer/registrations/${id}/refund/reject`, data),
+  
+  // Merchandise cart orders
+  getOrders: (params) => api.get('/api/organizer/orders', { params }),
+  approveOrder: (id) => api.post(`/api/organizer/orders/${id}/approve`),
+  rejectOrder: (id, data) => api.post(`/api/organizer/orders/${id}/reject`, data),
+  
+  // Verify ticket - manual ticket ID, or the signed QR code contents when scanning
+  // sessionId picks the session for multi-session events (defaults to the one running now)
+  // manual: true confirms a typed-in ticket ID after checking the participant's ID
+  verifyTicket: (ticketId, qrData, sessionId, manual) => api.post('/api/organizer/verify-ticket', { ticketId, qrData, sessionId, manual }),
+  
+  // Download the ticket list for scanning without network
+  getScanManifest: (id) => api.get(`/api/organizer/events/${id}/scan-manifest`),
+  
+  // Upload scans made offline
+  syncScans: (id, data) => api.post(`/api/organizer/events/${id}/sync-scans`, data),
 };
 
 // ============================================
@@ -215,6 +317,14 @@ export const adminAPI = {
   getPasswordResetRequests: () => api.get('/api/admin/password-requests'),
   approvePasswordResetRequest: (id, data) => api.post(`/api/admin/password-requests/${id}/approve`, data),
   rejectPasswordResetRequest: (id, data) => api.post(`/api/admin/password-requests/${id}/reject`, data),
+  
+  // Trending: overview with scores, pin/exclude an event, recompute now
+  getTrending: () => api.get('/api/admin/trending'),
+  updateEventTrending: (eventId, data) => api.put(`/api/admin/events/${eventId}/trending`, data),
+  recomputeTrending: () => api.post('/api/admin/trending/recompute'),
+  
+  // Cancel any event (cancels, refunds and emails every registration)
+  cancelEvent: (id, reason) => api.post(`/api/admin/events/${id}/cancel`, { reason }),
 };
 
 // ============================================
@@ -231,14 +341,110 @@ export const discussionAPI = {
   // Post a reply to a discussion
   postReply: (discussionId, data) => api.post(`/api/discussions/${discussionId}/reply`, data),
   
+  // Edit my message (shortly after posting)
+  editDiscussion: (discussionId, data) => api.put(`/api/discussions/${discussionId}`, data),
+  
+  // Edit my reply (shortly after posting)
+  editReply: (discussionId, replyId, data) => api.put(`/api/discussions/${discussionId}/replies/${replyId}`, data),
+  
+  // Delete a reply (author or organizer)
+  deleteReply: (discussionId, replyId) => api.delete(`/api/discussions/${discussionId}/replies/${replyId}`),
+  
   // Toggle like on a discussion
   toggleLike: (discussionId) => api.put(`/api/discussions/${discussionId}/like`),
   
+  // Toggle an emoji reaction on a discussion
+  toggleReaction: (discussionId, emoji) => api.put(`/api/discussions/${discussionId}/react`, { emoji }),
+  
+  // People who can be @mentioned (organizer + confirmed registrants)
+  getMembers: (eventId) => api.get(`/api/discussions/event/${eventId}/members`),
+  
   // Delete a discussion
   deleteDiscussion: (discussionId) => api.delete(`/api/discussions/${discussionId}`),
   
   // Pin/unpin a discussion (organizer only)
   togglePin: (discussionId) => api.put(`/api/discussions/${discussionId}/pin`),
+  
+  // My unread posts + replies for an event's discussion
+  getUnread: (eventId) => api.get(`/api/discussions/event/${eventId}/unread`),
+  
+  // Mark an event's discussion as read
+  markRead: (eventId) => api.post(`/api/discussions/event/${eventId}/read`),
+  
+  // Report a message to the organizer
+  reportDiscussion: (discussionId, reason) => api.post(`/api/discussions/${discussionId}/report`, { reason }),
+  
+  // Hide/unhide a message (organizer only)
+  toggleHide: (discussionId, reason) => api.put(`/api/discussions/${discussionId}/hide`, { reason }),
+  
+  // Lock/unlock a thread against new replies (organizer only)
+  toggleLock: (discussionId) => api.put(`/api/discussions/${discussionId}/lock`),
+  
+  // Active mutes for an event (organizer only)
+  getMutes: (eventId) => api.get(`/api/discussions/event/${eventId}/mutes`),
+  
+  // Mute a participant: { participantId, durationMinutes, reason } (organizer only)
+  muteParticipant: (eventId, data) => api.post(`/api/discussions/event/${eventId}/mutes`, data),
+  
+  // Lift a mute (organizer only)
+  unmuteParticipant: (eventId, participantId) => api.delete(`/api/discussions/event/${eventId}/mutes/${participantId}`),
+  
+  // Moderation log (organizer only)
+  getModerationLog: (eventId) => api.get(`/api/discussions/event/${eventId}/moderation-log`),
+};
+
+// ============================================
+// ANNOUNCEMENT APIs
+// ============================================
+
+export const announcementAPI = {
+  // Announcements for an event (organizer also gets scheduled ones and read counts)
+  getEventAnnouncements: (eventId) => api.get(`/api/announcements/event/${eventId}`),
+  
+  // Post an announcement: { title, message, scheduledFor? } (organizer only)
+  createAnnouncement: (eventId, data) => api.post(`/api/announcements/event/${eventId}`, data),
+  
+  // Read receipt
+  markRead: (announcementId) => api.post(`/api/announcements/${announcementId}/read`),
+  
+  // Cancel a scheduled announcement or delete a sent one (organizer only)
+  deleteAnnouncement: (announcementId) => api.delete(`/api/announcements/${announcementId}`),
+};
+
+// ============================================
+// NOTIFICATION APIs
+// ============================================
+
+export const notificationAPI = {
+  // My notifications with unread count - pass the last createdAt as `before` for older ones
+  getNotifications: (before) => api.get('/api/notifications', { params: before ? { before } : {} }),
+  
+  // Mark one as read
+  markRead: (notificationId) => api.put(`/api/notifications/${notificationId}/read`),
+  
+  // Mark all as read
+  markAllRead: () => api.put('/api/notifications/read-all'),
+  
+  // Per-type preferences: { PAYMENT_APPROVED: true, ... }
+  getPreferences: () => api.get('/api/notifications/preferences'),
+  
+  // Update preferences: { preferences: { TYPE: enabled } }
+  updatePreferences: (preferences) => api.put('/api/notifications/preferences', { preferences }),
+};
+
+// ============================================
+// CALENDAR APIs
+// ============================================
+
+export const calendarAPI = {
+  // My calendar feed URL (participants and organizers) - created on first use
+  getFeed: () => api.get('/api/calendar/feed'),
+  
+  // Replace my feed URL - the old one stops working
+  resetFeed: () => api.post('/api/calendar/feed/reset'),
+  
+  // .ics download link for one event (plain link, no login needed)
+  getEventCalendarUrl: (eventId) => `${API_URL}/api/calendar/events/${eventId}.ics`,
 };
 
 // ============================================
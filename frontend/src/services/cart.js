@@ -0,0 +1,68 @@
+/**
+ * MERCHANDISE CART
+ *
+ * Items the participant wants to buy, kept in localStorage until checkout
+ * - One entry per event + size/color/variant combination (adding again increases the quantity)
+ * - The server re-checks stock, price and purchase limits at checkout
+ */
+
+const CART_KEY = 'merch_cart';
+
+const itemKey = (item) =>
+  [item.eventId, item.size || '', item.color || '', item.variant || ''].join('|');
+
+export const getCart = () => {
+  try {
+    const value = localStorage.getItem(CART_KEY);
+    return value ? JSON.parse(value) : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveCart = (cart) => {
+  localStorage.setItem(CART_KEY, JSON.stringify(cart));
+};
+
+/**
+ * ADD TO CART
+ *
+ * @param {Object} item - { eventId, eventName, organizerId, organizerName, size, color, variant, quantity, unitPrice }
+ * @returns {Array} Updated cart
+ */
+export const addToCart = (item) => {
+  const cart = getCart();
+  const key = itemKey(item);
+  const existing = cart.find((i) => itemKey(i) === key);
+
+  if (existing) {
+    existing.quantity += item.quantity || 1;
+    existing.unitPrice = item.unitPrice; // Keep the latest price shown to the buyer
+  } else {
+    cart.push({ ...item, key, quantity: item.quantity || 1 });
+  }
+
+  saveCart(cart);
+  return cart;
+};
+
+export const updateQuantity = (key, quantity) => {
+  const cart = getCart().map((i) => (i.key === key ? { ...i, quantity } : i));
+  saveCart(cart);
+  return cart;
+};
+
+export const removeFromCart = (key) => {
+  const cart = getCart().filter((i) => i.key !== key);
+  saveCart(cart);
+  return cart;
+};
+
+/**
+ * Remove several items at once (e.g., after they were checked out as an order)
+ */
+export const removeItems = (keys) => {
+  const cart = getCart().filter((i) => !keys.includes(i.key));
+  saveCart(cart);
+  return cart;
+};
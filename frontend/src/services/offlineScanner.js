@@ -0,0 +1,188 @@
+/**
+ * OFFLINE SCANNER
+ *
+ * Lets organizers keep scanning tickets when the venue has no network
+ * - Manifest: ticket list downloaded before the event (tickets identified by SHA-256 of their QR token)
+ * - Queue: scans made offline, stored in localStorage until they are synced
+ * The server re-checks every queued scan on sync, so local checks only decide who to let in.
+ */
+
+const manifestKey = (eventId) => `scan_manifest_${eventId}`;
+const queueKey = (eventId) => `scan_queue_${eventId}`;
+
+const readJSON = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Stable ID for this browser, so the server can tell which gate made a scan
+ */
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem('scanner_device_id');
+  if (!deviceId) {
+    deviceId = `scanner-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem('scanner_device_id', deviceId);
+  }
+  return deviceId;
+};
+
+export const saveManifest = (eventId, manifest) => {
+  localStorage.setItem(manifestKey(eventId), JSON.stringify(manifest));
+};
+
+export const getManifest = (eventId) => readJSON(manifestKey(eventId), null);
+
+export const getQueue = (eventId) => readJSON(queueKey(eventId), []);
+
+const saveQueue = (eventId, queue) => {
+  localStorage.setItem(queueKey(eventId), JSON.stringify(queue));
+};
+
+/**
+ * SHA-256 hex digest - must match hashTicketToken on the backend
+ */
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Read the (unverified) payload of a signed ticket token "FEL1.<payload>.<signature>"
+ */
+const decodeTokenPayload = (token) => {
+  try {
+    const encoded = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(encoded));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * VERIFY A SCAN AGAINST THE DOWNLOADED MANIFEST AND QUEUE IT
+ *
+ * @param {String} eventId - Event being scanned
+ * @param {Object} scan - { qrData } from the camera or { ticketId, manual: true } from manual entry, plus sessionId
+ * @returns {Object} { success, message, reason?, ticket? }
+ */
+export const recordOfflineScan = async (eventId, { qrData, ticketId, sessionId, manual }) => {
+  const manifest = getManifest(eventId);
+  if (!manifest) {
+    return { success: false, message: 'Download the scan manifest before scanning offline' };
+  }
+
+  // Multi-session events: scan for the chosen session, or the one running now
+  let session = null;
+  if (manifest.sessions?.length > 0) {
+    const now = new Date();
+    session = sessionId
+      ? manifest.sessions.find((s) => s._id === sessionId)
+      : manifest.sessions.find((s) => now >= new Date(s.startTime) && now <= new Date(s.endTime));
+    if (!session) {
+      return { success: false, reason: 'NO_SESSION', message: 'Select the session you are scanning for' };
+    }
+  }
+
+  let ticket;
+  if (qrData) {
+    const tokenHash = await sha256(qrData.trim());
+    ticket = manifest.tickets.find((t) => t.tokenHash === tokenHash);
+
+    const payload = decodeTokenPayload(qrData.trim());
+    if (ticket && payload?.exp && Date.now() > payload.exp) {
+      return { success: false, reason: 'EXPIRED', message: 'Ticket has expired' };
+    }
+  } else {
+    ticket = manifest.tickets.find((t) => t.ticketId === ticketId.trim());
+  }
+
+  if (!ticket) {
+    return {
+      success: false,
+      reason: 'NOT_FOUND',
+      message: 'Ticket is not in the manifest (forged, cancelled or replaced)',
+    };
+  }
+
+  const queue = getQueue(eventId);
+  const earlierScan = queue.find(
+    (s) => s.ticketId === ticket.ticketId && (s.sessionId || null) === (session?._id || null)
+  );
+  const scannedBefore = session
+    ? (ticket.attendedSessions || []).includes(session._id)
+    : ticket.attended;
+  if (scannedBefore || earlierScan) {
+    return {
+      success: false,
+      reason: 'ALREADY_SCANNED',
+      message: session ? `Ticket already scanned for ${session.name}` : 'Ticket already scanned',
+      ticket,
+      scannedAt: earlierScan?.scannedAt,
+    };
+  }
+
+  queue.push({
+    clientScanId: `${getDeviceId()}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    ticketId: ticket.ticketId,
+    qrData: qrData ? qrData.trim() : undefined,
+    manual: qrData ? undefined : manual,
+    sessionId: session?._id,
+    scannedAt: new Date().toISOString(),
+  });
+  saveQueue(eventId, queue);
+
+  return { success: true, message: 'Attendance queued - will sync when back online', ticket, session };
+};
+
+/**
+ * UPLOAD QUEUED SCANS
+ *
+ * Scans the server has processed (accepted, conflicting, duplicate or rejected)
+ * are removed from the queue; the queue is kept untouched if the request fails.
+ *
+ * @param {String} eventId - Event being scanned
+ * @param {Function} syncScans - organizerAPI.syncScans
+ * @returns {Object|null} Server response data, or null if there was nothing to sync
+ */
+export const syncQueuedScans = async (eventId, syncScans) => {
+  const queue = getQueue(eventId);
+  const manifest = getManifest(eventId);
+  if (queue.length === 0 || !manifest) {
+    return null;
+  }
+
+  const { tickets, eventName, sessions, ...header } = manifest;
+  const response = await syncScans(eventId, {
+    deviceId: getDeviceId(),
+    manifest: header,
+    scans: queue,
+  });
+
+  // Keep any scans made while the request was in flight
+  const synced = new Set(queue.map((s) => s.clientScanId));
+  saveQueue(eventId, getQueue(eventId).filter((s) => !synced.has(s.clientScanId)));
+
+  // Synced tickets must still count as scanned if the same ticket shows up again offline
+  saveManifest(eventId, {
+    ...manifest,
+    tickets: tickets.map((t) => {
+      const scans = queue.filter((s) => s.ticketId === t.ticketId);
+      if (scans.length === 0) return t;
+      const sessionIds = scans.map((s) => s.sessionId).filter(Boolean);
+      return {
+        ...t,
+        attended: true,
+        attendedSessions: [...new Set([...(t.attendedSessions || []), ...sessionIds])],
+      };
+    }),
+  });
+
+  return response.data;
+};
@@ -0,0 +1,44 @@
+/**
+ * ONLINE PAYMENTS
+ *
+ * Helpers for paying through the payment gateway
+ * - startCheckout: create the payment and send the browser to the provider's checkout page
+ * - getPaymentResult: message to show when the provider sends the participant back (?payment=<id>)
+ */
+
+import { paymentAPI } from './api';
+
+/**
+ * START CHECKOUT
+ *
+ * @param {Function} createPayment - paymentAPI.payForRegistration / payForOrder, already bound to the id
+ */
+export const startCheckout = async (createPayment) => {
+  const response = await createPayment();
+  window.location.href = response.data.checkoutUrl;
+};
+
+/**
+ * GET PAYMENT RESULT
+ *
+ * @param {String} paymentId - From the ?payment= query parameter
+ * @returns {Object} { type: 'success' | 'error' | 'info', message }
+ */
+export const getPaymentResult = async (paymentId) => {
+  try {
+    const { payment } = (await paymentAPI.getPayment(paymentId)).data;
+
+    if (payment.status === 'SUCCEEDED' && !payment.confirmationError) {
+      return { type: 'success', message: `✅ Payment of ₹${payment.amount} received - your ticket is confirmed.` };
+    }
+    if (payment.status === 'SUCCEEDED') {
+      return { type: 'info', message: `Payment of ₹${payment.amount} received. The organizer will review it: ${payment.confirmationError}` };
+    }
+    if (payment.status === 'FAILED') {
+      return { type: 'error', message: `Payment failed: ${payment.failureReason || 'please try again'}` };
+    }
+    return { type: 'info', message: 'Payment is still processing. Refresh in a moment to see the result.' };
+  } catch {
+    return { type: 'error', message: 'Could not load the payment status' };
+  }
+};
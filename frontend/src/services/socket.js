@@ -0,0 +1,99 @@
+/**
+ * REAL-TIME CONNECTION (Socket.IO)
+ *
+ * One shared connection to the backend, authenticated with the same JWT as the REST API
+ * - getSocket: the shared connection (connects on first use)
+ * - disconnectSocket: close it (logout)
+ * - watchDiscussionUnread: keep an event's unread discussion count up to date
+ * - watchNotifications: get new in-app notifications as they arrive
+ */
+
+import { io } from 'socket.io-client';
+import { discussionAPI } from './api';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+let socket = null;
+
+/**
+ * GET SOCKET
+ * The token is read on every (re)connect so a new login is picked up
+ */
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(API_URL, {
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
+    });
+  }
+  return socket;
+};
+
+/**
+ * DISCONNECT SOCKET
+ */
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+/**
+ * WATCH DISCUSSION UNREAD COUNT
+ *
+ * Calls onChange with the current count, and again whenever someone posts or replies.
+ *
+ * @param {String} eventId - Event whose discussion to watch
+ * @param {Function} onChange - Receives the unread count
+ * @returns {Function} Stop watching
+ */
+export const watchDiscussionUnread = (eventId, onChange) => {
+  const socket = getSocket();
+
+  const refresh = () => {
+    discussionAPI.getUnread(eventId)
+      .then((res) => onChange(res.data.unread || 0))
+      .catch(() => {});
+  };
+
+  const watch = () => {
+    socket.emit('discussion:watch', eventId, (res) => {
+      if (res?.success) onChange(res.unread || 0);
+    });
+  };
+
+  const onActivity = (data) => {
+    if (data.eventId === eventId) refresh();
+  };
+
+  refresh();
+  if (socket.connected) watch();
+  socket.on('connect', watch);
+  socket.on('discussion:activity', onActivity);
+
+  return () => {
+    socket.off('connect', watch);
+    socket.off('discussion:activity', onActivity);
+  };
+};
+
+/**
+ * WATCH NOTIFICATIONS
+ *
+ * @param {Function} onNotification - Receives each new notification
+ * @param {Function} onReconnect - Called after a reconnect (notifications may have been missed)
+ * @returns {Function} Stop watching
+ */
+export const watchNotifications = (onNotification, onReconnect) => {
+  const socket = getSocket();
+
+  const onNew = (data) => onNotification(data.notification);
+
+  socket.on('notification:new', onNew);
+  socket.io.on('reconnect', onReconnect);
+
+  return () => {
+    socket.off('notification:new', onNew);
+    socket.io.off('reconnect', onReconnect);
+  };
+};